@@ -0,0 +1,107 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+const CONFIG = { includedReports: ['SkuLevelActions'], enableIncrementalExports: false };
+
+function accountSids(mock) {
+  return [...new Set(mock.requests.map(request => request.path.split('/')[2]))];
+}
+
+describe('account profiles', () => {
+  test('runs every profile against its own account and workbook', () => {
+    const { engine, mock, spreadsheet } = createEngine({ config: CONFIG });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', {});
+    engine.call('addAccountProfile', 'Beta', 'IRbeta000001', 'tokentoken123');
+
+    const result = engine.call('runCompleteDiscovery');
+    expect(result).toMatchObject({ success: true, failedAccounts: [], message: 'Completed 2 account(s)' });
+    expect(Object.keys(result.accounts)).toEqual(['Acme', 'Beta']);
+    expect(accountSids(mock)).toEqual(['IRacme000001', 'IRbeta000001']);
+
+    // Acme has its own workbook; Beta shares the default one with prefixed sheets
+    expect(sheetRecords(spreadsheet('SS2').getSheetByName('SkuLevelAction'))[0].Account).toBe('Acme');
+    expect(spreadsheet().getSheetByName('SkuLevelAction')).toBeNull();
+    expect(sheetRecords(spreadsheet().getSheetByName('Beta - SkuLevelAction'))[0].Account).toBe('Beta');
+
+    expect(engine.call('listAccounts').map(account => [account.name, account.spreadsheetId, account.sheetPrefix]))
+      .toEqual([['Acme', 'SS2', ''], ['Beta', 'SS', 'Beta - ']]);
+  });
+
+  test('a named account runs on its own and keeps its state apart', () => {
+    const { engine, mock, properties } = createEngine({ config: CONFIG });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', {});
+    engine.call('addAccountProfile', 'Beta', 'IRbeta000001', 'tokentoken123');
+
+    engine.call('runCompleteDiscovery', 'Acme');
+    expect(accountSids(mock)).toEqual(['IRacme000001']);
+    expect(properties.getProperty('ACCOUNT_ACME__IMPACT_DATA_FRESHNESS')).not.toBeNull();
+    expect(properties.getProperty('ACCOUNT_BETA__IMPACT_DATA_FRESHNESS')).toBeNull();
+    expect(properties.getProperty('IMPACT_DATA_FRESHNESS')).toBeNull();
+  });
+
+  test('credentials stay in script properties and out of the saved config', () => {
+    const { engine, mock, properties } = createEngine({ config: CONFIG });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', {});
+    engine.call('setDateRange', '2025-09-01', '2025-09-30');
+
+    const stored = JSON.parse(properties.getProperty('IMPACT_OPTIMIZED_CONFIG'));
+    expect(stored).not.toHaveProperty('impactSid');
+    expect(stored).not.toHaveProperty('impactToken');
+    expect(stored).not.toHaveProperty('spreadsheetId');
+    expect(properties.getProperty('IMPACT_SID_ACME')).toBe('IRacme000001');
+
+    // A copy an older version saved in the config does not override the profile
+    properties.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify({ ...stored, impactSid: 'IRstale00001', spreadsheetId: 'SS' }));
+    engine.call('runCompleteDiscovery', 'Acme');
+    expect(accountSids(mock)).toEqual(['IRacme000001']);
+
+    engine.call('updateCredentials', 'IRnew0000001', 'newtoken9999');
+    expect(properties.getProperty('IMPACT_SID')).toBe('IRnew0000001');
+    expect(new (engine.get('ImpactConfig'))().get('impactSid')).toBe('IRnew0000001');
+  });
+
+  test('an account that fails does not stop the others', () => {
+    // The mock server only accepts Beta's credentials
+    const { engine } = createEngine({ config: CONFIG, server: { sid: 'IRbeta000001', token: 'tokentoken123' } });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', {});
+    engine.call('addAccountProfile', 'Beta', 'IRbeta000001', 'tokentoken123');
+
+    const result = engine.call('runCompleteDiscovery');
+    expect(result.accounts.Acme.success).toBe(false);
+    expect(result.accounts.Beta.successful.map(report => report.reportId)).toEqual(['SkuLevelActions']);
+    expect(result).toMatchObject({ success: false, failedAccounts: ['Acme'], message: 'Completed 2 account(s), 1 failed' });
+  });
+
+  test('without profiles the default account runs as before', () => {
+    const { engine, mock } = createEngine({ config: CONFIG });
+    expect(engine.call('runCompleteDiscovery').successful.map(report => report.reportId)).toEqual(['SkuLevelActions']);
+    expect(accountSids(mock)).toEqual(['IRtestSID0001']);
+  });
+
+  test('startFreshDiscovery keeps account profiles and runs each of them', () => {
+    const { engine, mock, properties } = createEngine({ config: CONFIG });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', { excludedReports: ['mp_action_listing'] });
+
+    const result = engine.call('startFreshDiscovery', 'daily automation');
+    expect(Object.keys(result.accounts)).toEqual(['Acme']);
+    expect(accountSids(mock)).toEqual(['IRacme000001']);
+    // The default account's settings are reset; the profile is kept as it was
+    expect(JSON.parse(properties.getProperty('IMPACT_OPTIMIZED_CONFIG')))
+      .toEqual({ accounts: { Acme: { excludedReports: ['mp_action_listing'] } } });
+  });
+
+  test('clearDiscoveryState also clears every account\'s state', () => {
+    const { engine, properties } = createEngine({ config: CONFIG });
+    engine.call('addAccountProfile', 'Acme', 'IRacme000001', 'tokentoken123', 'SS2', {});
+    engine.call('runCompleteDiscovery');
+    expect(properties.getProperty('ACCOUNT_ACME__IMPACT_DATA_FRESHNESS')).not.toBeNull();
+
+    engine.call('clearDiscoveryState');
+    expect(properties.getProperty('ACCOUNT_ACME__IMPACT_DATA_FRESHNESS')).toBeNull();
+    expect(properties.getProperty('ACCOUNT_ACME__IMPACT_COMPLETED_V4')).toBeNull();
+  });
+
+  test('addAccountProfile needs a name, SID and token', () => {
+    const { engine } = createEngine();
+    expect(() => engine.call('addAccountProfile', 'Acme', 'IRacme000001')).toThrow('addAccountProfile needs a name, SID and token');
+  });
+});
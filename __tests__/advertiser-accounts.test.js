@@ -0,0 +1,60 @@
+const { createEngine } = require('./helpers/engine');
+
+function setup(config) {
+  const context = createEngine({ config: config });
+  context.engine.call('addAccountProfile', 'Brand', 'IRbrand00001', 'tokentoken123', 'SS2', { accountType: 'advertiser' });
+  context.config = name => new (context.engine.get('ImpactConfig'))(name);
+  return context;
+}
+
+describe('advertiser accounts', () => {
+  test('discovery, exports, polling and downloads use the Advertisers paths', () => {
+    const { engine, mock, spreadsheet } = setup({ includedReports: ['mp_action_listing'] });
+    const result = engine.call('runCompleteDiscovery', 'Brand');
+
+    expect(result.accounts.Brand.successful.map(report => report.reportId)).toEqual(['mp_action_listing']);
+    expect(new Set(mock.requests.map(request => request.endpoint)))
+      .toEqual(new Set(['reports', 'metadata', 'export', 'job', 'download']));
+    expect(mock.requests.filter(request => !request.path.startsWith('/Advertisers/IRbrand00001/') &&
+      !/^\/Reports\//.test(request.path))).toEqual([]);
+    expect(spreadsheet('SS2').getSheetByName('Action Listing').getLastRow()).toBe(8);
+  });
+
+  test('applies the advertiser defaults to settings that were not changed', () => {
+    const { config } = setup();
+    const brand = config('Brand');
+    expect(brand.get('accountType')).toBe('advertiser');
+    expect(brand.get('excludedReports')).toEqual([]);
+    expect(brand.get('mergeKeyColumns')).toEqual({ '*action_listing*': ['ActionId'] });
+
+    // The default account is untouched
+    expect(config().get('accountType')).toBe('mediapartner');
+    expect(config().get('mergeKeyColumns')).toHaveProperty('SkuLevelActions');
+  });
+
+  test('defaults still apply after a save, and to a config an older version stored in full', () => {
+    const { engine, properties, config } = setup();
+    engine.call('setDateRange', '2025-09-01', '2025-09-30');
+    expect(Object.keys(JSON.parse(properties.getProperty('IMPACT_OPTIMIZED_CONFIG'))))
+      .toEqual(['accounts', 'enableDateFiltering', 'startDate', 'endDate']);
+    expect(config('Brand').get('excludedReports')).toEqual([]);
+
+    const stored = JSON.parse(properties.getProperty('IMPACT_OPTIMIZED_CONFIG'));
+    properties.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify({ ...config().config, accounts: stored.accounts }));
+    expect(config('Brand').get('excludedReports')).toEqual([]);
+    expect(config('Brand').get('mergeKeyColumns')).toEqual({ '*action_listing*': ['ActionId'] });
+  });
+
+  test('a setting changed in the profile is kept', () => {
+    const { engine, config } = setup();
+    engine.call('addAccountProfile', 'Brand', 'IRbrand00001', 'tokentoken123', 'SS2', { accountType: 'advertiser', excludedReports: ['Invoices'] });
+    expect(config('Brand').get('excludedReports')).toEqual(['Invoices']);
+  });
+
+  test('an unknown account type fails validation and the request', () => {
+    const { engine, construct } = createEngine({ config: { accountType: 'agency' } });
+    expect(engine.evaluate('new ImpactConfig().validate().errors'))
+      .toContain('accountType must be one of: mediapartner, advertiser');
+    expect(() => construct('EnhancedAPIClient').accountPath()).toThrow('Unknown accountType: agency (expected mediapartner or advertiser)');
+  });
+});
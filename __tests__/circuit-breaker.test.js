@@ -0,0 +1,91 @@
+const { createEngine } = require('./helpers/engine');
+
+function setup(config = {}) {
+  const context = createEngine({ config: { circuitBreakerThreshold: 2, circuitBreakerTimeout: 60000, ...config } });
+  const create = context.engine.evaluate(
+    '(function(name) { var config = new ImpactConfig(); return new CircuitBreaker(config, name, new EnhancedLogger(config)); })'
+  );
+  context.breaker = (name = 'export') => create(name);
+  // Move an open breaker's clock back instead of waiting out its timeout
+  context.age = (name, ms) => {
+    const all = JSON.parse(context.properties.getProperty('IMPACT_CIRCUIT_BREAKERS'));
+    ['openedAt', 'probeStartedAt'].forEach(key => { if (all[name][key]) all[name][key] -= ms; });
+    context.properties.setProperty('IMPACT_CIRCUIT_BREAKERS', JSON.stringify(all));
+  };
+  return context;
+}
+
+describe('CircuitBreaker', () => {
+  test('opens after the threshold and stays open for the next execution', () => {
+    const { breaker } = setup();
+    breaker().recordFailure(new Error('HTTP 500'));
+    expect(breaker().canExecute()).toBe(true);
+    breaker().recordFailure(new Error('HTTP 500'));
+
+    expect(breaker().canExecute()).toBe(false);
+    expect(breaker().getStatus()).toMatchObject({ state: 'OPEN', failureCount: 2, lastError: 'HTTP 500' });
+    // Other endpoints keep their own state
+    expect(breaker('reports').canExecute()).toBe(true);
+  });
+
+  test('a success resets the failure count', () => {
+    const { breaker } = setup();
+    breaker().recordFailure(new Error('HTTP 500'));
+    breaker().recordSuccess();
+    breaker().recordFailure(new Error('HTTP 500'));
+    expect(breaker().getStatus()).toMatchObject({ state: 'CLOSED', failureCount: 1 });
+  });
+
+  test('rate limits do not count as failures', () => {
+    const { breaker } = setup();
+    breaker().recordFailure(new Error('API request failed: HTTP 429'));
+    breaker().recordFailure(new Error('Rate Limit budget exhausted'));
+    expect(breaker().getStatus().failureCount).toBe(0);
+  });
+
+  test('lets one probe through after the timeout and closes when it succeeds', () => {
+    const { breaker, age } = setup();
+    breaker().recordFailure(new Error('HTTP 500'));
+    breaker().recordFailure(new Error('HTTP 500'));
+    age('export', 61000);
+
+    expect(breaker().canExecute()).toBe(true);
+    expect(breaker().getStatus().state).toBe('HALF_OPEN');
+    expect(breaker().canExecute()).toBe(false);
+
+    breaker().recordSuccess();
+    expect(breaker().getStatus()).toMatchObject({ state: 'CLOSED', failureCount: 0 });
+  });
+
+  test('a failed probe opens the breaker again', () => {
+    const { breaker, age } = setup();
+    breaker().recordFailure(new Error('HTTP 500'));
+    breaker().recordFailure(new Error('HTTP 500'));
+    age('export', 61000);
+    breaker().canExecute();
+
+    breaker().recordFailure(new Error('HTTP 502'));
+    expect(breaker().getStatus()).toMatchObject({ state: 'OPEN', lastError: 'HTTP 502' });
+    expect(breaker().canExecute()).toBe(false);
+  });
+
+  test('per-endpoint settings override the defaults', () => {
+    const { breaker } = setup({ circuitBreakerEndpoints: { download: { threshold: 1, timeout: 5000 } } });
+    breaker('download').recordFailure(new Error('HTTP 500'));
+    expect(breaker('download').getStatus()).toMatchObject({ state: 'OPEN', threshold: 1, timeout: 5000 });
+    expect(breaker('jobs').getStatus()).toMatchObject({ threshold: 2, timeout: 60000 });
+  });
+
+  test('an open breaker stops API requests until the breakers are reset', () => {
+    const { engine, mock, breaker, construct } = setup({ circuitBreakerThreshold: 1 });
+    breaker('reports').recordFailure(new Error('HTTP 503'));
+
+    const client = construct('EnhancedAPIClient');
+    expect(() => client.discoverReports()).toThrow('Circuit breaker is OPEN for reports requests');
+    expect(mock.requests).toHaveLength(0);
+
+    expect(engine.call('getCircuitBreakerStatus').find(status => status.name === 'reports').state).toBe('OPEN');
+    engine.call('resetCircuitBreakers');
+    expect(client.discoverReports().length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,59 @@
+const { createEngine } = require('./helpers/engine');
+
+function dictionary(config) {
+  const { engine } = createEngine({ config: config });
+  return engine.evaluate('new ColumnDictionary(new ImpactConfig())');
+}
+
+describe('column dictionary', () => {
+  test('resolves canonical fields ignoring case and punctuation', () => {
+    const columns = dictionary();
+    const headers = ['Date', 'Campaign', 'SubId1', 'Clicks', 'Actions', 'Sale_amount', 'Earnings'];
+
+    expect(columns.indexOf(headers, 'revenue')).toBe(5);
+    expect(columns.indexOf(headers, 'actionDate')).toBe(0);
+    expect(columns.indexOf(headers, 'pubSubid1')).toBe(2);
+    expect(columns.indexOf(headers, 'sku')).toBe(-1);
+    expect(columns.resolve(headers).revenue).toEqual({ index: 5, header: 'Sale_amount', alias: 'SaleAmount', match: 'normalized' });
+  });
+
+  test('partial fields accept a header containing an alias only when nothing matches outright', () => {
+    const columns = dictionary();
+    expect(columns.resolve(['Action Date (UTC)', 'Revenue']).actionDate)
+      .toMatchObject({ header: 'Action Date (UTC)', alias: 'ActionDate', match: 'partial' });
+    expect(columns.resolve(['Action Date (UTC)', 'Date']).actionDate).toMatchObject({ header: 'Date', match: 'exact' });
+    // revenue is not partial
+    expect(columns.indexOf(['Revenue (USD)'], 'revenue')).toBe(-1);
+  });
+
+  test('configured aliases are tried first and can define new fields', () => {
+    const columns = dictionary({
+      columnDictionary: { revenue: { aliases: ['GrossSales'] }, region: { aliases: ['Geo', 'Country'], type: 'string' } }
+    });
+    const row = { SaleAmount: '10.00', GrossSales: '12.00', Country: 'US' };
+
+    expect(columns.get(row, 'revenue')).toBe('12.00');
+    expect(columns.get(row, 'region')).toBe('US');
+    expect(columns.getField('region')).toEqual({ name: 'region', type: 'string', partial: false, aliases: ['Geo', 'Country'] });
+    expect(columns.get(row, 'sku')).toBeUndefined();
+    expect(columns.getByName(row, 'gross_sales')).toBe('12.00');
+  });
+
+  test('an unknown field name is an error', () => {
+    expect(() => dictionary().indexOf(['Revenue'], 'revnue')).toThrow('Unknown canonical field: revnue');
+  });
+
+  test('explainColumnResolution reports the match for each field of the SKU sheet', () => {
+    const { engine } = createEngine({ config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false } });
+    engine.call('runCompleteDiscovery');
+
+    const result = engine.call('explainColumnResolution');
+    expect(result.sheetName).toBe('SkuLevelAction');
+    expect(result.fields).toEqual(expect.arrayContaining([
+      { field: 'revenue', type: 'number', header: 'SaleAmount', alias: 'SaleAmount', match: 'exact' },
+      { field: 'status', type: 'string', header: 'Status', alias: 'Status', match: 'exact' },
+      { field: 'clicks', type: 'number', header: null, alias: null, match: 'unresolved' }
+    ]));
+    expect(engine.call('explainColumnResolution', 'Missing Sheet')).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+const { createEngine } = require('./helpers/engine');
+
+function recordFetchAllRounds(engine) {
+  const urlFetchApp = engine.platform.UrlFetchApp;
+  const rounds = [];
+  const fetchAll = urlFetchApp.fetchAll.bind(urlFetchApp);
+  urlFetchApp.fetchAll = requests => {
+    rounds.push(requests.map(request => new URL(request.url || request).pathname));
+    return fetchAll(requests);
+  };
+  return rounds;
+}
+
+describe('concurrent export polling', () => {
+  test('checkJobStatuses polls every job in one fetchAll round', () => {
+    const { engine, mock, construct } = createEngine();
+    const client = construct('EnhancedAPIClient');
+    const jobIds = ['SkuLevelActions', 'mp_action_listing'].map(reportId => client.scheduleExport(reportId).jobId);
+    const rounds = recordFetchAllRounds(engine);
+
+    const statuses = client.checkJobStatuses(jobIds);
+    expect(rounds).toHaveLength(1);
+    expect(rounds[0]).toHaveLength(2);
+    expect(statuses.map(status => status.status)).toEqual(['queued', 'queued']);
+    expect(client.checkJobStatuses(jobIds).map(status => status.status)).toEqual(['completed', 'completed']);
+    expect(mock.requests.filter(request => request.endpoint === 'job')).toHaveLength(4);
+  });
+
+  test('a rate-limited poll is reported for that job instead of failing the round', () => {
+    const { construct } = createEngine({ server: { faults: [{ type: 'rateLimit', endpoint: 'job', skip: 1, retryAfter: 2 }] } });
+    const client = construct('EnhancedAPIClient');
+    const jobIds = ['SkuLevelActions', 'mp_action_listing'].map(reportId => client.scheduleExport(reportId).jobId);
+
+    const statuses = client.checkJobStatuses(jobIds);
+    expect(statuses[0]).toMatchObject({ status: 'queued' });
+    expect(statuses[1]).toMatchObject({ status: 'unknown', pollError: 'API request failed: 429 - Rate Limit Exceeded' });
+    expect(client.getCircuitBreaker('/Jobs/x').getStatus().failureCount).toBe(0);
+  });
+
+  test('a round never sends more polls than the rate limit bucket holds', () => {
+    const { engine, construct } = createEngine({ config: { rateLimitBucketSize: 2, rateLimitRefillPerSecond: 1 } });
+    const client = construct('EnhancedAPIClient');
+    const jobIds = ['SkuLevelActions', 'mp_action_listing', 'SkuLevelActions'].map(reportId => client.scheduleExport(reportId).jobId);
+    const rounds = recordFetchAllRounds(engine);
+    const slept = engine.platform.Utilities.totalSleptMs;
+
+    expect(client.checkJobStatuses(jobIds)).toHaveLength(3);
+    expect(rounds.map(round => round.length)).toEqual([2, 1]);
+    // Both tokens for the first round were waited for before it went out
+    expect(engine.platform.Utilities.totalSleptMs - slept).toBeGreaterThan(1900);
+  });
+
+  test('an unreadable status body fails only that job\'s poll', () => {
+    const { engine, construct } = createEngine();
+    const client = construct('EnhancedAPIClient');
+    const jobIds = ['SkuLevelActions', 'mp_action_listing'].map(reportId => client.scheduleExport(reportId).jobId);
+    const urlFetchApp = engine.platform.UrlFetchApp;
+    const fetchAll = urlFetchApp.fetchAll.bind(urlFetchApp);
+    urlFetchApp.fetchAll = requests => {
+      const responses = fetchAll(requests);
+      responses[0].getContentText = () => '<html>Bad gateway</html>';
+      return responses;
+    };
+
+    const statuses = client.checkJobStatuses(jobIds);
+    expect(statuses[0]).toMatchObject({ jobId: jobIds[0], status: 'unknown', pollError: expect.stringContaining('Unreadable job status') });
+    expect(statuses[1]).toMatchObject({ jobId: jobIds[1], status: 'queued' });
+    expect(client.getCircuitBreaker('/Jobs/x').getStatus()).toMatchObject({ state: 'CLOSED', failureCount: 0 });
+  });
+
+  test('jobs stay queued without counting as failures when the breaker opens', () => {
+    const { engine, properties } = createEngine({
+      config: { includedReports: ['SkuLevelActions', 'mp_action_listing'], enableIncrementalExports: false, parallelRequestLimit: 1 }
+    });
+    const jobsBreaker = engine.evaluate('(function() { var c = new ImpactConfig(); return new CircuitBreaker(c, "jobs", new EnhancedLogger(c)); })');
+    const urlFetchApp = engine.platform.UrlFetchApp;
+    const fetchAll = urlFetchApp.fetchAll.bind(urlFetchApp);
+    urlFetchApp.fetchAll = requests => {
+      // The jobs endpoint goes down after the first poll
+      const breaker = jobsBreaker();
+      for (let i = 0; i < 5; i++) breaker.recordFailure(new Error('HTTP 503'));
+      return fetchAll(requests);
+    };
+
+    const result = engine.call('runCompleteDiscovery');
+    expect(result.failed).toEqual([]);
+    const queued = JSON.parse(properties.getProperty('IMPACT_JOB_QUEUE'));
+    expect(queued.map(job => [job.reportId, job.attempts, job.state]).sort()).toEqual([['SkuLevelActions', 0, 'QUEUED'], ['mp_action_listing', 0, 'QUEUED']]);
+  });
+
+  test('discovery polls scheduled jobs in rounds of parallelRequestLimit', () => {
+    const { engine } = createEngine({ config: { enableIncrementalExports: false, parallelRequestLimit: 2 } });
+    const rounds = recordFetchAllRounds(engine);
+    const result = engine.call('runCompleteDiscovery');
+
+    const pollRounds = rounds.filter(round => round.every(path => /\/Jobs\/[^/]+$/.test(path)));
+    expect(pollRounds.length).toBeGreaterThan(0);
+    expect(Math.max(...pollRounds.map(round => round.length))).toBe(2);
+    expect(result.successful).toHaveLength(3);
+  });
+});
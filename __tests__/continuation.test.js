@@ -0,0 +1,80 @@
+const { createEngine } = require('./helpers/engine');
+
+// A buffer as long as the Apps Script limit makes every timeout check trip
+const ALWAYS_TIMED_OUT = { timeoutBuffer: 30 * 60 * 1000 };
+
+function setup(config = {}) {
+  const context = createEngine({
+    config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false, ...config }
+  });
+  context.triggers = () => context.engine.platform.ScriptApp.getProjectTriggers();
+  context.updateConfig = changes => {
+    const stored = JSON.parse(context.properties.getProperty('IMPACT_OPTIMIZED_CONFIG'));
+    context.properties.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify({ ...stored, ...changes }));
+  };
+  return context;
+}
+
+describe('continuation triggers', () => {
+  test('a run that hits the time limit schedules a continuation that finishes it', () => {
+    const { engine, triggers, updateConfig } = setup(ALWAYS_TIMED_OUT);
+
+    const stopped = engine.call('runCompleteDiscovery');
+    expect(stopped).toMatchObject({ timeout: true, continuation: { count: 1, max: 10 } });
+    expect(stopped.message).toContain('continuing automatically at ' + stopped.continuation.runAt);
+    expect(triggers().map(trigger => trigger.getHandlerFunction())).toEqual(['continueDiscovery']);
+    expect(new Date(stopped.continuation.runAt) - Date.now()).toBeGreaterThan(50 * 1000);
+
+    updateConfig({ timeoutBuffer: 2 * 60 * 1000 });
+    const finished = engine.call('continueDiscovery');
+
+    expect(finished.successful.map(report => report.reportId)).toEqual(['SkuLevelActions']);
+    expect(triggers()).toEqual([]);
+    expect(engine.call('getContinuationStatus')).toMatchObject({ continuationsToday: 1, pending: null, chainStartedAt: null });
+    expect(engine.call('getRunHistory', 2).map(run => run.triggerSource)).toEqual(['continuation', 'manual']);
+  });
+
+  test('stops scheduling once maxContinuationsPerDay is reached', () => {
+    const { engine, triggers } = setup({ ...ALWAYS_TIMED_OUT, maxContinuationsPerDay: 1 });
+
+    expect(engine.call('runCompleteDiscovery').continuation.count).toBe(1);
+    const capped = engine.call('continueDiscovery');
+    expect(capped.timeout).toBe(true);
+    expect(capped.continuation).toBeUndefined();
+    expect(triggers()).toEqual([]);
+  });
+
+  test('is not scheduled when auto-continuation is off', () => {
+    const { engine, triggers } = setup({ ...ALWAYS_TIMED_OUT, enableAutoContinuation: false });
+    expect(engine.call('runCompleteDiscovery').continuation).toBeUndefined();
+    expect(triggers()).toEqual([]);
+  });
+
+  test('removes continuation triggers it did not schedule or that never fired', () => {
+    const { engine, construct, triggers } = setup({ staleContinuationMinutes: 30 });
+    const ScriptApp = engine.platform.ScriptApp;
+    ScriptApp.newTrigger('continueDiscovery').timeBased().after(60000).create();
+    ScriptApp.newTrigger('runDailyAutomation').timeBased().after(60000).create();
+
+    const manager = construct('ContinuationManager');
+    expect(manager.cleanupStaleTriggers()).toBe(1);
+    expect(triggers().map(trigger => trigger.getHandlerFunction())).toEqual(['runDailyAutomation']);
+
+    manager.scheduleContinuation('timeout');
+    expect(manager.cleanupStaleTriggers()).toBe(0);
+
+    const state = manager.loadState();
+    state.pending.runAt = new Date(Date.now() - 31 * 60 * 1000).toISOString();
+    manager.saveState(state);
+    expect(manager.cleanupStaleTriggers()).toBe(1);
+    expect(manager.getStatus()).toMatchObject({ pending: null, triggers: 0 });
+  });
+
+  test('cancelContinuations ends the chain', () => {
+    const { engine, triggers } = setup(ALWAYS_TIMED_OUT);
+    engine.call('runCompleteDiscovery');
+    engine.call('cancelContinuations');
+    expect(triggers()).toEqual([]);
+    expect(engine.call('getContinuationStatus').pending).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+const CAD_RATES = { CAD: { '2025-01-01': 0.71, '2025-07-01': 0.73 } };
+
+function setup(config = {}) {
+  const context = createEngine({ config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false, ...config } });
+  context.converter = () => context.engine.evaluate(
+    '(function() { var c = new ImpactConfig(); ' +
+    'return { converter: new CurrencyConverter(c, new TypedValueParser(c), SpreadsheetApp.openById("SS")), columns: new ColumnDictionary(c) }; })'
+  )();
+  return context;
+}
+
+describe('currency normalization', () => {
+  test('uses the latest rate effective on the action date', () => {
+    const { converter } = setup({ currencyRates: CAD_RATES }).converter();
+    expect(converter.getRate('USD', null)).toBe(1);
+    expect(converter.getRate('CAD', new Date('2025-03-15T12:00:00Z'))).toBe(0.71);
+    expect(converter.getRate('CAD', new Date('2025-09-02T12:00:00Z'))).toBe(0.73);
+    // Before the first rate, and with no date
+    expect(converter.getRate('CAD', new Date('2024-06-01T12:00:00Z'))).toBe(0.71);
+    expect(converter.getRate('CAD', null)).toBe(0.73);
+    expect(converter.getRate('EUR', null)).toBeNull();
+  });
+
+  test('sheet rates win over config rates for the same day', () => {
+    const context = setup({ currencyRates: CAD_RATES });
+    context.spreadsheet().insertSheet('Currency Rates').getRange(1, 1, 2, 3)
+      .setValues([['Effective Date', 'Currency', 'Rate'], ['2025-07-01', 'cad', '0.75']]);
+    const { converter } = context.converter();
+    expect(converter.getRate('CAD', null)).toBe(0.75);
+    expect(converter.loadRates().CAD.map(rate => rate.source)).toEqual(['config', 'sheet']);
+  });
+
+  test('amounts without a rate are reported instead of summed as converted', () => {
+    const { converter, columns } = setup({ currencyRates: CAD_RATES }).converter();
+    const cad = converter.readAmounts({ ActionDate: '2025-09-02', SaleAmount: '100.00', Earnings: '8.00', Currency: 'CAD' }, columns);
+    expect(cad).toMatchObject({ currency: 'CAD', rate: 0.73, revenue: 73, earnings: 5.84, originalRevenue: 100, converted: true });
+
+    const eur = converter.readAmounts({ ActionDate: '2025-09-02', SaleAmount: '12,00 EUR', Earnings: '1,00 EUR' }, columns);
+    expect(eur).toMatchObject({ currency: 'EUR', rate: null, revenue: 0, originalRevenue: 12, converted: false });
+
+    const summary = converter.getSummary();
+    expect(summary.missingRates).toEqual(['EUR']);
+    expect(summary.currencies.find(total => total.currency === 'EUR')).toMatchObject({ rows: 1, revenue: 12, convertedRevenue: 0 });
+  });
+
+  test('normalization can be switched off', () => {
+    const { converter, columns } = setup({ enableCurrencyNormalization: false }).converter();
+    expect(converter.readAmounts({ SaleAmount: '100.00', Currency: 'CAD' }, columns)).toMatchObject({ rate: 1, revenue: 100, converted: true });
+  });
+
+  test('team analysis converts the CAD action once a rate exists', () => {
+    const { engine } = setup({ currencyRates: CAD_RATES });
+    engine.call('runCompleteDiscovery');
+    const currency = engine.call('runTeamSKUAnalysis').analysis.currency;
+
+    expect(currency.missingRates).toEqual([]);
+    expect(currency.currencies.find(total => total.currency === 'CAD')).toMatchObject({
+      rows: 1, revenue: 104.97, convertedRevenue: 76.63, missingRate: false
+    });
+  });
+
+  test('setupCurrencyRatesSheet adds a blank row for each currency without a rate', () => {
+    const { engine, spreadsheet } = setup();
+    engine.call('runCompleteDiscovery');
+
+    expect(engine.call('setupCurrencyRatesSheet')).toMatchObject({ sheetName: 'Currency Rates', reportingCurrency: 'USD', missingRates: ['CAD'] });
+    const rows = sheetRecords(spreadsheet().getSheetByName('Currency Rates'));
+    expect(rows).toEqual([{ 'Effective Date': expect.anything(), Currency: 'CAD', Rate: '' }]);
+    expect(Object.prototype.toString.call(rows[0]['Effective Date'])).toBe('[object Date]');
+
+    // Rows still waiting for a rate are not added again
+    expect(engine.call('setupCurrencyRatesSheet').missingRates).toEqual(['CAD']);
+    expect(spreadsheet().getSheetByName('Currency Rates').getLastRow()).toBe(2);
+  });
+});
@@ -0,0 +1,79 @@
+const { createEngine, fixtureCsv, sheetRecords } = require('./helpers/engine');
+const { sqliteAvailable } = require('../platform/local-database');
+
+function setup(config = {}) {
+  const context = createEngine({
+    config: { includedReports: ['mp_action_listing'], enableIncrementalExports: true, enableExportArchive: true, archiveStore: 'drive', archiveFolderId: 'ARCH', ...config }
+  });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    const orchestrator = new (context.engine.get('UltraOptimizedOrchestrator'))();
+    orchestrator.runCompleteDiscovery({ forceRestart: true });
+    return orchestrator.runId;
+  };
+  context.archive = () => context.engine.evaluate('(function() { var c = new ImpactConfig(); return new ExportArchive(c, new EnhancedLogger(c)); })')();
+  return context;
+}
+
+describe('export archive', () => {
+  test('archives each export with its run, window and mode, and rebuilds the report as of any run', () => {
+    const { engine, mock, run, spreadsheet } = setup();
+    const firstRun = run();
+    // Action 1006 is inside the second run's delta window
+    const reversed = fixtureCsv('mp_action_listing').split('\n')
+      .map(line => line.startsWith('19816.4125.1006,') ? line.replace(',PENDING,', ',REVERSED,') : line);
+    mock.setExport('mp_action_listing', reversed.join('\n'));
+    const secondRun = run();
+
+    const entries = engine.call('listArchivedExports', 'mp_action_listing');
+    expect(entries.map(entry => [entry.runId, entry.mode, entry.rowCount, entry.columns])).toEqual([
+      [firstRun, 'full', 7, 16],
+      [secondRun, 'delta', 2, 16]
+    ]);
+    expect(entries[0].windowStart).toBe('2025-09-01T00:00:00Z');
+
+    const latest = engine.call('rebuildArchivedReport', 'mp_action_listing');
+    expect(latest).toMatchObject({ success: true, runId: secondRun, rowCount: 7 });
+    expect(latest.exports.map(entry => entry.mode)).toEqual(['full', 'delta']);
+    const status = sheet => sheetRecords(spreadsheet().getSheetByName(sheet)).find(row => row.ActionId === '19816.4125.1006').Status;
+    expect(status(latest.sheetName)).toBe('REVERSED');
+
+    const before = engine.call('rebuildArchivedReport', 'mp_action_listing', firstRun);
+    expect(before).toMatchObject({ success: true, runId: firstRun, sheetName: 'Archive - mp_action_listing @ ' + firstRun });
+    expect(status(before.sheetName)).toBe('PENDING');
+  });
+
+  test('the Drive store keeps a gzipped csv per export and an index file', () => {
+    const { engine, run } = setup();
+    const runId = run();
+
+    const names = [];
+    const files = engine.platform.DriveApp.getFolderById('ARCH').getFiles();
+    while (files.hasNext()) names.push(files.next().getName());
+    expect(names.sort()).toEqual(['export-archive-index.json', 'mp_action_listing__' + runId + '.csv.gz']);
+  });
+
+  test('a rebuild names what is missing when nothing matches', () => {
+    const { engine, run } = setup();
+    run();
+    expect(engine.call('rebuildArchivedReport', 'mp_action_listing', '1999-01-01'))
+      .toEqual({ success: false, error: 'Nothing was archived for mp_action_listing by 1999-01-01' });
+    expect(engine.call('rebuildArchivedReport', 'mp_action_listing', 'bogus'))
+      .toEqual({ success: false, error: 'No archived run bogus for mp_action_listing' });
+  });
+
+  test('auto uses SQLite when it is available and Drive otherwise', () => {
+    const { archive } = setup({ archiveStore: 'auto' });
+    expect(archive().getStore().constructor.name).toBe(sqliteAvailable() ? 'SqliteArchiveStore' : 'DriveArchiveStore');
+  });
+
+  (sqliteAvailable() ? test.skip : test)('archiveStore sqlite without SQLite stops with an error saying so', () => {
+    const { archive } = setup({ archiveStore: 'sqlite' });
+    expect(() => archive().getStore()).toThrow('archiveStore "sqlite" needs SQLite: run on Node 22.5+ (node:sqlite), install better-sqlite3 or use archiveStore "drive"');
+  });
+
+  test('the Drive store needs a folder', () => {
+    const { archive } = setup({ archiveFolderId: '' });
+    expect(() => archive().getStore()).toThrow('archiveFolderId is required for the Drive export archive');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Test helpers
+ * Builds an engine whose UrlFetchApp is answered in-process by the mock server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadEngine } = require('../../platform');
+const { createMockServer } = require('../../mock-server');
+
+const CREDENTIALS = {
+  IMPACT_SID: 'IRtestSID0001',
+  IMPACT_TOKEN: 'tokentoken123',
+  IMPACT_SPREADSHEET_ID: 'SS'
+};
+
+const FIXTURES = path.join(__dirname, '..', '..', 'mock-server', 'fixtures');
+
+/**
+ * Create an engine wired to a mock server
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Saved as IMPACT_OPTIMIZED_CONFIG
+ * @param {Object} [options.properties] - Extra script properties (override the test credentials)
+ * @param {Object} [options.server] - createMockServer options
+ * @param {Object} [options.mock] - Reuse an existing mock server
+ * @param {Object} [options.platform] - Further loadEngine options
+ * @returns {{engine: Engine, mock: MockImpactServer, properties: Properties, spreadsheet: Function, construct: Function}}
+ */
+function createEngine(options = {}) {
+  const mock = options.mock || createMockServer(options.server);
+  const properties = { ...CREDENTIALS, ...options.properties };
+  if (options.config) {
+    properties.IMPACT_OPTIMIZED_CONFIG = JSON.stringify(options.config);
+  }
+
+  const engine = loadEngine({ ...options.platform, fetchHandler: mock.handle, properties: properties });
+  const platform = engine.platform;
+
+  return {
+    engine: engine,
+    mock: mock,
+    properties: platform.PropertiesService.getScriptProperties(),
+    spreadsheet: (id = 'SS') => platform.SpreadsheetApp.openById(id),
+    // Build a component the way the orchestrator does: (config, logger, metrics)
+    construct: (className, ...args) => engine.evaluate(
+      '(function(args) { var config = new ImpactConfig(); ' +
+      'return new ' + className + '(config, new EnhancedLogger(config), new PerformanceMetrics(), ...args); })'
+    )(args)
+  };
+}
+
+/**
+ * Read a fixture export as text
+ * @param {string} reportId - Report ID
+ * @returns {string}
+ */
+function fixtureCsv(reportId) {
+  return fs.readFileSync(path.join(FIXTURES, 'exports', reportId + '.csv'), 'utf8');
+}
+
+/**
+ * Sheet values keyed by header, one object per data row
+ * @param {Sheet} sheet - Platform sheet
+ * @returns {Object[]}
+ */
+function sheetRecords(sheet) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0] || [];
+  return values.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, index) => { record[header] = row[index]; });
+    return record;
+  });
+}
+
+/**
+ * Make a temporary directory that is removed after the current test file.
+ * Call it at file or describe level: Jest does not allow hooks inside a test.
+ * @param {string} prefix - Directory name prefix
+ * @returns {string}
+ */
+function tempDirectory(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { createEngine, fixtureCsv, sheetRecords, tempDirectory, CREDENTIALS, FIXTURES };
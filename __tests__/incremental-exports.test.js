@@ -0,0 +1,101 @@
+const { createEngine, fixtureCsv, sheetRecords } = require('./helpers/engine');
+
+const NEW_ACTION = '19816.4125.9999,2025-10-20T10:00:00-04:00,2099-01-01T00:00:00-04:00,,PENDING,UNLOCKED,' +
+  'Fanatics,Online Sale,50.00,4.00,USD,,CLICK_COOKIE,mula,nil-feed,ohio-state-buckeyes';
+
+function setup() {
+  const context = createEngine({ config: { includedReports: ['mp_action_listing'], enableIncrementalExports: true } });
+  context.run = () => {
+    // Freshness would otherwise skip the second run
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return new (context.engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+  };
+  context.watermarks = () => JSON.parse(context.properties.getProperty('IMPACT_WATERMARKS'));
+  context.exportQueries = () => context.mock.requests
+    .filter(request => /ReportExport/.test(request.path))
+    .map(request => new URLSearchParams(request.query));
+  return context;
+}
+
+describe('incremental exports', () => {
+  test('the first run is a full pull and later runs request from the watermark minus the overlap', () => {
+    const { run, mock, spreadsheet, watermarks, exportQueries } = setup();
+
+    run();
+    expect(watermarks().mp_action_listing).toMatchObject({
+      watermark: '2025-09-14T17:37:29.000Z',
+      lastRun: { mode: 'full', rows: 7 }
+    });
+
+    mock.requests.length = 0;
+    mock.setExport('mp_action_listing', fixtureCsv('mp_action_listing').trim() + '\n' + NEW_ACTION + '\n');
+    const result = run();
+
+    expect(exportQueries()[0].get('startdate')).toBe('2025-09-11T17:37:29Z');
+    expect(result.successful[0].notes).toBe('Incremental since 2025-09-11T17:37:29Z: +1 new, 0 updated, 2 unchanged');
+    expect(sheetRecords(spreadsheet().getSheetByName('Action Listing'))).toHaveLength(8);
+    // The new action is not locked yet, so the next window reaches back to it
+    expect(watermarks().mp_action_listing).toMatchObject({
+      watermark: '2025-10-20T14:00:00.000Z',
+      unlockedFrom: '2025-10-20T14:00:00.000Z',
+      lastRun: { mode: 'delta', added: 1, unchanged: 2 }
+    });
+  });
+
+  test('resetting the watermark makes the next run a full pull again', () => {
+    const { engine, run, mock, exportQueries } = setup();
+    run();
+
+    engine.call('resetIncrementalWatermark', 'mp_action_listing');
+    mock.requests.length = 0;
+    run();
+    expect(exportQueries()[0].get('startdate')).toBe('2025-09-01T00:00:00Z');
+  });
+
+  test('the watermark never moves backwards', () => {
+    const { construct, watermarks } = setup();
+    const manager = construct('IncrementalExportManager');
+    const profile = manager.getProfile('mp_action_listing', 'Action Listing');
+
+    const later = manager.createTracker(profile);
+    later.observe(['ActionDate'], [['2025-09-20T00:00:00Z']]);
+    manager.recordRun('mp_action_listing', later);
+    const earlier = manager.createTracker(profile);
+    earlier.observe(['ActionDate'], [['2025-09-05T00:00:00Z']]);
+    manager.recordRun('mp_action_listing', earlier, { window: manager.getWindow('mp_action_listing') });
+
+    expect(watermarks().mp_action_listing.watermark).toBe('2025-09-20T00:00:00.000Z');
+  });
+
+  test('the window stays inside the configured date range', () => {
+    const { construct, properties } = createEngine({
+      config: { enableDateFiltering: true, startDate: '2025-09-19', incrementalOverlapHours: 72 }
+    });
+    properties.setProperty('IMPACT_WATERMARKS', JSON.stringify({
+      mp_action_listing: { watermark: '2025-09-20T00:00:00.000Z', unlockedFrom: null }
+    }));
+
+    expect(construct('IncrementalExportManager').getWindow('mp_action_listing').startdate).toBe('2025-09-19T00:00:00Z');
+  });
+
+  test('a watermark past the end of the range means no delta window', () => {
+    const { construct, properties } = createEngine({
+      config: { enableDateFiltering: true, startDate: '2025-09-01', endDate: '2025-09-10', incrementalOverlapHours: 72 }
+    });
+    properties.setProperty('IMPACT_WATERMARKS', JSON.stringify({
+      mp_action_listing: { watermark: '2025-09-20T00:00:00.000Z', unlockedFrom: null }
+    }));
+
+    expect(construct('IncrementalExportManager').getWindow('mp_action_listing')).toBeNull();
+  });
+
+  test('profiles take their keys from mergeKeyColumns and apply only to listed reports, once enabled', () => {
+    const { construct } = setup();
+    const manager = construct('IncrementalExportManager');
+    expect(manager.getProfile('SkuLevelActions', 'SkuLevelAction').keyColumns).toEqual(['ActionId', 'Sku']);
+    expect(manager.getProfile('partner_performance_by_subid', 'Performance by SubId')).toBeNull();
+
+    const disabled = createEngine().construct('IncrementalExportManager');
+    expect(disabled.getProfile('SkuLevelActions', 'SkuLevelAction')).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const { createEngine } = require('./helpers/engine');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ExportJobQueue', () => {
+  test('keeps one job per report', () => {
+    const { construct } = createEngine();
+    const queue = construct('ExportJobQueue');
+    queue.enqueue({ reportId: 'r1', jobId: 'J1' });
+    queue.enqueue({ reportId: 'r2', jobId: 'J2' });
+    queue.enqueue({ reportId: 'r1', jobId: 'J3' });
+
+    expect(construct('ExportJobQueue').getActiveJobs().map(job => job.jobId)).toEqual(['J2', 'J3']);
+  });
+
+  test('drops jobs older than jobQueueMaxAgeHours', () => {
+    const { construct } = createEngine({ config: { jobQueueMaxAgeHours: 2 } });
+    const queue = construct('ExportJobQueue');
+    queue.enqueue({ reportId: 'old', jobId: 'J1', scheduledAt: Date.now() - 3 * HOUR });
+    queue.enqueue({ reportId: 'new', jobId: 'J2', scheduledAt: Date.now() - HOUR });
+
+    expect(queue.getActiveJobs().map(job => job.reportId)).toEqual(['new']);
+    expect(queue.load().map(job => job.reportId)).toEqual(['new']);
+  });
+
+  test('keeps a failed job for another attempt until jobQueueMaxAttempts', () => {
+    const { construct } = createEngine({ config: { jobQueueMaxAttempts: 2 } });
+    const queue = construct('ExportJobQueue');
+    queue.enqueue({ reportId: 'r1', jobId: 'J1' });
+    queue.enqueue({ reportId: 'r2', jobId: 'J2' });
+
+    expect(queue.recordFailure('J1', new Error('timed out'), true)).toBe(true);
+    expect(queue.load()[0]).toMatchObject({ attempts: 1, state: 'RETRY', lastError: 'timed out' });
+    expect(queue.recordFailure('J1', new Error('timed out'), true)).toBe(false);
+    expect(queue.recordFailure('J2', new Error('job FAILED'), false)).toBe(false);
+    expect(queue.load()).toEqual([]);
+  });
+
+  test('a job that outlives its run is downloaded by the next run instead of being scheduled again', () => {
+    const { engine, mock } = createEngine({
+      config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false, maxPollingAttempts: 2 },
+      server: { faults: [{ type: 'stuckJob', reportId: 'SkuLevelActions' }] }
+    });
+
+    const first = engine.call('runCompleteDiscovery');
+    expect(first.failed[0].error).toContain('job kept in queue for the next run');
+    expect(engine.call('getJobQueueStatus')).toEqual([expect.objectContaining({ jobId: 'A0000001-mock', attempts: 1 })]);
+
+    // The export finishes between runs
+    mock.jobs.get('A0000001-mock').fault = null;
+    mock.requests.length = 0;
+    const second = engine.call('runCompleteDiscovery');
+
+    expect(second.successful.map(report => report.reportId)).toEqual(['SkuLevelActions']);
+    expect(mock.requests.filter(request => /ReportExport/.test(request.path))).toEqual([]);
+    expect(mock.requests.map(request => request.path)).toContain('/Mediapartners/IRtestSID0001/Jobs/A0000001-mock/Download');
+    expect(engine.call('getJobQueueStatus')).toEqual([]);
+  });
+
+  test('a forced restart discards queued jobs', () => {
+    const { engine, construct, mock } = createEngine({
+      config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false }
+    });
+    construct('ExportJobQueue').enqueue({ reportId: 'SkuLevelActions', jobId: 'gone', reportName: 'SkuLevelAction' });
+
+    new (engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+    expect(mock.requests.map(request => request.path)).toContain('/Mediapartners/IRtestSID0001/ReportExport/SkuLevelActions');
+    expect(mock.requests.map(request => request.path)).not.toContain('/Mediapartners/IRtestSID0001/Jobs/gone');
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { createEngine, sheetRecords, tempDirectory } = require('./helpers/engine');
+
+const CONFIG = { includedReports: ['SkuLevelActions'], enableIncrementalExports: false };
+
+function setup(config, platform) {
+  const context = createEngine({ config: { ...CONFIG, ...config }, platform: platform });
+  context.logger = () => context.engine.evaluate('(function() { var c = new ImpactConfig(); return new EnhancedLogger(c, new PerformanceMetrics()); })')();
+  return context;
+}
+
+describe('log sinks', () => {
+  const directory = tempDirectory('impact-logs-');
+
+  test('each sink keeps entries at or above its own level, tagged with the run ID', () => {
+    const { engine, spreadsheet } = setup({ logSinks: { sheet: 'INFO', file: 'DEBUG' }, logFolderId: 'LF' });
+    const result = engine.call('runCompleteDiscovery');
+
+    const rows = sheetRecords(spreadsheet().getSheetByName('Logs'));
+    expect(rows.length).toBeGreaterThan(0);
+    expect(new Set(rows.map(row => row.Level))).toEqual(new Set(['INFO']));
+    expect(new Set(rows.map(row => row['Run ID']))).toEqual(new Set([result.runId]));
+
+    const fileEntries = engine.call('searchLogs', { sink: 'file', level: 'DEBUG', limit: 1000 });
+    expect(fileEntries.length).toBeGreaterThan(rows.length);
+    expect(fileEntries.some(entry => entry.level === 'DEBUG')).toBe(true);
+  });
+
+  test('the Logs sheet is capped at logSheetMaxRows', () => {
+    const { engine, spreadsheet } = setup({ logSinks: { sheet: 'DEBUG' }, logSheetMaxRows: 10 });
+    engine.call('runCompleteDiscovery');
+    expect(spreadsheet().getSheetByName('Logs').getLastRow()).toBe(11);
+  });
+
+  test('daily files go to disk and entries older than logRetentionDays are removed', () => {
+    fs.writeFileSync(path.join(directory, 'impact-log-2020-01-01.ndjson'),
+      '{"timestamp":"2020-01-01T00:00:00.000Z","level":"INFO","message":"old"}\n');
+    const { engine, spreadsheet } = setup(
+      { logSinks: { sheet: 'INFO', file: 'INFO', drive: 'WARN' }, logFolderId: 'LF', logRetentionDays: 7 },
+      { localFilesDirectory: directory }
+    );
+    engine.platform.DriveApp.getFolderById('LF').createFile('impact-log-2020-01-02.ndjson', '{}\n');
+    spreadsheet().insertSheet('Logs').getRange(1, 1, 2, 6).setValues([
+      ['Timestamp', 'Level', 'Run ID', 'Account', 'Message', 'Context'],
+      ['2020-01-01T00:00:00.000Z', 'INFO', '', '', 'ancient', '{}']
+    ]);
+
+    engine.call('runCompleteDiscovery');
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(fs.readdirSync(directory)).toEqual(['impact-log-' + today + '.ndjson']);
+    // The drive sink is pruned even though no entry reached WARN
+    expect(engine.platform.DriveApp.getFolderById('LF').getFilesByName('impact-log-2020-01-02.ndjson').hasNext()).toBe(false);
+    expect(sheetRecords(spreadsheet().getSheetByName('Logs')).some(row => row.Message === 'ancient')).toBe(false);
+  });
+
+  test('searchLogs filters by run, text and level, newest first', () => {
+    const { engine } = setup({ logSinks: { file: 'DEBUG' } });
+    const runId = engine.call('runCompleteDiscovery').runId;
+
+    const found = engine.call('searchLogs', { runId: runId, text: 'discovery', limit: 3 });
+    expect(found).toHaveLength(3);
+    expect(found[0].message).toBe('Discovery completed successfully');
+    expect(engine.call('searchLogs', 'Run ' + runId).map(entry => entry.message)).toEqual(['Run ' + runId + ' recorded: success']);
+    expect(engine.call('searchLogs', { level: 'WARN' })).toEqual([]);
+    expect(engine.call('searchLogs', { sink: 'sheet' })).toEqual([]);
+  });
+
+  test('without log sinks searchLogs finds nothing', () => {
+    const { engine } = setup({});
+    expect(engine.call('searchLogs', 'anything')).toEqual([]);
+  });
+
+  test('entries are written when a public function returns, and straight away for errors', () => {
+    const { engine, logger } = setup({ logSinks: { file: 'DEBUG' }, logFlushSize: 1000 });
+    engine.call('runSkuLevelActionOnly');
+    const written = engine.call('searchLogs', { limit: 1000 }).length;
+    expect(written).toBeGreaterThan(0);
+
+    const log = logger();
+    log.info('buffered');
+    expect(engine.call('searchLogs', { limit: 1000 })).toHaveLength(written);
+    log.error('failed');
+    expect(engine.call('searchLogs', { limit: 1000 }).map(entry => entry.message).slice(0, 2)).toEqual(['failed', 'buffered']);
+  });
+
+  test('retryFailedReport writes its own entries and those of the export it runs', () => {
+    const { engine } = setup({ logSinks: { file: 'DEBUG' } });
+    expect(engine.call('retryFailedReport', 'SkuLevelActions', { reportName: 'SkuLevelAction' }).success).toBe(true);
+
+    const entries = engine.call('searchLogs', { limit: 1000 });
+    const messages = entries.map(entry => entry.message);
+    expect(messages).toEqual(expect.arrayContaining(['Report retry successful', 'Status history updated for SkuLevelActions']));
+    expect(new Set(entries.map(entry => entry.runId)).size).toBe(1);
+  });
+
+  test('configuration validation reports bad sinks, levels and retention', () => {
+    const { engine } = setup({ logSinks: { nope: 'INFO', sheet: 'LOUD', drive: 'INFO' }, logFolderId: '', logRetentionDays: -1 });
+    expect(engine.evaluate('new ImpactConfig().validate().errors')).toEqual(expect.arrayContaining([
+      'logSinks.nope: unknown sink (use sheet, drive, file)',
+      'logSinks.sheet must be one of DEBUG, INFO, WARN, ERROR, FATAL',
+      'logFolderId is required for the drive log sink',
+      'logRetentionDays must be 0 (keep forever) or a number of days'
+    ]));
+  });
+});
@@ -0,0 +1,78 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+function setup() {
+  const context = createEngine({ config: { forceRefresh: true } });
+  context.manager = context.construct('EnhancedSpreadsheetManager');
+  context.processor = context.construct('EnhancedDataProcessor');
+  context.manager.createReportSheetFromCsv('r1', 'Id,Status,Amount\n1,PENDING,10\n2,PENDING,20\n3,PENDING,30\n',
+    context.processor, { name: 'Orders' });
+  context.sheet = context.spreadsheet().getSheetByName('Orders');
+  return context;
+}
+
+describe('merge writes', () => {
+  test('updates rows in place, appends new keys and keeps user columns', () => {
+    const { manager, processor, sheet } = setup();
+    sheet.getRange(1, 4, 2, 1).setValues([['Notes'], ['call back']]);
+
+    const result = manager.mergeReportFromCsv('r1', 'Id,Status,Amount,Region\n1,APPROVED,10,EU\n2,PENDING,20,US\n4,PENDING,40,EU\n4,PENDING,45,EU\n',
+      processor, { name: 'Orders' }, { keyColumns: ['Id'] });
+
+    expect(result.merge).toMatchObject({ added: 1, updated: 2, unchanged: 0, duplicates: 1, addedColumns: ['Region'] });
+    expect(sheetRecords(sheet)).toEqual([
+      { Id: 1, Status: 'APPROVED', Amount: 10, Region: 'EU', Notes: 'call back' },
+      { Id: 2, Status: 'PENDING', Amount: 20, Region: 'US', Notes: '' },
+      { Id: 3, Status: 'PENDING', Amount: 30, Region: '', Notes: '' },
+      { Id: 4, Status: 'PENDING', Amount: 45, Region: 'EU', Notes: '' }
+    ]);
+  });
+
+  test('keys Sheets stored as dates and numbers still match the export', () => {
+    const { manager, processor, spreadsheet } = setup();
+    const csv = 'Date,Sku,Clicks\n2026-10-19,00123,5\n2026-10-19,00456,7\n';
+    manager.createReportSheetFromCsv('r2', csv, processor, { name: 'By Day' });
+    const sheet = spreadsheet().getSheetByName('By Day');
+    expect(Object.prototype.toString.call(sheet.getRange(2, 1).getValue())).toBe('[object Date]');
+    expect(sheet.getRange(2, 2).getValue()).toBe(123);
+
+    const result = manager.mergeReportFromCsv('r2', 'Date,Sku,Clicks\n2026-10-19,00123,6\n2026-10-19,00456,7\n',
+      processor, { name: 'By Day' }, { keyColumns: ['Date', 'Sku'] });
+    expect(result.merge).toMatchObject({ added: 0, updated: 1, unchanged: 1 });
+    expect(sheet.getLastRow()).toBe(3);
+    expect(sheet.getRange(2, 3).getValue()).toBe(6);
+  });
+
+  test('flags rows missing from a full export and clears the flag when they return', () => {
+    const { manager, processor, sheet } = setup();
+    const merge = csv => manager.mergeReportFromCsv('r1', csv, processor, { name: 'Orders' }, { keyColumns: ['Id'], markVanished: true });
+
+    expect(merge('Id,Status,Amount\n1,PENDING,10\n2,PENDING,20\n').merge).toMatchObject({ unchanged: 2, vanished: 1 });
+    expect(sheetRecords(sheet)[2]['Export Status']).toMatch(/^Not in export since \d{4}-\d{2}-\d{2}$/);
+
+    expect(merge('Id,Status,Amount\n1,PENDING,10\n2,PENDING,20\n3,PENDING,30\n').merge).toMatchObject({ restored: 1, vanished: 0 });
+    expect(sheetRecords(sheet).map(record => record['Export Status'])).toEqual(['', '', '']);
+  });
+
+  test('refuses to merge when the key column is missing', () => {
+    const { manager, processor } = setup();
+    expect(() => manager.mergeReportFromCsv('r1', 'Ref,Status\n1,PENDING\n', processor, { name: 'Orders' }, { keyColumns: ['Ref'] }))
+      .toThrow('key column Ref not found in sheet');
+    expect(() => manager.mergeReportFromCsv('r1', 'Ref,Status\n1,PENDING\n', processor, { name: 'Orders' }, { keyColumns: ['Id'] }))
+      .toThrow('key column Id missing from export');
+  });
+
+  test('discovery merges action listings by ActionId when merge writes are on', () => {
+    const { engine, properties, spreadsheet } = createEngine({
+      config: { includedReports: ['mp_action_listing'], enableMergeWrites: true, enableIncrementalExports: false }
+    });
+    const run = () => {
+      properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+      return new (engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+    };
+
+    run();
+    const result = run();
+    expect(result.successful[0].notes).toBe('Merged: +0 new, 0 updated, 7 unchanged');
+    expect(sheetRecords(spreadsheet().getSheetByName('Action Listing'))).toHaveLength(7);
+  });
+});
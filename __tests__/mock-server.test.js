@@ -0,0 +1,97 @@
+const { createMockServer, ExchangeRecorder, loadRecording, parseFaultSpec } = require('../mock-server');
+const { HTTPResponse } = require('../platform/url-fetch-app');
+const { createEngine } = require('./helpers/engine');
+
+const BASE = 'https://api.impact.com/Mediapartners/IRtestSID0001';
+
+function get(mock, path, headers = {}) {
+  const response = mock.handle({ url: BASE + path, method: 'GET', headers: headers });
+  const json = /json/.test(response.headers['Content-Type']) ? JSON.parse(response.body) : null;
+  return { status: response.statusCode, headers: response.headers, body: response.body, json: json };
+}
+
+describe('mock Impact server', () => {
+  test('lists the fixture reports with the account SID filled in', () => {
+    const reports = get(createMockServer(), '/Reports').json.Reports;
+    expect(reports.map(report => report.Id)).toContain('SkuLevelActions');
+    expect(JSON.stringify(reports)).not.toContain('{sid}');
+  });
+
+  test('walks an export job from QUEUED to COMPLETED and serves its CSV', () => {
+    const mock = createMockServer({ pollsUntilComplete: 1 });
+    mock.setExport('SkuLevelActions', 'ActionId,ActionDate\n1,2025-09-02T00:00:00Z\n2,2025-10-05T00:00:00Z\n');
+
+    const queued = get(mock, '/ReportExport/SkuLevelActions?startdate=2025-09-01T00:00:00Z&enddate=2025-09-30T23:59:59Z').json;
+    expect(queued.Status).toBe('QUEUED');
+    const jobPath = queued.QueuedUri.replace('/Mediapartners/IRtestSID0001', '');
+
+    expect(get(mock, jobPath).json.Status).toBe('QUEUED');
+    expect(get(mock, jobPath).json.Status).toBe('COMPLETED');
+    // The export is scoped to its date window
+    expect(get(mock, jobPath + '/Download').body).toBe('ActionId,ActionDate\n1,2025-09-02T00:00:00Z\n');
+  });
+
+  test('pages collections with the REST paging attributes', () => {
+    const mock = createMockServer();
+    mock.setCollection('Actions', [1, 2, 3, 4, 5].map(id => ({ Id: String(id) })));
+
+    const first = get(mock, '/Actions?PageSize=2').json;
+    expect(first['@numpages']).toBe('3');
+    expect(first.Actions.map(action => action.Id)).toEqual(['1', '2']);
+    const last = get(mock, first['@lastpageuri'].replace('/Mediapartners/IRtestSID0001', '')).json;
+    expect(last.Actions.map(action => action.Id)).toEqual(['5']);
+    expect(last['@nextpageuri']).toBe('');
+  });
+
+  test('rejects other accounts and bad credentials when configured to', () => {
+    const mock = createMockServer({ sid: 'IRtestSID0001', token: 'secret' });
+    const auth = 'Basic ' + Buffer.from('IRtestSID0001:secret').toString('base64');
+    expect(get(mock, '/Reports').status).toBe(401);
+    expect(get(mock, '/Reports', { Authorization: auth }).status).toBe(200);
+    expect(mock.handle({ url: 'https://api.impact.com/Mediapartners/IRother/Reports', method: 'GET' }).statusCode).toBe(403);
+  });
+
+  test('injects faults by endpoint and report', () => {
+    const mock = createMockServer({
+      faults: [
+        parseFaultSpec('rateLimit:reports,times=1,retryAfter=7'),
+        { type: 'failJob', reportId: 'SkuLevelActions', error: 'boom' }
+      ]
+    });
+
+    const limited = get(mock, '/Reports');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('7');
+    expect(get(mock, '/Reports').status).toBe(200);
+
+    const jobPath = get(mock, '/ReportExport/SkuLevelActions').json.QueuedUri.replace('/Mediapartners/IRtestSID0001', '');
+    expect(get(mock, jobPath).json).toMatchObject({ Status: 'FAILED', Error: 'boom' });
+    expect(mock.faults.fired.map(fault => fault.type)).toEqual(['rateLimit', 'failJob']);
+  });
+
+  test('replays recorded exchanges with the SID redacted', () => {
+    const recorder = new ExchangeRecorder({ sid: 'IRtestSID0001', name: 'reports' });
+    recorder.record(
+      { url: BASE + '/Reports', method: 'GET' },
+      new HTTPResponse(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'x' }, '{"Reports":[{"Id":"recorded","Uri":"/Mediapartners/IRtestSID0001"}]}')
+    );
+    const recording = recorder.toJSON();
+    expect(JSON.stringify(recording)).not.toContain('IRtestSID0001');
+    expect(recording.exchanges[0].headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(loadRecording(recording).match('GET', '/Mediapartners/{sid}/Reports', '')).toBeTruthy();
+
+    const mock = createMockServer({ recording: recording });
+    expect(get(mock, '/Reports').json.Reports[0]).toEqual({ Id: 'recorded', Uri: '/Mediapartners/IRtestSID0001' });
+  });
+
+  test('the engine retries a rate-limited request and completes the run', () => {
+    const { engine, mock } = createEngine({
+      config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false },
+      server: { faults: [{ type: 'rateLimit', endpoint: 'export', times: 1 }] }
+    });
+
+    const result = engine.call('runCompleteDiscovery');
+    expect(mock.faults.fired).toHaveLength(1);
+    expect(result.successful.map(report => report.reportId)).toEqual(['SkuLevelActions']);
+  });
+});
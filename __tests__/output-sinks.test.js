@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+const { createEngine } = require('./helpers/engine');
+const { sqliteAvailable } = require('../platform/local-database');
+
+function setup(config) {
+  const context = createEngine({
+    config: { includedReports: ['SkuLevelActions', 'mp_action_listing'], enableIncrementalExports: false, outputFolderId: 'FOLDER', ...config }
+  });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return new (context.engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+  };
+  context.updateConfig = changes => {
+    const stored = JSON.parse(context.properties.getProperty('IMPACT_OPTIMIZED_CONFIG'));
+    context.properties.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify({ ...stored, ...changes }));
+  };
+  // Files in the output folder: name -> text (trashed files are left out)
+  context.files = () => {
+    const files = {};
+    const iterator = context.engine.platform.DriveApp.getFolderById('FOLDER').getFiles();
+    while (iterator.hasNext()) {
+      const file = iterator.next();
+      if (file.isTrashed()) continue;
+      const bytes = Buffer.from(file.getBlob().getBytes());
+      files[file.getName()] = /\.gz$/.test(file.getName()) ? zlib.gunzipSync(bytes).toString() : bytes.toString();
+    }
+    return files;
+  };
+  return context;
+}
+
+describe('output sinks', () => {
+  test('writes csv and jsonl part files of outputChunkRows rows, each with a header', () => {
+    const { run, files, spreadsheet } = setup({
+      outputChunkRows: 3,
+      outputSinks: { SkuLevelActions: 'csv', '*action_listing*': ['sheets', 'jsonl'] }
+    });
+    const result = run();
+
+    expect(result.successful.find(report => report.reportId === 'SkuLevelActions').sheetName)
+      .toBe('Drive: SkuLevelAction.csv.gz (3 parts)');
+    expect(Object.keys(files()).sort()).toEqual([
+      'Action Listing (Part 2).jsonl.gz', 'Action Listing (Part 3).jsonl.gz', 'Action Listing.jsonl.gz',
+      'SkuLevelAction (Part 2).csv.gz', 'SkuLevelAction (Part 3).csv.gz', 'SkuLevelAction.csv.gz'
+    ]);
+
+    const csv = files()['SkuLevelAction (Part 2).csv.gz'];
+    expect(csv).toMatch(/^ActionId,ActionDate,/);
+    // One of the rows has a quoted line break in ItemName
+    expect(csv.match(/^19816\.4125\.\d+,/gm)).toHaveLength(3);
+
+    const first = JSON.parse(files()['Action Listing.jsonl.gz'].split('\n')[0]);
+    expect(first).toMatchObject({ ActionId: '19816.4125.1001', SaleAmount: '129.99' });
+
+    // A csv-only report gets no sheet; a report listing 'sheets' keeps it
+    expect(spreadsheet().getSheetByName('SkuLevelAction')).toBeNull();
+    expect(spreadsheet().getSheetByName('Action Listing').getLastRow()).toBe(8);
+  });
+
+  test('parts a later run no longer writes are moved to the trash', () => {
+    const { run, files, updateConfig } = setup({ outputChunkRows: 3, outputSinks: { SkuLevelActions: 'csv' } });
+    run();
+    updateConfig({ outputChunkRows: 100 });
+    run();
+
+    expect(Object.keys(files())).toEqual(['SkuLevelAction.csv.gz']);
+    expect(files()['SkuLevelAction.csv.gz'].match(/^19816\.4125\.\d+,/gm)).toHaveLength(8);
+  });
+
+  test('compressOutputFiles: false writes plain files', () => {
+    const { run, files } = setup({ compressOutputFiles: false, outputSinks: { '*action_listing*': 'jsonl' } });
+    run();
+    expect(Object.keys(files())).toEqual(['Action Listing.jsonl']);
+    expect(files()['Action Listing.jsonl'].trim().split('\n')).toHaveLength(7);
+  });
+
+  test('configuration validation reports unknown sinks and missing destinations', () => {
+    const { engine } = setup({ outputFolderId: '', outputSinks: { SkuLevelActions: ['csv', 'parquet'], Actions: 'warehouse' } });
+    expect(engine.evaluate('new ImpactConfig().validate().errors')).toEqual(expect.arrayContaining([
+      'outputSinks.SkuLevelActions: unknown sink "parquet" (use sheets, csv, jsonl, warehouse)',
+      'outputFolderId is required for the csv and jsonl output sinks',
+      'warehouseProjectId is required for the warehouse output sink'
+    ]));
+  });
+
+  (sqliteAvailable() ? test : test.skip)('the warehouse sink loads a typed table through a staging table', () => {
+    const { engine, run } = setup({ outputChunkRows: 3, outputSinks: { SkuLevelActions: 'warehouse' }, warehouseProjectId: 'proj' });
+    run();
+
+    const BigQuery = engine.platform.BigQuery;
+    expect(BigQuery.Tables.list('proj', 'impact_reports').tables.map(table => table.tableReference.tableId)).toEqual(['SkuLevelActions']);
+    expect(Number(BigQuery.Tables.get('proj', 'impact_reports', 'SkuLevelActions').numRows)).toBe(8);
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { createPlatform, loadEngine } = require('../platform');
+const { createEngine, tempDirectory } = require('./helpers/engine');
+
+describe('platform shims', () => {
+  const directory = tempDirectory('platform-');
+
+  test('Utilities.sleep records the pause without waiting and enforces the Apps Script cap', () => {
+    const { Utilities } = createPlatform();
+    const started = Date.now();
+    Utilities.sleep(60000);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(Utilities.totalSleptMs).toBe(60000);
+    expect(() => Utilities.sleep(300001)).toThrow('Argument too large');
+  });
+
+  test('Utilities.parseCsv keeps quoted commas, quotes and line breaks', () => {
+    const { Utilities } = createPlatform();
+    expect(Utilities.parseCsv('a,b\n"x, y","say ""hi""\nthere"\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ]);
+  });
+
+  test('UrlFetchApp throws on HTTP errors unless muteHttpExceptions is set', () => {
+    const { UrlFetchApp } = createPlatform({
+      fetchHandler: () => ({ statusCode: 503, headers: {}, body: 'unavailable' })
+    });
+    expect(() => UrlFetchApp.fetch('https://example.com/x')).toThrow('returned code 503');
+    const response = UrlFetchApp.fetch('https://example.com/x', { muteHttpExceptions: true });
+    expect(response.getResponseCode()).toBe(503);
+    expect(response.getContentText()).toBe('unavailable');
+  });
+
+  test('script properties persist to a file when one is given', () => {
+    const file = path.join(directory, 'properties.json');
+    createPlatform({ propertiesFile: file }).PropertiesService.getScriptProperties().setProperty('KEY', 'value');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).KEY).toBe('value');
+    expect(createPlatform({ propertiesFile: file }).PropertiesService.getScriptProperties().getProperty('KEY')).toBe('value');
+  });
+
+  test('SpreadsheetApp keeps the values written to a range', () => {
+    const { SpreadsheetApp } = createPlatform();
+    const sheet = SpreadsheetApp.openById('SS').insertSheet('Data');
+    sheet.getRange(1, 1, 2, 2).setValues([['a', 'b'], [1, 2]]);
+    expect(SpreadsheetApp.openById('SS').getSheetByName('Data').getDataRange().getValues()).toEqual([['a', 'b'], [1, 2]]);
+  });
+
+  test('SpreadsheetApp converts written text to numbers and dates the way Sheets does', () => {
+    const { SpreadsheetApp } = createPlatform();
+    const range = SpreadsheetApp.openById('SS').insertSheet('Data').getRange(1, 1, 1, 5);
+    range.setValues([['00123', '1,249.50', '2026-10-19', "'00123", '2026-02-30']]);
+
+    const [values] = range.getValues();
+    expect(values.slice(0, 2)).toEqual([123, 1249.5]);
+    expect(values[2]).toEqual(new Date(2026, 9, 19));
+    expect(values.slice(3)).toEqual(['00123', '2026-02-30']);
+  });
+});
+
+describe('loadEngine', () => {
+  test('exposes the script classes and functions', () => {
+    const engine = loadEngine({ fetchHandler: () => ({ statusCode: 404, headers: {}, body: '' }) });
+    expect(typeof engine.get('ImpactConfig')).toBe('function');
+    expect(typeof engine.get('runCompleteDiscovery')).toBe('function');
+    expect(() => engine.call('noSuchFunction')).toThrow('not defined');
+    expect(() => engine.get('1 + 1')).toThrow('Invalid binding name');
+  });
+
+  test('runs a complete discovery offline against the mock server', () => {
+    const { engine, mock, spreadsheet } = createEngine({ config: { enableIncrementalExports: false } });
+    const result = engine.call('runCompleteDiscovery');
+
+    expect(result.successful.map(report => report.reportId)).toEqual(
+      expect.arrayContaining(['SkuLevelActions', 'mp_action_listing'])
+    );
+    expect(spreadsheet().getSheetByName('SkuLevelAction').getLastRow()).toBe(9);
+    expect(mock.requests[0].path).toBe('/Mediapartners/IRtestSID0001/Reports');
+  });
+});
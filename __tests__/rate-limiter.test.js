@@ -0,0 +1,127 @@
+const { createEngine } = require('./helpers/engine');
+
+function setup(config = {}) {
+  const context = createEngine({ config: { rateLimitBucketSize: 2, rateLimitRefillPerSecond: 1, ...config } });
+  context.limiter = () => context.construct('RateLimiter');
+  return context;
+}
+
+describe('RateLimiter', () => {
+  test('spends the bucket, then sleeps until a token refills', () => {
+    const { engine, limiter } = setup();
+    const rateLimiter = limiter();
+
+    expect(rateLimiter.acquire('a')).toBe(0);
+    expect(rateLimiter.acquire('b')).toBe(0);
+    const wait = rateLimiter.acquire('c');
+    expect(wait).toBeGreaterThan(900);
+    expect(wait).toBeLessThanOrEqual(1000);
+    expect(engine.platform.Utilities.totalSleptMs).toBe(wait);
+  });
+
+  test('a batch waits until all of its tokens are there', () => {
+    const { limiter } = setup();
+    const rateLimiter = limiter();
+    rateLimiter.acquire('a');
+
+    const wait = rateLimiter.acquire('pair', 2);
+    expect(wait).toBeGreaterThan(900);
+    expect(wait).toBeLessThanOrEqual(1000);
+    expect(rateLimiter.getBudget().tokens).toBeLessThan(0.1);
+  });
+
+  test('instances share one budget through script properties', () => {
+    const { limiter } = setup();
+    limiter().acquire('a');
+    limiter().acquire('b');
+    expect(limiter().acquire('c')).toBeGreaterThan(900);
+  });
+
+  test('holds requests for the Retry-After of a 429', () => {
+    const { limiter } = setup();
+    limiter().observe(429, {}, 5);
+    const wait = limiter().acquire('after 429');
+    expect(wait).toBeGreaterThan(4900);
+    expect(wait).toBeLessThanOrEqual(5000);
+  });
+
+  test('waits for the server window to reset once its remaining count hits zero', () => {
+    const { limiter } = setup({ rateLimitBucketSize: 5 });
+    limiter().observe(200, { 'X-RateLimit-Limit-Hour': '100', 'X-RateLimit-Remaining-Hour': '0', 'X-RateLimit-Reset': '3' });
+
+    expect(limiter().getBudget()).toMatchObject({ serverLimit: 100, serverRemaining: 0 });
+    expect(limiter().acquire('exhausted')).toBeGreaterThan(2900);
+  });
+
+  test('fails instead of sleeping past the 5 minute cap', () => {
+    const { limiter } = setup();
+    limiter().observe(429, {}, 600);
+    expect(() => limiter().acquire('blocked')).toThrow('Rate Limit budget exhausted');
+  });
+
+  test('updates the shared state under the script lock', () => {
+    const { engine, limiter } = setup();
+    limiter().acquire('a');
+    expect(engine.platform.LockService.acquisitions).toBe(1);
+  });
+
+  test('spends from its in-memory budget while another execution holds the lock', () => {
+    const { engine, properties, limiter } = setup();
+    const rateLimiter = limiter();
+    rateLimiter.acquire('a');
+    const shared = properties.getProperty('IMPACT_RATE_LIMIT');
+
+    const lock = engine.platform.LockService.getScriptLock();
+    lock.waitLock(1000);
+    try {
+      expect(rateLimiter.acquire('b')).toBe(0);
+      expect(rateLimiter.acquire('c')).toBeGreaterThan(900);
+      expect(properties.getProperty('IMPACT_RATE_LIMIT')).toBe(shared);
+    } finally {
+      lock.releaseLock();
+    }
+  });
+
+  test('a request waiting on the budget is neither retried nor counted as an API failure', () => {
+    const { engine, mock, limiter, construct } = setup();
+    limiter().observe(429, {}, 600);
+    const client = construct('EnhancedAPIClient');
+
+    expect(() => client.makeRequest(client.accountPath() + '/Reports')).toThrow('Rate Limit budget exhausted');
+    expect(mock.requests).toHaveLength(0);
+    expect(client.metrics.metrics.failedCalls).toBe(0);
+    expect(engine.platform.Utilities.totalSleptMs).toBe(0);
+  });
+
+  test('does nothing when disabled', () => {
+    const { engine, limiter } = setup({ enableRateLimiter: false });
+    for (let i = 0; i < 5; i++) expect(limiter().acquire('free')).toBe(0);
+    expect(engine.platform.LockService.acquisitions).toBe(0);
+  });
+
+  test('reset restores a full bucket', () => {
+    const { engine, limiter } = setup();
+    limiter().observe(429, {}, 60);
+    engine.call('resetRateLimiter');
+    expect(limiter().acquire('fresh')).toBe(0);
+  });
+
+  test('replaces the fixed scheduling pauses during discovery', () => {
+    const sleepsDuringDiscovery = enableRateLimiter => {
+      const { engine } = createEngine({
+        config: { enableIncrementalExports: false, enableRateLimiter: enableRateLimiter, rateLimitBucketSize: 100,
+          parallelRequestLimit: 2, requestDelay: 2222, burstDelay: 555 }
+      });
+      const utilities = engine.platform.Utilities;
+      const sleeps = [];
+      const sleep = utilities.sleep.bind(utilities);
+      utilities.sleep = ms => { sleeps.push(ms); sleep(ms); };
+      engine.call('runCompleteDiscovery');
+      return sleeps;
+    };
+
+    const paced = [2000, 2222, 555];
+    expect(sleepsDuringDiscovery(false)).toEqual(expect.arrayContaining(paced));
+    expect(sleepsDuringDiscovery(true).filter(ms => paced.includes(ms))).toEqual([]);
+  });
+});
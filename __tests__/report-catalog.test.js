@@ -0,0 +1,75 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+const CONFIG = { includedReports: ['SkuLevelActions', 'mp_action_listing'], enableIncrementalExports: false };
+
+function metadataRequests(mock) {
+  return mock.requests.filter(request => request.endpoint === 'metadata').length;
+}
+
+describe('report metadata catalog', () => {
+  test('discovery fetches metadata once and keeps it on the Report Catalog sheet', () => {
+    const { engine, mock, properties, spreadsheet } = createEngine({ config: CONFIG });
+    engine.call('runCompleteDiscovery');
+    const fetched = metadataRequests(mock);
+    expect(fetched).toBeGreaterThan(0);
+
+    const rows = sheetRecords(spreadsheet().getSheetByName('Report Catalog'));
+    expect(rows.find(row => row['Report ID'] === 'mp_action_listing')).toMatchObject({
+      'Report Name': 'Action Listing',
+      Filters: 'startdate, enddate, ActionStatus [APPROVED|PENDING|REVERSED], SUBAID',
+      'Column Count': 16
+    });
+    expect(properties.getKeys().filter(key => /METADATA/.test(key))).toEqual([]);
+
+    new (engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+    expect(metadataRequests(mock)).toBe(fetched);
+    expect(engine.call('getReportCatalog').find(entry => entry.Id === 'mp_action_listing').Filters).toHaveLength(4);
+  });
+
+  test('entries older than reportMetadataMaxAgeHours are fetched again', () => {
+    const { engine, mock, construct } = createEngine({ config: { ...CONFIG, reportMetadataMaxAgeHours: 1 } });
+    engine.call('runCompleteDiscovery');
+    const fetched = metadataRequests(mock);
+
+    const catalog = construct('EnhancedAPIClient').metadataCatalog;
+    catalog.getAll().forEach(entry => { entry.FetchedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(); });
+    catalog.save();
+
+    new (engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+    expect(metadataRequests(mock)).toBe(2 * fetched);
+  });
+
+  test('refreshReportMetadata fetches every report again', () => {
+    const { engine, mock } = createEngine({ config: CONFIG });
+    engine.call('runCompleteDiscovery');
+    const fetched = metadataRequests(mock);
+
+    engine.call('refreshReportMetadata');
+    expect(metadataRequests(mock)).toBe(2 * fetched);
+  });
+
+  test('moves entries cached in script properties by earlier versions onto the sheet', () => {
+    const { engine, properties } = createEngine({
+      config: CONFIG,
+      properties: {
+        IMPACT_REPORT_METADATA_legacy_report: JSON.stringify({
+          Id: 'legacy_report', Name: 'Legacy', Filters: [], Columns: [], FetchedAt: new Date().toISOString()
+        })
+      }
+    });
+    engine.call('runCompleteDiscovery');
+
+    expect(properties.getProperty('IMPACT_REPORT_METADATA_legacy_report')).toBeNull();
+    expect(engine.call('getReportCatalog').map(entry => entry.Id)).toContain('legacy_report');
+  });
+
+  test('a report without a metadata endpoint is cached as unavailable', () => {
+    const { construct } = createEngine();
+    const catalog = construct('EnhancedAPIClient').metadataCatalog;
+    const entry = catalog.fetch({ Id: 'retired_report', Name: 'Retired' });
+
+    expect(entry.Unavailable).toBeTruthy();
+    expect(catalog.get('retired_report')).toBe(entry);
+    expect(catalog.getFilter(catalog.describe({ Id: 'retired_report' }), 'startdate')).toBeUndefined();
+  });
+});
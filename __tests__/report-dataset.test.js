@@ -0,0 +1,74 @@
+const { createEngine } = require('./helpers/engine');
+
+function setup(config = {}) {
+  const context = createEngine({
+    config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false, enableStreamingIngestion: false, ...config }
+  });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return new (context.engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+  };
+  context.setMaxRows = rows => context.engine.evaluate('(function(rows) { new ImpactConfig().set("maxRowsPerSheet", rows); })')(rows);
+  context.open = name => context.engine.get('ReportDataset').open(context.spreadsheet(), name);
+  context.skuSheets = () => context.spreadsheet().getSheets().map(sheet => sheet.getName()).filter(name => /^SkuLevelAction/.test(name));
+  return context;
+}
+
+describe('report datasets', () => {
+  test('reads a report split into parts as one table', () => {
+    const { run, open, skuSheets } = setup({ maxRowsPerSheet: 3 });
+    run();
+    expect(skuSheets()).toEqual(['SkuLevelAction (Part 1)', 'SkuLevelAction (Part 2)', 'SkuLevelAction (Part 3)']);
+
+    const dataset = open('SkuLevelAction');
+    expect(dataset.isChunked()).toBe(true);
+    expect(dataset.getRowCount()).toBe(8);
+    const values = dataset.getValues();
+    expect(values).toHaveLength(9);
+    expect(values[0][0]).toBe('ActionId');
+    expect(values.slice(1).every(row => /^19816\.4125\./.test(row[0]))).toBe(true);
+
+    // By a part's name, or the list chunked writes report as sheetName
+    expect(open('SkuLevelAction (Part 2)').getSheetNames()).toHaveLength(3);
+    expect(open('SkuLevelAction (Part 1), SkuLevelAction (Part 2), SkuLevelAction (Part 3)').getName()).toBe('SkuLevelAction');
+  });
+
+  test('parts stay together after a tab is renamed', () => {
+    const { run, open, spreadsheet } = setup({ maxRowsPerSheet: 3 });
+    run();
+    spreadsheet().getSheetByName('SkuLevelAction (Part 2)').setName('Middle');
+
+    expect(open('SkuLevelAction').getSheetNames()).toEqual(['SkuLevelAction (Part 1)', 'Middle', 'SkuLevelAction (Part 3)']);
+    expect(open('SkuLevelAction').getRowCount()).toBe(8);
+  });
+
+  test('parts a smaller export no longer needs are removed', () => {
+    const { run, setMaxRows, skuSheets } = setup({ maxRowsPerSheet: 3 });
+    run();
+    setMaxRows(4);
+    run();
+    expect(skuSheets()).toEqual(['SkuLevelAction (Part 1)', 'SkuLevelAction (Part 2)']);
+    setMaxRows(100);
+    run();
+    expect(skuSheets()).toEqual(['SkuLevelAction']);
+  });
+
+  test('lines up untagged parts whose headers differ', () => {
+    const { engine, spreadsheet } = setup();
+    spreadsheet().insertSheet('Legacy (Part 1)').getRange(1, 1, 2, 2).setValues([['A', 'B'], ['a1', 'b1']]);
+    spreadsheet().insertSheet('Legacy (Part 2)').getRange(1, 1, 2, 2).setValues([['B', 'C'], ['b2', 'c2']]);
+
+    const dataset = engine.get('ReportDataset').open(spreadsheet(), 'Legacy');
+    expect(dataset.getValues()).toEqual([['A', 'B', 'C'], ['a1', 'b1', ''], ['', 'b2', 'c2']]);
+  });
+
+  test('analysis over a chunked report matches the single-sheet result', () => {
+    const chunked = setup({ maxRowsPerSheet: 3 });
+    chunked.run();
+    const single = setup();
+    single.run();
+
+    const currency = context => context.engine.call('runTeamSKUAnalysis').analysis.currency;
+    expect(currency(chunked)).toEqual(currency(single));
+  });
+});
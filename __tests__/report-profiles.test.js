@@ -0,0 +1,68 @@
+const { createEngine } = require('./helpers/engine');
+
+const ACTION_LISTING = {
+  Id: 'mp_action_listing',
+  Name: 'Action Listing',
+  ApiAccessible: true,
+  Filters: [
+    { Name: 'startdate', DataType: 'DATETIME', Required: false },
+    { Name: 'ActionStatus', DataType: 'STRING', Required: false, AllowedValues: ['APPROVED', 'PENDING', 'REVERSED'] },
+    { Name: 'SUBAID', DataType: 'STRING', Required: true }
+  ]
+};
+
+function exportQuery(mock) {
+  const request = mock.requests.filter(entry => entry.endpoint === 'export').pop();
+  return Object.fromEntries(new URLSearchParams(request.query));
+}
+
+describe('report export profiles', () => {
+  test('discovery sends the action listing profile and nothing extra for other reports', () => {
+    const { engine, mock } = createEngine({ config: { includedReports: ['SkuLevelActions', 'mp_action_listing'], enableIncrementalExports: false } });
+    engine.call('runCompleteDiscovery');
+
+    const queries = mock.requests.filter(entry => entry.endpoint === 'export')
+      .map(entry => Object.fromEntries(new URLSearchParams(entry.query)));
+    expect(queries.find(query => query.ActionStatus)).toMatchObject({ ActionStatus: 'APPROVED,PENDING,REVERSED' });
+    expect(queries.filter(query => query.ActionStatus)).toHaveLength(1);
+  });
+
+  test('explicit parameters win over the profile', () => {
+    const { mock, construct } = createEngine({ config: { reportProfiles: { mp_action_listing: { SUBAID: '111', timezone: 'UTC' } } } });
+    construct('EnhancedAPIClient').scheduleExport('mp_action_listing', { SUBAID: '222' }, ACTION_LISTING);
+    expect(exportQuery(mock)).toMatchObject({ SUBAID: '222' });
+    // timezone is not one of the report's filters
+    expect(exportQuery(mock).timezone).toBeUndefined();
+  });
+
+  test('values outside a filter\'s AllowedValues are rejected before anything is sent', () => {
+    const { mock, construct } = createEngine({ config: { reportProfiles: { '*action_listing*': { ActionStatus: ['APPROVED', 'BOGUS'], SUBAID: '1' } } } });
+    expect(() => construct('EnhancedAPIClient').scheduleExport('mp_action_listing', {}, ACTION_LISTING))
+      .toThrow('Invalid report profile for mp_action_listing: ActionStatus does not accept BOGUS');
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  test('a required filter the profile leaves out stops the export', () => {
+    const { mock, construct } = createEngine();
+    expect(() => construct('EnhancedAPIClient').scheduleExport('mp_action_listing', {}, ACTION_LISTING))
+      .toThrow('required filter(s) SUBAID not set. Add them to reportProfiles.');
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  test('profiles are matched by report name and wildcard', () => {
+    const { engine } = createEngine({ config: { reportProfiles: { 'Performance*': { date_granularity: 'DAY' } } } });
+    const config = new (engine.get('ImpactConfig'))();
+    expect(config.getReportSetting('reportProfiles', 'partner_performance_by_subid', 'Performance by SubId')).toEqual({ date_granularity: 'DAY' });
+    expect(config.getReportSetting('reportProfiles', 'SkuLevelActions', 'SkuLevelAction')).toBeNull();
+  });
+
+  test('configuration validation reports malformed profiles', () => {
+    const { engine } = createEngine({ config: { reportProfiles: { a: ['x'], b: { SUBAID: [] }, c: { nested: { x: 1 } } } } });
+    const errors = engine.evaluate('new ImpactConfig().validate().errors');
+    expect(errors).toEqual(expect.arrayContaining([
+      'reportProfiles["a"] must be an object of query parameters',
+      'reportProfiles["b"].SUBAID must be a value or a non-empty list of values',
+      'reportProfiles["c"].nested must be a value or a non-empty list of values'
+    ]));
+  });
+});
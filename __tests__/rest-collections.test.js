@@ -0,0 +1,90 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+function setup(restCollections) {
+  return createEngine({ config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false, restCollections: restCollections } });
+}
+
+function collectionQueries(mock, name) {
+  return mock.requests.filter(request => request.endpoint === 'collection' && request.path.endsWith('/' + name))
+    .map(request => Object.fromEntries(new URLSearchParams(request.query)));
+}
+
+describe('REST collections', () => {
+  test('follows @nextpageuri through every page into the collection\'s sheet', () => {
+    const { engine, mock, spreadsheet } = setup({ Actions: { params: { ActionDateStart: '2025-09-01T00:00:00Z' }, pageSize: 3 } });
+    const result = engine.call('collectRestCollections');
+
+    expect(result.successful).toEqual([expect.objectContaining({ reportId: 'Actions', rowCount: 7, notes: 'REST: 3 page(s)' })]);
+    expect(collectionQueries(mock, 'Actions').map(query => [query.PageSize, query.Page, query.ActionDateStart]))
+      .toEqual([['3', undefined, '2025-09-01T00:00:00Z'], ['3', '2', '2025-09-01T00:00:00Z'], ['3', '3', '2025-09-01T00:00:00Z']]);
+
+    const rows = sheetRecords(spreadsheet().getSheetByName('Actions'));
+    expect(rows).toHaveLength(7);
+    expect(rows[0]).toMatchObject({ Id: '19816.4125.1001', Amount: 129.99, Status: 'APPROVED' });
+  });
+
+  test('flattens nested fields and adds columns that first appear on a later page', () => {
+    const { engine, mock, spreadsheet } = setup({ Clicks: { pageSize: 1, sheetName: 'Click Log' } });
+    mock.setCollection('Clicks', [
+      { Id: '1', Media: { Name: 'mula', Id: '9' } },
+      { Id: '2', Media: { Name: 'nil-feed', Id: '9' }, DeviceType: 'MOBILE' }
+    ]);
+    engine.call('collectRestCollections');
+
+    expect(sheetRecords(spreadsheet().getSheetByName('Click Log'))).toEqual([
+      expect.objectContaining({ Id: 1, 'Media.Name': 'mula', 'Media.Id': 9, DeviceType: '' }),
+      expect.objectContaining({ Id: 2, 'Media.Name': 'nil-feed', 'Media.Id': 9, DeviceType: 'MOBILE' })
+    ]);
+  });
+
+  test('a fresh collection is skipped unless forced', () => {
+    const { engine, mock } = setup({ Invoices: {} });
+    mock.setCollection('Invoices', [{ Id: 'INV-1', Amount: '10.00' }]);
+    engine.call('collectRestCollections');
+
+    expect(engine.call('collectRestCollections')).toMatchObject({ successful: [], skipped: ['Invoices'] });
+    expect(engine.call('collectRestCollections', true).successful.map(result => result.reportId)).toEqual(['Invoices']);
+    expect(collectionQueries(mock, 'Invoices')).toHaveLength(2);
+  });
+
+  test('a collection stopped at the time limit resumes at its checkpointed page', () => {
+    const { engine, mock, spreadsheet } = setup({ Actions: { pageSize: 3 } });
+    const orchestrator = new (engine.get('UltraOptimizedOrchestrator'))();
+    const checkTimeout = orchestrator.checkTimeout.bind(orchestrator);
+    let checks = 0;
+    orchestrator.checkTimeout = () => {
+      // Run out of time before the third page
+      if (++checks === 3) orchestrator.startTime = 0;
+      return checkTimeout();
+    };
+
+    expect(orchestrator.runRestCollections()).toMatchObject({ timeout: true, successful: [] });
+    expect(engine.call('getRestCollectionStatus')).toEqual([
+      { collection: 'Actions', lastCollected: null, resumeAtPage: 3, recordsSoFar: 6 }
+    ]);
+
+    const resumed = engine.call('collectRestCollections');
+    expect(resumed.successful[0]).toMatchObject({ rowCount: 7, notes: 'REST: 3 page(s), resumed at page 3' });
+    expect(collectionQueries(mock, 'Actions').map(query => query.Page)).toEqual([undefined, '2', '3']);
+    const ids = sheetRecords(spreadsheet().getSheetByName('Actions')).map(row => row.Id);
+    expect(new Set(ids).size).toBe(7);
+    expect(ids).toHaveLength(7);
+    expect(engine.call('getRestCollectionStatus')[0].resumeAtPage).toBeNull();
+  });
+
+  test('discovery pulls the collections after the report exports', () => {
+    const { engine, mock } = setup({ Actions: {} });
+    engine.call('runCompleteDiscovery');
+
+    const endpoints = mock.requests.map(request => request.endpoint);
+    expect(endpoints.lastIndexOf('download')).toBeLessThan(endpoints.indexOf('collection'));
+  });
+
+  test('configuration validation reports malformed collections', () => {
+    const { engine } = setup({ Actions: 'yes', Clicks: { params: ['x'] } });
+    expect(engine.evaluate('new ImpactConfig().validate().errors')).toEqual(expect.arrayContaining([
+      'restCollections.Actions must be an object with params, pageSize and/or sheetName',
+      'restCollections.Clicks.params must be an object of query parameters'
+    ]));
+  });
+});
@@ -0,0 +1,91 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+const CONFIG = { includedReports: ['SkuLevelActions', 'mp_action_listing'], enableIncrementalExports: false };
+
+function setup(config = {}, server) {
+  const context = createEngine({ config: { ...CONFIG, ...config }, server: server });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return context.engine.call('runCompleteDiscovery');
+  };
+  context.history = () => context.spreadsheet().getSheetByName('Run History');
+  return context;
+}
+
+describe('run history', () => {
+  test('appends a manifest per run and compares each run with the one before', () => {
+    const { engine, run, history } = setup({}, { faults: [{ type: 'failJob', endpoint: 'export', reportId: 'mp_action_listing', skip: 1 }] });
+    run();
+    run();
+
+    const rows = sheetRecords(history());
+    expect(rows).toHaveLength(2);
+    expect(rows.map(row => [row.Trigger, row.Status, row.Succeeded, row.Failed, row['Failed Reports']])).toEqual([
+      ['manual', 'success', 2, 0, ''],
+      ['manual', 'partial', 1, 1, 'mp_action_listing']
+    ]);
+    expect(JSON.parse(rows[1].Manifest).runId).toBe(rows[1]['Run ID']);
+
+    const [latest, previous] = engine.call('getRunHistory', 2);
+    expect(latest).toMatchObject({
+      status: 'partial',
+      dateWindow: { start: '2025-09-01T00:00:00Z' },
+      reports: { found: 2, attempted: 2, succeeded: 1, failed: 1, skipped: 0 },
+      failedReports: ['mp_action_listing']
+    });
+    expect(latest.rows).toBe(8);
+    expect(latest.changes).toMatchObject({ previousRunId: previous.runId, failed: 1, configChanged: false, newlyFailed: ['mp_action_listing'] });
+    expect(previous.changes).toBeNull();
+  });
+
+  test('reports skipped because they were still fresh are counted', () => {
+    const { engine, run } = setup();
+    run();
+    engine.call('runCompleteDiscovery');
+    expect(engine.call('getRunHistory', 1)[0].reports).toMatchObject({ attempted: 0, skipped: 2 });
+  });
+
+  test('the config hash changes with a setting but not with the date range', () => {
+    const { engine, run } = setup();
+    const hash = () => engine.call('getRunHistory', 1)[0].configHash;
+    run();
+    const first = hash();
+
+    engine.call('setDateRange', '2025-09-01', '2025-09-30');
+    run();
+    expect(hash()).toBe(first);
+
+    engine.evaluate('new ImpactConfig().set("maxRowsPerSheet", 1234)');
+    run();
+    expect(hash()).not.toBe(first);
+    expect(engine.call('getRunHistory', 1)[0].changes.configChanged).toBe(true);
+  });
+
+  test('keeps the newest runHistoryMaxRows runs and skips rows edited by hand', () => {
+    const { engine, run, history } = setup({ runHistoryMaxRows: 2 });
+    run();
+    run();
+    run();
+    expect(history().getLastRow()).toBe(3);
+
+    history().getRange(3, 22).setValue('edited');
+    expect(engine.call('getRunHistory')).toHaveLength(1);
+  });
+
+  test('appends each manifest to run-history.ndjson when runHistoryFolderId is set', () => {
+    const { engine, run } = setup({ runHistoryFolderId: 'RH' });
+    run();
+    run();
+
+    const file = engine.platform.DriveApp.getFolderById('RH').getFilesByName('run-history.ndjson').next();
+    const lines = file.getBlob().getDataAsString().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(manifest => manifest.runId)).toEqual(engine.call('getRunHistory').map(manifest => manifest.runId).reverse());
+  });
+
+  test('nothing is recorded with enableRunHistory off', () => {
+    const { engine, run, history } = setup({ enableRunHistory: false });
+    run();
+    expect(history()).toBeNull();
+    expect(engine.call('getRunHistory')).toEqual([]);
+  });
+});
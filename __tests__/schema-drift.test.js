@@ -0,0 +1,68 @@
+const { createEngine, fixtureCsv, sheetRecords } = require('./helpers/engine');
+
+function setup() {
+  const context = createEngine({ config: { includedReports: ['mp_action_listing'], enableIncrementalExports: false } });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return new (context.engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+  };
+  context.detector = () => context.engine.evaluate(
+    '(function() { var c = new ImpactConfig(), l = new EnhancedLogger(c); ' +
+    'return new SchemaDriftDetector(c, l, new EnhancedSpreadsheetManager(c, l, new PerformanceMetrics())); })'
+  )();
+  return context;
+}
+
+// Rename SaleAmount, drop Status and add Channel
+function driftedExport() {
+  const lines = fixtureCsv('mp_action_listing').trim().split('\n');
+  const header = lines[0].split(',');
+  const status = header.indexOf('Status');
+  const rows = lines.map((line, i) => {
+    const fields = line.split(',');
+    fields.splice(status, 1);
+    return fields.concat(i === 0 ? 'Channel' : 'web').join(',');
+  });
+  rows[0] = rows[0].replace('SaleAmount', 'Sale_amount');
+  return rows.join('\n') + '\n';
+}
+
+describe('schema drift detection', () => {
+  test('the first export records the schema without reporting a change', () => {
+    const { run, spreadsheet } = setup();
+    expect(run().successful[0].schemaChanged).toBe(false);
+    expect(spreadsheet().getSheetByName('Schema Changes')).toBeNull();
+  });
+
+  test('added, removed and renamed columns are logged and block analysis of a missing required column', () => {
+    const { engine, mock, run, spreadsheet, detector } = setup();
+    run();
+    mock.setExport('mp_action_listing', driftedExport());
+    const result = run().successful[0];
+
+    expect(result.schemaChanged).toBe(true);
+    expect(sheetRecords(spreadsheet().getSheetByName('Schema Changes'))).toEqual([expect.objectContaining({
+      'Report ID': 'mp_action_listing',
+      Added: 'Channel',
+      Removed: 'Status',
+      Renamed: 'SaleAmount → Sale_amount',
+      'Missing Required': 'Status'
+    })]);
+
+    expect(() => detector().assertAnalysisAllowed({ reportIds: ['mp_action_listing'] }))
+      .toThrow('Analysis blocked by schema drift: mp_action_listing is missing Status');
+    expect(() => detector().assertAnalysisAllowed({ sheetNames: ['Action Listing (Part 2)'] })).toThrow('schema drift');
+    expect(() => detector().assertAnalysisAllowed({ reportIds: ['SkuLevelActions'] })).not.toThrow();
+
+    engine.call('acknowledgeSchemaChange', 'mp_action_listing');
+    expect(() => detector().assertAnalysisAllowed({ reportIds: ['mp_action_listing'] })).not.toThrow();
+  });
+
+  test('compare tells reordering apart from renaming', () => {
+    const detector = setup().detector();
+    expect(detector.compare(['A', 'B', 'C'], ['B', 'A', 'C'])).toEqual({ added: [], removed: [], renamed: [], reordered: true });
+    expect(detector.compare(['Sale_Amount', 'B'], ['SaleAmount', 'B'])).toEqual({
+      added: [], removed: [], renamed: [{ from: 'Sale_Amount', to: 'SaleAmount' }], reordered: false
+    });
+  });
+});
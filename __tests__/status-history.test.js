@@ -0,0 +1,65 @@
+const { createEngine, fixtureCsv, sheetRecords } = require('./helpers/engine');
+
+// Action 1002 goes from APPROVED to REVERSED
+const REVERSED = fixtureCsv('SkuLevelActions').replace(/(19816\.4125\.1002,[^\n]*?),APPROVED,/, '$1,REVERSED,');
+
+function setup() {
+  const context = createEngine({
+    config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false }
+  });
+  context.run = () => {
+    context.properties.deleteProperty('IMPACT_DATA_FRESHNESS');
+    return new (context.engine.get('UltraOptimizedOrchestrator'))().runCompleteDiscovery({ forceRestart: true });
+  };
+  context.changes = () => sheetRecords(context.spreadsheet().getSheetByName('Status Changes'));
+  return context;
+}
+
+describe('status history', () => {
+  test('the first run only snapshots statuses', () => {
+    const { run, spreadsheet } = setup();
+    run();
+    expect(spreadsheet().getSheetByName('_Status Snapshot').getLastRow()).toBeGreaterThan(1);
+    expect(spreadsheet().getSheetByName('Status Changes')).toBeNull();
+  });
+
+  test('a reversal is logged as a status change and counted in the reversal rates', () => {
+    const { run, mock, spreadsheet, changes } = setup();
+    run();
+    mock.setExport('SkuLevelActions', REVERSED);
+    const result = run();
+
+    expect(result.successful[0].notes).toContain('1 status changes (1 reversed)');
+    expect(changes()).toEqual([
+      expect.objectContaining({
+        Report: 'SkuLevelActions',
+        ActionId: '19816.4125.1002',
+        Sku: 'FAN-100871',
+        'From Status': 'APPROVED',
+        'To Status': 'REVERSED'
+      })
+    ]);
+
+    const rate = sheetRecords(spreadsheet().getSheetByName('Reversal Rates'))
+      .find(record => record.Report === 'SkuLevelActions' && record.Dimension === 'SKU' && record.Value === 'FAN-100871');
+    expect(rate).toMatchObject({ Reversed: 1, 'Reversal Rate': '100.0%', 'Status Changes': 1 });
+  });
+
+  test('an unchanged export adds no further changes', () => {
+    const { run, mock, changes } = setup();
+    run();
+    mock.setExport('SkuLevelActions', REVERSED);
+    run();
+    run();
+    expect(changes()).toHaveLength(1);
+  });
+
+  test('runSkuLevelActionOnly records status changes too', () => {
+    const { engine, mock, changes } = setup();
+    engine.call('runSkuLevelActionOnly');
+    mock.setExport('SkuLevelActions', REVERSED);
+
+    expect(engine.call('runSkuLevelActionOnly').statusChanges).toMatchObject({ changed: 1, reversed: 1 });
+    expect(changes().map(change => [change.ActionId, change['To Status']])).toEqual([['19816.4125.1002', 'REVERSED']]);
+  });
+});
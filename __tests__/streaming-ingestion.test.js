@@ -0,0 +1,72 @@
+const { createEngine, sheetRecords } = require('./helpers/engine');
+
+function readAll(engine, text) {
+  const stream = new (engine.get('CsvRowStream'))(text);
+  const rows = [];
+  let row;
+  while ((row = stream.next()) !== null) rows.push(row);
+  return rows;
+}
+
+describe('CsvRowStream', () => {
+  const { engine } = createEngine();
+
+  test('reads quoted fields, CRLF endings and a leading BOM', () => {
+    expect(readAll(engine, '﻿Id,Note\r\n1,"a, ""b""\r\nc"\r\n2,\r\n')).toEqual([
+      ['Id', 'Note'],
+      ['1', 'a, "b"\r\nc'],
+      ['2', '']
+    ]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => readAll(engine, 'Id,Note\n1,"cut off')).toThrow('unterminated quoted field starting on line 2');
+  });
+
+  test('counts records without splitting on quoted line breaks', () => {
+    expect(engine.get('CsvRowStream').countRecords('Id,Note\n1,"two\nlines"\n\n2,x')).toBe(3);
+  });
+});
+
+describe('EnhancedDataProcessor.streamCSVData', () => {
+  const { construct } = createEngine({ config: { batchWriteSize: 2 } });
+
+  test('hands rows over in batches padded to the header width', () => {
+    const batches = [];
+    const stats = construct('EnhancedDataProcessor').streamCSVData('A,B\n1,2\n3\n\n5,6\n', rows => batches.push(rows));
+
+    expect(batches).toEqual([[['1', '2'], ['3', '']], [['5', '6']]]);
+    expect(stats).toMatchObject({ rowCount: 3, columnCount: 2, batchCount: 2, raggedRows: 1, blankRows: 1 });
+  });
+
+  test('rejects a download whose last row was cut off', () => {
+    expect(() => construct('EnhancedDataProcessor').streamCSVData('A,B,C\n1,2,3\n4,5', () => {}))
+      .toThrow('CSV appears truncated');
+  });
+});
+
+describe('EnhancedSpreadsheetManager.createReportSheetFromCsv', () => {
+  const csv = rows => 'Id,Value\n' + rows.map(n => n + ',' + n * 10).join('\n') + '\n';
+
+  test('rolls over to part sheets at maxRowsPerSheet', () => {
+    const { construct, spreadsheet } = createEngine({ config: { maxRowsPerSheet: 3, batchWriteSize: 2, forceRefresh: true } });
+    const result = construct('EnhancedSpreadsheetManager')
+      .createReportSheetFromCsv('r1', csv([1, 2, 3, 4, 5]), construct('EnhancedDataProcessor'), { name: 'Stream' });
+
+    expect(result).toMatchObject({ rowCount: 5, chunked: true, chunkCount: 2 });
+    expect(sheetRecords(spreadsheet().getSheetByName('Stream (Part 1)')).map(r => r.Id)).toEqual([1, 2, 3]);
+    expect(sheetRecords(spreadsheet().getSheetByName('Stream (Part 2)')).map(r => r.Id)).toEqual([4, 5]);
+    expect(spreadsheet().getSheets().map(sheet => sheet.getName())).not.toContain('Stream (loading 1)');
+  });
+
+  test('keeps the previous sheet when the download is truncated', () => {
+    const { construct, spreadsheet } = createEngine({ config: { forceRefresh: true } });
+    const manager = construct('EnhancedSpreadsheetManager');
+    manager.createReportSheetFromCsv('r1', csv([1, 2]), construct('EnhancedDataProcessor'), { name: 'Stream' });
+
+    expect(() => manager.createReportSheetFromCsv('r1', 'Id,Value\n7,70\n8', construct('EnhancedDataProcessor'), { name: 'Stream' }))
+      .toThrow('CSV appears truncated');
+    expect(sheetRecords(spreadsheet().getSheetByName('Stream'))).toEqual([{ Id: 1, Value: 10 }, { Id: 2, Value: 20 }]);
+    expect(spreadsheet().getSheets().map(sheet => sheet.getName()).filter(name => /loading/.test(name))).toEqual([]);
+  });
+});
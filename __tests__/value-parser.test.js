@@ -0,0 +1,79 @@
+const { createEngine, fixtureCsv } = require('./helpers/engine');
+
+function parser(config = {}) {
+  const { engine } = createEngine({ config: config });
+  return engine.evaluate('new TypedValueParser(new ImpactConfig())');
+}
+
+describe('typed value parser', () => {
+  test('reads accounting negatives, currency markers and either thousands style', () => {
+    const values = parser();
+    expect(values.parseMoney('(45.00)')).toEqual({ amount: -45, currency: null });
+    expect(values.parseMoney('45.00-')).toEqual({ amount: -45, currency: null });
+    expect(values.parseMoney('1,234.56')).toEqual({ amount: 1234.56, currency: null });
+    expect(values.parseMoney('1.234,56 EUR')).toEqual({ amount: 1234.56, currency: 'EUR' });
+    expect(values.parseMoney('USD 12.00')).toEqual({ amount: 12, currency: 'USD' });
+    expect(values.parseMoney('€12')).toEqual({ amount: 12, currency: 'EUR' });
+    expect(values.parseMoney('$1,249')).toEqual({ amount: 1249, currency: null });
+    expect(values.parseNumber('12,5')).toBe(12.5);
+  });
+
+  test('dot-grouped thousands are a number and a lone extra dot is not', () => {
+    const values = parser();
+    expect(values.parseNumber('1.234.567')).toBe(1234567);
+    expect(values.parseNumber('1.5')).toBe(1.5);
+    expect(values.parseNumber('1.2.3')).toBeNull();
+  });
+
+  test('a fixed decimalSeparator overrides detection', () => {
+    expect(parser({ decimalSeparator: ',' }).parseNumber('1.234')).toBe(1234);
+    expect(parser({ decimalSeparator: '.' }).parseNumber('1,234')).toBe(1234);
+  });
+
+  test('values that are not numbers are recorded instead of counted as 0', () => {
+    const values = parser();
+    expect(values.parseNumber('')).toBe(0);
+    expect(values.parseNumber('n/a')).toBeNull();
+    expect(values.parseNumber('n/a')).toBeNull();
+    expect(values.parseNumber('pending')).toBeNull();
+    expect(values.getUnparsed()).toEqual({ count: 3, samples: ['n/a', 'pending'] });
+  });
+
+  test('dates without an offset are read in accountTimezone', () => {
+    const values = parser({ accountTimezone: 'America/New_York', dateFormats: ['DD.MM.YYYY', 'MM/DD/YYYY'] });
+    expect(values.parseDate('2025-09-02T14:11:05-04:00').toISOString()).toBe('2025-09-02T18:11:05.000Z');
+    expect(values.parseDate('2025-09-02T14:11:05').toISOString()).toBe('2025-09-02T18:11:05.000Z');
+    expect(values.parseDate('2025-01-15').toISOString()).toBe('2025-01-15T05:00:00.000Z');
+    expect(values.parseDate('02.09.2025 1:05 PM').toISOString()).toBe('2025-09-02T17:05:00.000Z');
+    expect(values.parseDate('09/02/2025').toISOString()).toBe('2025-09-02T04:00:00.000Z');
+    expect(values.parseDate('2025-02-30')).toBeNull();
+    expect(values.formatDateKey(values.parseDate('2025-09-03T02:00:00Z'))).toBe('2025-09-02');
+  });
+
+  test('a date format without YYYY, MM and DD is rejected', () => {
+    expect(() => parser({ dateFormats: ['MM/YYYY'] })).toThrow('Invalid date format "MM/YYYY": expected YYYY, MM and DD');
+  });
+
+  test('team analysis leaves unparseable amounts out of the totals and reports them', () => {
+    const { engine, mock } = createEngine({ config: { includedReports: ['SkuLevelActions'], enableIncrementalExports: false } });
+    const lines = fixtureCsv('SkuLevelActions').split('\n');
+    const column = lines[0].split(',').indexOf('SaleAmount');
+    const setAmount = (line, amount) => {
+      const fields = lines[line].split(',');
+      fields[column] = amount;
+      lines[line] = fields.join(',');
+    };
+    setAmount(1, '"1.234.567"');
+    setAmount(2, 'n/a');
+    mock.setExport('SkuLevelActions', lines.join('\n'));
+
+    engine.call('runCompleteDiscovery');
+    const currency = engine.call('runTeamSKUAnalysis').analysis.currency;
+
+    expect(currency.unparsed).toEqual({ count: 1, samples: ['n/a'] });
+    const usd = currency.currencies.find(entry => entry.currency === 'USD');
+    expect(usd.unparsedRows).toBe(1);
+    // 1,234,567 plus the other USD rows of the fixture, without the n/a row
+    expect(usd.revenue).toBeCloseTo(1236070.97, 2);
+  });
+});
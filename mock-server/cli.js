@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Run the mock Impact.com server over HTTP
+ *
+ * Usage:
+ *   node mock-server/cli.js [--port 8787] [--sid IRxxxx] [--token xxxx]
+ *     [--fixtures dir] [--recording file.json] [--polls 1]
+ *     [--fault rateLimit:reports,times=2,retryAfter=5] [--fault failJob:export:SkuLevelActions]
+ *
+ * Point the engine at it with apiBaseUrl = http://127.0.0.1:<port>.
+ */
+
+const { createMockServer, parseFaultSpec } = require('./index');
+
+function parseArgs(argv) {
+  const options = { port: 8787, faults: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case '--port': options.port = Number(value); i++; break;
+      case '--sid': options.sid = value; i++; break;
+      case '--token': options.token = value; i++; break;
+      case '--fixtures': options.fixtures = value; i++; break;
+      case '--recording': options.recording = value; i++; break;
+      case '--polls': options.pollsUntilComplete = Number(value); i++; break;
+      case '--fault': options.faults.push(parseFaultSpec(value)); i++; break;
+      default:
+        throw new Error('Unknown option: ' + flag);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const mock = createMockServer(options);
+  const { url, close } = await mock.listen(options.port);
+
+  console.log('✓ Mock Impact.com API listening on ' + url);
+  if (options.faults.length > 0) {
+    console.log('  Faults: ' + options.faults.map(f => f.type + ':' + (f.endpoint || 'default')).join(', '));
+  }
+
+  const shutdown = async () => {
+    await close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('Failed to start mock server:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+/**
+ * Fault injection rules for the mock Impact server
+ *
+ * A rule is { type, endpoint, reportId, skip, times, ...type options }:
+ *   rateLimit   - 429 with Retry-After (retryAfter seconds, default 1)
+ *   serverError - 5xx response (status, default 503)
+ *   stuckJob    - job never leaves QUEUED (applies to jobs of the matching report)
+ *   failJob     - job reports FAILED with an Error message
+ *   truncateCsv - download cut off after truncateAt bytes (default: half the file)
+ *
+ * endpoint is 'reports', 'metadata', 'export', 'job', 'download', 'collection' or '*' (a
+ * collection's reportId is its name, e.g. Actions). skip lets that many matching requests
+ * through before the rule fires; times limits how often it fires.
+ */
+
+const FAULT_TYPES = ['rateLimit', 'serverError', 'stuckJob', 'failJob', 'truncateCsv'];
+
+// Faults tied to a job's lifecycle rather than to a single request
+const JOB_FAULTS = ['stuckJob', 'failJob'];
+
+class FaultInjector {
+  /**
+   * @param {Object[]} rules - Fault rules
+   */
+  constructor(rules = []) {
+    this.rules = [];
+    this.fired = [];
+    rules.forEach(rule => this.add(rule));
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Fault rule
+   * @returns {Object} The normalized rule
+   */
+  add(rule) {
+    if (!FAULT_TYPES.includes(rule.type)) {
+      throw new Error('Unknown fault type: ' + rule.type + ' (expected ' + FAULT_TYPES.join(', ') + ')');
+    }
+
+    const normalized = {
+      endpoint: JOB_FAULTS.includes(rule.type) ? 'export' : '*',
+      reportId: null,
+      skip: 0,
+      times: JOB_FAULTS.includes(rule.type) ? Infinity : 1,
+      ...rule,
+      seen: 0,
+      count: 0
+    };
+    this.rules.push(normalized);
+    return normalized;
+  }
+
+  clear() {
+    this.rules = [];
+    this.fired = [];
+  }
+
+  /**
+   * Find the rule that fires for this request, consuming one use of it
+   * @param {Object} request - { endpoint, reportId }
+   * @param {string[]} types - Fault types the caller can apply
+   * @returns {Object|null}
+   */
+  take(request, types = FAULT_TYPES) {
+    for (const rule of this.rules) {
+      if (!types.includes(rule.type)) continue;
+      if (rule.endpoint !== '*' && rule.endpoint !== request.endpoint) continue;
+      if (rule.reportId && rule.reportId !== request.reportId) continue;
+
+      rule.seen++;
+      if (rule.seen <= rule.skip || rule.count >= rule.times) continue;
+
+      rule.count++;
+      this.fired.push({ type: rule.type, endpoint: request.endpoint, reportId: request.reportId || null });
+      return rule;
+    }
+    return null;
+  }
+}
+
+/**
+ * Parse a CLI fault spec: type[:endpoint[:reportId]][,key=value...]
+ * e.g. "rateLimit:reports,times=2,retryAfter=5" or "failJob:export:SkuLevelActions"
+ * @param {string} spec
+ * @returns {Object}
+ */
+function parseFaultSpec(spec) {
+  const [head, ...options] = spec.split(',');
+  const [type, endpoint, reportId] = head.split(':');
+  const rule = { type: type };
+  if (endpoint) rule.endpoint = endpoint;
+  if (reportId) rule.reportId = reportId;
+
+  options.forEach(option => {
+    const [key, value] = option.split('=');
+    rule[key] = isNaN(Number(value)) ? value : Number(value);
+  });
+
+  return rule;
+}
+
+module.exports = { FaultInjector, parseFaultSpec, FAULT_TYPES };
@@ -0,0 +1,375 @@
+/**
+ * Mock Impact.com API
+ *
+ * Simulates /Mediapartners/{sid}/Reports (or /Advertisers/{sid}/...), /Reports/{id}/MetaData,
+ * /ReportExport/{id}, /Jobs/{jobId} and the job's ResultUri download from
+ * fixture files, serves the paged Actions, Clicks and Invoices lists, replays recorded exchanges,
+ * and injects faults. handle() is synchronous so it can back the platform's
+ * UrlFetchApp directly; listen() serves the same routes over HTTP.
+ */
+
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { FaultInjector } = require('./fault-injector');
+const { loadRecording } = require('./recorder');
+const { parseCsv } = require('../platform/utilities');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures');
+const ROUTE = /^\/(Mediapartners|Advertisers)\/([^/]+)\/(Reports|ReportExport|Jobs|Actions|Clicks|Invoices)(?:\/([^/]+?)(?:\.(?:json|csv))?)?(\/Download|\/MetaData)?\/?$/;
+
+function json(statusCode, body, headers = {}) {
+  return {
+    statusCode: statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+class MockImpactServer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.sid] - Account SID the server answers for
+   * @param {string} [options.token] - When set, Basic auth must match sid:token
+   * @param {string} [options.fixtures] - Fixture directory (reports.json, exports/*.csv, metadata/*.json,
+   *   collections/*.json)
+   * @param {string|Object} [options.recording] - Recorded exchanges to replay first
+   * @param {Object[]} [options.faults] - Fault rules (see fault-injector.js)
+   * @param {number} [options.pollsUntilComplete] - Job polls answered QUEUED before COMPLETED
+   */
+  constructor(options = {}) {
+    this.sid = options.sid || null;
+    this.token = options.token || null;
+    this.fixturesDir = options.fixtures || DEFAULT_FIXTURES;
+    this.pollsUntilComplete = options.pollsUntilComplete === undefined ? 1 : options.pollsUntilComplete;
+    this.recording = options.recording ? loadRecording(options.recording) : null;
+    this.faults = new FaultInjector(options.faults || []);
+    this.reports = this.loadReports();
+    this.exports = {};
+    this.collections = {};
+    this.jobs = new Map();
+    this.nextJobNumber = 1;
+    this.requests = [];
+
+    this.handle = this.handle.bind(this);
+  }
+
+  loadReports() {
+    const file = path.join(this.fixturesDir, 'reports.json');
+    return fs.pathExistsSync(file) ? fs.readJsonSync(file) : { Reports: [] };
+  }
+
+  /**
+   * Register or replace the CSV a report export returns
+   * @param {string} reportId - Report ID
+   * @param {string} csv - CSV text
+   */
+  setExport(reportId, csv) {
+    this.exports[reportId] = csv;
+  }
+
+  /**
+   * Register or replace the records a collection (Actions, Clicks, Invoices) lists
+   * @param {string} name - Collection name
+   * @param {Object[]} records - Records, served in pages
+   */
+  setCollection(name, records) {
+    this.collections[name] = records;
+  }
+
+  getCollection(name) {
+    if (this.collections[name] !== undefined) return this.collections[name];
+    const file = path.join(this.fixturesDir, 'collections', name + '.json');
+    return fs.pathExistsSync(file) ? fs.readJsonSync(file) : [];
+  }
+
+  getExportCsv(reportId) {
+    if (this.exports[reportId] !== undefined) return this.exports[reportId];
+    const file = path.join(this.fixturesDir, 'exports', reportId + '.csv');
+    return fs.pathExistsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  }
+
+  /**
+   * Handle a request in the platform's UrlFetchApp handler format
+   * @param {Object} request - { url, method, headers, payload }
+   * @returns {Object} { statusCode, headers, body }
+   */
+  handle(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const query = url.search.replace(/^\?/, '');
+    const entry = { method: request.method || 'GET', path: url.pathname, query: query };
+    this.requests.push(entry);
+
+    const response = this.route(request, url, query, entry);
+    entry.status = response.statusCode;
+    return response;
+  }
+
+  route(request, url, query, entry) {
+    const match = url.pathname.match(ROUTE);
+    if (!match) {
+      return json(404, { Status: 'ERROR', Message: 'Resource not found: ' + url.pathname });
+    }
+
+    const [, accountResource, sid, resource, id, suffix] = match;
+    const base = '/' + accountResource + '/' + sid;
+    if (this.sid && sid !== this.sid) {
+      return json(403, { Status: 'ERROR', Message: 'Account ' + sid + ' is not accessible' });
+    }
+    if (!this.isAuthorized(request, sid)) {
+      return json(401, { Status: 'ERROR', Message: 'Unauthorized' });
+    }
+
+    const endpoint = suffix === '/Download' ? 'download' : suffix === '/MetaData' ? 'metadata' :
+      { Reports: 'reports', ReportExport: 'export', Jobs: 'job' }[resource] || 'collection';
+    const job = resource === 'Jobs' ? this.jobs.get(id) : null;
+    const reportId = resource === 'ReportExport' || endpoint === 'metadata' ? id :
+      (endpoint === 'collection' ? resource : (job ? job.reportId : null));
+    entry.endpoint = endpoint;
+
+    const fault = this.faults.take({ endpoint: endpoint, reportId: reportId }, ['rateLimit', 'serverError']);
+    if (fault && fault.type === 'rateLimit') {
+      return json(429, { Status: 'ERROR', Message: 'Too many requests' }, {
+        'Retry-After': String(fault.retryAfter === undefined ? 1 : fault.retryAfter)
+      });
+    }
+    if (fault && fault.type === 'serverError') {
+      return json(fault.status || 503, { Status: 'ERROR', Message: 'Service unavailable' });
+    }
+
+    if (this.recording) {
+      const recordedPath = url.pathname.split(sid).join('{sid}');
+      const exchange = this.recording.match(entry.method, recordedPath, query.split(sid).join('{sid}'));
+      if (exchange) {
+        return {
+          statusCode: exchange.status,
+          headers: exchange.headers,
+          body: exchange.body.split('{sid}').join(sid)
+        };
+      }
+    }
+
+    if (endpoint === 'collection') return this.listCollection(base, resource, url.searchParams);
+    if (endpoint === 'reports') return this.listReports(sid, id);
+    if (endpoint === 'metadata') return this.reportMetadata(id);
+    if (endpoint === 'export') return this.scheduleExport(base, id, url.searchParams);
+    if (endpoint === 'download') return this.download(id);
+    return this.jobStatus(base, id);
+  }
+
+  isAuthorized(request, sid) {
+    if (!this.token) return true;
+    const headers = request.headers || {};
+    const auth = headers.Authorization || headers.authorization || '';
+    return auth === 'Basic ' + Buffer.from(sid + ':' + this.token).toString('base64');
+  }
+
+  withSid(value, sid) {
+    return JSON.parse(JSON.stringify(value).split('{sid}').join(sid));
+  }
+
+  listReports(sid, reportId) {
+    if (reportId) {
+      const report = this.reports.Reports.find(r => r.Id === reportId);
+      return report ? json(200, this.withSid(report, sid)) :
+        json(404, { Status: 'ERROR', Message: 'Report ' + reportId + ' not found' });
+    }
+    return json(200, this.withSid(this.reports, sid));
+  }
+
+  /**
+   * One page of a collection, with the paging attributes the REST API returns
+   */
+  listCollection(base, name, params) {
+    const records = this.getCollection(name);
+    const pageSize = Math.max(1, parseInt(params.get('PageSize'), 10) || 100);
+    const numPages = Math.max(1, Math.ceil(records.length / pageSize));
+    const page = Math.max(1, parseInt(params.get('Page'), 10) || 1);
+
+    const pageUri = number => {
+      const query = new URLSearchParams(params);
+      query.set('PageSize', String(pageSize));
+      query.set('Page', String(number));
+      return base + '/' + name + '?' + query.toString();
+    };
+
+    return json(200, {
+      '@page': String(page),
+      '@numpages': String(numPages),
+      '@pagesize': String(pageSize),
+      '@total': String(records.length),
+      '@start': String((page - 1) * pageSize),
+      '@end': String(Math.min(page * pageSize, records.length) - 1),
+      '@uri': pageUri(page),
+      '@firstpageuri': pageUri(1),
+      '@previouspageuri': page > 1 ? pageUri(page - 1) : '',
+      '@nextpageuri': page < numPages ? pageUri(page + 1) : '',
+      '@lastpageuri': pageUri(numPages),
+      [name]: records.slice((page - 1) * pageSize, page * pageSize)
+    });
+  }
+
+  /**
+   * Filters and columns for a report: metadata/<id>.json when present, with
+   * Filters defaulting to startdate/enddate and Attributes to the export's header
+   */
+  reportMetadata(reportId) {
+    const report = this.reports.Reports.find(r => r.Id === reportId);
+    if (!report) {
+      return json(404, { Status: 'ERROR', Message: 'Report ' + reportId + ' not found' });
+    }
+
+    const file = path.join(this.fixturesDir, 'metadata', reportId + '.json');
+    const metadata = fs.pathExistsSync(file) ? fs.readJsonSync(file) : {};
+
+    if (!metadata.Filters) {
+      metadata.Filters = report.Filters || [
+        { Name: 'startdate', DataType: 'DATETIME', Required: false },
+        { Name: 'enddate', DataType: 'DATETIME', Required: false }
+      ];
+    }
+    if (!metadata.Attributes) {
+      const csv = this.getExportCsv(reportId);
+      const header = csv ? parseCsv(csv.replace(/^\ufeff/, '').split(/\r?\n/)[0])[0] || [] : [];
+      metadata.Attributes = header.map(name => ({ Name: name, DataType: 'STRING' }));
+    }
+
+    return json(200, { Id: report.Id, Name: report.Name, ...metadata });
+  }
+
+  scheduleExport(base, reportId, params) {
+    const report = this.reports.Reports.find(r => r.Id === reportId);
+    if (!report) {
+      return json(404, { Status: 'ERROR', Message: 'Report ' + reportId + ' not found' });
+    }
+    if (!report.ApiAccessible) {
+      return json(403, { Status: 'ERROR', Message: 'Report ' + reportId + ' is not API accessible' });
+    }
+
+    const jobId = 'A' + String(this.nextJobNumber++).padStart(7, '0') + '-mock';
+    const jobFault = this.faults.take({ endpoint: 'export', reportId: reportId }, ['stuckJob', 'failJob']);
+    this.jobs.set(jobId, {
+      jobId: jobId,
+      reportId: reportId,
+      params: Object.fromEntries(params.entries()),
+      polls: 0,
+      fault: jobFault ? jobFault.type : null,
+      error: jobFault ? (jobFault.error || 'Report generation failed') : null
+    });
+
+    return json(200, {
+      Status: 'QUEUED',
+      QueuedUri: base + '/Jobs/' + jobId,
+      ResultUri: base + '/Jobs/' + jobId + '/Download'
+    });
+  }
+
+  jobStatus(base, jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return json(404, { Status: 'ERROR', Message: 'Job ' + jobId + ' not found' });
+    }
+
+    job.polls++;
+    let status = job.polls > this.pollsUntilComplete ? 'COMPLETED' : 'QUEUED';
+    if (job.fault === 'stuckJob') status = 'QUEUED';
+    if (job.fault === 'failJob') status = 'FAILED';
+
+    const body = {
+      Id: jobId,
+      Status: status,
+      ReportId: job.reportId,
+      CreatedDate: new Date().toISOString(),
+      ResultUri: base + '/Jobs/' + jobId + '/Download'
+    };
+    if (status === 'FAILED') body.Error = job.error;
+
+    return json(200, body);
+  }
+
+  download(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return json(404, { Status: 'ERROR', Message: 'Job ' + jobId + ' not found' });
+    }
+
+    let csv = this.getExportCsv(job.reportId);
+    if (csv === null) {
+      csv = 'Id\n';
+    }
+    csv = this.applyDateWindow(csv, job.params);
+
+    const fault = this.faults.take({ endpoint: 'download', reportId: job.reportId }, ['truncateCsv']);
+    if (fault) {
+      const cut = fault.truncateAt === undefined ? Math.floor(csv.length / 2) : fault.truncateAt;
+      csv = csv.substring(0, cut);
+    }
+
+    return { statusCode: 200, headers: { 'Content-Type': 'text/csv' }, body: csv };
+  }
+
+  /**
+   * Keep rows whose ActionDate/Date falls inside startdate..enddate, the way
+   * the real API scopes an export to its window
+   */
+  applyDateWindow(csv, params) {
+    if (!params.startdate && !params.enddate) return csv;
+
+    const bom = csv.charCodeAt(0) === 0xfeff ? '\ufeff' : '';
+    const rows = parseCsv(bom ? csv.substring(1) : csv);
+    if (rows.length < 2) return csv;
+
+    const dateIndex = rows[0].findIndex(h => /^(ActionDate|EventDate|Date)$/i.test(h));
+    if (dateIndex === -1) return csv;
+
+    const start = params.startdate ? Date.parse(params.startdate) : -Infinity;
+    const end = params.enddate ? Date.parse(params.enddate) : Infinity;
+    const kept = rows.slice(1).filter(row => {
+      const time = Date.parse(row[dateIndex]);
+      return isNaN(time) || (time >= start && time <= end);
+    });
+
+    return bom + [rows[0]].concat(kept).map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Serve the mock over HTTP
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Bind address
+   * @returns {Promise<{url: string, port: number, close: Function}>}
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const response = this.handle({
+          url: 'http://' + host + req.url,
+          method: req.method,
+          headers: req.headers,
+          payload: Buffer.concat(chunks).toString()
+        });
+        res.writeHead(response.statusCode, response.headers);
+        res.end(response.body);
+      });
+    });
+
+    return new Promise(resolve => {
+      server.listen(port, host, () => {
+        const actualPort = server.address().port;
+        resolve({
+          url: 'http://' + host + ':' + actualPort,
+          port: actualPort,
+          server: server,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+    });
+  }
+}
+
+module.exports = { MockImpactServer, DEFAULT_FIXTURES };
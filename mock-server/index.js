@@ -0,0 +1,27 @@
+/**
+ * Mock Impact.com server - module exports
+ */
+
+const { MockImpactServer, DEFAULT_FIXTURES } = require('./impact-mock-server');
+const { FaultInjector, parseFaultSpec, FAULT_TYPES } = require('./fault-injector');
+const { ExchangeRecorder, loadRecording } = require('./recorder');
+
+/**
+ * Create a mock server
+ * @param {Object} options - See MockImpactServer
+ * @returns {MockImpactServer}
+ */
+function createMockServer(options = {}) {
+  return new MockImpactServer(options);
+}
+
+module.exports = {
+  createMockServer,
+  MockImpactServer,
+  FaultInjector,
+  ExchangeRecorder,
+  loadRecording,
+  parseFaultSpec,
+  FAULT_TYPES,
+  DEFAULT_FIXTURES
+};
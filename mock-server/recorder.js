@@ -0,0 +1,121 @@
+/**
+ * Record live API exchanges as replayable fixtures
+ *
+ * Wrap a UrlFetchApp transport with recordingTransport() during a real run,
+ * then save() the exchanges. The account SID is replaced with {sid} and request
+ * headers (credentials) are never stored.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Response headers worth keeping in a recording
+const KEPT_HEADERS = /^(content-type|retry-after|x-ratelimit-.*)$/i;
+
+class ExchangeRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.sid - Account SID to redact
+   * @param {string} [options.name] - Recording name
+   */
+  constructor(options = {}) {
+    this.sid = options.sid || '';
+    this.name = options.name || 'recording';
+    this.exchanges = [];
+  }
+
+  redact(text) {
+    return this.sid ? String(text).split(this.sid).join('{sid}') : String(text);
+  }
+
+  /**
+   * Record one request/response pair
+   * @param {Object} request - Transport request
+   * @param {HTTPResponse} response - Shim response
+   */
+  record(request, response) {
+    const url = new URL(request.url);
+    const headers = {};
+    Object.entries(response.getHeaders()).forEach(([key, value]) => {
+      if (KEPT_HEADERS.test(key)) headers[key] = value;
+    });
+
+    this.exchanges.push({
+      method: request.method,
+      path: this.redact(url.pathname),
+      query: this.redact(url.search.replace(/^\?/, '')),
+      status: response.getResponseCode(),
+      headers: headers,
+      body: this.redact(response.getContentText())
+    });
+  }
+
+  /**
+   * Wrap a transport so every exchange is recorded
+   * @param {Function} transport - UrlFetchApp transport
+   * @returns {Function}
+   */
+  wrap(transport) {
+    return requests => {
+      const responses = transport(requests);
+      responses.forEach((response, i) => this.record(requests[i], response));
+      return responses;
+    };
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      exchanges: this.exchanges
+    };
+  }
+
+  /**
+   * Write the recording to disk
+   * @param {string} file - Output path
+   * @returns {string}
+   */
+  save(file) {
+    fs.ensureDirSync(path.dirname(file));
+    fs.writeJsonSync(file, this.toJSON(), { spaces: 2 });
+    return file;
+  }
+}
+
+/**
+ * Load a recording and index it for replay. Exchanges with the same method and
+ * path are returned in recorded order; the last one repeats once exhausted.
+ * @param {string|Object} source - File path or recording object
+ * @returns {Object} { match(method, path, query) }
+ */
+function loadRecording(source) {
+  const recording = typeof source === 'string' ? fs.readJsonSync(source) : source;
+  const queues = new Map();
+
+  recording.exchanges.forEach(exchange => {
+    const key = exchange.method + ' ' + exchange.path;
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(exchange);
+  });
+
+  const cursors = new Map();
+
+  return {
+    name: recording.name,
+    match(method, requestPath, query) {
+      const queue = queues.get(method + ' ' + requestPath);
+      if (!queue) return null;
+
+      // Prefer an exact query match when the recording has one
+      const exact = queue.filter(exchange => exchange.query === query);
+      const candidates = exact.length > 0 ? exact : queue;
+      const cursorKey = method + ' ' + requestPath + (exact.length > 0 ? '?' + query : '');
+      const index = cursors.get(cursorKey) || 0;
+      cursors.set(cursorKey, index + 1);
+      return candidates[Math.min(index, candidates.length - 1)];
+    }
+  };
+}
+
+module.exports = { ExchangeRecorder, loadRecording };
@@ -18,9 +18,46 @@
 // CONFIGURATION (OPTIMIZED)
 // ============================================================================
 
+/**
+ * Impact account types: the API resource their endpoints live under, and the
+ * defaults that differ for that side's report catalog. A default only applies
+ * while the setting hasn't been changed in the stored config or account profile.
+ */
+const API_ACCOUNT_TYPES = {
+  mediapartner: { resource: 'Mediapartners', defaults: {} },
+  advertiser: {
+    resource: 'Advertisers',
+    defaults: {
+      // The partner-side exclusions name mp_/partner_ reports brands don't have
+      excludedReports: [],
+      // No SkuLevelActions or partner performance reports; actions come from the action listings
+      mergeKeyColumns: { '*action_listing*': ['ActionId'] },
+      statusHistoryReports: { '*action_listing*': { statusField: 'Status' } },
+      incrementalReports: { '*action_listing*': { watermarkField: 'ActionDate', lockingDateField: 'LockingDate' } },
+      requiredColumns: { '*action_listing*': ['ActionId', 'Status', 'SaleAmount'] }
+    }
+  }
+};
+
+/**
+ * Settings kept in their own Script Properties (with an _<ACCOUNT> suffix for
+ * account profiles) rather than in IMPACT_OPTIMIZED_CONFIG, so a saved config
+ * can't point one account's runs at another account's credentials or workbook
+ */
+const CREDENTIAL_PROPERTIES = {
+  impactSid: 'IMPACT_SID',
+  impactToken: 'IMPACT_TOKEN',
+  spreadsheetId: 'IMPACT_SPREADSHEET_ID'
+};
+
 class ImpactConfig {
-  constructor() {
+  /**
+   * @param {string} accountName - Account profile to load (default: the
+   *   account currently being run, or none for the single-account setup)
+   */
+  constructor(accountName) {
     this.props = PropertiesService.getScriptProperties();
+    this.accountName = accountName !== undefined ? accountName : ImpactConfig.activeAccount;
     this.config = this.loadConfiguration();
   }
 
@@ -28,11 +65,18 @@ class ImpactConfig {
     const defaults = {
       // API Configuration
       apiBaseUrl: 'https://api.impact.com',
+      accountType: 'mediapartner', // 'mediapartner' (/Mediapartners/{sid}) or 'advertiser' (/Advertisers/{sid}) - set per account profile
       maxRetries: 5,
       retryDelay: 5000, // Increased from 1000 to 5000
       maxRetryDelay: 60000, // Increased from 30000 to 60000
       retryMultiplier: 2.0, // Increased from 1.5 to 2.0
 
+      // Circuit Breaker (state is kept per endpoint: reports, export, jobs, download)
+      enableCircuitBreaker: true,
+      circuitBreakerThreshold: 5, // Consecutive failed requests before the breaker opens
+      circuitBreakerTimeout: 60000, // How long an open breaker blocks requests before probing
+      circuitBreakerEndpoints: {}, // Per-endpoint overrides, e.g. { download: { threshold: 3, timeout: 300000 } }
+
       // Polling Configuration (Optimized)
       maxPollingAttempts: 30,
       initialPollingDelay: 3000,
@@ -42,9 +86,12 @@ class ImpactConfig {
       quickPollingDelay: 2000,
 
       // Rate Limiting (Optimized)
-      requestDelay: 2000, // Increased from 800 to 2000
-      burstDelay: 500, // Increased from 200 to 500
-      parallelRequestLimit: 1,
+      requestDelay: 2000, // Pause between scheduling batches when enableRateLimiter is off
+      burstDelay: 500, // Pause between exports in a batch when enableRateLimiter is off
+      parallelRequestLimit: 3, // Job status polls sent together in one fetchAll round
+      enableRateLimiter: true, // Shared token bucket across all API clients and executions
+      rateLimitBucketSize: 5, // Requests that may go out back to back
+      rateLimitRefillPerSecond: 0.5, // Sustained request rate
 
       // Data Processing (Memory Optimized)
       maxRowsPerSheet: 30000, // Lowered from 50000 to prevent timeout on large writes
@@ -53,16 +100,23 @@ class ImpactConfig {
       memoryCleanupInterval: 10,
 
       // Performance Settings
-      enableParallelProcessing: true,
+      enableParallelProcessing: true, // Poll all outstanding export jobs together instead of one at a time
       enableSmartChunking: true,
       enableMemoryOptimization: true,
       enableProgressCompression: true,
+      enableStreamingIngestion: true, // Stream CSV batches into sheets instead of parsing whole files
 
       // Resume and Recovery
       enableResume: true,
       enableAutoRecovery: true,
       maxRecoveryAttempts: 3,
       progressSaveInterval: 5,
+      jobQueueMaxAgeHours: 12, // Queued export jobs older than this are scheduled again
+      jobQueueMaxAttempts: 3, // Download attempts per queued job before it is dropped
+      enableAutoContinuation: true, // Schedule a one-off trigger to continue after a timeout
+      continuationDelayMinutes: 1,
+      maxContinuationsPerDay: 10,
+      staleContinuationMinutes: 60, // Continuation triggers this far past due are deleted
 
       // Timeout Prevention
       maxExecutionTime: 28 * 60 * 1000, // 28 minutes (2 min buffer for cleanup before 30 min hard limit)
@@ -75,6 +129,111 @@ class ImpactConfig {
       forceRefresh: false, // Force refresh all data regardless of freshness
       enableDataFreshness: true, // Enable freshness checking
 
+      // Merge Writes (update report sheets in place by natural key)
+      enableMergeWrites: true, // Merge into existing sheets instead of rewriting them
+      mergeKeyColumns: {
+        // Report ID, name or wildcard pattern -> columns that identify a row
+        'SkuLevelActions': ['ActionId', 'Sku'],
+        '*action_listing*': ['ActionId'],
+        'partner_performance_by_subid': ['Date', 'Campaign', 'SubId1', 'SubId2', 'SubId3']
+      },
+      markVanishedRows: false, // Flag rows missing from a full export instead of leaving them untouched
+      vanishedRowColumn: 'Export Status', // Column used for the vanished-row flag
+
+      // Status History (PENDING -> REVERSED tracking for action reports)
+      enableStatusHistory: true,
+      statusHistoryReports: {
+        // Report ID, name or wildcard pattern -> status column (keys come from mergeKeyColumns)
+        'SkuLevelActions': { statusField: 'Status' },
+        '*action_listing*': { statusField: 'Status' }
+      },
+      statusChangesSheetName: 'Status Changes',
+      reversalMetricsSheetName: 'Reversal Rates',
+
+      // Export Parameter Profiles
+      reportProfiles: {
+        // Report ID, name or wildcard pattern -> query parameters sent with every export of that report.
+        // Arrays are sent comma-separated; explicit parameters (e.g. incremental windows) win.
+        // e.g. 'partner_performance_by_subid': { SUBAID: '12345', timezone: 'America/New_York', date_granularity: 'DAY' }
+        '*action_listing*': { ActionStatus: ['APPROVED', 'PENDING', 'REVERSED'] }
+      },
+
+      // Report Metadata (filters and columns from Reports/{id}/MetaData)
+      enableReportMetadata: true, // Validate exports against each report's filters and list them in a catalog sheet
+      reportMetadataMaxAgeHours: 168, // Fetch a report's metadata again after this long
+      reportCatalogSheetName: 'Report Catalog',
+
+      // Schema Drift Detection (header changes between exports of the same report)
+      enableSchemaDriftDetection: true,
+      schemaChangesSheetName: 'Schema Changes',
+      requiredColumns: {
+        // Report ID, name or wildcard pattern -> columns downstream analysis reads (matched ignoring case and punctuation)
+        'SkuLevelActions': ['ActionId', 'Sku', 'SaleAmount', 'Earnings'],
+        '*action_listing*': ['ActionId', 'Status', 'SaleAmount']
+      },
+      blockAnalysisOnSchemaDrift: true, // Refuse team/BI analysis while a required column is missing
+
+      // Canonical Column Dictionary (which header each analysis field reads)
+      columnDictionary: {
+        // Canonical field -> { aliases: [...], type: 'number' | 'date' | 'string' }. Aliases listed here are tried
+        // before the built-in ones; unknown field names define new fields.
+        // e.g. 'revenue': { aliases: ['GrossSales'] }, 'region': { aliases: ['Geo', 'Country'] }
+      },
+
+      // Typed Value Parsing (numbers, money and dates read by the analysis modules)
+      accountTimezone: '', // Impact account timezone, e.g. 'America/New_York'; dates without an offset are read in it (empty = script timezone)
+      dateFormats: ['MM/DD/YYYY', 'YYYY-MM-DD'], // Tried in order for dates that aren't ISO 8601, e.g. 'DD/MM/YYYY' or 'DD.MM.YYYY'
+      decimalSeparator: 'auto', // '.', ',' or 'auto' (the last of '.' and ',' is the decimal; a lone ',' before 3 digits groups thousands)
+
+      // Multi-Currency Normalization (SaleAmount/Earnings converted for team and BI totals)
+      enableCurrencyNormalization: true,
+      reportingCurrency: 'USD', // Rows without a Currency column are assumed to be in this currency
+      currencyRatesSheetName: 'Currency Rates', // Effective Date | Currency | Rate (reporting currency per 1 unit)
+      currencyRates: {
+        // Currency -> { effective date: rate }; sheet rows win for the same day
+        // e.g. 'CAD': { '2025-01-01': 0.71, '2025-07-01': 0.73 }, 'GBP': { '2025-01-01': 1.27 }
+      },
+
+      // Incremental (Delta) Exports
+      enableIncrementalExports: false, // Opt in to request only new actions for reports listed below
+      incrementalOverlapHours: 72, // Re-request this much before the watermark to catch late updates
+      incrementalReports: {
+        // Report ID, name or wildcard pattern -> watermark columns (keys come from mergeKeyColumns)
+        'SkuLevelActions': { watermarkField: 'ActionDate', lockingDateField: 'LockingDate' },
+        '*action_listing*': { watermarkField: 'ActionDate', lockingDateField: 'LockingDate' }
+      },
+
+      // REST Collections (paged JSON list endpoints, no ReportExport/Jobs round trip)
+      restCollections: {
+        // Collection -> { params, pageSize, sheetName }, pulled after the report exports
+        // e.g. 'Actions': { params: { ActionDateStart: '2025-09-01T00:00:00Z' } }, 'Invoices': {}
+      },
+      restPageSize: 1000, // PageSize sent with each page request (the API caps it per endpoint)
+
+      // Output Sinks (where each report's rows are written)
+      outputSinks: {
+        // Report ID, name or wildcard pattern -> 'sheets', 'csv', 'jsonl', 'warehouse' or a list of them;
+        // reports without an entry go to Sheets. e.g. 'SkuLevelActions': ['warehouse', 'csv'], '*': 'sheets'
+      },
+      outputFolderId: '', // Drive folder for the csv and jsonl sinks
+      compressOutputFiles: true, // Gzip csv/jsonl files (.csv.gz, .jsonl.gz)
+      outputChunkRows: 50000, // Rows per csv/jsonl part file and per warehouse staging load
+      warehouseProjectId: '', // Google Cloud project for the warehouse sink (BigQuery advanced service)
+      warehouseDataset: 'impact_reports',
+      warehouseTablePrefix: '', // Prepended to each table name, e.g. 'impact_'
+      warehouseLoadTimeoutSeconds: 300, // Give up waiting for a warehouse job after this long
+
+      // Export Archive (every download kept with its run ID, date window and header)
+      enableExportArchive: false,
+      archiveStore: 'auto', // 'sqlite' (LocalDatabase, Node only), 'drive' (gzipped CSVs in archiveFolderId) or 'auto'
+      archiveFolderId: '', // Drive folder for the drive archive store
+
+      // Run History (one manifest per orchestrator run, kept across runs)
+      enableRunHistory: true,
+      runHistorySheetName: 'Run History',
+      runHistoryMaxRows: 1000, // Oldest runs are dropped from the sheet beyond this
+      runHistoryFolderId: '', // Drive folder for run-history.ndjson (empty = sheet only)
+
       // Date Range Filtering
       enableDateFiltering: true, // Enable date range filtering
       startDate: '2025-09-01T00:00:00Z', // Start date for reports (ISO 8601 format) - Updated to Sep 1, 2025
@@ -148,10 +307,14 @@ class ImpactConfig {
       // Report Inclusion (Overrides exclusion if set)
       includedReports: [], // Add Report IDs or Names here to ONLY collect these reports
 
-      // Credentials (Loaded from Script Properties for security)
-      impactSid: this.getSecureCredential('IMPACT_SID'),
-      impactToken: this.getSecureCredential('IMPACT_TOKEN'),
-      spreadsheetId: this.getSecureCredential('IMPACT_SPREADSHEET_ID'),
+      // Account Profiles (several Impact accounts from one project)
+      accounts: {
+        // Account name -> settings that override the ones above for that account's runs, e.g.
+        // 'acme': { spreadsheetId: '1AbC...', excludedReports: [...], startDate: '2025-01-01T00:00:00Z' }
+        // Stored in Script Properties by addAccountProfile(), which also keeps the credentials
+      },
+      tagRowsWithAccount: true, // Add an Account column to report sheets written for an account profile
+      accountColumnName: 'Account',
 
       // Notifications
       enableEmailNotifications: false,
@@ -162,19 +325,173 @@ class ImpactConfig {
       // Debugging
       enableDetailedLogging: true,
       logLevel: 'INFO',
-      enablePerformanceMetrics: true
+      enablePerformanceMetrics: true,
+
+      // Log Sinks (entries kept after the execution transcript is gone)
+      logSinks: {
+        // Sink -> lowest level it keeps: 'sheet' (rolling Logs sheet), 'drive' (daily NDJSON files in logFolderId)
+        // or 'file' (daily NDJSON files through LocalFiles, Node only). e.g. { sheet: 'WARN', drive: 'INFO' }
+      },
+      logSheetName: 'Logs',
+      logSheetMaxRows: 5000, // Oldest rows are dropped from the Logs sheet beyond this
+      logFolderId: '', // Drive folder for the drive log sink
+      logRetentionDays: 30, // Entries older than this are pruned from every sink (0 = keep forever)
+      logFlushSize: 200 // Entries buffered before they are written; the rest are written when the run ends
     };
 
+    // The setup-configuration.js presets write their circuit breaker and log retention settings to IMPACT_CONFIG
+    const base = { ...defaults, ...this.loadLegacySettings() };
+
+    const stored = this.loadStoredConfig();
+
+    // Credentials (Loaded from Script Properties for security) win over any
+    // copy an earlier version saved in the stored config
+    let config = { ...base, ...stored, ...this.loadCredentials() };
+    let profile = {};
+    if (this.accountName) {
+      config = this.applyAccountProfile(config);
+      profile = (stored.accounts || {})[this.accountName] || {};
+    }
+    return this.applyAccountTypeDefaults(config, defaults, [stored, profile]);
+  }
+
+  /**
+   * Settings saved in IMPACT_OPTIMIZED_CONFIG: the ones that were changed from
+   * their defaults, plus the account profiles
+   */
+  loadStoredConfig() {
     const configJson = this.props.getProperty('IMPACT_OPTIMIZED_CONFIG');
-    if (configJson) {
-      try {
-        return { ...defaults, ...JSON.parse(configJson) };
-      } catch (error) {
-        Logger.log('Failed to parse config: ' + error.message);
-        return defaults;
+    if (!configJson) return {};
+    try {
+      return JSON.parse(configJson) || {};
+    } catch (error) {
+      Logger.log('Failed to parse config: ' + error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Swap in the account type's defaults for settings the stored config and
+   * account profile leave alone. Older versions saved every setting, so a
+   * stored value equal to the partner-side default counts as unset too.
+   * @param {Object[]} overrides - Stored config and account profile
+   */
+  applyAccountTypeDefaults(config, defaults, overrides) {
+    const accountType = API_ACCOUNT_TYPES[config.accountType];
+    if (!accountType) return config;
+
+    for (const key in accountType.defaults) {
+      const changed = overrides.some(source => source.hasOwnProperty(key) &&
+        JSON.stringify(source[key]) !== JSON.stringify(defaults[key]));
+      if (!changed) {
+        config[key] = accountType.defaults[key];
       }
     }
-    return defaults;
+    return config;
+  }
+
+  /**
+   * Credentials for the default account, or IMPACT_SID_<ACCOUNT> etc. for an
+   * account profile. An account without its own spreadsheet writes into the
+   * default one (a combined workbook).
+   */
+  loadCredentials() {
+    if (!this.accountName) {
+      return {
+        impactSid: this.getSecureCredential('IMPACT_SID'),
+        impactToken: this.getSecureCredential('IMPACT_TOKEN'),
+        spreadsheetId: this.getSecureCredential('IMPACT_SPREADSHEET_ID')
+      };
+    }
+
+    const suffix = '_' + ImpactConfig.accountKey(this.accountName);
+    if (!this.props.getProperty('IMPACT_SID' + suffix)) {
+      throw new Error('No credentials for account profile ' + this.accountName + '. Run addAccountProfile() first.');
+    }
+    return {
+      impactSid: this.getSecureCredential('IMPACT_SID' + suffix),
+      impactToken: this.getSecureCredential('IMPACT_TOKEN' + suffix),
+      spreadsheetId: this.props.getProperty('IMPACT_SPREADSHEET_ID' + suffix) ||
+        this.getSecureCredential('IMPACT_SPREADSHEET_ID')
+    };
+  }
+
+  /**
+   * Overlay an account profile's settings. Accounts sharing a workbook get
+   * their sheets prefixed with the account name so they don't overwrite
+   * each other.
+   */
+  applyAccountProfile(config) {
+    const accounts = config.accounts || {};
+    if (!accounts.hasOwnProperty(this.accountName)) {
+      throw new Error('Unknown account profile: ' + this.accountName +
+        ' (configured: ' + (Object.keys(accounts).join(', ') || 'none') + ')');
+    }
+
+    const profile = accounts[this.accountName] || {};
+    const merged = { ...config, ...profile, impactSid: config.impactSid, impactToken: config.impactToken };
+
+    const sharedWorkbook = merged.spreadsheetId === this.props.getProperty('IMPACT_SPREADSHEET_ID');
+    merged.accountName = this.accountName;
+    merged.sheetPrefix = profile.hasOwnProperty('sheetPrefix') ? profile.sheetPrefix :
+      (sharedWorkbook ? this.accountName + ' - ' : '');
+
+    ['reportCatalogSheetName', 'statusChangesSheetName', 'reversalMetricsSheetName', 'schemaChangesSheetName'].forEach(key => {
+      if (!profile.hasOwnProperty(key) && merged[key]) merged[key] = merged.sheetPrefix + merged[key];
+    });
+    return merged;
+  }
+
+  /**
+   * Script Properties key for per-run state (progress, freshness, queues, ...),
+   * scoped to the account profile being run
+   */
+  propertyKey(key) {
+    return ImpactConfig.scopedKey(this.accountName, key);
+  }
+
+  /**
+   * propertyKey() for an account without loading its configuration
+   * @param {string|null} accountName - Account profile, or null for the default account
+   * @param {string} key - Unscoped Script Properties key
+   */
+  static scopedKey(accountName, key) {
+    return accountName ? 'ACCOUNT_' + ImpactConfig.accountKey(accountName) + '__' + key : key;
+  }
+
+  static accountKey(accountName) {
+    return String(accountName).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  }
+
+  /**
+   * Names of the stored account profiles. Read without loading the default
+   * account, which needs no credentials of its own once profiles exist.
+   */
+  static getAccountNames() {
+    const configJson = PropertiesService.getScriptProperties().getProperty('IMPACT_OPTIMIZED_CONFIG');
+    if (!configJson) return [];
+    try {
+      return Object.keys(JSON.parse(configJson).accounts || {});
+    } catch (error) {
+      Logger.log('Failed to parse config: ' + error.message);
+      return [];
+    }
+  }
+
+  loadLegacySettings() {
+    const legacyJson = this.props.getProperty('IMPACT_CONFIG');
+    if (!legacyJson) return {};
+
+    try {
+      const legacy = JSON.parse(legacyJson);
+      const settings = {};
+      ['enableCircuitBreaker', 'circuitBreakerThreshold', 'circuitBreakerTimeout', 'logRetentionDays'].forEach(key => {
+        if (legacy.hasOwnProperty(key)) settings[key] = legacy[key];
+      });
+      return settings;
+    } catch (error) {
+      return {};
+    }
   }
 
   get(key, defaultValue = null) {
@@ -183,11 +500,52 @@ class ImpactConfig {
 
   set(key, value) {
     this.config[key] = value;
-    this.saveConfiguration();
+    if (CREDENTIAL_PROPERTIES.hasOwnProperty(key)) {
+      const suffix = this.accountName ? '_' + ImpactConfig.accountKey(this.accountName) : '';
+      this.props.setProperty(CREDENTIAL_PROPERTIES[key] + suffix, value);
+      return;
+    }
+
+    // Only changed settings are stored, so the defaults (including the
+    // account type's) keep applying to the rest. Settings changed during an
+    // account's run belong to its profile.
+    const stored = this.loadStoredConfig();
+    if (this.accountName) {
+      stored.accounts = stored.accounts || {};
+      stored.accounts[this.accountName] = { ...(stored.accounts[this.accountName] || {}), [key]: value };
+    } else {
+      stored[key] = value;
+    }
+    this.saveConfiguration(stored);
   }
 
-  saveConfiguration() {
-    this.props.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify(this.config));
+  /**
+   * Look up a per-report entry in a map setting keyed by report ID, report
+   * name or a wildcard pattern such as '*action_listing*'
+   * @returns {*} The matching entry, or null
+   */
+  getReportSetting(key, reportId, reportName) {
+    const settings = this.get(key, {}) || {};
+    if (settings.hasOwnProperty(reportId)) return settings[reportId];
+    if (reportName && settings.hasOwnProperty(reportName)) return settings[reportName];
+
+    for (const pattern in settings) {
+      if (pattern.indexOf('*') === -1) continue;
+      const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+      if (regex.test(reportId) || (reportName && regex.test(reportName))) return settings[pattern];
+    }
+    return null;
+  }
+
+  /**
+   * Write the stored settings back, leaving out anything kept in its own
+   * Script Property
+   * @param {Object} stored - Settings as returned by loadStoredConfig()
+   */
+  saveConfiguration(stored = this.loadStoredConfig()) {
+    const values = { ...stored };
+    Object.keys(CREDENTIAL_PROPERTIES).forEach(key => delete values[key]);
+    this.props.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify(values));
   }
 
   /**
@@ -223,6 +581,147 @@ class ImpactConfig {
       warnings.push('High parallelRequestLimit may trigger rate limits');
     }
 
+    const profiles = this.config.reportProfiles || {};
+    for (const pattern in profiles) {
+      const profile = profiles[pattern];
+      if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        errors.push('reportProfiles["' + pattern + '"] must be an object of query parameters');
+        continue;
+      }
+      for (const param in profile) {
+        const values = Array.isArray(profile[param]) ? profile[param] : [profile[param]];
+        if (values.length === 0 || values.some(v => v === null || typeof v === 'object')) {
+          errors.push('reportProfiles["' + pattern + '"].' + param + ' must be a value or a non-empty list of values');
+        }
+      }
+    }
+
+    const dictionary = this.config.columnDictionary || {};
+    for (const field in dictionary) {
+      const entry = dictionary[field];
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push('columnDictionary.' + field + ' must be an object with aliases and/or type');
+        continue;
+      }
+      if (entry.aliases !== undefined &&
+        (!Array.isArray(entry.aliases) || entry.aliases.some(a => typeof a !== 'string' || !a))) {
+        errors.push('columnDictionary.' + field + '.aliases must be a list of column names');
+      }
+      if (entry.type !== undefined && ['number', 'date', 'string'].indexOf(entry.type) === -1) {
+        errors.push('columnDictionary.' + field + '.type must be number, date or string');
+      }
+    }
+
+    if (this.config.accountTimezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: this.config.accountTimezone });
+      } catch (e) {
+        errors.push('accountTimezone "' + this.config.accountTimezone + '" is not a valid IANA timezone');
+      }
+    }
+    (this.config.dateFormats || []).forEach(format => {
+      try {
+        TypedValueParser.compileDateFormat(String(format));
+      } catch (e) {
+        errors.push('dateFormats: ' + e.message);
+      }
+    });
+    if (['auto', '.', ','].indexOf(this.config.decimalSeparator || 'auto') === -1) {
+      errors.push('decimalSeparator must be "auto", "." or ","');
+    }
+
+    const collections = this.config.restCollections || {};
+    for (const name in collections) {
+      const settings = collections[name];
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push('restCollections.' + name + ' must be an object with params, pageSize and/or sheetName');
+      } else if (settings.params && (typeof settings.params !== 'object' || Array.isArray(settings.params))) {
+        errors.push('restCollections.' + name + '.params must be an object of query parameters');
+      }
+    }
+    if (!(this.config.restPageSize > 0)) {
+      errors.push('restPageSize must be a positive number');
+    }
+
+    const outputSinks = this.config.outputSinks || {};
+    const sinkNames = {};
+    for (const pattern in outputSinks) {
+      [].concat(outputSinks[pattern]).forEach(name => {
+        if (OUTPUT_SINK_NAMES.indexOf(name) === -1) {
+          errors.push('outputSinks.' + pattern + ': unknown sink "' + name + '" (use ' + OUTPUT_SINK_NAMES.join(', ') + ')');
+        }
+        sinkNames[name] = true;
+      });
+    }
+    if ((sinkNames.csv || sinkNames.jsonl) && !this.config.outputFolderId) {
+      errors.push('outputFolderId is required for the csv and jsonl output sinks');
+    }
+    if (sinkNames.warehouse && !this.config.warehouseProjectId) {
+      errors.push('warehouseProjectId is required for the warehouse output sink');
+    }
+    if (sinkNames.warehouse && !/^\w+$/.test(String(this.config.warehouseDataset || ''))) {
+      errors.push('warehouseDataset must contain only letters, digits and underscores');
+    }
+
+    if (['auto', 'sqlite', 'drive'].indexOf(this.config.archiveStore || 'auto') === -1) {
+      errors.push('archiveStore must be "auto", "sqlite" or "drive"');
+    }
+    if (this.config.enableExportArchive && this.config.archiveStore === 'drive' && !this.config.archiveFolderId) {
+      errors.push('archiveFolderId is required for the drive export archive');
+    }
+
+    const logSinks = this.config.logSinks || {};
+    if (typeof logSinks !== 'object' || Array.isArray(logSinks)) {
+      errors.push('logSinks must map sink names to log levels');
+    } else {
+      for (const name in logSinks) {
+        if (LOG_SINK_NAMES.indexOf(name) === -1) {
+          errors.push('logSinks.' + name + ': unknown sink (use ' + LOG_SINK_NAMES.join(', ') + ')');
+        } else if (!LOG_LEVELS.hasOwnProperty(String(logSinks[name]).toUpperCase())) {
+          errors.push('logSinks.' + name + ' must be one of ' + Object.keys(LOG_LEVELS).join(', '));
+        }
+      }
+      if (logSinks.drive && !this.config.logFolderId) {
+        errors.push('logFolderId is required for the drive log sink');
+      }
+      if (logSinks.file && typeof LocalFiles === 'undefined') {
+        errors.push('The file log sink only works under Node (LocalFiles service)');
+      }
+    }
+    if (!(Number(this.config.logRetentionDays) >= 0)) {
+      errors.push('logRetentionDays must be 0 (keep forever) or a number of days');
+    }
+
+    const runHistoryMaxRows = this.config.runHistoryMaxRows;
+    if (runHistoryMaxRows !== undefined && !(Number.isInteger(runHistoryMaxRows) && runHistoryMaxRows > 0)) {
+      errors.push('runHistoryMaxRows must be a positive whole number');
+    }
+
+    if (!API_ACCOUNT_TYPES.hasOwnProperty(this.config.accountType)) {
+      errors.push('accountType must be one of: ' + Object.keys(API_ACCOUNT_TYPES).join(', '));
+    }
+
+    const accounts = this.config.accounts || {};
+    for (const name in accounts) {
+      if (!accounts[name] || typeof accounts[name] !== 'object' || Array.isArray(accounts[name])) {
+        errors.push('accounts.' + name + ' must be an object of settings');
+      } else if (accounts[name].impactSid || accounts[name].impactToken) {
+        errors.push('accounts.' + name + ' must not contain credentials - use addAccountProfile()');
+      }
+    }
+
+    if (!/^[A-Za-z]{3}$/.test(String(this.config.reportingCurrency || 'USD'))) {
+      errors.push('reportingCurrency must be a 3-letter currency code');
+    }
+    const currencyRates = this.config.currencyRates || {};
+    for (const currency in currencyRates) {
+      const rates = currencyRates[currency];
+      if (!rates || typeof rates !== 'object' || Array.isArray(rates) ||
+        Object.keys(rates).some(date => !(Number(rates[date]) > 0))) {
+        errors.push('currencyRates.' + currency + ' must map effective dates to positive rates');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors: errors,
@@ -242,6 +741,10 @@ class ImpactConfig {
   }
 }
 
+// Account profile being run; ImpactConfig instances created without an
+// explicit account (including those inside team and BI helpers) use it
+ImpactConfig.activeAccount = null;
+
 // ============================================================================
 // PERFORMANCE METRICS
 // ============================================================================
@@ -255,10 +758,22 @@ class PerformanceMetrics {
       failedCalls: 0,
       totalDataProcessed: 0,
       memoryUsage: [],
-      checkpoints: []
+      checkpoints: [],
+      rateLimitWaits: 0,
+      rateLimitWaitMs: 0,
+      rateLimitBudget: null
     };
   }
 
+  recordRateLimitWait(ms) {
+    this.metrics.rateLimitWaits++;
+    this.metrics.rateLimitWaitMs += ms;
+  }
+
+  recordRateLimitBudget(budget) {
+    this.metrics.rateLimitBudget = budget;
+  }
+
   recordAPICall(success = true) {
     this.metrics.apiCalls++;
     if (success) {
@@ -298,7 +813,10 @@ class PerformanceMetrics {
       successRate: this.metrics.apiCalls > 0 ?
         ((this.metrics.successfulCalls / this.metrics.apiCalls) * 100).toFixed(2) + '%' : '0%',
       dataProcessed: this.metrics.totalDataProcessed,
-      checkpoints: this.metrics.checkpoints.length
+      checkpoints: this.metrics.checkpoints.length,
+      rateLimitWaits: this.metrics.rateLimitWaits,
+      rateLimitWaitMs: this.metrics.rateLimitWaitMs,
+      rateLimitBudget: this.metrics.rateLimitBudget
     };
   }
 }
@@ -349,7 +867,7 @@ class EnhancedProgressTracker {
       progress.data = this.compressProgressData(data);
     }
 
-    this.props.setProperty('IMPACT_PROGRESS_V4', JSON.stringify(progress));
+    this.props.setProperty(this.config.propertyKey('IMPACT_PROGRESS_V4'), JSON.stringify(progress));
 
     // Also save a lightweight checkpoint
     this.saveCheckpoint(phase, data);
@@ -362,11 +880,11 @@ class EnhancedProgressTracker {
       summary: this.getProgressSummary(data)
     };
 
-    this.props.setProperty('IMPACT_CHECKPOINT', JSON.stringify(checkpoint));
+    this.props.setProperty(this.config.propertyKey('IMPACT_CHECKPOINT'), JSON.stringify(checkpoint));
   }
 
   getProgress() {
-    const progressJson = this.props.getProperty('IMPACT_PROGRESS_V4');
+    const progressJson = this.props.getProperty(this.config.propertyKey('IMPACT_PROGRESS_V4'));
     if (progressJson) {
       try {
         const progress = JSON.parse(progressJson);
@@ -386,7 +904,7 @@ class EnhancedProgressTracker {
   }
 
   getCheckpoint() {
-    const checkpointJson = this.props.getProperty('IMPACT_CHECKPOINT');
+    const checkpointJson = this.props.getProperty(this.config.propertyKey('IMPACT_CHECKPOINT'));
     if (checkpointJson) {
       try {
         return JSON.parse(checkpointJson);
@@ -398,7 +916,7 @@ class EnhancedProgressTracker {
   }
 
   getCompletedReports() {
-    const completed = this.props.getProperty('IMPACT_COMPLETED_V4');
+    const completed = this.props.getProperty(this.config.propertyKey('IMPACT_COMPLETED_V4'));
     if (completed) {
       try {
         return JSON.parse(completed);
@@ -419,7 +937,7 @@ class EnhancedProgressTracker {
         completedAt: Date.now(),
         ...metadata
       });
-      this.props.setProperty('IMPACT_COMPLETED_V4', JSON.stringify(completed));
+      this.props.setProperty(this.config.propertyKey('IMPACT_COMPLETED_V4'), JSON.stringify(completed));
     }
   }
 
@@ -473,12 +991,12 @@ class EnhancedProgressTracker {
   }
 
   clearProgress() {
-    this.props.deleteProperty('IMPACT_PROGRESS_V4');
-    this.props.deleteProperty('IMPACT_CHECKPOINT');
+    this.props.deleteProperty(this.config.propertyKey('IMPACT_PROGRESS_V4'));
+    this.props.deleteProperty(this.config.propertyKey('IMPACT_CHECKPOINT'));
   }
 
   clearCompleted() {
-    this.props.deleteProperty('IMPACT_COMPLETED_V4');
+    this.props.deleteProperty(this.config.propertyKey('IMPACT_COMPLETED_V4'));
   }
 
   clearAll() {
@@ -491,41 +1009,108 @@ class EnhancedProgressTracker {
 // ENHANCED LOGGER
 // ============================================================================
 
+const LOG_LEVELS = {
+  DEBUG: 0,
+  INFO: 1,
+  WARN: 2,
+  ERROR: 3,
+  FATAL: 4
+};
+
 class EnhancedLogger {
   constructor(config, metrics) {
     this.config = config;
     this.metrics = metrics;
-    this.logLevels = {
-      DEBUG: 0,
-      INFO: 1,
-      WARN: 2,
-      ERROR: 3,
-      FATAL: 4
-    };
+    this.logLevels = LOG_LEVELS;
     this.currentLevel = this.logLevels[this.config.get('logLevel', 'INFO')];
+    this.runId = '';
+    this.sinks = EnhancedLogger.createSinks(config);
+    this.buffer = [];
+    // Entries below every destination's level are dropped straight away
+    this.minimumLevel = Math.min.apply(null, [this.currentLevel].concat(this.sinks.map(sink => sink.minLevel)));
+  }
+
+  /**
+   * Sinks configured in logSinks. One that can't be set up is reported and
+   * left out rather than breaking every caller that creates a logger.
+   */
+  static createSinks(config) {
+    const levels = config.get('logSinks', {}) || {};
+    const sinks = [];
+    Object.keys(levels).forEach(name => {
+      if (!levels[name] || LOG_SINK_NAMES.indexOf(name) === -1) return;
+      try {
+        sinks.push(LogSink.create(name, config, levels[name]));
+      } catch (error) {
+        console.error('Log sink ' + name + ' disabled: ' + error.message);
+      }
+    });
+    return sinks;
+  }
+
+  /**
+   * Tag every following entry with the run it belongs to
+   */
+  setRunId(runId) {
+    this.runId = runId;
   }
 
   log(level, message, context = {}) {
     const levelNum = this.logLevels[level];
-    if (levelNum < this.currentLevel) return;
+    if (levelNum < this.minimumLevel) return;
 
     const timestamp = new Date().toISOString();
     const logEntry = {
       timestamp: timestamp,
       level: level,
+      runId: this.runId,
+      account: this.config.get('accountName', null) || '',
       message: message,
-      context: context,
-      metrics: this.config.get('enablePerformanceMetrics', true) ?
-        this.metrics.getSummary() : null
+      context: context
     };
+    // The metrics summary only travels with failures
+    if (levelNum >= this.logLevels.ERROR && this.config.get('enablePerformanceMetrics', true)) {
+      logEntry.metrics = this.metrics.getSummary();
+    }
+
+    if (levelNum >= this.currentLevel) {
+      console.log('[' + timestamp + '] ' + level + ': ' + message);
 
-    console.log('[' + timestamp + '] ' + level + ': ' + message);
+      if (this.config.get('enableDetailedLogging', true)) {
+        Logger.log(JSON.stringify(logEntry));
+      }
+    }
 
-    if (this.config.get('enableDetailedLogging', true)) {
-      Logger.log(JSON.stringify(logEntry));
+    if (this.sinks.length > 0) {
+      this.buffer.push({ levelNum: levelNum, entry: logEntry });
+      // A failure may end the execution before the caller gets to flush
+      if (levelNum >= this.logLevels.ERROR || this.buffer.length >= this.config.get('logFlushSize', 200)) {
+        this.flush();
+      }
     }
   }
 
+  /**
+   * Write buffered entries to every sink that keeps their level. Called at
+   * the end of a run and of each public function, on every ERROR or FATAL
+   * entry, and whenever logFlushSize entries are waiting.
+   */
+  flush() {
+    if (this.buffer.length === 0) return;
+
+    const buffered = this.buffer;
+    this.buffer = [];
+    this.sinks.forEach(sink => {
+      // Sinks without entries of their level still get their once-per-run pruning
+      const entries = buffered.filter(item => sink.accepts(item.levelNum)).map(item => item.entry);
+      try {
+        sink.flush(entries);
+      } catch (error) {
+        console.error('Log sink ' + sink.name + ' failed: ' + error.message);
+      }
+    });
+  }
+
   debug(message, context = {}) { this.log('DEBUG', message, context); }
   info(message, context = {}) { this.log('INFO', message, context); }
   warn(message, context = {}) { this.log('WARN', message, context); }
@@ -534,63 +1119,364 @@ class EnhancedLogger {
 }
 
 // ============================================================================
-// ENHANCED API CLIENT
+// LOG SINKS
 // ============================================================================
 
-class EnhancedAPIClient {
-  constructor(config, logger, metrics) {
+const LOG_SINK_NAMES = ['sheet', 'drive', 'file'];
+
+/**
+ * Somewhere log entries are kept after the execution ends. logSinks maps a
+ * sink name to the lowest level it keeps, e.g. { sheet: 'WARN', file: 'DEBUG' }.
+ * The first time a logger writes to a sink, entries older than
+ * logRetentionDays are pruned from it.
+ */
+class LogSink {
+  constructor(name, config, level) {
+    this.name = name;
     this.config = config;
-    this.logger = logger;
-    this.metrics = metrics;
-    this.credentials = config.getCredentials();
-    this.circuitBreaker = new CircuitBreaker(config);
+    const minLevel = LOG_LEVELS[String(level).toUpperCase()];
+    this.minLevel = minLevel === undefined ? LOG_LEVELS.INFO : minLevel;
+    this.pruned = false;
   }
 
-  makeRequest(endpoint, options = {}) {
-    if (!this.circuitBreaker.canExecute()) {
-      throw new Error('Circuit breaker is OPEN - too many failures');
+  static create(name, config, level) {
+    switch (name) {
+      case 'sheet': return new SheetLogSink(config, level);
+      case 'drive': return new DriveLogSink(config, level);
+      case 'file': return new LocalFileLogSink(config, level);
+      default: throw new Error('Unknown log sink: ' + name);
     }
+  }
 
-    const url = this.config.get('apiBaseUrl') + endpoint;
-    const basicAuth = Utilities.base64Encode(
-      this.credentials.sid + ':' + this.credentials.token
-    );
-
-    const requestOptions = {
-      method: options.method || 'GET',
-      headers: {
-        'Authorization': 'Basic ' + basicAuth,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      muteHttpExceptions: true
-    };
+  /**
+   * Does an entry match a searchLogs() query?
+   * @param {Object} query - { runId, account, level, text, since, until }
+   */
+  static matches(entry, query) {
+    if (query.runId && entry.runId !== query.runId) return false;
+    if (query.account && entry.account !== query.account) return false;
+    if (query.level && LOG_LEVELS[entry.level] < LOG_LEVELS[String(query.level).toUpperCase()]) return false;
+    if (query.since && entry.timestamp < new Date(query.since).toISOString()) return false;
+    if (query.until && entry.timestamp > new Date(query.until).toISOString()) return false;
+    if (query.text) {
+      const haystack = (entry.message + ' ' + JSON.stringify(entry.context || {})).toLowerCase();
+      if (haystack.indexOf(String(query.text).toLowerCase()) === -1) return false;
+    }
+    return true;
+  }
 
-    let lastError;
-    const maxRetries = this.config.get('maxRetries', 5);
-    const baseDelay = this.config.get('retryDelay', 1000);
-    const maxDelay = this.config.get('maxRetryDelay', 30000);
-    const multiplier = this.config.get('retryMultiplier', 1.5);
+  accepts(levelNum) {
+    return levelNum >= this.minLevel;
+  }
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        this.logger.debug('API request attempt ' + (attempt + 1), {
-          endpoint: endpoint,
-          attempt: attempt + 1
-        });
+  /**
+   * Oldest timestamp kept, or null when logRetentionDays is 0 (keep everything)
+   */
+  getCutoff() {
+    const days = Number(this.config.get('logRetentionDays', 30));
+    return days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  }
 
-        const response = UrlFetchApp.fetch(url, requestOptions);
-        const statusCode = response.getResponseCode();
-        const content = response.getContentText();
-        const headers = response.getHeaders();
+  flush(entries) {
+    if (entries.length > 0) this.write(entries);
+    if (!this.pruned) {
+      this.pruned = true;
+      const cutoff = this.getCutoff();
+      if (cutoff) this.prune(cutoff);
+    }
+  }
+}
 
-        if (statusCode >= 200 && statusCode < 300) {
-          this.circuitBreaker.recordSuccess();
-          this.metrics.recordAPICall(true);
-          this.metrics.recordDataProcessed(content.length);
+/**
+ * Rolling "Logs" sheet in the account's workbook: one row per entry, trimmed
+ * to logSheetMaxRows
+ */
+class SheetLogSink extends LogSink {
+  constructor(config, level) {
+    super('sheet', config, level);
+    this.sheetName = config.get('logSheetName', 'Logs');
+    this.headers = ['Timestamp', 'Level', 'Run ID', 'Account', 'Message', 'Context'];
+  }
 
-          this.logger.debug('API request successful', {
+  getSheet(create) {
+    const spreadsheet = SpreadsheetApp.openById(this.config.get('spreadsheetId'));
+    let sheet = spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet && create) {
+      sheet = spreadsheet.insertSheet(this.sheetName);
+      sheet.getRange(1, 1, 1, this.headers.length).setValues([this.headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  write(entries) {
+    const sheet = this.getSheet(true);
+    // A cell holds at most 50,000 characters
+    const rows = entries.map(entry => [entry.timestamp, entry.level, entry.runId, entry.account, entry.message,
+      JSON.stringify(entry.context || {}).substring(0, 5000)]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.headers.length).setValues(rows);
+
+    const excess = sheet.getLastRow() - 1 - this.config.get('logSheetMaxRows', 5000);
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  }
+
+  prune(cutoff) {
+    const sheet = this.getSheet(false);
+    if (!sheet || sheet.getLastRow() < 2) return;
+
+    // Rows are appended in time order, so the expired ones are at the top
+    const timestamps = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    let expired = 0;
+    while (expired < timestamps.length && String(timestamps[expired][0]) < cutoff) {
+      expired++;
+    }
+    if (expired > 0) {
+      sheet.deleteRows(2, expired);
+    }
+  }
+
+  read() {
+    const sheet = this.getSheet(false);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues().map(row => {
+      let context = {};
+      try {
+        context = JSON.parse(row[5] || '{}');
+      } catch (e) {
+        context = { raw: row[5] };
+      }
+      return { timestamp: String(row[0]), level: row[1], runId: row[2], account: row[3], message: row[4], context: context };
+    });
+  }
+}
+
+/**
+ * One NDJSON file per day (impact-log-YYYY-MM-DD.ndjson); retention removes
+ * whole files. Subclasses say where the files live.
+ */
+class DailyLogFileSink extends LogSink {
+  static fileName(day) {
+    return 'impact-log-' + day + '.ndjson';
+  }
+
+  static dayOf(fileName) {
+    const match = /^impact-log-(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(fileName);
+    return match ? match[1] : null;
+  }
+
+  write(entries) {
+    const byDay = {};
+    entries.forEach(entry => {
+      const day = entry.timestamp.substring(0, 10);
+      byDay[day] = (byDay[day] || '') + JSON.stringify(entry) + '\n';
+    });
+    Object.keys(byDay).forEach(day => this.appendText(DailyLogFileSink.fileName(day), byDay[day]));
+  }
+
+  prune(cutoff) {
+    const cutoffDay = cutoff.substring(0, 10);
+    this.listFileNames().forEach(name => {
+      const day = DailyLogFileSink.dayOf(name);
+      if (day && day < cutoffDay) this.removeFile(name);
+    });
+  }
+
+  /**
+   * @param {string} since - Skip files from before this date (optional)
+   */
+  read(since) {
+    const sinceDay = since ? new Date(since).toISOString().substring(0, 10) : '';
+    const entries = [];
+    this.listFileNames()
+      .filter(name => DailyLogFileSink.dayOf(name) && DailyLogFileSink.dayOf(name) >= sinceDay)
+      .sort()
+      .forEach(name => {
+        this.readText(name).split('\n').forEach(line => {
+          if (!line.trim()) return;
+          try {
+            entries.push(JSON.parse(line));
+          } catch (e) {
+            // A line cut off mid-write is skipped
+          }
+        });
+      });
+    return entries;
+  }
+}
+
+/**
+ * Daily log files in the Drive folder logFolderId
+ */
+class DriveLogSink extends DailyLogFileSink {
+  constructor(config, level) {
+    super('drive', config, level);
+    this.folderId = config.get('logFolderId', '');
+  }
+
+  getFolder() {
+    return DriveApp.getFolderById(this.folderId);
+  }
+
+  appendText(name, text) {
+    const folder = this.getFolder();
+    const files = folder.getFilesByName(name);
+    if (files.hasNext()) {
+      const file = files.next();
+      file.setContent(file.getBlob().getDataAsString() + text);
+    } else {
+      folder.createFile(name, text, 'application/x-ndjson');
+    }
+  }
+
+  readText(name) {
+    const files = this.getFolder().getFilesByName(name);
+    return files.hasNext() ? files.next().getBlob().getDataAsString() : '';
+  }
+
+  listFileNames() {
+    const names = [];
+    const files = this.getFolder().getFiles();
+    while (files.hasNext()) {
+      names.push(files.next().getName());
+    }
+    return names;
+  }
+
+  removeFile(name) {
+    const files = this.getFolder().getFilesByName(name);
+    while (files.hasNext()) {
+      files.next().setTrashed(true);
+    }
+  }
+}
+
+/**
+ * Daily log files on disk through the LocalFiles service (Node only)
+ */
+class LocalFileLogSink extends DailyLogFileSink {
+  constructor(config, level) {
+    super('file', config, level);
+    if (typeof LocalFiles === 'undefined') {
+      throw new Error('The file log sink needs the LocalFiles service, which only exists when running under Node');
+    }
+  }
+
+  appendText(name, text) { LocalFiles.appendText(name, text); }
+  readText(name) { return LocalFiles.readText(name); }
+  listFileNames() { return LocalFiles.listFiles(); }
+  removeFile(name) { LocalFiles.deleteFile(name); }
+}
+
+// ============================================================================
+// ENHANCED API CLIENT
+// ============================================================================
+
+class EnhancedAPIClient {
+  constructor(config, logger, metrics) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.credentials = config.getCredentials();
+    this.circuitBreakers = {};
+    this.rateLimiter = new RateLimiter(config, logger, metrics);
+    this.metadataCatalog = new ReportMetadataCatalog(config, logger, this);
+    this.props = PropertiesService.getScriptProperties();
+    this.cursorKey = config.propertyKey('IMPACT_REST_CURSORS');
+  }
+
+  /**
+   * Resource root for the account's endpoints: /Mediapartners/{sid} or /Advertisers/{sid}
+   */
+  accountPath() {
+    const accountType = API_ACCOUNT_TYPES[this.config.get('accountType', 'mediapartner')];
+    if (!accountType) {
+      throw new Error('Unknown accountType: ' + this.config.get('accountType') +
+        ' (expected ' + Object.keys(API_ACCOUNT_TYPES).join(' or ') + ')');
+    }
+    return '/' + accountType.resource + '/' + this.credentials.sid;
+  }
+
+  /**
+   * Circuit breaker for the kind of endpoint a path hits
+   * @param {string} path - Request path
+   * @returns {CircuitBreaker}
+   */
+  getCircuitBreaker(path) {
+    let name = 'api';
+    if (/\/Jobs\/[^/?]+\/Download/.test(path)) name = 'download';
+    else if (path.indexOf('/Jobs/') !== -1) name = 'jobs';
+    else if (path.indexOf('/ReportExport/') !== -1) name = 'export';
+    else if (/\/Reports(\/|\?|$)/.test(path)) name = 'reports';
+
+    if (!this.circuitBreakers[name]) {
+      this.circuitBreakers[name] = new CircuitBreaker(this.config, name, this.logger);
+    }
+    return this.circuitBreakers[name];
+  }
+
+  assertCircuitClosed(circuitBreaker) {
+    if (!circuitBreaker.canExecute()) {
+      const retryAt = circuitBreaker.getRetryAt();
+      throw new Error('Circuit breaker is OPEN for ' + circuitBreaker.name + ' requests - too many failures' +
+        (retryAt ? '. Next attempt after ' + retryAt.toISOString() : ''));
+    }
+  }
+
+  makeRequest(endpoint, options = {}) {
+    const circuitBreaker = this.getCircuitBreaker(endpoint);
+    this.assertCircuitClosed(circuitBreaker);
+
+    const url = this.config.get('apiBaseUrl') + endpoint;
+    const basicAuth = Utilities.base64Encode(
+      this.credentials.sid + ':' + this.credentials.token
+    );
+
+    const requestOptions = {
+      method: options.method || 'GET',
+      headers: {
+        'Authorization': 'Basic ' + basicAuth,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...options.headers
+      },
+      muteHttpExceptions: true
+    };
+
+    let lastError;
+    const maxRetries = this.config.get('maxRetries', 5);
+    const baseDelay = this.config.get('retryDelay', 1000);
+    const maxDelay = this.config.get('maxRetryDelay', 30000);
+    const multiplier = this.config.get('retryMultiplier', 1.5);
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Waiting on the shared budget isn't part of the request, so its errors
+      // are neither retried nor counted against the API
+      this.rateLimiter.acquire(endpoint);
+
+      try {
+        this.logger.debug('API request attempt ' + (attempt + 1), {
+          endpoint: endpoint,
+          attempt: attempt + 1
+        });
+
+        const response = UrlFetchApp.fetch(url, requestOptions);
+        const statusCode = response.getResponseCode();
+        const content = response.getContentText();
+        const headers = response.getHeaders();
+
+        if (statusCode !== 429) {
+          this.rateLimiter.observe(statusCode, headers);
+        }
+
+        if (statusCode >= 200 && statusCode < 300) {
+          circuitBreaker.recordSuccess();
+          this.metrics.recordAPICall(true);
+          this.metrics.recordDataProcessed(content.length);
+
+          this.logger.debug('API request successful', {
             endpoint: endpoint,
             statusCode: statusCode,
             contentLength: content.length
@@ -627,9 +1513,12 @@ class EnhancedAPIClient {
             retryAfter = 60;
           }
 
+          this.rateLimiter.observe(statusCode, headers, retryAfter);
           throw new Error('API request failed: 429 - Rate Limit Exceeded (Retry-After: ' + retryAfter + ')');
         } else {
-          throw new Error('API request failed: ' + statusCode + ' - ' + content);
+          const error = new Error('API request failed: ' + statusCode + ' - ' + content);
+          error.statusCode = statusCode;
+          throw error;
         }
       } catch (error) {
         lastError = error;
@@ -640,6 +1529,11 @@ class EnhancedAPIClient {
           throw error; // Re-throw immediately to stop retries
         }
 
+        // A missing resource won't appear on retry and says nothing about the API's health
+        if (error.statusCode === 404) {
+          throw error;
+        }
+
         if (attempt < maxRetries) {
           let delay;
 
@@ -654,6 +1548,9 @@ class EnhancedAPIClient {
               endpoint: endpoint,
               attempt: attempt + 1
             });
+
+            // The limiter already holds the next request until Retry-After has passed
+            if (this.rateLimiter.enabled) delay = 0;
           } else {
             delay = Math.min(baseDelay * Math.pow(multiplier, attempt), maxDelay);
             this.logger.warn('API request failed, retrying in ' + delay + 'ms', {
@@ -664,12 +1561,12 @@ class EnhancedAPIClient {
             });
           }
 
-          Utilities.sleep(delay);
+          if (delay > 0) Utilities.sleep(delay);
         }
       }
     }
 
-    this.circuitBreaker.recordFailure(lastError);
+    circuitBreaker.recordFailure(lastError);
     this.logger.error('API request failed after all retries', {
       endpoint: endpoint,
       attempts: maxRetries + 1,
@@ -680,7 +1577,7 @@ class EnhancedAPIClient {
 
   discoverReports() {
     this.logger.info('Discovering reports');
-    const response = this.makeRequest('/Mediapartners/' + this.credentials.sid + '/Reports');
+    const response = this.makeRequest(this.accountPath() + '/Reports');
     const excludedReports = this.config.get('excludedReports', []);
     const includedReports = this.config.get('includedReports', []);
 
@@ -717,23 +1614,214 @@ class EnhancedAPIClient {
     return reports;
   }
 
-  scheduleExport(reportId, params = {}) {
+  /**
+   * Page through a REST list endpoint (Actions, Clicks, Invoices, ...) by
+   * following @nextpageuri. Every page goes through makeRequest, so it waits
+   * for the rate limiter and is retried like any other call. After onPage
+   * returns, the next page's URI and the state it returned are checkpointed;
+   * a later call resumes from there instead of page 1.
+   * @param {string} collection - Endpoint name; each page lists its records under the same key
+   * @param {Object} params - Query parameters for the first page
+   * @param {Object} options - { pageSize, beforePage(), onPage(records, page, state) -> state, state }
+   * @returns {Object} { collection, pages, records, resumedAtPage, state }
+   */
+  collectPages(collection, params = {}, options = {}) {
+    const cursor = this.getCollectionCursor(collection);
+    const pageSize = options.pageSize || this.config.get('restPageSize', 1000);
+
+    let uri;
+    if (cursor) {
+      uri = cursor.nextUri;
+      this.logger.info('Resuming ' + collection + ' at page ' + (cursor.page + 1), { records: cursor.records });
+    } else {
+      const query = ['PageSize=' + encodeURIComponent(pageSize)];
+      for (const key in params) {
+        query.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
+      }
+      uri = this.accountPath() + '/' + collection + '?' + query.join('&');
+    }
+
+    let page = cursor ? cursor.page : 0;
+    let records = cursor ? cursor.records : 0;
+    let state = cursor ? cursor.state : (options.state || null);
+
+    while (uri) {
+      if (options.beforePage) options.beforePage(page + 1);
+
+      const data = this.makeRequest(uri).data || {};
+      const items = data[collection] || [];
+      page++;
+      records += items.length;
+
+      if (options.onPage) {
+        state = options.onPage(items, {
+          page: page,
+          numPages: parseInt(data['@numpages'], 10) || null,
+          total: parseInt(data['@total'], 10) || null
+        }, state);
+      }
+
+      const nextUri = data['@nextpageuri'] || null;
+      if (nextUri === uri) {
+        throw new Error(collection + ' page ' + page + ' points to itself as the next page');
+      }
+      uri = nextUri;
+      if (uri) {
+        this.saveCollectionCursor(collection, { nextUri: uri, page: page, records: records, state: state });
+      }
+    }
+
+    this.clearCollectionCursor(collection);
+    this.logger.info('Collected ' + records + ' ' + collection + ' in ' + page + ' page(s)');
+
+    return {
+      collection: collection,
+      pages: page,
+      records: records,
+      resumedAtPage: cursor ? cursor.page + 1 : null,
+      state: state
+    };
+  }
+
+  /**
+   * Checkpoint of a collection stopped between pages, or null
+   */
+  getCollectionCursor(collection) {
+    const stored = this.props.getProperty(this.cursorKey);
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored)[collection] || null;
+    } catch (error) {
+      this.logger.warn('Discarding unreadable collection cursors', { error: error.message });
+      return null;
+    }
+  }
+
+  saveCollectionCursor(collection, cursor) {
+    const cursors = this.getCollectionCursors();
+    cursors[collection] = { ...cursor, updatedAt: new Date().toISOString() };
+    this.props.setProperty(this.cursorKey, JSON.stringify(cursors));
+  }
+
+  clearCollectionCursor(collection) {
+    const cursors = this.getCollectionCursors();
+    if (!cursors[collection]) return;
+    delete cursors[collection];
+    if (Object.keys(cursors).length > 0) {
+      this.props.setProperty(this.cursorKey, JSON.stringify(cursors));
+    } else {
+      this.props.deleteProperty(this.cursorKey);
+    }
+  }
+
+  getCollectionCursors() {
+    try {
+      return JSON.parse(this.props.getProperty(this.cursorKey) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Raw Reports/{id}/MetaData response (see ReportMetadataCatalog)
+   * @param {string} reportId - Report ID
+   * @returns {Object} Metadata with Filters and Attributes
+   */
+  getReportMetadata(reportId) {
+    const response = this.makeRequest(
+      this.accountPath() + '/Reports/' + encodeURIComponent(reportId) + '/MetaData'
+    );
+    return response.data || {};
+  }
+
+  /**
+   * Query parameters reportProfiles sets for a report, checked against its
+   * metadata. When the metadata lists the report's Filters, parameters it
+   * doesn't accept are dropped with a warning and values outside a filter's
+   * AllowedValues are rejected.
+   * @param {Object} report - Report metadata ({ Id, Name, ApiAccessible, Filters })
+   * @returns {Object} Query parameters, arrays joined with commas
+   */
+  getProfileParams(report) {
+    const profile = this.config.getReportSetting('reportProfiles', report.Id, report.Name);
+    if (!profile) return {};
+
+    const errors = [];
+    if (report.ApiAccessible === false) {
+      errors.push('report is not API accessible');
+    }
+
+    const params = {};
+    for (const name in profile) {
+      const values = Array.isArray(profile[name]) ? profile[name] : [profile[name]];
+      if (values.length === 0 || values.some(v => v === null || typeof v === 'object')) {
+        errors.push(name + ' must be a value or a non-empty list of values');
+        continue;
+      }
+
+      const filter = this.metadataCatalog.getFilter(report, name);
+      if (filter === null) {
+        this.logger.warn('Dropping ' + name + ' for ' + report.Id + ' - the report does not accept it');
+        continue;
+      }
+      if (filter) {
+        const allowed = Array.isArray(filter.AllowedValues) ?
+          filter.AllowedValues.map(v => String(v).toUpperCase()) : null;
+        const invalid = allowed ? values.filter(v => allowed.indexOf(String(v).toUpperCase()) === -1) : [];
+        if (invalid.length > 0) {
+          errors.push(name + ' does not accept ' + invalid.join(', ') + ' (allowed: ' + filter.AllowedValues.join(', ') + ')');
+          continue;
+        }
+      }
+
+      params[name] = values.join(',');
+    }
+
+    if (errors.length > 0) {
+      throw new Error('Invalid report profile for ' + report.Id + ': ' + errors.join('; '));
+    }
+    return params;
+  }
+
+  /**
+   * @param {string} reportId - Report ID
+   * @param {Object} params - Query parameters; these win over the report's profile
+   * @param {Object} report - Report for profile matching and validation (defaults to { Id: reportId });
+   *   cached catalog metadata is attached when it has no Filters of its own
+   */
+  scheduleExport(reportId, params = {}, report = null) {
+    report = this.metadataCatalog.describe(report || { Id: reportId });
+    const profileParams = this.getProfileParams(report);
+    if (Object.keys(profileParams).length > 0) {
+      this.logger.info('Applying report profile for ' + reportId, { params: profileParams });
+    }
+    params = Object.assign({}, profileParams, params);
+
     this.logger.info('DEBUG: scheduleExport called', { reportId: reportId, params: params });
     this.logger.debug('Scheduling export', { reportId: reportId, params: params });
 
     const queryParts = [];
 
-    // Add date range parameters if configured
-    if (this.config.get('enableDateFiltering', false)) {
+    // Add date range parameters if configured (an explicit window in params wins)
+    const hasExplicitWindow = params.startdate !== undefined || params.enddate !== undefined;
+    const dateWindow = { startdate: params.startdate || null, enddate: params.enddate || null };
+    let dateFiltering = this.config.get('enableDateFiltering', false) && !hasExplicitWindow;
+    if (dateFiltering && this.metadataCatalog.getFilter(report, 'startdate') === null) {
+      this.logger.info(reportId + ' has no date filter - exporting without the configured date range');
+      dateFiltering = false;
+    }
+    if (dateFiltering) {
       const startDate = this.config.get('startDate');
       const endDate = this.config.get('endDate');
 
       if (startDate) {
+        dateWindow.startdate = startDate;
         queryParts.push('startdate=' + encodeURIComponent(startDate));
         this.logger.debug('Added start date', { startDate: startDate });
       }
 
       if (endDate) {
+        dateWindow.enddate = endDate;
         queryParts.push('enddate=' + encodeURIComponent(endDate));
         this.logger.debug('Added end date', { endDate: endDate });
       }
@@ -747,8 +1835,17 @@ class EnhancedAPIClient {
     const queryString = queryParts.join('&');
     this.logger.info('DEBUG: Final query string', { queryString: queryString });
 
+    // The export would only come back FAILED without these
+    const sent = {};
+    queryParts.forEach(part => { sent[decodeURIComponent(part.split('=')[0])] = true; });
+    const missing = this.metadataCatalog.getMissingRequiredFilters(report, sent);
+    if (missing.length > 0) {
+      throw new Error('Cannot export ' + reportId + ': required filter(s) ' + missing.join(', ') +
+        ' not set. Add them to reportProfiles.');
+    }
+
     const response = this.makeRequest(
-      '/Mediapartners/' + this.credentials.sid + '/ReportExport/' + reportId + '?' + queryString
+      this.accountPath() + '/ReportExport/' + reportId + '?' + queryString
     );
 
     const jobId = response.data.QueuedUri.match(/\/Jobs\/([^/]+)/)[1];
@@ -759,12 +1856,13 @@ class EnhancedAPIClient {
       reportId: reportId,
       jobId: jobId,
       scheduledAt: new Date(),
-      params: params
+      params: params,
+      dateWindow: dateWindow
     };
   }
 
   checkJobStatus(jobId) {
-    const response = this.makeRequest('/Mediapartners/' + this.credentials.sid + '/Jobs/' + jobId);
+    const response = this.makeRequest(this.accountPath() + '/Jobs/' + jobId);
     return {
       jobId: jobId,
       status: response.data.Status ? response.data.Status.toLowerCase() : 'unknown',
@@ -773,20 +1871,121 @@ class EnhancedAPIClient {
     };
   }
 
+  /**
+   * Poll several export jobs in UrlFetchApp.fetchAll rounds. Each round takes
+   * all of its tokens from the rate limiter before anything is sent, so a round
+   * is never larger than the bucket. A poll that got no usable answer comes
+   * back with pollError instead of throwing, so the caller can try that job
+   * again next round.
+   * @param {string[]} jobIds - Jobs to poll
+   * @returns {Object[]} Statuses in checkJobStatus shape, in jobIds order
+   */
+  checkJobStatuses(jobIds) {
+    const basePath = this.accountPath() + '/Jobs/';
+    const circuitBreaker = this.getCircuitBreaker(basePath + jobIds[0]);
+    this.assertCircuitClosed(circuitBreaker);
+
+    const basicAuth = Utilities.base64Encode(this.credentials.sid + ':' + this.credentials.token);
+    const roundSize = this.rateLimiter.enabled ? Math.max(1, Math.floor(this.rateLimiter.capacity)) : jobIds.length;
+    const statuses = [];
+    let anySucceeded = false;
+    let lastError = null;
+
+    for (let start = 0; start < jobIds.length; start += roundSize) {
+      const round = jobIds.slice(start, start + roundSize);
+      this.rateLimiter.acquire(basePath + ' (' + round.length + ' jobs)', round.length);
+
+      const responses = UrlFetchApp.fetchAll(round.map(jobId => ({
+        url: this.config.get('apiBaseUrl') + basePath + jobId,
+        method: 'get',
+        headers: {
+          'Authorization': 'Basic ' + basicAuth,
+          'Accept': 'application/json'
+        },
+        muteHttpExceptions: true
+      })));
+
+      responses.forEach((response, i) => {
+        const jobId = round[i];
+        const statusCode = response.getResponseCode();
+        const headers = response.getHeaders();
+        const content = response.getContentText();
+
+        if (statusCode === 429) {
+          const retryAfter = parseInt(headers['Retry-After'] || headers['retry-after'], 10);
+          this.rateLimiter.observe(statusCode, headers, isNaN(retryAfter) ? 60 : retryAfter);
+          this.metrics.recordAPICall(false);
+          statuses.push({ jobId: jobId, status: 'unknown', pollError: 'API request failed: 429 - Rate Limit Exceeded' });
+          return;
+        }
+
+        this.rateLimiter.observe(statusCode, headers);
+        if (statusCode < 200 || statusCode >= 300) {
+          lastError = new Error('API request failed: ' + statusCode + ' - ' + content);
+          this.metrics.recordAPICall(false);
+          statuses.push({ jobId: jobId, status: 'unknown', pollError: lastError.message });
+          return;
+        }
+
+        // An unreadable body only costs this job its poll, not the round
+        let data;
+        try {
+          data = content ? JSON.parse(content) : {};
+        } catch (error) {
+          lastError = new Error('Unreadable job status: ' + error.message);
+          this.metrics.recordAPICall(false);
+          statuses.push({ jobId: jobId, status: 'unknown', pollError: lastError.message });
+          return;
+        }
+
+        anySucceeded = true;
+        this.metrics.recordAPICall(true);
+        this.metrics.recordDataProcessed(content.length);
+        statuses.push({
+          jobId: jobId,
+          status: data.Status ? data.Status.toLowerCase() : 'unknown',
+          resultUri: data.ResultUri,
+          error: data.Error
+        });
+      });
+    }
+
+    // One breaker failure per round that got nothing back, like one exhausted makeRequest
+    if (anySucceeded) {
+      circuitBreaker.recordSuccess();
+    } else if (lastError) {
+      circuitBreaker.recordFailure(lastError);
+    }
+
+    this.logger.debug('Polled ' + jobIds.length + ' jobs', {
+      statuses: statuses.map(s => s.jobId + ':' + (s.pollError ? 'error' : s.status)).join(', ')
+    });
+
+    return statuses;
+  }
+
   downloadResult(resultUri) {
     this.logger.debug('Downloading result', { resultUri: resultUri });
 
     const url = this.config.get('apiBaseUrl') + resultUri;
     const basicAuth = Utilities.base64Encode(this.credentials.sid + ':' + this.credentials.token);
 
+    const circuitBreaker = this.getCircuitBreaker(resultUri);
+    this.assertCircuitClosed(circuitBreaker);
+
+    this.rateLimiter.acquire(resultUri);
     const response = UrlFetchApp.fetch(url, {
       headers: { 'Authorization': 'Basic ' + basicAuth },
       muteHttpExceptions: true
     });
+    this.rateLimiter.observe(response.getResponseCode(), response.getHeaders());
 
     if (response.getResponseCode() !== 200) {
-      throw new Error('Download failed: ' + response.getResponseCode() + ' - ' + response.getContentText());
+      const error = new Error('Download failed: ' + response.getResponseCode() + ' - ' + response.getContentText());
+      circuitBreaker.recordFailure(error);
+      throw error;
     }
+    circuitBreaker.recordSuccess();
 
     const content = response.getContentText();
     this.metrics.recordDataProcessed(content.length);
@@ -801,786 +2000,4857 @@ class EnhancedAPIClient {
 }
 
 // ============================================================================
-// CIRCUIT BREAKER
+// RATE LIMITER
 // ============================================================================
 
-class CircuitBreaker {
-  constructor(config) {
+/**
+ * Token bucket shared by every EnhancedAPIClient through script properties, so
+ * separate runners and overlapping executions draw from one request budget.
+ * The bucket refills at rateLimitRefillPerSecond up to rateLimitBucketSize, and
+ * X-RateLimit-Remaining-* / Retry-After headers from Impact tighten it further.
+ */
+class RateLimiter {
+  constructor(config, logger, metrics) {
     this.config = config;
-    this.failureCount = 0;
-    this.lastFailureTime = null;
-    this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
-    this.threshold = 5;
-    this.timeout = 60000; // 1 minute
-  }
-
-  canExecute() {
-    if (this.state === 'CLOSED') return true;
-
-    if (this.state === 'OPEN') {
-      if (Date.now() - this.lastFailureTime > this.timeout) {
-        this.state = 'HALF_OPEN';
-        return true;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.props = PropertiesService.getScriptProperties();
+    this.storageKey = config.propertyKey('IMPACT_RATE_LIMIT');
+    this.enabled = config.get('enableRateLimiter', true);
+    this.capacity = config.get('rateLimitBucketSize', 5);
+    this.refillPerSecond = config.get('rateLimitRefillPerSecond', 0.5);
+    this.maxWait = 300000; // Longest single Utilities.sleep
+    this.lockTimeout = 10000;
+    this.localState = null; // Last budget seen, used while another execution holds the lock
+  }
+
+  loadState() {
+    const stored = this.props.getProperty(this.storageKey);
+    if (stored) {
+      try {
+        return JSON.parse(stored);
+      } catch (error) {
+        this.logger.warn('Discarding unreadable rate limiter state', { error: error.message });
       }
-      return false;
     }
-
-    return true; // HALF_OPEN
+    return { tokens: this.capacity, updatedAt: Date.now(), blockedUntil: 0, server: null };
   }
 
-  recordSuccess() {
-    this.failureCount = 0;
-    this.state = 'CLOSED';
+  saveState(state) {
+    this.props.setProperty(this.storageKey, JSON.stringify(state));
   }
 
-  recordFailure(error) {
-    // Don't count rate limits as system failures
-    if (error && (error.message.includes('429') || error.message.includes('Rate Limit'))) {
-      return;
+  /**
+   * Load, change and save the budget while holding the script lock, so two
+   * executions can't both spend the same tokens. When the lock can't be had the
+   * change is made to this instance's in-memory copy instead of failing the
+   * request; the shared budget catches up on the next locked update.
+   * @param {Function} update - Receives the state to modify; its result is returned
+   */
+  updateState(update) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(this.lockTimeout)) {
+      this.logger.warn('Rate limiter lock unavailable - using the in-memory budget');
+      const state = this.localState || this.loadState();
+      const result = update(state);
+      this.localState = state;
+      return result;
     }
 
-    this.failureCount++;
-    this.lastFailureTime = Date.now();
-
-    if (this.failureCount >= this.threshold) {
-      this.state = 'OPEN';
+    try {
+      const state = this.loadState();
+      const result = update(state);
+      this.saveState(state);
+      this.localState = state;
+      return result;
+    } finally {
+      lock.releaseLock();
     }
   }
-}
-
-// ============================================================================
-// ENHANCED DATA PROCESSOR
-// ============================================================================
-
-class EnhancedDataProcessor {
-  constructor(config, logger, metrics) {
-    this.config = config;
-    this.logger = logger;
-    this.metrics = metrics;
-  }
-
-  processCSVData(csvData) {
-    this.logger.info('Processing CSV data', {
-      size: csvData.length,
-      estimatedRows: Math.floor(csvData.length / 100) // Rough estimate
-    });
 
-    const startTime = Date.now();
-
-    try {
-      const rows = Utilities.parseCsv(csvData);
-      if (!rows || rows.length === 0) {
-        throw new Error('No data in CSV');
+  /**
+   * Take requests from the budget, sleeping until they are all available
+   * @param {string} label - What the requests are for (used in logs)
+   * @param {number} count - Requests about to be sent together (at most the bucket size)
+   * @returns {number} Milliseconds waited
+   */
+  acquire(label, count = 1) {
+    if (!this.enabled) return 0;
+    const needed = Math.min(count, this.capacity);
+
+    // The sleep happens after the lock is released; the token is already ours
+    let state;
+    const wait = this.updateState(current => {
+      state = current;
+      const now = Date.now();
+
+      // Earliest moment the request may go out: after any server-imposed block
+      let start = Math.max(now, state.updatedAt, state.blockedUntil || 0);
+      const server = state.server;
+      if (server && server.remaining !== null && server.remaining < needed && server.resetAt > start) {
+        start = server.resetAt;
       }
 
-      const headers = rows[0];
-      const dataRows = rows.slice(1);
-      const needsChunking = this.config.get('enableSmartChunking', true) &&
-        rows.length > this.config.get('maxRowsPerSheet', 50000);
-
-      const result = {
-        headers: headers,
-        data: rows,
-        dataRows: dataRows,
-        rowCount: dataRows.length,
-        columnCount: headers.length,
-        needsChunking: needsChunking,
-        processingTime: Date.now() - startTime,
-        memoryEstimate: this.estimateMemoryUsage(rows)
-      };
+      const refilled = (start - state.updatedAt) / 1000 * this.refillPerSecond;
+      let tokens = Math.min(this.capacity, state.tokens + Math.max(0, refilled));
+      if (tokens < needed) {
+        start += Math.ceil((needed - tokens) / this.refillPerSecond * 1000);
+        tokens = needed;
+      }
 
-      this.metrics.recordDataProcessed(csvData.length);
+      if (start - now > this.maxWait) {
+        const resumeTime = new Date(start);
+        throw new Error('API request failed: Rate Limit budget exhausted (Wait time ' + Math.ceil((start - now) / 1000) +
+          's > 5m limit). Resume at: ' + resumeTime.toISOString());
+      }
 
-      this.logger.info('CSV processing complete', {
-        rowCount: result.rowCount,
-        columnCount: result.columnCount,
-        needsChunking: result.needsChunking,
-        processingTime: result.processingTime + 'ms'
-      });
+      state.tokens = tokens - needed;
+      state.updatedAt = start;
+      if (server && server.remaining !== null && server.remaining > 0) {
+        server.remaining = Math.max(0, server.remaining - needed);
+      }
+      return start - now;
+    });
 
-      return result;
-    } catch (error) {
-      this.logger.error('CSV processing failed', {
-        error: error.message,
-        csvLength: csvData.length
-      });
-      throw error;
+    if (wait > 0) {
+      this.logger.info('Rate limiter holding ' + label + ' for ' + wait + 'ms', this.describe(state));
+      this.metrics.recordRateLimitWait(wait);
+      Utilities.sleep(wait);
     }
-  }
-
-  estimateMemoryUsage(rows) {
-    // Rough estimate of memory usage
-    const avgRowLength = rows.reduce((sum, row) =>
-      sum + row.reduce((rowSum, cell) => rowSum + (cell ? cell.toString().length : 0), 0), 0
-    ) / rows.length;
+    this.metrics.recordRateLimitBudget(this.describe(state));
 
-    return {
-      estimatedBytes: rows.length * avgRowLength,
-      rowCount: rows.length,
-      avgRowLength: Math.round(avgRowLength)
-    };
+    return wait;
   }
 
-  validateData(headers, dataRows) {
-    const issues = [];
-    const stats = {
-      totalRows: dataRows.length,
-      emptyRows: 0,
-      duplicateRows: 0,
-      invalidData: 0
-    };
+  /**
+   * Update the budget from a response's rate limit headers
+   * @param {number} statusCode - HTTP status
+   * @param {Object} headers - Response headers
+   * @param {number} retryAfterSeconds - Wait the caller settled on for a 429
+   */
+  observe(statusCode, headers, retryAfterSeconds) {
+    if (!this.enabled) return;
 
-    // Check for empty rows
-    dataRows.forEach((row, index) => {
-      if (row.every(cell => !cell || cell.toString().trim() === '')) {
-        stats.emptyRows++;
-        issues.push({
-          type: 'empty_row',
-          row: index + 2,
-          message: 'Empty row detected'
-        });
+    const server = this.parseHeaders(headers || {});
+    if (!server && statusCode !== 429) return;
+
+    const state = this.updateState(state => {
+      if (server) {
+        state.server = server;
+        if (server.remaining !== null) {
+          state.tokens = Math.min(state.tokens, server.remaining);
+        }
       }
+      if (statusCode === 429) {
+        state.tokens = 0;
+        state.blockedUntil = Date.now() + (retryAfterSeconds || 60) * 1000;
+        // Retry-After is more precise than a guessed window reset
+        if (state.server && state.server.remaining !== null && state.server.remaining <= 0) {
+          state.server.resetAt = Math.min(state.server.resetAt, state.blockedUntil);
+        }
+      }
+      return state;
     });
 
-    // Check for duplicates (sample check for performance)
-    const sampleSize = Math.min(1000, dataRows.length);
-    const sampleRows = dataRows.slice(0, sampleSize);
-    const rowHashes = new Set();
+    this.logger.debug('Rate limit budget updated', this.describe(state));
+  }
 
-    sampleRows.forEach((row, index) => {
-      const hash = row.join('|');
-      if (rowHashes.has(hash)) {
-        stats.duplicateRows++;
-        issues.push({
-          type: 'duplicate_row',
-          row: index + 2,
-          message: 'Duplicate row detected (sample check)'
-        });
-      } else {
-        rowHashes.add(hash);
-      }
+  /**
+   * Read X-RateLimit-Limit[-window] / X-RateLimit-Remaining[-window] /
+   * X-RateLimit-Reset headers. Without a reset header the window is assumed to
+   * roll over at the start of the next second/minute/hour/day.
+   */
+  parseHeaders(headers) {
+    let limit = null;
+    let remaining = null;
+    let reset = null;
+    let window = null;
+
+    Object.keys(headers).forEach(name => {
+      const match = name.toLowerCase().match(/^x-ratelimit-(limit|remaining|reset)(?:-(second|minute|hour|day))?$/);
+      if (!match) return;
+      const value = parseFloat(headers[name]);
+      if (isNaN(value)) return;
+
+      if (match[1] === 'limit') limit = value;
+      if (match[1] === 'remaining') remaining = value;
+      if (match[1] === 'reset') reset = value;
+      if (match[2]) window = match[2];
     });
 
+    if (limit === null && remaining === null) return null;
+
+    let resetAt;
+    if (reset !== null) {
+      // Epoch seconds or seconds until reset
+      resetAt = reset > 1000000000 ? reset * 1000 : Date.now() + reset * 1000;
+    } else {
+      const unit = { second: 1000, minute: 60000, hour: 3600000, day: 86400000 }[window || 'hour'];
+      resetAt = (Math.floor(Date.now() / unit) + 1) * unit;
+    }
+
+    return { limit: limit, remaining: remaining, window: window, resetAt: resetAt };
+  }
+
+  describe(state) {
     return {
-      isValid: issues.length === 0,
-      issues: issues,
-      stats: stats
+      tokens: Math.round(state.tokens * 100) / 100,
+      capacity: this.capacity,
+      serverRemaining: state.server ? state.server.remaining : null,
+      serverLimit: state.server ? state.server.limit : null,
+      serverResetAt: state.server ? new Date(state.server.resetAt).toISOString() : null,
+      blockedUntil: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null
     };
   }
+
+  /**
+   * Current budget without taking from it
+   */
+  getBudget() {
+    const state = this.loadState();
+    const elapsed = Math.max(0, Date.now() - state.updatedAt) / 1000;
+    state.tokens = Math.min(this.capacity, state.tokens + elapsed * this.refillPerSecond);
+    return { enabled: this.enabled, ...this.describe(state) };
+  }
+
+  reset() {
+    this.props.deleteProperty(this.storageKey);
+  }
 }
 
 // ============================================================================
-// ENHANCED SPREADSHEET MANAGER
+// CIRCUIT BREAKER
 // ============================================================================
 
-class EnhancedSpreadsheetManager {
-  constructor(config, logger, metrics, progressTracker = null) {
+const CIRCUIT_BREAKER_ENDPOINTS = ['reports', 'export', 'jobs', 'download', 'api'];
+
+/**
+ * Per-endpoint circuit breaker whose state lives in script properties, so an
+ * outage seen by one execution keeps the next trigger from hammering the API.
+ * After circuitBreakerTimeout an OPEN breaker lets a single probe request
+ * through (HALF_OPEN); its result closes or re-opens the breaker.
+ */
+class CircuitBreaker {
+  constructor(config, name = 'api', logger = null) {
     this.config = config;
+    this.name = name;
     this.logger = logger;
-    this.metrics = metrics;
-    this.progressTracker = progressTracker;
-    this.spreadsheetId = config.getSpreadsheetId();
+    this.props = PropertiesService.getScriptProperties();
+    this.storageKey = config.propertyKey('IMPACT_CIRCUIT_BREAKERS');
+    this.enabled = config.get('enableCircuitBreaker', true);
+
+    const overrides = config.get('circuitBreakerEndpoints', {})[name] || {};
+    this.threshold = overrides.threshold || config.get('circuitBreakerThreshold', 5);
+    this.timeout = overrides.timeout || config.get('circuitBreakerTimeout', 60000);
   }
 
-  getSpreadsheet() {
+  loadAll() {
+    const stored = this.props.getProperty(this.storageKey);
+    if (!stored) return {};
     try {
-      return SpreadsheetApp.openById(this.spreadsheetId);
+      return JSON.parse(stored);
     } catch (error) {
-      this.logger.error('Failed to open spreadsheet', {
-        spreadsheetId: this.spreadsheetId,
-        error: error.message
-      });
-      throw error;
+      return {};
     }
   }
 
-  sheetExists(sheetName) {
-    const spreadsheet = this.getSpreadsheet();
-    return spreadsheet.getSheetByName(sheetName) !== null;
+  getState() {
+    return this.loadAll()[this.name] || { state: 'CLOSED', failureCount: 0, lastFailureTime: null };
   }
 
-  createReportSheet(reportId, reportData, metadata = {}) {
-    this.logger.info('Creating sheet for ' + reportId, {
-      rowCount: reportData.rowCount,
-      needsChunking: reportData.needsChunking
-    });
+  saveState(entry) {
+    const all = this.loadAll();
+    all[this.name] = entry;
+    this.props.setProperty(this.storageKey, JSON.stringify(all));
+  }
 
-    const spreadsheet = this.getSpreadsheet();
+  canExecute() {
+    if (!this.enabled) return true;
 
-    // Handle large reports by chunking
-    if (reportData.needsChunking) {
-      return this.createChunkedSheets(reportId, reportData, metadata, spreadsheet);
+    const entry = this.getState();
+    if (entry.state === 'CLOSED') return true;
+
+    const now = Date.now();
+    if (entry.state === 'OPEN') {
+      if (now - entry.openedAt < this.timeout) return false;
+
+      // This caller becomes the probe
+      entry.state = 'HALF_OPEN';
+      entry.probeStartedAt = now;
+      this.saveState(entry);
+      this.log('info', 'Circuit breaker ' + this.name + ' is HALF_OPEN - sending probe request');
+      return true;
     }
 
-    return this.createSingleSheet(reportId, reportData, metadata, spreadsheet);
+    // HALF_OPEN: only one probe at a time, unless the last one never reported back
+    if (now - entry.probeStartedAt > this.timeout) {
+      entry.probeStartedAt = now;
+      this.saveState(entry);
+      return true;
+    }
+    return false;
   }
 
-  createSingleSheet(reportId, reportData, metadata, spreadsheet) {
-    const sheetName = this.generateSheetName(reportId, metadata.name);
-
-    // Check if we need to refresh this data
-    const shouldRefresh = this.shouldRefreshData(reportId, metadata);
+  recordSuccess() {
+    if (!this.enabled) return;
 
-    if (!shouldRefresh) {
-      this.logger.info('Skipping ' + reportId + ' - data is fresh', {
-        reportId: reportId,
-        lastUpdated: metadata.lastUpdated
-      });
+    const entry = this.getState();
+    if (entry.state === 'CLOSED' && entry.failureCount === 0) return;
 
-      // Return existing sheet info without recreating
-      const existingSheet = spreadsheet.getSheetByName(sheetName);
-      if (existingSheet) {
-        return {
-          sheetName: sheetName,
-          rowCount: existingSheet.getLastRow() - 1,
-          columnCount: existingSheet.getLastColumn(),
-          chunked: false,
-          skipped: true,
-          reason: 'Data is fresh'
-        };
-      }
+    if (entry.state !== 'CLOSED') {
+      this.log('info', 'Circuit breaker ' + this.name + ' CLOSED - probe succeeded');
     }
+    this.saveState({ state: 'CLOSED', failureCount: 0, lastFailureTime: entry.lastFailureTime });
+  }
 
-    // Delete existing sheet if it exists and we're refreshing
-    const existingSheet = spreadsheet.getSheetByName(sheetName);
-    if (existingSheet) {
-      spreadsheet.deleteSheet(existingSheet);
+  recordFailure(error) {
+    // Don't count rate limits as system failures
+    if (error && (error.message.includes('429') || error.message.includes('Rate Limit'))) {
+      return;
     }
+    if (!this.enabled) return;
 
-    const sheet = spreadsheet.insertSheet(sheetName);
-
-    // Write data in optimized batches
-    this.writeOptimizedData(sheet, reportData.data);
-
-    // Apply formatting
-    this.formatSheet(sheet, reportData.headers.length, reportData.data.length);
+    const entry = this.getState();
+    const now = Date.now();
+    entry.failureCount = (entry.failureCount || 0) + 1;
+    entry.lastFailureTime = now;
+    entry.lastError = error ? error.message.substring(0, 200) : null;
+
+    if (entry.state === 'HALF_OPEN' || entry.failureCount >= this.threshold) {
+      if (entry.state !== 'OPEN') {
+        this.log('warn', 'Circuit breaker ' + this.name + ' OPEN for ' + this.timeout + 'ms', {
+          failureCount: entry.failureCount,
+          lastError: entry.lastError
+        });
+      }
+      entry.state = 'OPEN';
+      entry.openedAt = now;
+    }
 
-    // Add metadata
-    this.addMetadataNote(sheet, reportId, metadata, reportData);
+    this.saveState(entry);
+  }
 
-    // Store data freshness info
-    this.storeDataFreshness(reportId, metadata);
+  /**
+   * When an OPEN breaker will allow its next probe
+   * @returns {Date|null}
+   */
+  getRetryAt() {
+    const entry = this.getState();
+    return entry.state === 'OPEN' ? new Date(entry.openedAt + this.timeout) : null;
+  }
 
+  getStatus() {
+    const entry = this.getState();
     return {
-      sheetName: sheetName,
-      rowCount: reportData.rowCount,
-      columnCount: reportData.columnCount,
-      chunked: false,
-      refreshed: true
+      name: this.name,
+      state: entry.state,
+      failureCount: entry.failureCount || 0,
+      threshold: this.threshold,
+      timeout: this.timeout,
+      lastFailure: entry.lastFailureTime ? new Date(entry.lastFailureTime).toISOString() : null,
+      lastError: entry.lastError || null,
+      retryAt: entry.state === 'OPEN' ? new Date(entry.openedAt + this.timeout).toISOString() : null
     };
   }
 
-  createChunkedSheets(reportId, reportData, metadata, spreadsheet) {
-    this.logger.info('Creating chunked sheets', {
-      reportId: reportId,
-      totalRows: reportData.rowCount,
-      maxRowsPerSheet: this.config.get('maxRowsPerSheet', 50000)
-    });
+  reset() {
+    const all = this.loadAll();
+    delete all[this.name];
+    this.props.setProperty(this.storageKey, JSON.stringify(all));
+  }
 
-    const maxRows = this.config.get('maxRowsPerSheet', 50000);
-    const headers = reportData.headers;
-    const dataRows = reportData.dataRows;
+  log(level, message, data) {
+    if (this.logger) this.logger[level](message, data);
+  }
+}
 
-    const chunks = [];
-    for (let i = 0; i < dataRows.length; i += maxRows) {
-      const chunkData = [headers].concat(dataRows.slice(i, i + maxRows));
-      chunks.push(chunkData);
-    }
+// ============================================================================
+// REPORT METADATA CATALOG
+// ============================================================================
 
-    this.logger.info('Split into ' + chunks.length + ' chunks');
+const REPORT_CATALOG_HEADERS = ['Report ID', 'Report Name', 'Filters', 'Column Count', 'Columns', 'Fetched At', 'Notes',
+  'Metadata'];
 
-    const createdSheets = [];
-    for (let i = 0; i < chunks.length; i++) {
-      const baseSheetName = this.generateSheetName(reportId, metadata.name);
-      const sheetName = chunks.length > 1 ?
-        baseSheetName + ' (Part ' + (i + 1) + ')' :
-        baseSheetName;
+/**
+ * Filters and column schema for each report from Reports/{id}/MetaData,
+ * refreshed after reportMetadataMaxAgeHours. scheduleExport checks exports
+ * against them. The catalog lives on the Report Catalog sheet: a readable
+ * row per report plus the entry as JSON in the Metadata column, so it takes
+ * nothing from the script property quota the run state depends on.
+ */
+class ReportMetadataCatalog {
+  constructor(config, logger, apiClient) {
+    this.config = config;
+    this.logger = logger;
+    this.apiClient = apiClient;
+    this.props = PropertiesService.getScriptProperties();
+    this.legacyKeyPrefix = config.propertyKey('IMPACT_REPORT_METADATA_');
+    this.sheetName = config.get('reportCatalogSheetName', 'Report Catalog');
+    this.enabled = config.get('enableReportMetadata', true);
+    this.maxAge = config.get('reportMetadataMaxAgeHours', 168) * 60 * 60 * 1000;
+    this.entries = null; // Read from the sheet on first use
+  }
+
+  getSheet(create) {
+    const spreadsheet = SpreadsheetApp.openById(this.config.get('spreadsheetId'));
+    let sheet = spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet && create) {
+      sheet = spreadsheet.insertSheet(this.sheetName);
+    }
+    return sheet;
+  }
+
+  /**
+   * Entries by report ID. Earlier versions cached one script property per
+   * report; those are moved to the sheet the first time it is written.
+   */
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = {};
+    const sheet = this.getSheet(false);
+    if (sheet && sheet.getLastRow() > 1) {
+      const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+      const column = values[0].indexOf('Metadata');
+      values.slice(1).forEach(row => {
+        if (column === -1 || !row[column]) return;
+        try {
+          const entry = JSON.parse(row[column]);
+          this.entries[entry.Id] = entry;
+        } catch (error) {
+          this.logger.warn('Discarding unreadable metadata for ' + row[0], { error: error.message });
+        }
+      });
+    }
 
-      const existingSheet = spreadsheet.getSheetByName(sheetName);
-      if (existingSheet) {
-        spreadsheet.deleteSheet(existingSheet);
+    this.legacyKeys = this.props.getKeys().filter(key => key.indexOf(this.legacyKeyPrefix) === 0);
+    this.legacyKeys.forEach(key => {
+      const reportId = key.substring(this.legacyKeyPrefix.length);
+      if (this.entries[reportId]) return;
+      try {
+        this.entries[reportId] = JSON.parse(this.props.getProperty(key));
+      } catch (error) {
+        // Unreadable entries are fetched again
       }
+    });
 
-      const sheet = spreadsheet.insertSheet(sheetName);
-      this.writeOptimizedData(sheet, chunks[i]);
-      this.formatSheet(sheet, headers.length, chunks[i].length);
+    return this.entries;
+  }
 
-      createdSheets.push(sheetName);
+  /**
+   * Cached entry for a report, or null
+   * @returns {Object|null} { Id, Name, Filters, Columns, FetchedAt, Unavailable }
+   */
+  get(reportId) {
+    return this.load()[reportId] || null;
+  }
 
-      // Yield between chunks to prevent timeout
-      if (i < chunks.length - 1) {
-        this.yieldExecution();
-      }
+  getAll() {
+    const entries = this.load();
+    return Object.keys(entries)
+      .map(reportId => entries[reportId])
+      .sort((a, b) => a.Id.localeCompare(b.Id));
+  }
+
+  /**
+   * Rewrite the Report Catalog sheet from the cached entries
+   * @returns {Object} { sheetName, rowCount }
+   */
+  save() {
+    const entries = this.getAll();
+    const sheet = this.getSheet(true);
+    sheet.clear();
+
+    const describeFilter = filter => filter.Name +
+      (filter.Required ? ' (required)' : '') +
+      (filter.AllowedValues ? ' [' + filter.AllowedValues.join('|') + ']' : '');
+
+    const rows = entries.map(entry => [
+      entry.Id,
+      entry.Name,
+      entry.Filters ? entry.Filters.map(describeFilter).join(', ') : '',
+      entry.Columns ? entry.Columns.length : '',
+      entry.Columns ? entry.Columns.map(c => c.Name + (c.DataType ? ' (' + c.DataType + ')' : '')).join(', ') : '',
+      entry.FetchedAt,
+      entry.Unavailable || '',
+      JSON.stringify(entry)
+    ]);
+
+    sheet.getRange(1, 1, rows.length + 1, REPORT_CATALOG_HEADERS.length).setValues([REPORT_CATALOG_HEADERS].concat(rows));
+    sheet.getRange(1, 1, 1, REPORT_CATALOG_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    (this.legacyKeys || []).forEach(key => this.props.deleteProperty(key));
+    this.legacyKeys = [];
+
+    this.logger.info('Report catalog updated', { reports: entries.length });
+    return { sheetName: this.sheetName, rowCount: rows.length };
+  }
+
+  isStale(entry) {
+    return !entry || Date.now() - new Date(entry.FetchedAt).getTime() > this.maxAge;
+  }
+
+  /**
+   * Fetch a report's metadata from Impact and cache it until the next save().
+   * A report without a metadata endpoint (404) is cached as Unavailable so it
+   * isn't asked again until the entry expires.
+   * @param {Object} report - { Id, Name }
+   * @returns {Object} Catalog entry
+   */
+  fetch(report) {
+    let entry;
+    try {
+      entry = this.normalize(report, this.apiClient.getReportMetadata(report.Id));
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      entry = {
+        Id: report.Id,
+        Name: report.Name || report.Id,
+        Filters: null,
+        Columns: null,
+        FetchedAt: new Date().toISOString(),
+        Unavailable: 'No metadata endpoint for this report'
+      };
     }
 
+    this.load()[report.Id] = entry;
+    return entry;
+  }
+
+  /**
+   * Reduce a MetaData response to the fields the engine uses. Impact names the
+   * lists Filters/Parameters and Attributes/Columns depending on the report.
+   */
+  normalize(report, data) {
+    const list = value => (Array.isArray(value) ? value : []);
+    const filters = list(data.Filters || data.Parameters).map(filter => {
+      if (typeof filter === 'string') return { Name: filter };
+      const entry = { Name: filter.Name };
+      if (filter.DataType || filter.Type) entry.DataType = filter.DataType || filter.Type;
+      if (filter.Required === true || filter.Required === 'true') entry.Required = true;
+      if (Array.isArray(filter.AllowedValues)) entry.AllowedValues = filter.AllowedValues;
+      return entry;
+    });
+    const columns = list(data.Attributes || data.Columns).map(column => {
+      if (typeof column === 'string') return { Name: column };
+      const entry = { Name: column.Name };
+      if (column.DataType || column.Type) entry.DataType = column.DataType || column.Type;
+      return entry;
+    });
+
     return {
-      sheetName: createdSheets.join(', '),
-      rowCount: reportData.rowCount,
-      columnCount: reportData.columnCount,
-      chunked: true,
-      chunkCount: chunks.length,
-      sheetNames: createdSheets
+      Id: report.Id,
+      Name: report.Name || data.Name || report.Id,
+      Filters: filters,
+      Columns: columns,
+      FetchedAt: new Date().toISOString()
     };
   }
 
-  writeOptimizedData(sheet, data) {
-    const batchSize = this.config.get('batchWriteSize', 3000);
+  /**
+   * Attach Filters and Columns to discovered reports, fetching metadata that is
+   * missing or stale, and rewrite the catalog sheet. A report whose metadata
+   * can't be fetched goes through with whatever was cached before.
+   * @param {Object[]} reports - Reports from discoverReports
+   * @param {boolean} forceRefresh - Fetch every report's metadata again
+   * @returns {Object[]} Reports with Filters and Columns where known
+   */
+  describeReports(reports, forceRefresh = false) {
+    if (!this.enabled) return reports;
+
+    let fetched = 0;
+    let failed = 0;
+    const described = reports.map(report => {
+      let entry = this.get(report.Id);
+      if (forceRefresh || this.isStale(entry)) {
+        try {
+          entry = this.fetch(report);
+          fetched++;
+        } catch (error) {
+          failed++;
+          this.logger.warn('Could not fetch metadata for ' + report.Id, { error: error.message });
+        }
+      }
+      return this.describe(report, entry);
+    });
 
-    if (data.length <= batchSize) {
-      sheet.getRange(1, 1, data.length, data[0].length).setValues(data);
-      return;
+    if (fetched > 0 || failed > 0) {
+      this.logger.info('Report metadata: ' + fetched + ' fetched, ' + failed + ' failed, ' +
+        (reports.length - fetched - failed) + ' cached');
     }
-
-    // Write in optimized batches
-    for (let i = 0; i < data.length; i += batchSize) {
-      const batch = data.slice(i, Math.min(i + batchSize, data.length));
-      const range = sheet.getRange(i + 1, 1, batch.length, data[0].length);
-      range.setValues(batch);
-
-      // Yield every few batches to prevent timeout
-      if (i > 0 && i % (batchSize * 3) === 0) {
-        this.yieldExecution();
+    if (fetched > 0 || (this.legacyKeys && this.legacyKeys.length > 0) || !this.getSheet(false)) {
+      try {
+        this.save();
+      } catch (error) {
+        this.logger.warn('Failed to update the report catalog sheet', { error: error.message });
       }
     }
+    return described;
   }
 
-  generateSheetName(reportId, reportName) {
-    const maxLength = 30;
-    let name = reportName || reportId;
-    name = name.replace(/[^\w\s-]/g, '').trim();
+  /**
+   * A report with the cached metadata attached (no request is made)
+   * @param {Object} report - { Id, Name, ... }
+   * @param {Object} entry - Catalog entry; looked up when omitted
+   */
+  describe(report, entry) {
+    if (!this.enabled || Array.isArray(report.Filters)) return report;
+    if (entry === undefined) entry = this.get(report.Id);
+    if (!entry || entry.Unavailable) return report;
+    return Object.assign({}, report, { Filters: entry.Filters, Columns: entry.Columns });
+  }
 
-    if (name.length > maxLength) {
-      name = name.substring(0, maxLength - 3) + '...';
-    }
+  /**
+   * Filter names compare case- and punctuation-insensitively, so START_DATE
+   * matches the startdate parameter
+   */
+  filterKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
 
-    return name || 'Report_' + reportId.substring(0, 10);
+  /**
+   * A report's filter by name
+   * @returns {Object|null|undefined} The filter, null when the report doesn't
+   *   accept it, undefined when the report's filters aren't known
+   */
+  getFilter(report, name) {
+    if (!Array.isArray(report.Filters)) return undefined;
+    const wanted = this.filterKey(name);
+    const filter = report.Filters.find(f => this.filterKey(typeof f === 'string' ? f : f.Name) === wanted);
+    if (!filter) return null;
+    return typeof filter === 'string' ? { Name: filter } : filter;
   }
 
-  formatSheet(sheet, columnCount, rowCount) {
-    // Format header row
-    const headerRange = sheet.getRange(1, 1, 1, columnCount);
-    headerRange.setFontWeight('bold');
-    headerRange.setBackground('#e8f5e8');
-    headerRange.setFontColor('#2e7d32');
-    sheet.setFrozenRows(1);
+  /**
+   * Required filters the export's parameters leave out
+   * @returns {string[]} Filter names
+   */
+  getMissingRequiredFilters(report, params) {
+    if (!Array.isArray(report.Filters)) return [];
+    const given = Object.keys(params).map(key => this.filterKey(key));
+    return report.Filters
+      .filter(f => typeof f === 'object' && f.Required && given.indexOf(this.filterKey(f.Name)) === -1)
+      .map(f => f.Name);
+  }
 
-    // Auto-resize columns (limit to prevent timeout)
-    const maxColumns = Math.min(columnCount, 20);
-    sheet.autoResizeColumns(1, maxColumns);
+  clear() {
+    this.load();
+    this.entries = {};
+    this.save();
+  }
+}
 
-    // Freeze first column if many columns
-    if (columnCount > 5) {
-      sheet.setFrozenColumns(1);
-    }
+// ============================================================================
+// STREAMING CSV READER
+// ============================================================================
 
-    // Add borders for better readability
-    if (rowCount < 10000) { // Only for smaller sheets to prevent timeout
-      const dataRange = sheet.getRange(1, 1, rowCount, columnCount);
-      dataRange.setBorder(true, true, true, true, true, true);
-    }
+/**
+ * Row-at-a-time reader over downloaded CSV text
+ * Handles a leading BOM, CRLF line endings and quoted fields containing
+ * delimiters, escaped quotes or newlines, without building the full 2D array
+ */
+class CsvRowStream {
+  constructor(text, options = {}) {
+    this.text = text || '';
+    this.delimiter = options.delimiter || ',';
+    this.hasBom = this.text.charCodeAt(0) === 0xFEFF;
+    this.position = this.hasBom ? 1 : 0;
+    this.lineNumber = 1;
+    this.rowsRead = 0;
   }
 
-  addMetadataNote(sheet, reportId, metadata, reportData) {
-    const note = [
-      'IMPACT.COM REPORT v4.0',
-      'Report ID: ' + reportId,
-      'Report Name: ' + (metadata.name || 'N/A'),
-      'Data Rows: ' + reportData.rowCount,
-      'Columns: ' + reportData.columnCount,
-      'Processed: ' + new Date().toLocaleString(),
-      'Chunked: ' + (reportData.needsChunking ? 'Yes' : 'No'),
-      'Script Version: 4.0.0'
-    ].join('\n');
-
-    sheet.getRange('A1').setNote(note);
+  hasNext() {
+    return this.position < this.text.length;
   }
 
-  createSummarySheet(results, errors) {
-    this.logger.info('Creating enhanced summary sheet', {
-      successfulCount: results ? results.length : 0,
-      errorCount: errors ? errors.length : 0
-    });
+  /**
+   * Read the next record
+   * @returns {string[]|null} Fields, or null at end of input
+   */
+  next() {
+    const text = this.text;
+    const length = text.length;
+    if (this.position >= length) return null;
+
+    const row = [];
+    const startLine = this.lineNumber;
+    let i = this.position;
+
+    while (true) {
+      if (text[i] === '"') {
+        // Quoted field: copy segments between escaped quotes
+        let field = '';
+        let segmentStart = ++i;
+        while (true) {
+          const quote = text.indexOf('"', i);
+          if (quote === -1) {
+            throw new Error('Malformed CSV: unterminated quoted field starting on line ' +
+              startLine + ' (download may be truncated)');
+          }
+          field += text.substring(segmentStart, quote);
+          if (text[quote + 1] === '"') {
+            field += '"';
+            i = quote + 2;
+            segmentStart = i;
+            continue;
+          }
+          i = quote + 1;
+          break;
+        }
+        this.lineNumber += field.split('\n').length - 1;
 
-    let spreadsheet;
-    try {
-      spreadsheet = this.getSpreadsheet();
-    } catch (spreadsheetError) {
-      this.logger.error('Cannot access spreadsheet for summary update', {
-        error: spreadsheetError.message,
-        spreadsheetId: this.spreadsheetId
-      });
-      throw new Error('Failed to access spreadsheet: ' + spreadsheetError.message);
-    }
+        // Tolerate stray characters between the closing quote and the delimiter
+        while (i < length && text[i] !== this.delimiter && text[i] !== '\n' && text[i] !== '\r') {
+          field += text[i++];
+        }
+        row.push(field);
+      } else {
+        let end = i;
+        while (end < length && text[end] !== this.delimiter && text[end] !== '\n' && text[end] !== '\r') {
+          end++;
+        }
+        row.push(text.substring(i, end));
+        i = end;
+      }
 
-    // Clear existing summary
-    let existingSummary;
-    try {
-      existingSummary = spreadsheet.getSheetByName('DISCOVERY SUMMARY');
-      if (existingSummary) {
-        spreadsheet.deleteSheet(existingSummary);
-        this.logger.debug('Deleted existing DISCOVERY SUMMARY sheet');
+      if (i >= length) {
+        this.position = length;
+        break;
       }
-    } catch (deleteError) {
-      this.logger.warn('Could not delete existing summary sheet', {
-        error: deleteError.message
-      });
-      // Continue anyway - might not exist
+
+      const ch = text[i];
+      if (ch === this.delimiter) {
+        i++;
+        if (i >= length) {
+          row.push('');
+          this.position = length;
+          break;
+        }
+        continue;
+      }
+
+      // End of record
+      i += (ch === '\r' && text[i + 1] === '\n') ? 2 : 1;
+      this.lineNumber++;
+      this.position = i;
+      break;
     }
 
-    let summarySheet;
-    try {
-      summarySheet = spreadsheet.insertSheet('DISCOVERY SUMMARY', 0);
-      this.logger.debug('Created new DISCOVERY SUMMARY sheet');
-    } catch (insertError) {
-      this.logger.error('Failed to create summary sheet', {
-        error: insertError.message
-      });
-      throw new Error('Failed to create summary sheet: ' + insertError.message);
+    this.rowsRead++;
+    return row;
+  }
+
+  /**
+   * Count non-blank records, header included, by tracking quotes and line
+   * breaks only - no fields are built
+   */
+  static countRecords(text) {
+    text = text || '';
+    let count = 0;
+    let quoted = false;
+    let blank = true;
+    for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      if (ch === 34) {
+        quoted = !quoted;
+        blank = false;
+      } else if ((ch === 10 || ch === 13) && !quoted) {
+        if (!blank) count++;
+        blank = true;
+      } else {
+        blank = false;
+      }
     }
+    return blank ? count : count + 1;
+  }
+}
 
-    // Get historical completed reports
-    const completedReports = this.progressTracker ? this.progressTracker.getCompletedReports() : [];
-    const safeResults = results || [];
-    const safeErrors = errors || [];
+// ============================================================================
+// ENHANCED DATA PROCESSOR
+// ============================================================================
 
-    this.logger.info('Including historical data', {
-      currentResults: safeResults.length,
-      currentErrors: safeErrors.length,
-      historicalCompleted: completedReports.length
+class EnhancedDataProcessor {
+  constructor(config, logger, metrics) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+  }
+
+  processCSVData(csvData) {
+    this.logger.info('Processing CSV data', {
+      size: csvData.length,
+      estimatedRows: Math.floor(csvData.length / 100) // Rough estimate
     });
 
-    // Build comprehensive summary
-    const summaryData = [
-      ['Report ID', 'Report Name', 'Sheet Name', 'Rows', 'Columns', 'Status', 'Notes', 'Processed At']
-    ];
+    const startTime = Date.now();
 
-    // Add historical completed reports first
-    const currentTimestamp = new Date();
-    if (completedReports && completedReports.length > 0) {
-      completedReports.forEach(function (completed) {
-        // Build notes field with original info plus last verified date
-        const notes = [];
-        if (completed.chunked) {
-          notes.push('Split into ' + completed.chunkCount + ' parts');
+    try {
+      const dataRows = [];
+      const stats = this.streamCSVData(csvData, batch => {
+        for (let i = 0; i < batch.length; i++) {
+          dataRows.push(batch[i]);
         }
-        notes.push('Last verified: ' + currentTimestamp.toLocaleString());
+      });
 
-        summaryData.push([
-          completed.reportId,
-          completed.reportName || 'N/A',
-          completed.sheetName || 'N/A',
-          completed.rowCount || 0,
-          completed.columnCount || 0,
-          'SUCCESS (Historical)',
-          notes.join(' | '),
-          completed.processedAt ? new Date(completed.processedAt).toLocaleString() : 'N/A'
-        ]);
+      const headers = stats.headers;
+      const rows = [headers].concat(dataRows);
+      const needsChunking = this.config.get('enableSmartChunking', true) &&
+        rows.length > this.config.get('maxRowsPerSheet', 50000);
+
+      const result = {
+        headers: headers,
+        data: rows,
+        dataRows: dataRows,
+        rowCount: dataRows.length,
+        columnCount: headers.length,
+        needsChunking: needsChunking,
+        processingTime: Date.now() - startTime,
+        memoryEstimate: this.estimateMemoryUsage(rows)
+      };
+
+      this.logger.info('CSV processing complete', {
+        rowCount: result.rowCount,
+        columnCount: result.columnCount,
+        needsChunking: result.needsChunking,
+        processingTime: result.processingTime + 'ms'
       });
-    }
 
-    // Add current successful results
-    if (safeResults.length > 0) {
-      safeResults.forEach(function (result) {
-        summaryData.push([
-          result.reportId,
-          result.reportName || 'N/A',
-          result.sheetName || 'N/A',
-          result.rowCount || 0,
-          result.columnCount || 0,
-          result.status || 'SUCCESS (Current)',
-          result.chunked ? 'Split into ' + (result.chunkCount || 0) + ' parts' : (result.notes || ''),
-          result.processedAt ? (result.processedAt.toLocaleString ? result.processedAt.toLocaleString() : new Date(result.processedAt).toLocaleString()) : new Date().toLocaleString()
-        ]);
+      return result;
+    } catch (error) {
+      this.logger.error('CSV processing failed', {
+        error: error.message,
+        csvLength: csvData.length
       });
+      throw error;
     }
+  }
 
-    // Add current errors
-    if (safeErrors.length > 0) {
-      const currentTimestamp = new Date();
-      this.logger.debug('Adding ' + safeErrors.length + ' error entries to summary', {
-        errorCount: safeErrors.length,
-        errorIds: safeErrors.map(e => e.reportId || 'UNKNOWN')
-      });
+  /**
+   * Stream CSV rows to a consumer in batches of batchWriteSize
+   * Rows are normalized to the header width so every batch can be written as a
+   * rectangle; a short final row with no trailing newline means the download was
+   * cut off and is rejected rather than written as partial data. Runs for an
+   * account profile get an Account column so combined data stays attributable.
+   * @param {string} csvData - Downloaded CSV text
+   * @param {Function} onBatch - Called with (rows, { headers, batchIndex, startRow })
+   * @param {Object} options - { batchSize }
+   * @returns {Object} Headers and exact row counts
+   */
+  streamCSVData(csvData, onBatch, options = {}) {
+    const startTime = Date.now();
+    const batchSize = options.batchSize || this.config.get('batchWriteSize', 3000);
+    const stream = new CsvRowStream(csvData);
 
-      safeErrors.forEach(function (error) {
-        summaryData.push([
-          error.reportId || 'UNKNOWN',
-          error.reportName || 'N/A',
-          'N/A',
-          0,
-          0,
-          'ERROR (Current)',
-          (error.error || error.message || 'Unknown error').substring(0, 100),
-          currentTimestamp.toLocaleString()
-        ]);
-      });
+    const headers = stream.next();
+    if (!headers || (headers.length === 1 && headers[0].trim() === '')) {
+      throw new Error('No data in CSV');
+    }
 
-      this.logger.debug('Added ' + safeErrors.length + ' error entries to summary data');
-    } else {
-      this.logger.debug('No errors to add to summary');
+    const width = headers.length;
+    const accountTag = this.getAccountTag(headers);
+    if (accountTag !== null) headers.push(this.config.get('accountColumnName', 'Account'));
+
+    let batch = [];
+    let batchIndex = 0;
+    let rowCount = 0;
+    let raggedRows = 0;
+    let blankRows = 0;
+    let lastRowRagged = false;
+    let row;
+
+    while ((row = stream.next()) !== null) {
+      if (row.length === 1 && row[0] === '') {
+        blankRows++;
+        continue;
+      }
+
+      lastRowRagged = row.length !== width;
+      if (lastRowRagged) {
+        raggedRows++;
+        row = row.length < width ?
+          row.concat(new Array(width - row.length).fill('')) :
+          row.slice(0, width);
+      }
+
+      if (accountTag !== null) row.push(accountTag);
+      batch.push(row);
+      rowCount++;
+
+      if (batch.length >= batchSize) {
+        onBatch(batch, { headers: headers, batchIndex: batchIndex, startRow: rowCount - batch.length });
+        batchIndex++;
+        batch = [];
+      }
     }
 
-    // Calculate totals
-    const totalHistorical = completedReports ? completedReports.length : 0;
-    const totalCurrent = safeResults.length + safeErrors.length;
-    const totalSuccessful = totalHistorical + safeResults.length;
-    const totalFailed = safeErrors.length;
-    const totalReports = totalHistorical + totalCurrent;
-    const totalRows = (completedReports ? completedReports.reduce((sum, r) => sum + (r.rowCount || 0), 0) : 0) +
-      safeResults.reduce((sum, r) => sum + (r.rowCount || 0), 0);
+    const endsWithNewline = /[\r\n]$/.test(csvData);
+    if (lastRowRagged && !endsWithNewline) {
+      throw new Error('CSV appears truncated: final row has the wrong number of columns (data row ' +
+        rowCount + ', line ' + stream.lineNumber + ')');
+    }
 
-    // Add comprehensive statistics
-    summaryData.push(['', '', '', '', '', '', '', '']);
-    summaryData.push(['=== COMPREHENSIVE STATISTICS ===', '', '', '', '', '', '', '']);
-    summaryData.push(['Total Reports (All Time)', totalReports, '', '', '', '', '', '']);
-    summaryData.push(['Historical Completed', totalHistorical, '', '', '', '', '', '']);
-    summaryData.push(['Current Run - Successful', safeResults.length, '', '', '', '', '', '']);
-    summaryData.push(['Current Run - Failed', safeErrors.length, '', '', '', '', '', '']);
-    summaryData.push(['Total Successful', totalSuccessful, '', '', '', '', '', '']);
-    summaryData.push(['Total Failed', totalFailed, '', '', '', '', '', '']);
-    summaryData.push(['Overall Success Rate', totalReports > 0 ?
-      ((totalSuccessful / totalReports) * 100).toFixed(1) + '%' : '0%',
-      '', '', '', '', '', '']);
-    summaryData.push(['Total Rows Processed', totalRows, '', '', '', '', '', '']);
-    const chunkedHistorical = completedReports ? completedReports.filter(r => r.chunked).length : 0;
-    const chunkedCurrent = safeResults.filter(r => r.chunked).length;
-    summaryData.push(['Chunked Reports', chunkedHistorical + chunkedCurrent, '', '', '', '', '', '']);
-    // Add separator and last updated timestamp
-    summaryData.push(['', '', '', '', '', '', '', '']);
-    summaryData.push(['=== SUMMARY LAST UPDATED ===', '', '', '', '', '', '', '']);
-    summaryData.push(['Last Updated', new Date().toLocaleString(), '', '', '', '', '', '']);
-    summaryData.push(['Date', new Date().toLocaleDateString(), '', '', '', '', '', '']);
-    summaryData.push(['Time', new Date().toLocaleTimeString(), '', '', '', '', '', '']);
+    if (batch.length > 0) {
+      onBatch(batch, { headers: headers, batchIndex: batchIndex, startRow: rowCount - batch.length });
+      batchIndex++;
+    }
 
-    // Write data
-    try {
-      summarySheet.getRange(1, 1, summaryData.length, 8).setValues(summaryData);
-      this.logger.debug('Summary data written to sheet', {
-        rowCount: summaryData.length,
-        columnCount: 8
-      });
-    } catch (writeError) {
-      this.logger.error('Failed to write summary data', {
-        error: writeError.message,
-        rowCount: summaryData.length
+    this.metrics.recordDataProcessed(csvData.length);
+
+    if (raggedRows > 0) {
+      this.logger.warn('Normalized rows with unexpected column counts', {
+        raggedRows: raggedRows,
+        expectedColumns: width
       });
-      throw new Error('Failed to write summary data: ' + writeError.message);
     }
 
-    // Format summary
+    return {
+      headers: headers,
+      rowCount: rowCount,
+      columnCount: width,
+      batchCount: batchIndex,
+      raggedRows: raggedRows,
+      blankRows: blankRows,
+      hadBom: stream.hasBom,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Flatten JSON records from a REST collection into rows for the sheet
+   * writers. Nested objects become Parent.Child columns and arrays of values
+   * are joined with commas (arrays of objects are kept as JSON). Columns are
+   * added in the order they first appear, so rows from earlier pages are
+   * simply shorter than later ones.
+   * @param {Object[]} records - Records from one page
+   * @param {string[]} headers - Columns seen so far; new ones are appended in place
+   * @returns {Object} { headers, dataRows }
+   */
+  flattenRecords(records, headers) {
+    const index = {};
+    headers.forEach((name, i) => { index[name] = i; });
+
+    const accountName = this.config.get('tagRowsWithAccount', true) ? this.config.get('accountName', null) : null;
+    const accountColumn = this.config.get('accountColumnName', 'Account');
+
+    const flatten = (value, prefix, out) => {
+      for (const key in value) {
+        const item = value[key];
+        const name = prefix ? prefix + '.' + key : key;
+        if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+          flatten(item, name, out);
+        } else if (Array.isArray(item)) {
+          out[name] = item.some(v => v !== null && typeof v === 'object') ? JSON.stringify(item) : item.join(',');
+        } else {
+          out[name] = item === null || item === undefined ? '' : item;
+        }
+      }
+      return out;
+    };
+
+    const dataRows = records.map(record => {
+      const flat = flatten(record, '', {});
+      if (accountName && !flat.hasOwnProperty(accountColumn)) flat[accountColumn] = accountName;
+
+      const row = new Array(headers.length).fill('');
+      for (const name in flat) {
+        if (!index.hasOwnProperty(name)) {
+          index[name] = headers.length;
+          headers.push(name);
+        }
+        row[index[name]] = flat[name];
+      }
+      return row;
+    });
+
+    dataRows.forEach(row => {
+      while (row.length < headers.length) row.push('');
+    });
+    this.metrics.recordDataProcessed(JSON.stringify(records).length);
+
+    return { headers: headers, dataRows: dataRows };
+  }
+
+  /**
+   * Account name to append to each row, or null when rows aren't tagged
+   * (single-account setup, tagging off, or the export already has the column)
+   */
+  getAccountTag(headers) {
+    const accountName = this.config.get('accountName', null);
+    if (!accountName || !this.config.get('tagRowsWithAccount', true)) return null;
+    return headers.indexOf(this.config.get('accountColumnName', 'Account')) === -1 ? accountName : null;
+  }
+
+  estimateMemoryUsage(rows) {
+    // Rough estimate of memory usage
+    const avgRowLength = rows.reduce((sum, row) =>
+      sum + row.reduce((rowSum, cell) => rowSum + (cell ? cell.toString().length : 0), 0), 0
+    ) / rows.length;
+
+    return {
+      estimatedBytes: rows.length * avgRowLength,
+      rowCount: rows.length,
+      avgRowLength: Math.round(avgRowLength)
+    };
+  }
+
+  validateData(headers, dataRows) {
+    const issues = [];
+    const stats = {
+      totalRows: dataRows.length,
+      emptyRows: 0,
+      duplicateRows: 0,
+      invalidData: 0
+    };
+
+    // Check for empty rows
+    dataRows.forEach((row, index) => {
+      if (row.every(cell => !cell || cell.toString().trim() === '')) {
+        stats.emptyRows++;
+        issues.push({
+          type: 'empty_row',
+          row: index + 2,
+          message: 'Empty row detected'
+        });
+      }
+    });
+
+    // Check for duplicates (sample check for performance)
+    const sampleSize = Math.min(1000, dataRows.length);
+    const sampleRows = dataRows.slice(0, sampleSize);
+    const rowHashes = new Set();
+
+    sampleRows.forEach((row, index) => {
+      const hash = row.join('|');
+      if (rowHashes.has(hash)) {
+        stats.duplicateRows++;
+        issues.push({
+          type: 'duplicate_row',
+          row: index + 2,
+          message: 'Duplicate row detected (sample check)'
+        });
+      } else {
+        rowHashes.add(hash);
+      }
+    });
+
+    return {
+      isValid: issues.length === 0,
+      issues: issues,
+      stats: stats
+    };
+  }
+}
+
+// ============================================================================
+// ENHANCED SPREADSHEET MANAGER
+// ============================================================================
+
+class EnhancedSpreadsheetManager {
+  constructor(config, logger, metrics, progressTracker = null) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.progressTracker = progressTracker;
+    this.spreadsheetId = config.getSpreadsheetId();
+  }
+
+  getSpreadsheet() {
     try {
-      this.formatSummarySheet(summarySheet, 8, summaryData.length);
-      this.logger.debug('Summary sheet formatted');
-    } catch (formatError) {
-      this.logger.warn('Failed to format summary sheet', {
-        error: formatError.message
+      return SpreadsheetApp.openById(this.spreadsheetId);
+    } catch (error) {
+      this.logger.error('Failed to open spreadsheet', {
+        spreadsheetId: this.spreadsheetId,
+        error: error.message
       });
-      // Don't fail if formatting fails - data is already written
+      throw error;
     }
+  }
 
-    this.logger.info('Enhanced summary sheet created successfully', {
-      totalReports: totalReports,
-      historicalCompleted: totalHistorical,
-      currentSuccessful: results ? results.length : 0,
-      currentFailed: errors ? errors.length : 0,
-      totalSuccessful: totalSuccessful,
-      lastUpdated: new Date().toISOString()
+  sheetExists(sheetName) {
+    const spreadsheet = this.getSpreadsheet();
+    return spreadsheet.getSheetByName(sheetName) !== null;
+  }
+
+  createReportSheet(reportId, reportData, metadata = {}) {
+    this.logger.info('Creating sheet for ' + reportId, {
+      rowCount: reportData.rowCount,
+      needsChunking: reportData.needsChunking
+    });
+
+    const spreadsheet = this.getSpreadsheet();
+
+    // Handle large reports by chunking
+    if (reportData.needsChunking) {
+      return this.createChunkedSheets(reportId, reportData, metadata, spreadsheet);
+    }
+
+    return this.createSingleSheet(reportId, reportData, metadata, spreadsheet);
+  }
+
+  createSingleSheet(reportId, reportData, metadata, spreadsheet) {
+    const sheetName = this.generateSheetName(reportId, metadata.name);
+
+    // Check if we need to refresh this data
+    const shouldRefresh = this.shouldRefreshData(reportId, metadata);
+
+    if (!shouldRefresh) {
+      this.logger.info('Skipping ' + reportId + ' - data is fresh', {
+        reportId: reportId,
+        lastUpdated: metadata.lastUpdated
+      });
+
+      // Return existing sheet info without recreating
+      const existing = ReportDataset.open(spreadsheet, sheetName);
+      if (existing) {
+        return {
+          sheetName: existing.getSheetNames().join(', '),
+          rowCount: existing.getRowCount(),
+          columnCount: existing.getHeaders().length,
+          chunked: existing.isChunked(),
+          skipped: true,
+          reason: 'Data is fresh'
+        };
+      }
+    }
+
+    // Delete the existing sheet, and any parts from when the report was
+    // bigger, since we're refreshing
+    ReportDataset.removeSheets(spreadsheet, sheetName);
+
+    const sheet = spreadsheet.insertSheet(sheetName);
+    ReportDataset.tagParts([sheet], sheetName);
+
+    // Write data in optimized batches
+    this.writeOptimizedData(sheet, reportData.data);
+
+    // Apply formatting
+    this.formatSheet(sheet, reportData.headers.length, reportData.data.length);
+
+    // Add metadata
+    this.addMetadataNote(sheet, reportId, metadata, reportData);
+
+    // Store data freshness info
+    this.storeDataFreshness(reportId, metadata);
+
+    return {
+      sheetName: sheetName,
+      rowCount: reportData.rowCount,
+      columnCount: reportData.columnCount,
+      chunked: false,
+      refreshed: true
+    };
+  }
+
+  createChunkedSheets(reportId, reportData, metadata, spreadsheet) {
+    this.logger.info('Creating chunked sheets', {
+      reportId: reportId,
+      totalRows: reportData.rowCount,
+      maxRowsPerSheet: this.config.get('maxRowsPerSheet', 50000)
+    });
+
+    const maxRows = this.config.get('maxRowsPerSheet', 50000);
+    const headers = reportData.headers;
+    const dataRows = reportData.dataRows;
+
+    const chunks = [];
+    for (let i = 0; i < dataRows.length; i += maxRows) {
+      const chunkData = [headers].concat(dataRows.slice(i, i + maxRows));
+      chunks.push(chunkData);
+    }
+
+    this.logger.info('Split into ' + chunks.length + ' chunks');
+
+    // Parts past the new chunk count would otherwise be left behind
+    const baseSheetName = this.generateSheetName(reportId, metadata.name);
+    ReportDataset.removeSheets(spreadsheet, baseSheetName);
+
+    const createdSheets = [];
+    const createdParts = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const sheetName = chunks.length > 1 ?
+        baseSheetName + ' (Part ' + (i + 1) + ')' :
+        baseSheetName;
+
+      const sheet = spreadsheet.insertSheet(sheetName);
+      this.writeOptimizedData(sheet, chunks[i]);
+      this.formatSheet(sheet, headers.length, chunks[i].length);
+
+      createdSheets.push(sheetName);
+      createdParts.push(sheet);
+
+      // Yield between chunks to prevent timeout
+      if (i < chunks.length - 1) {
+        this.yieldExecution();
+      }
+    }
+
+    ReportDataset.tagParts(createdParts, baseSheetName);
+
+    return {
+      sheetName: createdSheets.join(', '),
+      rowCount: reportData.rowCount,
+      columnCount: reportData.columnCount,
+      chunked: true,
+      chunkCount: chunks.length,
+      sheetNames: createdSheets
+    };
+  }
+
+  /**
+   * Stream a downloaded CSV straight into the report sheet(s)
+   * Parsed batches are written as they arrive and roll over to "(Part N)" sheets
+   * at maxRowsPerSheet. The previous sheets are only replaced once the whole
+   * export has been written, so a truncated download leaves them intact.
+   */
+  createReportSheetFromCsv(reportId, csvData, dataProcessor, metadata = {}, onRows = null) {
+    const spreadsheet = this.getSpreadsheet();
+    const sheetName = this.generateSheetName(reportId, metadata.name);
+
+    if (!this.shouldRefreshData(reportId, metadata)) {
+      const existing = ReportDataset.open(spreadsheet, sheetName);
+      if (existing) {
+        this.logger.info('Skipping ' + reportId + ' - data is fresh', { reportId: reportId });
+        return {
+          sheetName: existing.getSheetNames().join(', '),
+          rowCount: existing.getRowCount(),
+          columnCount: existing.getHeaders().length,
+          chunked: existing.isChunked(),
+          skipped: true,
+          reason: 'Data is fresh'
+        };
+      }
+    }
+
+    const writer = new StreamingSheetWriter(this, spreadsheet, sheetName);
+    let stats;
+    try {
+      stats = dataProcessor.streamCSVData(csvData, (rows, info) => {
+        if (onRows) onRows(info.headers, rows);
+        writer.write(info.headers, rows);
+      });
+    } catch (error) {
+      writer.abort();
+      throw error;
+    }
+
+    const sheetInfo = writer.finish(stats.headers);
+
+    this.addMetadataNote(writer.parts[0].sheet, reportId, metadata, {
+      rowCount: stats.rowCount,
+      columnCount: stats.columnCount,
+      needsChunking: sheetInfo.chunked
+    });
+    this.storeDataFreshness(reportId, {
+      ...metadata,
+      rowCount: stats.rowCount,
+      columnCount: stats.columnCount
+    });
+
+    this.logger.info('Streamed ' + stats.rowCount + ' rows into ' + sheetInfo.sheetName, {
+      reportId: reportId,
+      batches: stats.batchCount,
+      raggedRows: stats.raggedRows,
+      chunkCount: sheetInfo.chunkCount || 1
+    });
+
+    return {
+      ...sheetInfo,
+      rowCount: stats.rowCount,
+      columnCount: stats.columnCount,
+      raggedRows: stats.raggedRows,
+      refreshed: true
+    };
+  }
+
+  /**
+   * Find the sheet a report can be merged into
+   * @returns {Sheet|null} The report's single sheet, or null when it is missing or split into parts
+   */
+  getMergeTarget(reportId, reportName) {
+    const spreadsheet = this.getSpreadsheet();
+    const sheetName = this.generateSheetName(reportId, reportName);
+    const dataset = ReportDataset.open(spreadsheet, sheetName);
+    if (!dataset || dataset.isChunked() || dataset.getSheets()[0].getLastRow() < 1) {
+      return null;
+    }
+    return dataset.getSheets()[0];
+  }
+
+  /**
+   * Key columns used to merge a report's export into its sheet
+   * @returns {string[]|null} Column names, or null when the report is always rewritten
+   */
+  getMergeKeyColumns(reportId, reportName) {
+    if (!this.config.get('enableMergeWrites', false)) return null;
+    return this.config.getReportSetting('mergeKeyColumns', reportId, reportName);
+  }
+
+  /**
+   * Merge an export into the existing report sheet by natural key instead of
+   * rewriting it. Rows whose key exists are updated in place, new keys are
+   * appended and repeated keys in the export collapse to the last row. Export
+   * columns are matched by header name; new ones are inserted after the last
+   * export column so user-added columns to the right keep their position.
+   * @param {Object} options - { keyColumns, markVanished, onRows }
+   * @returns {Object} Sheet info with merge { added, updated, unchanged, duplicates, vanished, restored } stats
+   */
+  mergeReportFromCsv(reportId, csvData, dataProcessor, metadata, options) {
+    const keyColumns = options.keyColumns;
+    const sheetName = this.generateSheetName(reportId, metadata.name);
+    const sheet = this.getMergeTarget(reportId, metadata.name);
+    if (!sheet) {
+      throw new Error('Cannot merge ' + reportId + ': no single sheet named "' + sheetName + '"');
+    }
+
+    const existing = sheet.getDataRange().getValues();
+    const sheetHeaders = existing[0].map(h => h.toString());
+    const sheetKeyIndexes = keyColumns.map(column => {
+      const index = sheetHeaders.indexOf(column);
+      if (index === -1) {
+        throw new Error('Cannot merge ' + reportId + ': key column ' + column + ' not found in sheet');
+      }
+      return index;
+    });
+    // Sheets stores written keys as numbers and dates, so compare canonical forms
+    const keyOf = (row, indexes) => indexes.map(i => this.normalizeCellValue(row[i])).join('|');
+
+    const rowIndexByKey = {};
+    for (let r = 1; r < existing.length; r++) {
+      rowIndexByKey[keyOf(existing[r], sheetKeyIndexes)] = r;
+    }
+
+    const stats = { added: 0, updated: 0, unchanged: 0, duplicates: 0, vanished: 0, restored: 0, addedColumns: [] };
+    const seenRows = {};
+    const dirtyRows = {};
+    const newRows = [];
+    const newRowIndexByKey = {};
+    let columnMap = null;
+    let exportKeyIndexes = null;
+
+    dataProcessor.streamCSVData(csvData, (rows, info) => {
+      if (!columnMap) {
+        exportKeyIndexes = keyColumns.map(column => {
+          const index = info.headers.indexOf(column);
+          if (index === -1) {
+            throw new Error('Cannot merge ' + reportId + ': key column ' + column + ' missing from export');
+          }
+          return index;
+        });
+        columnMap = this.alignMergeColumns(sheet, existing, sheetHeaders, info.headers, stats);
+      }
+
+      if (options.onRows) options.onRows(info.headers, rows);
+
+      rows.forEach(row => {
+        const key = keyOf(row, exportKeyIndexes);
+        const rowIndex = rowIndexByKey[key];
+
+        if (rowIndex !== undefined) {
+          if (seenRows[rowIndex]) stats.duplicates++;
+          const target = existing[rowIndex];
+          let changed = false;
+          columnMap.forEach((column, i) => {
+            if (this.normalizeCellValue(target[column]) !== this.normalizeCellValue(row[i])) {
+              target[column] = row[i];
+              changed = true;
+            }
+          });
+          if (changed && !dirtyRows[rowIndex]) {
+            dirtyRows[rowIndex] = true;
+            stats.updated++;
+            if (seenRows[rowIndex]) stats.unchanged--;
+          } else if (!changed && !seenRows[rowIndex]) {
+            stats.unchanged++;
+          }
+          seenRows[rowIndex] = true;
+          return;
+        }
+
+        const record = new Array(columnMap.length ? Math.max.apply(null, columnMap) + 1 : 0).fill('');
+        columnMap.forEach((column, i) => { record[column] = row[i]; });
+
+        if (newRowIndexByKey[key] !== undefined) {
+          newRows[newRowIndexByKey[key]] = record;
+          stats.duplicates++;
+        } else {
+          newRowIndexByKey[key] = newRows.length;
+          newRows.push(record);
+          stats.added++;
+        }
+      });
+    });
+
+    // Export columns sit at the left; only that span is ever written back
+    const exportSpan = columnMap ? Math.max.apply(null, columnMap) + 1 : 0;
+    const exportRows = Object.keys(dirtyRows).map(Number);
+    this.writeRowRuns(sheet, existing, exportRows, 1, exportSpan);
+
+    if (options.markVanished && existing.length > 1) {
+      this.markVanishedRows(sheet, existing, sheetHeaders, seenRows, stats);
+    }
+
+    // Append new rows in batches
+    const batchSize = this.config.get('batchWriteSize', 3000);
+    const firstNewRow = existing.length + 1;
+    for (let i = 0; i < newRows.length; i += batchSize) {
+      const batch = newRows.slice(i, i + batchSize);
+      sheet.getRange(firstNewRow + i, 1, batch.length, exportSpan).setValues(batch);
+    }
+
+    const totalRows = existing.length - 1 + newRows.length;
+    if (totalRows > this.config.get('maxRowsPerSheet', 50000)) {
+      this.logger.warn('Merged sheet exceeds maxRowsPerSheet', {
+        reportId: reportId,
+        totalRows: totalRows
+      });
+    }
+
+    this.storeDataFreshness(reportId, { ...metadata, rowCount: totalRows, columnCount: exportSpan });
+
+    this.logger.info('Merged export into ' + sheetName, {
+      reportId: reportId,
+      keyColumns: keyColumns,
+      added: stats.added,
+      updated: stats.updated,
+      unchanged: stats.unchanged,
+      duplicates: stats.duplicates,
+      vanished: stats.vanished,
+      addedColumns: stats.addedColumns
+    });
+
+    return {
+      sheetName: sheetName,
+      rowCount: totalRows,
+      columnCount: exportSpan,
+      chunked: false,
+      refreshed: true,
+      merge: stats
+    };
+  }
+
+  /**
+   * Map export columns onto sheet columns, inserting columns the sheet
+   * doesn't have yet right after the last export column it does have
+   * @returns {number[]} Sheet column index (0-based) for each export column
+   */
+  alignMergeColumns(sheet, existing, sheetHeaders, exportHeaders, stats) {
+    const missing = exportHeaders.filter(header => sheetHeaders.indexOf(header) === -1);
+
+    if (missing.length > 0) {
+      const lastExportColumn = Math.max.apply(null, exportHeaders.map(header => sheetHeaders.indexOf(header)));
+      sheet.insertColumnsAfter(lastExportColumn + 1, missing.length);
+      sheet.getRange(1, lastExportColumn + 2, 1, missing.length).setValues([missing]);
+
+      existing.forEach((row, r) => {
+        const inserted = r === 0 ? missing : new Array(missing.length).fill('');
+        while (row.length < lastExportColumn + 1) row.push('');
+        row.splice.apply(row, [lastExportColumn + 1, 0].concat(inserted));
+      });
+      sheetHeaders.splice.apply(sheetHeaders, [lastExportColumn + 1, 0].concat(missing));
+      stats.addedColumns = missing;
+    }
+
+    return exportHeaders.map(header => sheetHeaders.indexOf(header));
+  }
+
+  /**
+   * Flag sheet rows that weren't in the export (and clear the flag on rows that
+   * came back) in the vanishedRowColumn, which is added after all other columns
+   */
+  markVanishedRows(sheet, existing, sheetHeaders, seenRows, stats) {
+    const columnName = this.config.get('vanishedRowColumn', 'Export Status');
+    let column = sheetHeaders.indexOf(columnName);
+    if (column === -1) {
+      column = sheetHeaders.push(columnName) - 1;
+      sheet.getRange(1, column + 1).setValue(columnName);
+    }
+
+    const marker = 'Not in export since ' + new Date().toISOString().split('T')[0];
+    const changedRows = [];
+    for (let r = 1; r < existing.length; r++) {
+      const current = existing[r][column] === undefined ? '' : existing[r][column].toString();
+      if (!seenRows[r] && current === '') {
+        existing[r][column] = marker;
+        changedRows.push(r);
+        stats.vanished++;
+      } else if (seenRows[r] && current !== '') {
+        existing[r][column] = '';
+        changedRows.push(r);
+        stats.restored++;
+      }
+    }
+
+    this.writeRowRuns(sheet, existing, changedRows, column + 1, 1);
+  }
+
+  /**
+   * Write back the given rows of a values grid, one setValues per contiguous run
+   * @param {number[]} rowIndexes - 0-based indexes into values (0 is the header)
+   * @param {number} firstColumn - 1-based first column to write
+   * @param {number} width - Number of columns to write
+   */
+  writeRowRuns(sheet, values, rowIndexes, firstColumn, width) {
+    if (width < 1) return;
+    const sorted = rowIndexes.slice().sort((a, b) => a - b);
+
+    for (let i = 0; i < sorted.length;) {
+      let end = i;
+      while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) end++;
+      const run = values.slice(sorted[i], sorted[end] + 1).map(row => {
+        const cells = row.slice(firstColumn - 1, firstColumn - 1 + width);
+        while (cells.length < width) cells.push('');
+        return cells;
+      });
+      sheet.getRange(sorted[i] + 1, firstColumn, run.length, width).setValues(run);
+      i = end + 1;
+    }
+  }
+
+  /**
+   * Canonical form of a cell for merge keys and change detection. Sheets turns
+   * written strings into numbers and dates, so "1,249.00" and 1249, "00123" and
+   * 123, or "2025-10-19" and the Date it becomes compare equal.
+   */
+  normalizeCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Object.prototype.toString.call(value) === '[object Date]') {
+      const isMidnight = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0;
+      if (isMidnight) {
+        return value.getFullYear() + '-' + String(value.getMonth() + 1).padStart(2, '0') + '-' +
+          String(value.getDate()).padStart(2, '0');
+      }
+      return value.toISOString();
+    }
+    if (typeof value === 'number') return String(value);
+
+    const text = value.toString().trim();
+    if (/^-?[\d,]*\.?\d+$/.test(text)) {
+      const number = Number(text.replace(/,/g, ''));
+      if (!isNaN(number)) return String(number);
+    }
+    const date = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (date) {
+      const parts = date.slice(1).map(part => Number(part || 0));
+      const parsed = new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+      if (parsed.getMonth() === parts[1] - 1 && parsed.getDate() === parts[2]) return this.normalizeCellValue(parsed);
+    }
+    return text;
+  }
+
+  writeOptimizedData(sheet, data) {
+    const batchSize = this.config.get('batchWriteSize', 3000);
+
+    if (data.length <= batchSize) {
+      sheet.getRange(1, 1, data.length, data[0].length).setValues(data);
+      return;
+    }
+
+    // Write in optimized batches
+    for (let i = 0; i < data.length; i += batchSize) {
+      const batch = data.slice(i, Math.min(i + batchSize, data.length));
+      const range = sheet.getRange(i + 1, 1, batch.length, data[0].length);
+      range.setValues(batch);
+
+      // Yield every few batches to prevent timeout
+      if (i > 0 && i % (batchSize * 3) === 0) {
+        this.yieldExecution();
+      }
+    }
+  }
+
+  generateSheetName(reportId, reportName) {
+    const maxLength = 30;
+    let name = reportName || reportId;
+    name = name.replace(/[^\w\s-]/g, '').trim();
+
+    if (name.length > maxLength) {
+      name = name.substring(0, maxLength - 3) + '...';
+    }
+
+    return this.config.get('sheetPrefix', '') + (name || 'Report_' + reportId.substring(0, 10));
+  }
+
+  formatSheet(sheet, columnCount, rowCount) {
+    // Format header row
+    const headerRange = sheet.getRange(1, 1, 1, columnCount);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#e8f5e8');
+    headerRange.setFontColor('#2e7d32');
+    sheet.setFrozenRows(1);
+
+    // Auto-resize columns (limit to prevent timeout)
+    const maxColumns = Math.min(columnCount, 20);
+    sheet.autoResizeColumns(1, maxColumns);
+
+    // Freeze first column if many columns
+    if (columnCount > 5) {
+      sheet.setFrozenColumns(1);
+    }
+
+    // Add borders for better readability
+    if (rowCount < 10000) { // Only for smaller sheets to prevent timeout
+      const dataRange = sheet.getRange(1, 1, rowCount, columnCount);
+      dataRange.setBorder(true, true, true, true, true, true);
+    }
+  }
+
+  addMetadataNote(sheet, reportId, metadata, reportData) {
+    const note = [
+      'IMPACT.COM REPORT v4.0',
+      'Report ID: ' + reportId,
+      'Report Name: ' + (metadata.name || 'N/A'),
+      'Data Rows: ' + reportData.rowCount,
+      'Columns: ' + reportData.columnCount,
+      'Processed: ' + new Date().toLocaleString(),
+      'Chunked: ' + (reportData.needsChunking ? 'Yes' : 'No'),
+      'Script Version: 4.0.0'
+    ].join('\n');
+
+    sheet.getRange('A1').setNote(note);
+  }
+
+  createSummarySheet(results, errors) {
+    this.logger.info('Creating enhanced summary sheet', {
+      successfulCount: results ? results.length : 0,
+      errorCount: errors ? errors.length : 0
+    });
+
+    let spreadsheet;
+    try {
+      spreadsheet = this.getSpreadsheet();
+    } catch (spreadsheetError) {
+      this.logger.error('Cannot access spreadsheet for summary update', {
+        error: spreadsheetError.message,
+        spreadsheetId: this.spreadsheetId
+      });
+      throw new Error('Failed to access spreadsheet: ' + spreadsheetError.message);
+    }
+
+    // Clear existing summary
+    const summaryName = this.config.get('sheetPrefix', '') + 'DISCOVERY SUMMARY';
+    let existingSummary;
+    try {
+      existingSummary = spreadsheet.getSheetByName(summaryName);
+      if (existingSummary) {
+        spreadsheet.deleteSheet(existingSummary);
+        this.logger.debug('Deleted existing DISCOVERY SUMMARY sheet');
+      }
+    } catch (deleteError) {
+      this.logger.warn('Could not delete existing summary sheet', {
+        error: deleteError.message
+      });
+      // Continue anyway - might not exist
+    }
+
+    let summarySheet;
+    try {
+      summarySheet = spreadsheet.insertSheet(summaryName, 0);
+      this.logger.debug('Created new DISCOVERY SUMMARY sheet');
+    } catch (insertError) {
+      this.logger.error('Failed to create summary sheet', {
+        error: insertError.message
+      });
+      throw new Error('Failed to create summary sheet: ' + insertError.message);
+    }
+
+    // Get historical completed reports
+    const completedReports = this.progressTracker ? this.progressTracker.getCompletedReports() : [];
+    const safeResults = results || [];
+    const safeErrors = errors || [];
+
+    this.logger.info('Including historical data', {
+      currentResults: safeResults.length,
+      currentErrors: safeErrors.length,
+      historicalCompleted: completedReports.length
+    });
+
+    // Build comprehensive summary
+    const summaryData = [
+      ['Report ID', 'Report Name', 'Sheet Name', 'Rows', 'Columns', 'Status', 'Notes', 'Processed At']
+    ];
+
+    // Add historical completed reports first
+    const currentTimestamp = new Date();
+    if (completedReports && completedReports.length > 0) {
+      completedReports.forEach(function (completed) {
+        // Build notes field with original info plus last verified date
+        const notes = [];
+        if (completed.chunked) {
+          notes.push('Split into ' + completed.chunkCount + ' parts');
+        }
+        notes.push('Last verified: ' + currentTimestamp.toLocaleString());
+
+        summaryData.push([
+          completed.reportId,
+          completed.reportName || 'N/A',
+          completed.sheetName || 'N/A',
+          completed.rowCount || 0,
+          completed.columnCount || 0,
+          'SUCCESS (Historical)',
+          notes.join(' | '),
+          completed.processedAt ? new Date(completed.processedAt).toLocaleString() : 'N/A'
+        ]);
+      });
+    }
+
+    // Add current successful results
+    if (safeResults.length > 0) {
+      safeResults.forEach(function (result) {
+        summaryData.push([
+          result.reportId,
+          result.reportName || 'N/A',
+          result.sheetName || 'N/A',
+          result.rowCount || 0,
+          result.columnCount || 0,
+          result.status || 'SUCCESS (Current)',
+          result.chunked ? 'Split into ' + (result.chunkCount || 0) + ' parts' : (result.notes || ''),
+          result.processedAt ? (result.processedAt.toLocaleString ? result.processedAt.toLocaleString() : new Date(result.processedAt).toLocaleString()) : new Date().toLocaleString()
+        ]);
+      });
+    }
+
+    // Add current errors
+    if (safeErrors.length > 0) {
+      const currentTimestamp = new Date();
+      this.logger.debug('Adding ' + safeErrors.length + ' error entries to summary', {
+        errorCount: safeErrors.length,
+        errorIds: safeErrors.map(e => e.reportId || 'UNKNOWN')
+      });
+
+      safeErrors.forEach(function (error) {
+        summaryData.push([
+          error.reportId || 'UNKNOWN',
+          error.reportName || 'N/A',
+          'N/A',
+          0,
+          0,
+          'ERROR (Current)',
+          (error.error || error.message || 'Unknown error').substring(0, 100),
+          currentTimestamp.toLocaleString()
+        ]);
+      });
+
+      this.logger.debug('Added ' + safeErrors.length + ' error entries to summary data');
+    } else {
+      this.logger.debug('No errors to add to summary');
+    }
+
+    // Calculate totals
+    const totalHistorical = completedReports ? completedReports.length : 0;
+    const totalCurrent = safeResults.length + safeErrors.length;
+    const totalSuccessful = totalHistorical + safeResults.length;
+    const totalFailed = safeErrors.length;
+    const totalReports = totalHistorical + totalCurrent;
+    const totalRows = (completedReports ? completedReports.reduce((sum, r) => sum + (r.rowCount || 0), 0) : 0) +
+      safeResults.reduce((sum, r) => sum + (r.rowCount || 0), 0);
+
+    // Add comprehensive statistics
+    summaryData.push(['', '', '', '', '', '', '', '']);
+    summaryData.push(['=== COMPREHENSIVE STATISTICS ===', '', '', '', '', '', '', '']);
+    summaryData.push(['Total Reports (All Time)', totalReports, '', '', '', '', '', '']);
+    summaryData.push(['Historical Completed', totalHistorical, '', '', '', '', '', '']);
+    summaryData.push(['Current Run - Successful', safeResults.length, '', '', '', '', '', '']);
+    summaryData.push(['Current Run - Failed', safeErrors.length, '', '', '', '', '', '']);
+    summaryData.push(['Total Successful', totalSuccessful, '', '', '', '', '', '']);
+    summaryData.push(['Total Failed', totalFailed, '', '', '', '', '', '']);
+    summaryData.push(['Overall Success Rate', totalReports > 0 ?
+      ((totalSuccessful / totalReports) * 100).toFixed(1) + '%' : '0%',
+      '', '', '', '', '', '']);
+    summaryData.push(['Total Rows Processed', totalRows, '', '', '', '', '', '']);
+    const chunkedHistorical = completedReports ? completedReports.filter(r => r.chunked).length : 0;
+    const chunkedCurrent = safeResults.filter(r => r.chunked).length;
+    summaryData.push(['Chunked Reports', chunkedHistorical + chunkedCurrent, '', '', '', '', '', '']);
+    summaryData.push(['Schema Changes (Current Run)', safeResults.filter(r => r.schemaChanged).length, '', '', '', '', '', '']);
+    // Add separator and last updated timestamp
+    summaryData.push(['', '', '', '', '', '', '', '']);
+    summaryData.push(['=== SUMMARY LAST UPDATED ===', '', '', '', '', '', '', '']);
+    summaryData.push(['Last Updated', new Date().toLocaleString(), '', '', '', '', '', '']);
+    summaryData.push(['Date', new Date().toLocaleDateString(), '', '', '', '', '', '']);
+    summaryData.push(['Time', new Date().toLocaleTimeString(), '', '', '', '', '', '']);
+
+    // Write data
+    try {
+      summarySheet.getRange(1, 1, summaryData.length, 8).setValues(summaryData);
+      this.logger.debug('Summary data written to sheet', {
+        rowCount: summaryData.length,
+        columnCount: 8
+      });
+    } catch (writeError) {
+      this.logger.error('Failed to write summary data', {
+        error: writeError.message,
+        rowCount: summaryData.length
+      });
+      throw new Error('Failed to write summary data: ' + writeError.message);
+    }
+
+    // Format summary
+    try {
+      this.formatSummarySheet(summarySheet, 8, summaryData.length);
+      this.logger.debug('Summary sheet formatted');
+    } catch (formatError) {
+      this.logger.warn('Failed to format summary sheet', {
+        error: formatError.message
+      });
+      // Don't fail if formatting fails - data is already written
+    }
+
+    this.logger.info('Enhanced summary sheet created successfully', {
+      totalReports: totalReports,
+      historicalCompleted: totalHistorical,
+      currentSuccessful: results ? results.length : 0,
+      currentFailed: errors ? errors.length : 0,
+      totalSuccessful: totalSuccessful,
+      lastUpdated: new Date().toISOString()
+    });
+  }
+
+  formatSummarySheet(sheet, columnCount, rowCount) {
+    // Format header
+    const headerRange = sheet.getRange(1, 1, 1, columnCount);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#fff3e0');
+    headerRange.setFontColor('#e65100');
+    sheet.setFrozenRows(1);
+
+    // Format statistics section
+    const statsStartRow = sheet.getRange('A:A').getValues().findIndex(row =>
+      row[0] === '=== STATISTICS ==='
+    ) + 1;
+
+    if (statsStartRow > 0) {
+      const statsRange = sheet.getRange(statsStartRow, 1, rowCount - statsStartRow + 1, columnCount);
+      statsRange.setBackground('#f5f5f5');
+      statsRange.setFontWeight('bold');
+    }
+
+    // Auto-resize columns
+    sheet.autoResizeColumns(1, columnCount);
+  }
+
+  yieldExecution() {
+    // Yield execution to prevent timeout
+    Utilities.sleep(this.config.get('yieldInterval', 1000));
+  }
+
+  /**
+   * Check if data should be refreshed based on freshness rules
+   */
+  shouldRefreshData(reportId, metadata) {
+    const freshnessHours = this.config.get('dataFreshnessHours', 24); // Default 24 hours
+    const forceRefresh = this.config.get('forceRefresh', false);
+
+    if (forceRefresh) {
+      this.logger.info('Force refresh enabled for ' + reportId + ' (Config: ' + forceRefresh + ')');
+      return true;
+    }
+
+    // Check if we have freshness data for this report
+    const freshnessData = this.getDataFreshness(reportId);
+    if (!freshnessData) {
+      this.logger.info('No freshness data for ' + reportId + ' - will refresh');
+      return true;
+    }
+
+    const lastUpdated = new Date(freshnessData.lastUpdated);
+    const now = new Date();
+    const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
+
+    if (hoursSinceUpdate >= freshnessHours) {
+      this.logger.info('Data is stale for ' + reportId, {
+        hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
+        freshnessThreshold: freshnessHours
+      });
+      return true;
+    }
+
+    this.logger.info('Data is fresh for ' + reportId, {
+      hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
+      freshnessThreshold: freshnessHours
+    });
+    return false;
+  }
+  /**
+   * Store data freshness information
+   */
+  storeDataFreshness(reportId, metadata) {
+    const freshnessData = {
+      reportId: reportId,
+      lastUpdated: new Date().toISOString(),
+      reportName: metadata.name,
+      dataHash: this.calculateDataHash(metadata),
+      rowCount: metadata.rowCount || 0
+    };
+
+    const props = PropertiesService.getScriptProperties();
+    const existingData = props.getProperty(this.config.propertyKey('IMPACT_DATA_FRESHNESS'));
+    let freshnessMap = {};
+
+    if (existingData) {
+      try {
+        freshnessMap = JSON.parse(existingData);
+      } catch (error) {
+        this.logger.warn('Failed to parse existing freshness data');
+      }
+    }
+
+    freshnessMap[reportId] = freshnessData;
+    props.setProperty(this.config.propertyKey('IMPACT_DATA_FRESHNESS'), JSON.stringify(freshnessMap));
+
+    this.logger.info('Stored freshness data for ' + reportId, {
+      lastUpdated: freshnessData.lastUpdated,
+      rowCount: freshnessData.rowCount
+    });
+  }
+
+  /**
+   * Get data freshness information for a report
+   */
+  getDataFreshness(reportId) {
+    const props = PropertiesService.getScriptProperties();
+    const existingData = props.getProperty(this.config.propertyKey('IMPACT_DATA_FRESHNESS'));
+
+    if (!existingData) {
+      return null;
+    }
+
+    try {
+      const freshnessMap = JSON.parse(existingData);
+      return freshnessMap[reportId] || null;
+    } catch (error) {
+      this.logger.warn('Failed to parse freshness data');
+      return null;
+    }
+  }
+
+  /**
+   * Calculate a simple hash for data comparison
+   */
+  calculateDataHash(metadata) {
+    const hashData = {
+      reportId: metadata.reportId,
+      reportName: metadata.name,
+      rowCount: metadata.rowCount,
+      columnCount: metadata.columnCount,
+      timestamp: new Date().toISOString().split('T')[0] // Date only for daily comparison
+    };
+
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5,
+      JSON.stringify(hashData),
+      Utilities.Charset.UTF_8
+    ).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Clear all freshness data (useful for full refresh)
+   */
+  clearDataFreshness() {
+    const props = PropertiesService.getScriptProperties();
+    props.deleteProperty(this.config.propertyKey('IMPACT_DATA_FRESHNESS'));
+    this.logger.info('Cleared all data freshness information');
+  }
+
+  /**
+   * Get freshness summary for all reports
+   */
+  getFreshnessSummary() {
+    const props = PropertiesService.getScriptProperties();
+    const existingData = props.getProperty(this.config.propertyKey('IMPACT_DATA_FRESHNESS'));
+
+    if (!existingData) {
+      return { totalReports: 0, freshReports: 0, staleReports: 0, reports: [] };
+    }
+
+    try {
+      const freshnessMap = JSON.parse(existingData);
+      const now = new Date();
+      const freshnessHours = this.config.get('dataFreshnessHours', 24);
+
+      let freshCount = 0;
+      let staleCount = 0;
+      const reports = [];
+
+      for (const [reportId, data] of Object.entries(freshnessMap)) {
+        const lastUpdated = new Date(data.lastUpdated);
+        const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
+        const isFresh = hoursSinceUpdate < freshnessHours;
+
+        if (isFresh) freshCount++;
+        else staleCount++;
+
+        reports.push({
+          reportId: reportId,
+          reportName: data.reportName,
+          lastUpdated: data.lastUpdated,
+          hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
+          isFresh: isFresh,
+          rowCount: data.rowCount
+        });
+      }
+
+      return {
+        totalReports: Object.keys(freshnessMap).length,
+        freshReports: freshCount,
+        staleReports: staleCount,
+        reports: reports.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
+      };
+    } catch (error) {
+      this.logger.error('Failed to parse freshness summary', { error: error.message });
+      return { totalReports: 0, freshReports: 0, staleReports: 0, reports: [] };
+    }
+  }
+}
+
+// ============================================================================
+// STREAMING SHEET WRITER
+// ============================================================================
+
+/**
+ * Receives parsed CSV batches (or flattened REST pages) and appends them to
+ * staging sheets, starting a new part whenever maxRowsPerSheet is reached. finish() swaps the staging sheets in
+ * under their final names ("Name" or "Name (Part N)"), tags them as one
+ * ReportDataset and removes stale parts.
+ */
+class StreamingSheetWriter {
+  constructor(manager, spreadsheet, baseName) {
+    this.manager = manager;
+    this.spreadsheet = spreadsheet;
+    this.baseName = baseName;
+    this.maxRows = manager.config.get('enableSmartChunking', true) ?
+      manager.config.get('maxRowsPerSheet', 50000) : Infinity;
+    this.parts = [];
+    this.rowCount = 0;
+  }
+
+  stagingName(partNumber) {
+    return this.baseName + ' (loading ' + partNumber + ')';
+  }
+
+  /**
+   * Pick up staging sheets left by an earlier execution (see getPartState)
+   * @param {Object[]} partState - { rowCount, columnCount } per part
+   * @returns {boolean} False when a staging sheet is gone and the load has to start over
+   */
+  reattach(partState) {
+    const parts = [];
+    for (let i = 0; i < partState.length; i++) {
+      const sheet = this.spreadsheet.getSheetByName(this.stagingName(i + 1));
+      if (!sheet) return false;
+      parts.push({ sheet: sheet, rowCount: partState[i].rowCount, columnCount: partState[i].columnCount });
+    }
+    this.parts = parts;
+    this.rowCount = parts.reduce((sum, part) => sum + part.rowCount, 0);
+    return true;
+  }
+
+  getPartState() {
+    return this.parts.map(part => ({ rowCount: part.rowCount, columnCount: part.columnCount }));
+  }
+
+  write(headers, rows) {
+    let offset = 0;
+    while (offset < rows.length) {
+      let part = this.parts[this.parts.length - 1];
+      if (!part || part.rowCount >= this.maxRows) {
+        part = this.startPart(headers);
+      }
+      if (headers.length > part.columnCount) {
+        part.sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        part.columnCount = headers.length;
+      }
+
+      const count = Math.min(rows.length - offset, this.maxRows - part.rowCount);
+      const slice = offset === 0 && count === rows.length ? rows : rows.slice(offset, offset + count);
+      part.sheet.getRange(part.rowCount + 2, 1, slice.length, headers.length).setValues(slice);
+
+      part.rowCount += count;
+      this.rowCount += count;
+      offset += count;
+    }
+  }
+
+  startPart(headers) {
+    if (this.parts.length > 0) {
+      this.manager.yieldExecution();
+    }
+
+    const stagingName = this.stagingName(this.parts.length + 1);
+    const leftover = this.spreadsheet.getSheetByName(stagingName);
+    if (leftover) {
+      this.spreadsheet.deleteSheet(leftover);
+    }
+
+    const sheet = this.spreadsheet.insertSheet(stagingName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+    const part = { sheet: sheet, rowCount: 0, columnCount: headers.length };
+    this.parts.push(part);
+    return part;
+  }
+
+  finish(headers) {
+    if (this.parts.length === 0) {
+      this.startPart(headers);
+    }
+
+    const chunked = this.parts.length > 1;
+    this.removeExistingSheets();
+
+    const sheetNames = this.parts.map((part, i) => {
+      const name = chunked ? this.baseName + ' (Part ' + (i + 1) + ')' : this.baseName;
+      if (part.columnCount < headers.length) {
+        part.sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      }
+      part.sheet.setName(name);
+      this.manager.formatSheet(part.sheet, headers.length, part.rowCount + 1);
+      return name;
+    });
+    ReportDataset.tagParts(this.parts.map(part => part.sheet), this.baseName);
+
+    return chunked ? {
+      sheetName: sheetNames.join(', '),
+      chunked: true,
+      chunkCount: sheetNames.length,
+      sheetNames: sheetNames
+    } : {
+      sheetName: sheetNames[0],
+      chunked: false
+    };
+  }
+
+  abort() {
+    this.parts.forEach(part => this.spreadsheet.deleteSheet(part.sheet));
+    this.parts = [];
+  }
+
+  removeExistingSheets() {
+    ReportDataset.removeSheets(this.spreadsheet, this.baseName, this.parts.map(part => part.sheet));
+  }
+}
+
+// ============================================================================
+// REPORT DATASETS
+// ============================================================================
+
+/**
+ * Developer metadata key written on every sheet of a report. The value is
+ * JSON { dataset, part, parts } so the parts still group together after a
+ * user renames or reorders the tabs.
+ */
+const REPORT_DATASET_METADATA_KEY = 'impact.dataset';
+
+/**
+ * A report's rows as one table, whether they sit in a single sheet or were
+ * split into "(Part N)" sheets at maxRowsPerSheet. Readers should open reports
+ * through this class instead of getSheetByName so they see every part.
+ * Sheets written before parts were tagged are grouped by their names.
+ */
+class ReportDataset {
+  constructor(name, sheets) {
+    this.name = name;
+    this.sheets = sheets;
+  }
+
+  /**
+   * Tag the sheets holding one report, in part order
+   */
+  static tagParts(sheets, datasetName) {
+    sheets.forEach((sheet, i) => {
+      sheet.getDeveloperMetadata()
+        .filter(entry => entry.getKey() === REPORT_DATASET_METADATA_KEY)
+        .forEach(entry => entry.remove());
+      sheet.addDeveloperMetadata(REPORT_DATASET_METADATA_KEY, JSON.stringify({
+        dataset: datasetName,
+        part: i + 1,
+        parts: sheets.length
+      }));
+    });
+  }
+
+  /**
+   * Delete every sheet of a dataset: the base name, its "(Part N)" sheets and
+   * any sheet tagged with it under another name
+   * @param {Sheet[]} keep - Sheets to leave alone, e.g. the staging sheets replacing them
+   */
+  static removeSheets(spreadsheet, datasetName, keep = []) {
+    const partPrefix = datasetName + ' (Part ';
+    spreadsheet.getSheets().forEach(sheet => {
+      if (keep.indexOf(sheet) !== -1) return;
+      const name = sheet.getName();
+      const tag = ReportDataset.readTag(sheet);
+      if (name === datasetName || (name.indexOf(partPrefix) === 0 && /\(Part \d+\)$/.test(name)) ||
+          (tag && tag.dataset === datasetName)) {
+        spreadsheet.deleteSheet(sheet);
+      }
+    });
+  }
+
+  static readTag(sheet) {
+    const entry = sheet.getDeveloperMetadata().find(item => item.getKey() === REPORT_DATASET_METADATA_KEY);
+    if (!entry) return null;
+    try {
+      const tag = JSON.parse(entry.getValue());
+      return tag && tag.dataset ? tag : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Every dataset in the spreadsheet, in the order its first sheet appears.
+   * Sheets that are not report parts come back as one-sheet datasets.
+   * @returns {ReportDataset[]}
+   */
+  static list(spreadsheet) {
+    const groups = [];
+    const byName = {};
+
+    spreadsheet.getSheets().forEach(sheet => {
+      const tag = ReportDataset.readTag(sheet);
+      const match = tag ? null : sheet.getName().match(/^(.*) \(Part (\d+)\)$/);
+      const name = tag ? tag.dataset : (match ? match[1] : sheet.getName());
+      const part = tag ? Number(tag.part) || 1 : (match ? Number(match[2]) : 1);
+
+      if (!Object.prototype.hasOwnProperty.call(byName, name)) {
+        byName[name] = { name: name, parts: [] };
+        groups.push(byName[name]);
+      }
+      byName[name].parts.push({ sheet: sheet, part: part });
+    });
+
+    return groups.map(group => new ReportDataset(group.name,
+      group.parts.sort((a, b) => a.part - b.part).map(entry => entry.sheet)));
+  }
+
+  /**
+   * Find a dataset by its name, the name of one of its parts, or the
+   * "A (Part 1), A (Part 2)" list that chunked writes report as sheetName
+   * @returns {ReportDataset|null}
+   */
+  static open(spreadsheet, name) {
+    if (!name) return null;
+    const datasets = ReportDataset.list(spreadsheet);
+    const find = candidate =>
+      datasets.find(dataset => dataset.name === candidate) ||
+      datasets.find(dataset => dataset.getSheetNames().indexOf(candidate) !== -1) ||
+      null;
+
+    const dataset = find(name);
+    if (dataset || name.indexOf(', ') === -1) return dataset;
+    return find(name.split(', ')[0]);
+  }
+
+  /**
+   * Open the first of several candidate names that exists
+   * @returns {ReportDataset|null}
+   */
+  static openAny(spreadsheet, names) {
+    for (let i = 0; i < names.length; i++) {
+      const dataset = ReportDataset.open(spreadsheet, names[i]);
+      if (dataset) return dataset;
+    }
+    return null;
+  }
+
+  getName() { return this.name; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetNames() { return this.sheets.map(sheet => sheet.getName()); }
+  isChunked() { return this.sheets.length > 1; }
+
+  /**
+   * The first part's header row, plus any columns that only appear in later parts
+   */
+  getHeaders() {
+    const headers = [];
+    this.sheets.forEach(sheet => {
+      const lastColumn = sheet.getLastColumn();
+      if (lastColumn < 1 || sheet.getLastRow() < 1) return;
+      const partHeaders = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+      if (headers.length === 0) {
+        partHeaders.forEach(header => headers.push(header));
+        return;
+      }
+      partHeaders.forEach((header, c) => {
+        if (header !== '' && header !== headers[c] && headers.indexOf(header) === -1) headers.push(header);
+      });
+    });
+    return headers;
+  }
+
+  getRowCount() {
+    return this.sheets.reduce((sum, sheet) => sum + Math.max(0, sheet.getLastRow() - 1), 0);
+  }
+
+  /**
+   * Read the data rows of every part in order, batchSize rows at a time,
+   * with each row laid out in getHeaders() order
+   * @param {Function} callback - (rows, { headers, sheet, offset })
+   */
+  forEachBatch(callback, batchSize = 5000) {
+    const headers = this.getHeaders();
+    let offset = 0;
+
+    this.sheets.forEach(sheet => {
+      const lastRow = sheet.getLastRow();
+      const lastColumn = sheet.getLastColumn();
+      if (lastRow < 2 || lastColumn < 1) return;
+
+      const partHeaders = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+      const positions = partHeaders.map((header, c) =>
+        header === headers[c] ? c : (header === '' ? -1 : headers.indexOf(header)));
+      const aligned = partHeaders.length === headers.length && positions.every((position, c) => position === c);
+
+      for (let start = 2; start <= lastRow; start += batchSize) {
+        const count = Math.min(batchSize, lastRow - start + 1);
+        let rows = sheet.getRange(start, 1, count, lastColumn).getValues();
+        if (!aligned) {
+          rows = rows.map(row => {
+            const mapped = new Array(headers.length).fill('');
+            positions.forEach((position, c) => {
+              if (position !== -1 && position < headers.length) mapped[position] = row[c];
+            });
+            return mapped;
+          });
+        }
+        callback(rows, { headers: headers, sheet: sheet, offset: offset });
+        offset += rows.length;
+      }
+    });
+  }
+
+  /**
+   * Header row followed by every part's rows, like getDataRange().getValues()
+   * on a single sheet
+   */
+  getValues() {
+    const values = [this.getHeaders()];
+    this.forEachBatch(rows => {
+      rows.forEach(row => values.push(row));
+    });
+    return values;
+  }
+}
+
+// ============================================================================
+// OUTPUT SINKS
+// ============================================================================
+
+const OUTPUT_SINK_NAMES = ['sheets', 'csv', 'jsonl', 'warehouse'];
+
+/**
+ * A destination for report rows. Writers have StreamingSheetWriter's shape -
+ * write(headers, rows), finish(headers), abort() - so a CSV download or a run
+ * of REST pages can be fed to several sinks at once.
+ */
+class OutputSink {
+  constructor(name, config, logger) {
+    this.name = name;
+    this.config = config;
+    this.logger = logger;
+  }
+
+  openWriter(reportId, reportName) {
+    throw new Error('Output sink ' + this.name + ' does not implement openWriter');
+  }
+
+  /**
+   * Where a finished writer put the rows, for notes and the summary
+   * @param {Object} result - The writer's finish() result
+   */
+  describe(result) {
+    return result.location;
+  }
+
+  /**
+   * Stream a downloaded CSV through a new writer
+   * @param {Function} onRows - Optional observer called with (headers, rows) for each batch
+   * @param {Object} options - Sink-specific (see SheetsSink)
+   * @returns {Object} The writer's finish() result plus rowCount and columnCount
+   */
+  writeCsv(reportId, reportName, csvData, dataProcessor, onRows = null, options = {}) {
+    const writer = this.openWriter(reportId, reportName);
+    let stats;
+    try {
+      stats = dataProcessor.streamCSVData(csvData, (rows, info) => {
+        if (onRows) onRows(info.headers, rows);
+        writer.write(info.headers, rows);
+      });
+    } catch (error) {
+      writer.abort();
+      throw error;
+    }
+
+    return { ...writer.finish(stats.headers), rowCount: stats.rowCount, columnCount: stats.columnCount };
+  }
+}
+
+/**
+ * The report's own sheet(s), split into "(Part N)" sheets at maxRowsPerSheet.
+ * REST collections get a StreamingSheetWriter; CSV exports are merged into the
+ * existing sheet by key where merging applies and streamed in otherwise.
+ */
+class SheetsSink extends OutputSink {
+  constructor(config, logger, spreadsheetManager) {
+    super('sheets', config, logger);
+    this.spreadsheetManager = spreadsheetManager;
+  }
+
+  openWriter(reportId, reportName) {
+    return new StreamingSheetWriter(this.spreadsheetManager, this.spreadsheetManager.getSpreadsheet(),
+      this.spreadsheetManager.generateSheetName(reportId, reportName));
+  }
+
+  /**
+   * An incremental delta is always merged. A full export is merged when the
+   * report has key columns, a single sheet to merge into and merging is on
+   * (enableMergeWrites unless options.merge says otherwise); anything else
+   * replaces the sheet(s), streamed unless enableStreamingIngestion is off.
+   * @param {Object} options - { metadata, keyColumns, delta, merge }
+   * @returns {Object} Sheet info, with merge stats when the export was merged
+   */
+  writeCsv(reportId, reportName, csvData, dataProcessor, onRows = null, options = {}) {
+    const manager = this.spreadsheetManager;
+    const metadata = options.metadata || { name: reportName };
+    const keyColumns = options.keyColumns || manager.getMergeKeyColumns(reportId, reportName);
+    const merge = options.merge !== undefined ? options.merge : this.config.get('enableMergeWrites', false);
+
+    if (options.delta || (keyColumns && merge && manager.getMergeTarget(reportId, reportName))) {
+      return manager.mergeReportFromCsv(reportId, csvData, dataProcessor, metadata, {
+        keyColumns: keyColumns,
+        markVanished: !options.delta && this.config.get('markVanishedRows', false),
+        onRows: onRows
+      });
+    }
+
+    if (this.config.get('enableStreamingIngestion', true)) {
+      return manager.createReportSheetFromCsv(reportId, csvData, dataProcessor, metadata, onRows);
+    }
+
+    const processedData = dataProcessor.processCSVData(csvData);
+    if (onRows && processedData.data.length > 0) {
+      onRows(processedData.data[0], processedData.data.slice(1));
+    }
+    return manager.createReportSheet(reportId, processedData, metadata);
+  }
+
+  describe(result) {
+    return result.sheetName;
+  }
+}
+
+/**
+ * One file per report in the outputFolderId Drive folder, as CSV or
+ * newline-delimited JSON and gzipped unless compressOutputFiles is off.
+ * Reports longer than outputChunkRows continue in "(Part N)" files. The new
+ * files are created before older files with the same names are trashed, so a
+ * failed run leaves the last good files in place.
+ */
+class DriveFileSink extends OutputSink {
+  constructor(format, config, logger) {
+    super(format, config, logger);
+    this.format = format;
+  }
+
+  openWriter(reportId, reportName) {
+    return new DriveFileWriter(this, reportId, reportName);
+  }
+
+  getFileName(reportId, reportName, partNumber = 1) {
+    const accountName = this.config.get('accountName', null);
+    const name = ((accountName ? accountName + ' - ' : '') + (reportName || reportId)).replace(/[\\/:*?"<>|]/g, '_').trim();
+    return name + (partNumber > 1 ? ' (Part ' + partNumber + ')' : '') + (this.format === 'jsonl' ? '.jsonl' : '.csv') +
+      (this.config.get('compressOutputFiles', true) ? '.gz' : '');
+  }
+
+  getFolder() {
+    return DriveApp.getFolderById(this.config.get('outputFolderId', ''));
+  }
+
+  /**
+   * Write one part file
+   * @returns {File} The new Drive file
+   */
+  createFile(fileName, content) {
+    const contentType = this.format === 'jsonl' ? 'application/x-ndjson' : 'text/csv';
+    let blob = Utilities.newBlob(content, contentType, fileName.replace(/\.gz$/, ''));
+    if (this.config.get('compressOutputFiles', true)) {
+      blob = Utilities.gzip(blob, fileName);
+    }
+    return this.getFolder().createFile(blob);
+  }
+
+  /**
+   * Trash the report's files other than the given ones, including parts
+   * past the new part count
+   * @param {File[]} files - The files just written, in part order
+   * @returns {number} Files trashed
+   */
+  replaceFiles(reportId, reportName, files) {
+    const folder = this.getFolder();
+    const keep = files.map(file => file.getId());
+    let replaced = 0;
+
+    for (let partNumber = 1; ; partNumber++) {
+      const previous = folder.getFilesByName(this.getFileName(reportId, reportName, partNumber));
+      if (partNumber > files.length && !previous.hasNext()) break;
+      while (previous.hasNext()) {
+        const old = previous.next();
+        if (keep.indexOf(old.getId()) === -1) {
+          old.setTrashed(true);
+          replaced++;
+        }
+      }
+    }
+    return replaced;
+  }
+}
+
+/**
+ * Buffers up to outputChunkRows rows as CSV or JSON lines, then writes them
+ * out as the next part file. REST rows from earlier pages can be narrower
+ * than the header, so CSV lines are padded to its width.
+ */
+class DriveFileWriter {
+  constructor(sink, reportId, reportName) {
+    this.sink = sink;
+    this.reportId = reportId;
+    this.reportName = reportName;
+    this.chunkRows = Math.max(1, sink.config.get('outputChunkRows', 50000));
+    this.headers = [];
+    this.lines = [];
+    this.widths = [];
+    this.files = [];
+    this.bytes = 0;
+    this.rowCount = 0;
+  }
+
+  static csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  write(headers, rows) {
+    this.headers = headers;
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (this.sink.format === 'jsonl') {
+        const record = {};
+        headers.forEach((name, c) => { record[name] = row[c] === undefined ? '' : row[c]; });
+        this.lines.push(JSON.stringify(record));
+      } else {
+        this.lines.push(row.map(DriveFileWriter.csvField).join(','));
+        this.widths.push(row.length);
+      }
+      if (this.lines.length >= this.chunkRows) this.writePart();
+    }
+    this.rowCount += rows.length;
+  }
+
+  writePart() {
+    let content;
+    if (this.sink.format === 'jsonl') {
+      content = this.lines.join('\n') + (this.lines.length > 0 ? '\n' : '');
+    } else {
+      const width = this.headers.length;
+      const lines = this.lines.map((line, i) => this.widths[i] < width ? line + ','.repeat(width - this.widths[i]) : line);
+      content = [this.headers.map(DriveFileWriter.csvField).join(',')].concat(lines).join('\n') + '\n';
+    }
+
+    const file = this.sink.createFile(this.sink.getFileName(this.reportId, this.reportName, this.files.length + 1), content);
+    this.files.push(file);
+    this.bytes += file.getSize();
+    this.lines = [];
+    this.widths = [];
+  }
+
+  finish(headers) {
+    this.headers = headers;
+    if (this.lines.length > 0 || this.files.length === 0) this.writePart();
+
+    const fileName = this.sink.getFileName(this.reportId, this.reportName);
+    const replaced = this.sink.replaceFiles(this.reportId, this.reportName, this.files);
+    this.sink.logger.info('Wrote ' + this.rowCount + ' rows to ' + fileName, {
+      parts: this.files.length,
+      bytes: this.bytes,
+      replaced: replaced
+    });
+
+    return {
+      location: 'Drive: ' + fileName + (this.files.length > 1 ? ' (' + this.files.length + ' parts)' : ''),
+      fileId: this.files[0].getId(),
+      url: this.files[0].getUrl(),
+      bytes: this.bytes,
+      partCount: this.files.length
+    };
+  }
+
+  abort() {
+    this.files.forEach(file => file.setTrashed(true));
+    this.files = [];
+    this.lines = [];
+    this.widths = [];
+  }
+}
+
+/**
+ * Loads each report into a warehouse table through the BigQuery advanced
+ * service, replacing the table's contents and schema on every load. Column
+ * types are inferred from the values: whole numbers without leading zeros are
+ * INTEGER (widened to FLOAT when a column also holds decimals), true/false is
+ * BOOLEAN, anything TypedValueParser reads as a date is TIMESTAMP, and every
+ * other mix stays STRING.
+ */
+class WarehouseTableSink extends OutputSink {
+  constructor(config, logger) {
+    super('warehouse', config, logger);
+    this.parser = new TypedValueParser(config);
+    const decimal = config.get('decimalSeparator', 'auto') === ',' ? ',' : '\\.';
+    const group = decimal === ',' ? '\\.' : ',';
+    this.decimalPattern = new RegExp('^-?(\\d+|\\d{1,3}(' + group + '\\d{3})+)(' + decimal + '\\d+)?$');
+  }
+
+  openWriter(reportId, reportName) {
+    return new WarehouseTableWriter(this, this.getTableId(reportId));
+  }
+
+  getTableId(reportId) {
+    const accountName = this.config.get('accountName', null);
+    return (this.config.get('warehouseTablePrefix', '') +
+      (accountName ? ImpactConfig.accountKey(accountName).toLowerCase() + '_' : '') + reportId).replace(/[^A-Za-z0-9_]/g, '_');
+  }
+
+  /**
+   * Column names the warehouse accepts: letters, digits and underscores, not
+   * starting with a digit, and unique ignoring case
+   */
+  static getColumnNames(headers) {
+    const seen = {};
+    return headers.map((header, i) => {
+      let name = String(header).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'column_' + (i + 1);
+      if (/^\d/.test(name)) name = '_' + name;
+
+      let unique = name;
+      for (let n = 2; seen[unique.toLowerCase()]; n++) unique = name + '_' + n;
+      seen[unique.toLowerCase()] = true;
+      return unique;
+    });
+  }
+
+  /**
+   * @returns {string|null} Type of a single value, or null for blanks
+   */
+  inferType(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text === '') return null;
+    if (/^(true|false)$/i.test(text)) return 'BOOLEAN';
+    if (/^-?(0|[1-9]\d{0,14})$/.test(text)) return 'INTEGER';
+    if (this.decimalPattern.test(text) && !/^-?0\d/.test(text)) return 'FLOAT';
+    if (this.parser.parseDate(text)) return 'TIMESTAMP';
+    return 'STRING';
+  }
+
+  static widenType(current, next) {
+    if (!current) return next;
+    if (!next || current === next) return current;
+    if ((current === 'INTEGER' && next === 'FLOAT') || (current === 'FLOAT' && next === 'INTEGER')) return 'FLOAT';
+    return 'STRING';
+  }
+
+  convertValue(value, type) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text === '') return null;
+
+    switch (type) {
+      case 'BOOLEAN': return /^true$/i.test(text);
+      case 'INTEGER': return Number(text);
+      case 'FLOAT': return this.parser.parseMoney(text).amount;
+      case 'TIMESTAMP': return this.parser.parseDate(text).toISOString();
+      default: return String(value);
+    }
+  }
+
+  /**
+   * Value text the final table can cast from a STRING staging column: numbers
+   * without grouping, ISO timestamps and lowercase booleans
+   * @returns {string|null} Null for blanks and plain strings
+   */
+  canonicalValue(value, type) {
+    if (!type || type === 'STRING') return null;
+    const converted = this.convertValue(value, type);
+    if (type === 'TIMESTAMP') return converted.replace(/Z$/, '+00:00');
+    return String(converted);
+  }
+
+  /**
+   * Append a chunk of staged rows, creating the staging table with the first
+   * chunk and adding columns as later chunks bring them
+   */
+  loadStaging(stagingId, fields, ndjson, rowCount, append) {
+    const projectId = this.config.get('warehouseProjectId', '');
+    const datasetId = this.config.get('warehouseDataset', 'impact_reports');
+    const load = {
+      destinationTable: { projectId: projectId, datasetId: datasetId, tableId: stagingId },
+      schema: { fields: fields },
+      sourceFormat: 'NEWLINE_DELIMITED_JSON',
+      writeDisposition: append ? 'WRITE_APPEND' : 'WRITE_TRUNCATE',
+      createDisposition: 'CREATE_IF_NEEDED'
+    };
+    if (append) load.schemaUpdateOptions = ['ALLOW_FIELD_ADDITION'];
+
+    this.runJob({ load: load }, Utilities.newBlob(ndjson, 'application/octet-stream'), datasetId + '.' + stagingId);
+    this.logger.debug('Staged ' + rowCount + ' rows in ' + datasetId + '.' + stagingId);
+  }
+
+  /**
+   * Replace the table with the staged rows cast to their column types, then
+   * drop the staging table
+   * @param {Object[]} columns - { name, type, source } per column, source being the staging column
+   * @returns {Object} { location, jobId, columnCount }
+   */
+  publish(stagingId, tableId, columns, rowCount) {
+    const projectId = this.config.get('warehouseProjectId', '');
+    const datasetId = this.config.get('warehouseDataset', 'impact_reports');
+    const castTypes = { INTEGER: 'INT64', FLOAT: 'FLOAT64', BOOLEAN: 'BOOL', TIMESTAMP: 'TIMESTAMP' };
+    const select = columns.map(column => (column.type === 'STRING' ? '`' + column.source + '`' :
+      'SAFE_CAST(`' + column.source + '_v` AS ' + castTypes[column.type] + ')') + ' AS `' + column.name + '`');
+
+    const jobId = this.runJob({
+      query: {
+        query: 'SELECT ' + select.join(', ') + ' FROM `' + projectId + '.' + datasetId + '.' + stagingId + '`',
+        useLegacySql: false,
+        destinationTable: { projectId: projectId, datasetId: datasetId, tableId: tableId },
+        writeDisposition: 'WRITE_TRUNCATE',
+        createDisposition: 'CREATE_IF_NEEDED'
+      }
+    }, null, datasetId + '.' + tableId);
+    this.removeStaging(stagingId);
+
+    this.logger.info('Loaded ' + rowCount + ' rows into ' + datasetId + '.' + tableId, {
+      jobId: jobId,
+      columns: columns.length
+    });
+
+    return { location: 'Warehouse: ' + datasetId + '.' + tableId, jobId: jobId, columnCount: columns.length };
+  }
+
+  removeStaging(stagingId) {
+    try {
+      BigQuery.Tables.remove(this.config.get('warehouseProjectId', ''), this.config.get('warehouseDataset', 'impact_reports'), stagingId);
+    } catch (error) {
+      this.logger.warn('Failed to drop staging table ' + stagingId, { error: error.message });
+    }
+  }
+
+  /**
+   * Insert a job and wait for it to finish
+   * @returns {string} The job ID
+   */
+  runJob(configuration, mediaData, tableName) {
+    const projectId = this.config.get('warehouseProjectId', '');
+    const timeoutSeconds = this.config.get('warehouseLoadTimeoutSeconds', 300);
+    const job = mediaData ?
+      BigQuery.Jobs.insert({ configuration: configuration }, projectId, mediaData) :
+      BigQuery.Jobs.insert({ configuration: configuration }, projectId);
+
+    const jobId = job.jobReference.jobId;
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    let status = job;
+    while (status.status.state !== 'DONE') {
+      if (Date.now() > deadline) {
+        throw new Error('Warehouse load into ' + tableName + ' did not finish within ' + timeoutSeconds + 's (job ' + jobId + ')');
+      }
+      Utilities.sleep(2000);
+      status = BigQuery.Jobs.get(projectId, jobId, { location: job.jobReference.location });
+    }
+
+    if (status.status.errorResult) {
+      throw new Error('Warehouse load into ' + tableName + ' failed: ' + status.status.errorResult.message);
+    }
+    return jobId;
+  }
+}
+
+/**
+ * Loads a report outputChunkRows rows at a time into a staging table of
+ * STRING columns - each value next to its canonical form - since a column's
+ * type is only known once every value in it has been seen. finish() casts
+ * the staged rows into the real table.
+ */
+class WarehouseTableWriter {
+  constructor(sink, tableId) {
+    this.sink = sink;
+    this.tableId = tableId;
+    this.stagingId = tableId + '__staging';
+    this.chunkRows = Math.max(1, sink.config.get('outputChunkRows', 50000));
+    this.types = [];
+    this.records = [];
+    this.width = 0;
+    this.chunks = 0;
+    this.rowCount = 0;
+  }
+
+  write(headers, rows) {
+    this.width = Math.max(this.width, headers.length);
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const record = {};
+      for (let c = 0; c < row.length; c++) {
+        const type = this.sink.inferType(row[c]);
+        if (this.types[c] !== 'STRING') this.types[c] = WarehouseTableSink.widenType(this.types[c] || null, type);
+        if (!type) continue;
+        record['c' + (c + 1)] = String(row[c]);
+        const canonical = this.sink.canonicalValue(row[c], type);
+        if (canonical !== null) record['c' + (c + 1) + '_v'] = canonical;
+      }
+      this.records.push(JSON.stringify(record));
+      if (this.records.length >= this.chunkRows) this.loadChunk();
+    }
+    this.rowCount += rows.length;
+  }
+
+  loadChunk() {
+    const fields = [];
+    for (let c = 1; c <= this.width; c++) {
+      fields.push({ name: 'c' + c, type: 'STRING', mode: 'NULLABLE' }, { name: 'c' + c + '_v', type: 'STRING', mode: 'NULLABLE' });
+    }
+    this.sink.loadStaging(this.stagingId, fields, this.records.join('\n'), this.records.length, this.chunks > 0);
+    this.chunks++;
+    this.records = [];
+  }
+
+  finish(headers) {
+    this.width = Math.max(this.width, headers.length);
+    if (this.records.length > 0 || this.chunks === 0) this.loadChunk();
+
+    const columns = WarehouseTableSink.getColumnNames(headers).map((name, c) => ({
+      name: name,
+      type: this.types[c] || 'STRING',
+      source: 'c' + (c + 1)
+    }));
+    return this.sink.publish(this.stagingId, this.tableId, columns, this.rowCount);
+  }
+
+  abort() {
+    if (this.chunks > 0) this.sink.removeStaging(this.stagingId);
+    this.records = [];
+  }
+}
+
+/**
+ * Resolves outputSinks to sink instances. Reports without an entry are
+ * written to Sheets only.
+ */
+class OutputSinkRouter {
+  constructor(config, logger, spreadsheetManager) {
+    this.config = config;
+    this.logger = logger;
+    this.spreadsheetManager = spreadsheetManager;
+    this.sinks = {};
+  }
+
+  getSinkNames(reportId, reportName) {
+    const entry = this.config.getReportSetting('outputSinks', reportId, reportName);
+    const names = entry ? [].concat(entry) : [];
+    return names.length > 0 ? names.filter((name, i) => names.indexOf(name) === i) : ['sheets'];
+  }
+
+  isSheetsOnly(reportId, reportName) {
+    const names = this.getSinkNames(reportId, reportName);
+    return names.length === 1 && names[0] === 'sheets';
+  }
+
+  getSink(name) {
+    if (!this.sinks[name]) {
+      switch (name) {
+        case 'sheets':
+          this.sinks[name] = new SheetsSink(this.config, this.logger, this.spreadsheetManager);
+          break;
+        case 'csv':
+        case 'jsonl':
+          this.sinks[name] = new DriveFileSink(name, this.config, this.logger);
+          break;
+        case 'warehouse':
+          this.sinks[name] = new WarehouseTableSink(this.config, this.logger);
+          break;
+        default:
+          throw new Error('Unknown output sink: ' + name);
+      }
+    }
+    return this.sinks[name];
+  }
+}
+
+// ============================================================================
+// EXPORT ARCHIVE
+// ============================================================================
+
+/**
+ * Keeps every downloaded export with the run that fetched it, its date window
+ * and its header, so a report can be rebuilt as it stood after any past run.
+ * Under Node with SQLite available the exports go into SQLite through
+ * LocalDatabase; otherwise each one is a gzipped CSV in archiveFolderId,
+ * listed in an index file. Only the SQLite store parses the rows.
+ */
+class ExportArchive {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.store = null;
+  }
+
+  getStore() {
+    if (this.store) return this.store;
+
+    const hasSqlite = typeof LocalDatabase !== 'undefined' && LocalDatabase.isAvailable();
+    let kind = this.config.get('archiveStore', 'auto');
+    if (kind === 'auto') {
+      kind = hasSqlite ? 'sqlite' : 'drive';
+    }
+    if (kind === 'sqlite') {
+      if (typeof LocalDatabase === 'undefined') {
+        throw new Error('archiveStore "sqlite" needs the LocalDatabase service, which only exists when running under Node');
+      }
+      if (!hasSqlite) {
+        throw new Error('archiveStore "sqlite" needs SQLite: run on Node 22.5+ (node:sqlite), install better-sqlite3 ' +
+          'or use archiveStore "drive"');
+      }
+      this.store = new SqliteArchiveStore(LocalDatabase.getConnection());
+    } else {
+      const folderId = this.config.get('archiveFolderId', '');
+      if (!folderId) {
+        throw new Error('archiveFolderId is required for the Drive export archive');
+      }
+      this.store = new DriveArchiveStore(DriveApp.getFolderById(folderId));
+    }
+    return this.store;
+  }
+
+  /**
+   * Archive one downloaded export
+   * @param {Object} job - Scheduled job ({ reportId, reportName, dateWindow, incremental })
+   * @param {string} runId - Run that downloaded it
+   * @param {string} csvData - The export as downloaded
+   * @returns {Object} The archive entry
+   */
+  archive(job, runId, csvData) {
+    const headers = new CsvRowStream(csvData).next() || [];
+
+    const incremental = job.incremental || null;
+    const delta = !!(incremental && incremental.window);
+    const window = delta ? incremental.window : (job.dateWindow || {});
+    const entry = {
+      runId: runId,
+      reportId: job.reportId,
+      reportName: job.reportName || job.reportId,
+      account: this.config.get('accountName', null) || '',
+      mode: delta ? 'delta' : 'full',
+      windowStart: window.startdate || null,
+      windowEnd: window.enddate || null,
+      keyColumns: incremental ? incremental.profile.keyColumns :
+        (this.config.getReportSetting('mergeKeyColumns', job.reportId, job.reportName) || []),
+      headers: headers,
+      rowCount: Math.max(0, CsvRowStream.countRecords(csvData) - 1),
+      archivedAt: new Date().toISOString()
+    };
+    entry.id = this.getStore().save(entry, csvData);
+
+    this.logger.info('Archived ' + job.reportId + ' for run ' + runId, {
+      mode: entry.mode,
+      rows: entry.rowCount
+    });
+    return entry;
+  }
+
+  /**
+   * Archived exports for the current account, oldest first
+   * @param {string} reportId - Report ID (omit for every report)
+   */
+  list(reportId) {
+    const account = this.config.get('accountName', null) || '';
+    return this.getStore().list(reportId || null).filter(entry => entry.account === account);
+  }
+
+  /**
+   * Rebuild a report as it stood after a past run: the last full export at or
+   * before that run, with any delta exports after it merged over it by their
+   * key columns, as they were merged into the sheet
+   * @param {string} reportId - Report ID
+   * @param {string} asOf - Run ID, or a date meaning the last export archived by then (default: the latest)
+   * @returns {Object} { reportId, runId, archivedAt, headers, rows, exports }
+   */
+  rebuild(reportId, asOf) {
+    const entries = this.list(reportId);
+    if (entries.length === 0) {
+      throw new Error('No archived exports for ' + reportId);
+    }
+
+    let last = entries.length - 1;
+    if (asOf) {
+      last = entries.map(entry => entry.runId).lastIndexOf(asOf);
+      if (last === -1) {
+        const time = new Date(asOf).getTime();
+        if (isNaN(time)) {
+          throw new Error('No archived run ' + asOf + ' for ' + reportId);
+        }
+        entries.forEach((entry, i) => {
+          if (new Date(entry.archivedAt).getTime() <= time) last = i;
+        });
+        if (last === -1) {
+          throw new Error('Nothing was archived for ' + reportId + ' by ' + asOf);
+        }
+      }
+    }
+
+    let first = last;
+    while (first > 0 && entries[first].mode !== 'full') first--;
+    if (entries[first].mode !== 'full') {
+      this.logger.warn('No full export of ' + reportId + ' before ' + entries[last].runId + ' - rebuilding from deltas only');
+    }
+
+    const headers = [];
+    const columnIndex = {};
+    let rows = [];
+    let rowsByKey = {};
+
+    for (let i = first; i <= last; i++) {
+      const entry = entries[i];
+      const positions = entry.headers.map(name => {
+        if (!columnIndex.hasOwnProperty(name)) {
+          columnIndex[name] = headers.length;
+          headers.push(name);
+        }
+        return columnIndex[name];
+      });
+      const keyPositions = (entry.keyColumns || []).map(name => entry.headers.indexOf(name));
+      const keyed = keyPositions.length > 0 && keyPositions.indexOf(-1) === -1;
+
+      if (entry.mode === 'full') {
+        rows = [];
+        rowsByKey = {};
+      }
+
+      this.getStore().load(entry).forEach(values => {
+        const row = [];
+        positions.forEach((position, c) => { row[position] = values[c] === undefined ? '' : values[c]; });
+
+        const key = keyed ? keyPositions.map(position => values[position]).join('\u0001') : null;
+        if (key !== null && rowsByKey.hasOwnProperty(key)) {
+          const existing = rows[rowsByKey[key]];
+          positions.forEach(position => { existing[position] = row[position]; });
+        } else {
+          if (key !== null) rowsByKey[key] = rows.length;
+          rows.push(row);
+        }
+      });
+    }
+
+    rows.forEach(row => {
+      for (let c = 0; c < headers.length; c++) {
+        if (row[c] === undefined) row[c] = '';
+      }
+    });
+
+    return {
+      reportId: reportId,
+      runId: entries[last].runId,
+      archivedAt: entries[last].archivedAt,
+      headers: headers,
+      rows: rows,
+      exports: entries.slice(first, last + 1).map(entry => ({
+        runId: entry.runId,
+        mode: entry.mode,
+        rowCount: entry.rowCount
+      }))
+    };
+  }
+}
+
+/**
+ * Archive in SQLite: one archive_exports row per export, with its rows in
+ * archive_rows as JSON arrays in the export's column order
+ */
+class SqliteArchiveStore {
+  constructor(db) {
+    this.db = db;
+    db.exec('CREATE TABLE IF NOT EXISTS archive_exports (id INTEGER PRIMARY KEY, run_id TEXT, report_id TEXT, ' +
+      'report_name TEXT, account TEXT, mode TEXT, window_start TEXT, window_end TEXT, key_columns TEXT, headers TEXT, ' +
+      'row_count INTEGER, archived_at TEXT); ' +
+      'CREATE INDEX IF NOT EXISTS archive_exports_report ON archive_exports (report_id, run_id); ' +
+      'CREATE TABLE IF NOT EXISTS archive_rows (export_id INTEGER, row_number INTEGER, data TEXT, ' +
+      'PRIMARY KEY (export_id, row_number))');
+  }
+
+  save(entry, csvData) {
+    const id = this.db.prepare('SELECT COALESCE(MAX(id), 0) + 1 AS id FROM archive_exports').all()[0].id;
+    const stream = new CsvRowStream(csvData);
+    stream.next();
+
+    this.db.exec('BEGIN');
+    try {
+      this.db.prepare('INSERT INTO archive_exports (id, run_id, report_id, report_name, account, mode, window_start, ' +
+        'window_end, key_columns, headers, row_count, archived_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').run(
+        id, entry.runId, entry.reportId, entry.reportName, entry.account, entry.mode, entry.windowStart, entry.windowEnd,
+        JSON.stringify(entry.keyColumns), JSON.stringify(entry.headers), entry.rowCount, entry.archivedAt
+      );
+      const insert = this.db.prepare('INSERT INTO archive_rows (export_id, row_number, data) VALUES (?, ?, ?)');
+      let rowNumber = 0;
+      let row;
+      while ((row = stream.next()) !== null) {
+        if (!(row.length === 1 && row[0] === '')) insert.run(id, ++rowNumber, JSON.stringify(row));
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+    return id;
+  }
+
+  list(reportId) {
+    const rows = reportId ?
+      this.db.prepare('SELECT * FROM archive_exports WHERE report_id = ? ORDER BY id').all(reportId) :
+      this.db.prepare('SELECT * FROM archive_exports ORDER BY id').all();
+    return rows.map(row => ({
+      id: row.id,
+      runId: row.run_id,
+      reportId: row.report_id,
+      reportName: row.report_name,
+      account: row.account,
+      mode: row.mode,
+      windowStart: row.window_start,
+      windowEnd: row.window_end,
+      keyColumns: JSON.parse(row.key_columns || '[]'),
+      headers: JSON.parse(row.headers || '[]'),
+      rowCount: row.row_count,
+      archivedAt: row.archived_at
+    }));
+  }
+
+  load(entry) {
+    return this.db.prepare('SELECT data FROM archive_rows WHERE export_id = ? ORDER BY row_number').all(entry.id)
+      .map(row => JSON.parse(row.data));
+  }
+}
+
+/**
+ * Archive in a Drive folder: each export as <report>__<run>.csv.gz, described
+ * in export-archive-index.json
+ */
+class DriveArchiveStore {
+  constructor(folder) {
+    this.folder = folder;
+    this.indexName = 'export-archive-index.json';
+  }
+
+  save(entry, csvData) {
+    const name = (entry.account ? ImpactConfig.accountKey(entry.account) + '__' : '') +
+      entry.reportId + '__' + entry.runId + '.csv';
+    const file = this.folder.createFile(Utilities.gzip(Utilities.newBlob(csvData, 'text/csv', name), name + '.gz'));
+
+    const index = this.readIndex();
+    index.push({ ...entry, id: file.getId(), fileName: name + '.gz' });
+    this.writeIndex(index);
+    return file.getId();
+  }
+
+  list(reportId) {
+    return this.readIndex().filter(entry => !reportId || entry.reportId === reportId);
+  }
+
+  load(entry) {
+    const csvData = Utilities.ungzip(DriveApp.getFileById(entry.id).getBlob()).getDataAsString();
+    const stream = new CsvRowStream(csvData);
+    const rows = [];
+    let row;
+    stream.next();
+    while ((row = stream.next()) !== null) {
+      if (!(row.length === 1 && row[0] === '')) rows.push(row);
+    }
+    return rows;
+  }
+
+  readIndex() {
+    const files = this.folder.getFilesByName(this.indexName);
+    return files.hasNext() ? JSON.parse(files.next().getBlob().getDataAsString() || '[]') : [];
+  }
+
+  writeIndex(index) {
+    const content = JSON.stringify(index);
+    const files = this.folder.getFilesByName(this.indexName);
+    if (files.hasNext()) {
+      files.next().setContent(content);
+    } else {
+      this.folder.createFile(this.indexName, content, 'application/json');
+    }
+  }
+}
+
+// ============================================================================
+// INCREMENTAL EXPORT MANAGER
+// ============================================================================
+
+/**
+ * Tracks per-report ActionDate watermarks so action reports can be re-exported
+ * as a delta window instead of the full date range. The window reaches back far
+ * enough to cover the overlap and any action that hasn't passed its LockingDate,
+ * since those can still change status.
+ */
+class IncrementalExportManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.props = PropertiesService.getScriptProperties();
+    this.storageKey = config.propertyKey('IMPACT_WATERMARKS');
+  }
+
+  /**
+   * Find the incremental profile for a report
+   * @param {string} reportId - Report ID
+   * @param {string} reportName - Report name
+   * @returns {Object|null} { keyColumns, watermarkField, lockingDateField } or null
+   */
+  getProfile(reportId, reportName) {
+    if (!this.config.get('enableIncrementalExports', false)) return null;
+
+    const profile = this.config.getReportSetting('incrementalReports', reportId, reportName);
+    if (!profile) return null;
+
+    return {
+      keyColumns: profile.keyColumns || this.config.getReportSetting('mergeKeyColumns', reportId, reportName) || ['ActionId'],
+      watermarkField: profile.watermarkField || 'ActionDate',
+      lockingDateField: profile.lockingDateField || 'LockingDate'
+    };
+  }
+
+  getWatermarks() {
+    const stored = this.props.getProperty(this.storageKey);
+    return stored ? JSON.parse(stored) : {};
+  }
+
+  getWatermark(reportId) {
+    return this.getWatermarks()[reportId] || null;
+  }
+
+  /**
+   * Export window for the next delta run, or null when a full pull is needed
+   * @param {string} reportId - Report ID
+   * @returns {Object|null} { startdate, enddate } in API date format
+   */
+  getWindow(reportId) {
+    const entry = this.getWatermark(reportId);
+    if (!entry || !entry.watermark) return null;
+
+    const overlapMs = this.config.get('incrementalOverlapHours', 72) * 60 * 60 * 1000;
+    let start = new Date(entry.watermark).getTime() - overlapMs;
+    if (entry.unlockedFrom) {
+      start = Math.min(start, new Date(entry.unlockedFrom).getTime());
+    }
+
+    // Stay inside the configured report range
+    let end = Date.now();
+    if (this.config.get('enableDateFiltering', false)) {
+      if (this.config.get('startDate')) {
+        start = Math.max(start, new Date(this.config.get('startDate')).getTime());
+      }
+      if (this.config.get('endDate')) {
+        end = Math.min(end, new Date(this.config.get('endDate')).getTime());
+      }
+    }
+
+    // A watermark past the end of the range leaves no delta window
+    if (start >= end) return null;
+
+    return {
+      startdate: this.formatApiDate(new Date(start)),
+      enddate: this.formatApiDate(new Date(end))
+    };
+  }
+
+  formatApiDate(date) {
+    return date.toISOString().split('.')[0] + 'Z';
+  }
+
+  /**
+   * Start observing rows for a report run
+   * @param {Object} profile - Incremental profile
+   * @returns {WatermarkTracker}
+   */
+  createTracker(profile) {
+    return new WatermarkTracker(profile);
+  }
+
+  /**
+   * Save the watermark observed during a run. The watermark only moves forward.
+   * @param {string} reportId - Report ID
+   * @param {WatermarkTracker} tracker - Tracker that observed the export rows
+   * @param {Object} run - { window, added, updated, unchanged }
+   */
+  recordRun(reportId, tracker, run = {}) {
+    const watermarks = this.getWatermarks();
+    const previous = watermarks[reportId] || {};
+    const observed = tracker.result();
+
+    let watermark = observed.maxDate;
+    if (previous.watermark && (!watermark || new Date(previous.watermark) > new Date(watermark))) {
+      watermark = previous.watermark;
+    }
+
+    watermarks[reportId] = {
+      field: tracker.profile.watermarkField,
+      watermark: watermark,
+      unlockedFrom: observed.unlockedFrom,
+      updatedAt: new Date().toISOString(),
+      lastWindow: run.window || null,
+      lastRun: {
+        mode: run.window ? 'delta' : 'full',
+        rows: observed.rowCount,
+        added: run.added,
+        updated: run.updated,
+        unchanged: run.unchanged
+      }
+    };
+
+    this.props.setProperty(this.storageKey, JSON.stringify(watermarks));
+
+    this.logger.info('Watermark updated for ' + reportId, {
+      watermark: watermark,
+      unlockedFrom: observed.unlockedFrom
+    });
+  }
+
+  /**
+   * Drop stored watermarks so the next run does a full pull
+   * @param {string} reportId - Optional report ID (all reports when omitted)
+   */
+  clearWatermarks(reportId) {
+    if (!reportId) {
+      this.props.deleteProperty(this.storageKey);
+      return;
+    }
+
+    const watermarks = this.getWatermarks();
+    delete watermarks[reportId];
+    this.props.setProperty(this.storageKey, JSON.stringify(watermarks));
+  }
+}
+
+/**
+ * Collects the latest watermark date and the earliest still-unlocked action
+ * from export rows as they stream past.
+ */
+class WatermarkTracker {
+  constructor(profile) {
+    this.profile = profile;
+    this.now = Date.now();
+    this.maxTime = null;
+    this.unlockedTime = null;
+    this.rowCount = 0;
+    this.dateIndex = -1;
+    this.lockingIndex = -1;
+  }
+
+  observe(headers, rows) {
+    if (this.rowCount === 0) {
+      this.dateIndex = headers.indexOf(this.profile.watermarkField);
+      this.lockingIndex = headers.indexOf(this.profile.lockingDateField);
+    }
+    this.rowCount += rows.length;
+    if (this.dateIndex === -1) return;
+
+    rows.forEach(row => {
+      const time = Date.parse(row[this.dateIndex]);
+      if (isNaN(time)) return;
+      if (this.maxTime === null || time > this.maxTime) this.maxTime = time;
+
+      if (this.lockingIndex !== -1) {
+        const lockingTime = Date.parse(row[this.lockingIndex]);
+        if (!isNaN(lockingTime) && lockingTime > this.now &&
+            (this.unlockedTime === null || time < this.unlockedTime)) {
+          this.unlockedTime = time;
+        }
+      }
+    });
+  }
+
+  result() {
+    return {
+      rowCount: this.rowCount,
+      maxDate: this.maxTime === null ? null : new Date(this.maxTime).toISOString(),
+      unlockedFrom: this.unlockedTime === null ? null : new Date(this.unlockedTime).toISOString()
+    };
+  }
+}
+
+// ============================================================================
+// STATUS HISTORY TRACKER
+// ============================================================================
+
+/**
+ * Keeps the last known status of every action in a hidden snapshot sheet and
+ * diffs each new export against it. Transitions (PENDING -> REVERSED etc.) are
+ * appended to the "Status Changes" sheet, and reversal rates per team and per
+ * SKU are rebuilt from the snapshot after every run.
+ */
+class StatusHistoryTracker {
+  constructor(config, logger, spreadsheetManager) {
+    this.config = config;
+    this.logger = logger;
+    this.spreadsheetManager = spreadsheetManager;
+    this.snapshotSheetName = '_' + config.get('sheetPrefix', '') + 'Status Snapshot';
+    this.snapshotHeaders = ['Report', 'Key', 'ActionId', 'Sku', 'Team', 'Status', 'SaleAmount',
+      'ActionDate', 'First Seen', 'Last Changed', 'Changes'];
+    this.teamMapper = null;
+  }
+
+  /**
+   * Status history settings for a report
+   * @returns {Object|null} { statusField, keyColumns } or null when the report isn't tracked
+   */
+  getProfile(reportId, reportName) {
+    if (!this.config.get('enableStatusHistory', false)) return null;
+
+    const profile = this.config.getReportSetting('statusHistoryReports', reportId, reportName);
+    if (!profile) return null;
+
+    return {
+      statusField: profile.statusField || 'Status',
+      keyColumns: profile.keyColumns || this.config.getReportSetting('mergeKeyColumns', reportId, reportName) || ['ActionId']
+    };
+  }
+
+  /**
+   * Start collecting statuses from an export as its rows stream past
+   * @returns {Object} Observer with observe(headers, rows) and the collected actions
+   */
+  createObserver(profile) {
+    const actions = {};
+    let indexes = null;
+
+    return {
+      profile: profile,
+      actions: actions,
+      observe: (headers, rows) => {
+        if (!indexes) {
+          indexes = {
+            keys: profile.keyColumns.map(column => headers.indexOf(column)),
+            status: headers.indexOf(profile.statusField),
+            actionId: headers.indexOf('ActionId'),
+            sku: headers.indexOf('Sku'),
+            amount: headers.indexOf('SaleAmount'),
+            actionDate: headers.indexOf('ActionDate')
+          };
+        }
+        if (indexes.status === -1 || indexes.keys.indexOf(-1) !== -1) return;
+
+        rows.forEach(row => {
+          const record = {};
+          headers.forEach((header, i) => { record[header] = row[i]; });
+
+          actions[indexes.keys.map(i => row[i].toString().trim()).join('|')] = {
+            status: row[indexes.status].toString().trim().toUpperCase(),
+            actionId: indexes.actionId === -1 ? '' : row[indexes.actionId],
+            sku: indexes.sku === -1 ? '' : row[indexes.sku],
+            amount: indexes.amount === -1 ? '' : row[indexes.amount],
+            actionDate: indexes.actionDate === -1 ? '' : row[indexes.actionDate],
+            team: this.mapTeam(record)
+          };
+        });
+      }
+    };
+  }
+
+  mapTeam(record) {
+    if (!this.teamMapper) {
+      this.teamMapper = new TeamMapper(new TeamConfig());
+    }
+    return this.teamMapper.mapToTeam(record);
+  }
+
+  /**
+   * Diff the observed statuses against the snapshot, record transitions and
+   * refresh the reversal metrics
+   * @param {string} reportId - Report ID
+   * @param {Object} observer - Observer returned by createObserver()
+   * @returns {Object} { tracked, added, changed, reversed }
+   */
+  commit(reportId, observer) {
+    const spreadsheet = this.spreadsheetManager.getSpreadsheet();
+    const snapshot = this.loadSnapshot(spreadsheet);
+    const now = new Date().toISOString();
+    const transitions = [];
+    const stats = { tracked: 0, added: 0, changed: 0, reversed: 0 };
+
+    Object.keys(observer.actions).forEach(key => {
+      const action = observer.actions[key];
+      const snapshotKey = reportId + '|' + key;
+      const previous = snapshot[snapshotKey];
+      stats.tracked++;
+
+      if (!previous) {
+        snapshot[snapshotKey] = [reportId, key, action.actionId, action.sku, action.team, action.status,
+          action.amount, action.actionDate, now, now, 0];
+        stats.added++;
+        return;
+      }
+
+      const previousStatus = previous[5].toString();
+      if (previousStatus !== action.status) {
+        transitions.push([now, reportId, action.actionId, action.sku, action.team, previousStatus,
+          action.status, action.amount, action.actionDate]);
+        previous[9] = now;
+        previous[10] = (Number(previous[10]) || 0) + 1;
+        stats.changed++;
+        if (action.status === 'REVERSED') stats.reversed++;
+      }
+
+      previous[2] = action.actionId;
+      previous[3] = action.sku;
+      previous[4] = action.team;
+      previous[5] = action.status;
+      previous[6] = action.amount;
+      previous[7] = action.actionDate;
+    });
+
+    if (transitions.length > 0) {
+      this.appendTransitions(spreadsheet, transitions);
+    }
+    this.saveSnapshot(spreadsheet, snapshot);
+    this.writeReversalMetrics(spreadsheet, snapshot);
+
+    this.logger.info('Status history updated for ' + reportId, stats);
+    return stats;
+  }
+
+  loadSnapshot(spreadsheet) {
+    const snapshot = {};
+    const sheet = spreadsheet.getSheetByName(this.snapshotSheetName);
+    if (!sheet || sheet.getLastRow() < 2) return snapshot;
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.snapshotHeaders.length).getValues();
+    values.forEach(row => {
+      snapshot[row[0] + '|' + row[1]] = row;
+    });
+    return snapshot;
+  }
+
+  saveSnapshot(spreadsheet, snapshot) {
+    let sheet = spreadsheet.getSheetByName(this.snapshotSheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(this.snapshotSheetName);
+      sheet.hideSheet();
+    }
+    sheet.clear();
+
+    const rows = [this.snapshotHeaders].concat(Object.keys(snapshot).map(key => snapshot[key]));
+    const batchSize = this.config.get('batchWriteSize', 3000);
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      sheet.getRange(i + 1, 1, batch.length, this.snapshotHeaders.length).setValues(batch);
+    }
+  }
+
+  appendTransitions(spreadsheet, transitions) {
+    const sheetName = this.config.get('statusChangesSheetName', 'Status Changes');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      const headers = ['Changed At', 'Report', 'ActionId', 'Sku', 'Team', 'From Status', 'To Status',
+        'SaleAmount', 'ActionDate'];
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, transitions.length, transitions[0].length).setValues(transitions);
+  }
+
+  /**
+   * Rebuild the reversal rate sheet: one row per report and team, and per
+   * report and SKU, counting actions by their current status
+   */
+  writeReversalMetrics(spreadsheet, snapshot) {
+    const groups = {};
+    const add = (report, dimension, value, row) => {
+      const groupKey = report + '|' + dimension + '|' + value;
+      if (!groups[groupKey]) {
+        groups[groupKey] = { report: report, dimension: dimension, value: value, actions: 0,
+          pending: 0, approved: 0, reversed: 0, reversedAmount: 0, changes: 0 };
+      }
+      const group = groups[groupKey];
+      const status = row[5].toString();
+      group.actions++;
+      if (status === 'PENDING') group.pending++;
+      if (status === 'APPROVED') group.approved++;
+      if (status === 'REVERSED') {
+        group.reversed++;
+        group.reversedAmount += parseFloat(row[6].toString().replace(/,/g, '')) || 0;
+      }
+      group.changes += Number(row[10]) || 0;
+    };
+
+    Object.keys(snapshot).forEach(key => {
+      const row = snapshot[key];
+      add(row[0], 'Team', row[4] || 'Unassigned', row);
+      if (row[3] !== '') add(row[0], 'SKU', row[3], row);
+    });
+
+    const sheetName = this.config.get('reversalMetricsSheetName', 'Reversal Rates');
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.clear();
+
+    const headers = ['Report', 'Dimension', 'Value', 'Actions', 'Pending', 'Approved', 'Reversed',
+      'Reversal Rate', 'Reversed Amount', 'Status Changes'];
+    const rows = Object.keys(groups).map(key => groups[key])
+      .sort((a, b) => a.report.localeCompare(b.report) || a.dimension.localeCompare(b.dimension) ||
+        b.reversed - a.reversed || b.actions - a.actions)
+      .map(group => [group.report, group.dimension, group.value, group.actions, group.pending,
+        group.approved, group.reversed, (group.reversed / group.actions * 100).toFixed(1) + '%',
+        Math.round(group.reversedAmount * 100) / 100, group.changes]);
+
+    sheet.getRange(1, 1, rows.length + 1, headers.length).setValues([headers].concat(rows));
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+}
+
+// ============================================================================
+// SCHEMA DRIFT DETECTOR
+// ============================================================================
+
+/**
+ * Fingerprints each export's header row and compares it with the last one
+ * seen for the report. Added, removed and renamed columns go to the Schema
+ * Changes sheet. A report missing one of its requiredColumns is marked
+ * blocked, and team/BI analysis refuses to read it until the column is back
+ * or the change is acknowledged.
+ */
+class SchemaDriftDetector {
+  constructor(config, logger, spreadsheetManager) {
+    this.config = config;
+    this.logger = logger;
+    this.spreadsheetManager = spreadsheetManager;
+    this.props = PropertiesService.getScriptProperties();
+    this.keyPrefix = config.propertyKey('IMPACT_SCHEMA_');
+    this.enabled = config.get('enableSchemaDriftDetection', true);
+  }
+
+  /**
+   * Column names compare ignoring case, spaces and punctuation, so
+   * Sale_amount and SaleAmount are the same column renamed
+   */
+  normalize(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  fingerprint(headers) {
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, headers.join('\n'), Utilities.Charset.UTF_8)
+      .map(b => (b & 0xff).toString(16).padStart(2, '0')).join('').substring(0, 16);
+  }
+
+  get(reportId) {
+    const stored = this.props.getProperty(this.keyPrefix + reportId);
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      this.logger.warn('Discarding unreadable schema for ' + reportId, { error: error.message });
+      return null;
+    }
+  }
+
+  getAll() {
+    return this.props.getKeys()
+      .filter(key => key.indexOf(this.keyPrefix) === 0)
+      .map(key => this.get(key.substring(this.keyPrefix.length)))
+      .filter(entry => entry)
+      .sort((a, b) => a.reportId.localeCompare(b.reportId));
+  }
+
+  save(entry) {
+    this.props.setProperty(this.keyPrefix + entry.reportId, JSON.stringify(entry));
+  }
+
+  /**
+   * @returns {Object} { added, removed, renamed: [{ from, to }], reordered }
+   */
+  compare(previousHeaders, headers) {
+    const previousKeys = previousHeaders.map(h => this.normalize(h));
+    const keys = headers.map(h => this.normalize(h));
+
+    const renamed = [];
+    headers.forEach((header, i) => {
+      const j = previousKeys.indexOf(keys[i]);
+      if (j !== -1 && previousHeaders[j] !== header) {
+        renamed.push({ from: previousHeaders[j], to: header });
+      }
+    });
+
+    const added = headers.filter((h, i) => previousKeys.indexOf(keys[i]) === -1);
+    const removed = previousHeaders.filter((h, i) => keys.indexOf(previousKeys[i]) === -1);
+    const kept = headers.filter((h, i) => previousKeys.indexOf(keys[i]) !== -1).map(h => this.normalize(h));
+    const keptBefore = previousKeys.filter(key => keys.indexOf(key) !== -1);
+
+    return {
+      added: added,
+      removed: removed,
+      renamed: renamed,
+      reordered: kept.join('|') !== keptBefore.join('|')
+    };
+  }
+
+  /**
+   * Record an export's header row and compare it with the previous one
+   * @param {Object} report - { reportId, reportName, sheetName }
+   * @param {string[]} headers - Export header row
+   * @returns {Object} { firstSeen, changed, added, removed, renamed, reordered, missingRequired, fingerprint }
+   */
+  check(report, headers) {
+    const previous = this.get(report.reportId);
+    const fingerprint = this.fingerprint(headers);
+    const present = headers.map(h => this.normalize(h));
+    const required = this.config.getReportSetting('requiredColumns', report.reportId, report.reportName) || [];
+    const missingRequired = required.filter(column => present.indexOf(this.normalize(column)) === -1);
+
+    const changed = !!previous && previous.fingerprint !== fingerprint;
+    const diff = changed ? this.compare(previous.headers, headers) :
+      { added: [], removed: [], renamed: [], reordered: false };
+
+    const entry = {
+      reportId: report.reportId,
+      reportName: report.reportName,
+      sheetName: report.sheetName,
+      headers: headers,
+      fingerprint: fingerprint,
+      recordedAt: new Date().toISOString(),
+      missingRequired: missingRequired,
+      lastChange: changed ? {
+        changedAt: new Date().toISOString(),
+        previousFingerprint: previous.fingerprint,
+        added: diff.added,
+        removed: diff.removed,
+        renamed: diff.renamed
+      } : (previous ? previous.lastChange : null)
+    };
+    this.save(entry);
+
+    const result = {
+      firstSeen: !previous,
+      changed: changed,
+      added: diff.added,
+      removed: diff.removed,
+      renamed: diff.renamed,
+      reordered: diff.reordered,
+      missingRequired: missingRequired,
+      fingerprint: fingerprint
+    };
+
+    if (changed) {
+      this.logger.warn('Schema changed for ' + report.reportId + ': ' + this.describe(result));
+      this.appendChange(report, result, previous.fingerprint);
+    }
+    if (missingRequired.length > 0) {
+      this.logger.error('Required column(s) missing from ' + report.reportId + ': ' + missingRequired.join(', '));
+    }
+    return result;
+  }
+
+  /**
+   * Short text for summary notes, e.g. "+Channel, -Sale_amount, Sale_amount → SaleAmount"
+   */
+  describe(result) {
+    const parts = [];
+    result.added.forEach(column => parts.push('+' + column));
+    result.removed.forEach(column => parts.push('-' + column));
+    result.renamed.forEach(rename => parts.push(rename.from + ' → ' + rename.to));
+    if (parts.length === 0 && result.reordered) parts.push('columns reordered');
+    if (result.missingRequired.length > 0) parts.push('missing required: ' + result.missingRequired.join(', '));
+    return parts.join(', ');
+  }
+
+  appendChange(report, result, previousFingerprint) {
+    const spreadsheet = this.spreadsheetManager.getSpreadsheet();
+    const sheetName = this.config.get('schemaChangesSheetName', 'Schema Changes');
+    const headers = ['Changed At', 'Report ID', 'Report Name', 'Added', 'Removed', 'Renamed',
+      'Missing Required', 'Previous Fingerprint', 'Fingerprint'];
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+
+    sheet.appendRow([
+      new Date().toISOString(),
+      report.reportId,
+      report.reportName || '',
+      result.added.join(', '),
+      result.removed.join(', '),
+      result.renamed.map(rename => rename.from + ' → ' + rename.to).join(', '),
+      result.missingRequired.join(', '),
+      previousFingerprint,
+      result.fingerprint
+    ]);
+  }
+
+  /**
+   * Reports whose last export is missing a required column
+   */
+  getBlocked() {
+    return this.getAll().filter(entry => entry.missingRequired && entry.missingRequired.length > 0);
+  }
+
+  /**
+   * Throw when analysis would read a report that is missing a required column
+   * @param {Object} scope - { reportIds, sheetNames } the analysis reads
+   */
+  assertAnalysisAllowed(scope) {
+    if (!this.enabled || !this.config.get('blockAnalysisOnSchemaDrift', true)) return;
+
+    const reportIds = scope.reportIds || [];
+    const sheetNames = scope.sheetNames || [];
+    const blocked = this.getBlocked().filter(entry =>
+      reportIds.indexOf(entry.reportId) !== -1 ||
+      sheetNames.some(name => entry.sheetName && (name === entry.sheetName || name.indexOf(entry.sheetName + ' (Part') === 0))
+    );
+    if (blocked.length === 0) return;
+
+    throw new Error('Analysis blocked by schema drift: ' + blocked.map(entry =>
+      entry.reportId + ' is missing ' + entry.missingRequired.join(', ')).join('; ') +
+      '. Update requiredColumns or run acknowledgeSchemaChange(reportId) to proceed.');
+  }
+
+  /**
+   * Accept a report's current schema, lifting the analysis block until the
+   * next export is checked
+   */
+  acknowledge(reportId) {
+    const entry = this.get(reportId);
+    if (!entry) return null;
+    entry.missingRequired = [];
+    entry.acknowledgedAt = new Date().toISOString();
+    this.save(entry);
+    return entry;
+  }
+
+  clear(reportId) {
+    this.props.getKeys()
+      .filter(key => key.indexOf(this.keyPrefix) === 0 && (!reportId || key === this.keyPrefix + reportId))
+      .forEach(key => this.props.deleteProperty(key));
+  }
+}
+
+// ============================================================================
+// CANONICAL COLUMN DICTIONARY
+// ============================================================================
+
+/**
+ * Built-in canonical fields. Aliases are tried in order; the first header that
+ * matches (ignoring case, spaces and punctuation) wins. Fields marked partial
+ * also accept a header that merely contains an alias, e.g. "Action Date (UTC)".
+ */
+const CANONICAL_FIELDS = {
+  actionId: { type: 'string', aliases: ['ActionId', 'Id'] },
+  actionDate: {
+    type: 'date',
+    partial: true,
+    aliases: ['ActionDate', 'Date', 'Period', 'EventDate', 'TransactionDate', 'ClearingDate', 'PostDate']
+  },
+  revenue: { type: 'number', aliases: ['SaleAmount', 'Revenue', 'Total Revenue', 'Sales'] },
+  earnings: { type: 'number', aliases: ['Earnings', 'Commission', 'Payout', 'Total Cost'] },
+  quantity: { type: 'number', aliases: ['Quantity', 'Items', 'Qty'] },
+  currency: { type: 'string', aliases: ['Currency', 'CurrencyCode', 'OriginalCurrency'] },
+  conversions: { type: 'number', aliases: ['Actions', 'Conversions'] },
+  clicks: { type: 'number', aliases: ['Clicks', 'raw_clicks'] },
+  sku: { type: 'string', aliases: ['Sku', 'Product_SKU', 'ProductSku'] },
+  itemName: { type: 'string', aliases: ['ItemName', 'Product Name', 'ProductName'] },
+  category: { type: 'string', aliases: ['Category', 'ProductCategory'] },
+  status: { type: 'string', aliases: ['ActionStatus', 'Status'] },
+  partner: { type: 'string', aliases: ['Partner', 'MediaPartner', 'Partner Name'] },
+  subId: { type: 'string', aliases: ['SubID'] },
+  campaign: { type: 'string', aliases: ['Campaign', 'CampaignName'] },
+  conversationId: { type: 'string', aliases: ['ConversationID'] },
+  team: { type: 'string', aliases: ['Team'] },
+  pubSubid1: { type: 'string', aliases: ['PubSubid1', 'SubId1'] },
+  pubSubid2: { type: 'string', aliases: ['PubSubid2', 'SubId2'] },
+  pubSubid3: { type: 'string', aliases: ['PubSubid3', 'SubId3'] },
+  pubSubid4: { type: 'string', aliases: ['PubSubid4', 'SubId4'] },
+  pubSubid5: { type: 'string', aliases: ['PubSubid5', 'SubId5'] }
+};
+
+/**
+ * Resolves canonical fields (revenue, earnings, sku, ...) to the columns of a
+ * sheet or export, so every analysis module agrees on which header means
+ * what. The columnDictionary config adds aliases (tried before the built-in
+ * ones), overrides types or defines new fields.
+ */
+class ColumnDictionary {
+  constructor(config) {
+    this.config = config;
+    this.fields = {};
+    this.resolutions = {};
+
+    const overrides = config.get('columnDictionary', {}) || {};
+    Object.keys(CANONICAL_FIELDS).concat(Object.keys(overrides)).forEach(name => {
+      if (this.fields[name]) return;
+      const base = CANONICAL_FIELDS[name] || { type: 'string', aliases: [] };
+      const override = overrides[name] || {};
+      this.fields[name] = {
+        name: name,
+        type: override.type || base.type,
+        partial: override.partial !== undefined ? !!override.partial : !!base.partial,
+        aliases: (Array.isArray(override.aliases) ? override.aliases : []).concat(base.aliases)
+      };
+    });
+  }
+
+  normalize(name) {
+    return String(name === null || name === undefined ? '' : name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  getField(name) {
+    const field = this.fields[name];
+    if (!field) {
+      throw new Error('Unknown canonical field: ' + name + ' (known: ' + Object.keys(this.fields).join(', ') + ')');
+    }
+    return field;
+  }
+
+  /**
+   * Index of the header matching one name: exact, then ignoring case and
+   * punctuation, then (when partial) containing it
+   * @returns {Object|null} { index, match }
+   */
+  matchHeader(headers, name, partial) {
+    let index = headers.indexOf(name);
+    if (index !== -1) return { index: index, match: 'exact' };
+
+    const wanted = this.normalize(name);
+    if (!wanted) return null;
+    const normalized = headers.map(h => this.normalize(h));
+    index = normalized.indexOf(wanted);
+    if (index !== -1) return { index: index, match: 'normalized' };
+
+    if (partial) {
+      index = normalized.findIndex(h => h.indexOf(wanted) !== -1);
+      if (index !== -1) return { index: index, match: 'partial' };
+    }
+    return null;
+  }
+
+  /**
+   * Resolve every field against a header row (cached per header row)
+   * @param {string[]} headers - Header row
+   * @returns {Object} field name -> { index, header, alias, match } or null
+   */
+  resolve(headers) {
+    const cacheKey = headers.join('\u0001');
+    if (this.resolutions[cacheKey]) return this.resolutions[cacheKey];
+
+    const resolution = {};
+    Object.keys(this.fields).forEach(name => {
+      const field = this.fields[name];
+      resolution[name] = null;
+
+      // Every alias gets an exact/normalized pass before any partial match
+      const passes = field.partial ? [false, true] : [false];
+      for (let p = 0; p < passes.length && !resolution[name]; p++) {
+        for (let a = 0; a < field.aliases.length; a++) {
+          const found = this.matchHeader(headers, field.aliases[a], passes[p]);
+          if (found && (!passes[p] || found.match === 'partial')) {
+            resolution[name] = { index: found.index, header: headers[found.index], alias: field.aliases[a], match: found.match };
+            break;
+          }
+        }
+      }
+    });
+
+    this.resolutions[cacheKey] = resolution;
+    return resolution;
+  }
+
+  /**
+   * Column index of a field, or -1
+   */
+  indexOf(headers, fieldName) {
+    this.getField(fieldName);
+    const resolved = this.resolve(headers)[fieldName];
+    return resolved ? resolved.index : -1;
+  }
+
+  /**
+   * Value of a field from a row object keyed by header
+   * @returns {*} The value, or undefined when no column resolves
+   */
+  get(row, fieldName) {
+    if (!row) return undefined;
+    const index = this.indexOf(Object.keys(row), fieldName);
+    return index === -1 ? undefined : row[Object.keys(row)[index]];
+  }
+
+  /**
+   * Value of an arbitrary column name with the same matching rules, for
+   * columns that aren't canonical fields
+   */
+  getByName(row, name) {
+    if (!row) return undefined;
+    const keys = Object.keys(row);
+    const found = this.matchHeader(keys, name, false);
+    return found ? row[keys[found.index]] : undefined;
+  }
+
+  /**
+   * Which header each field resolved to and why
+   * @param {string[]} headers - Header row
+   * @returns {Object[]} { field, type, header, alias, match } per field ('unresolved' when missing)
+   */
+  explain(headers) {
+    const resolution = this.resolve(headers);
+    return Object.keys(this.fields).map(name => {
+      const resolved = resolution[name];
+      return {
+        field: name,
+        type: this.fields[name].type,
+        header: resolved ? resolved.header : null,
+        alias: resolved ? resolved.alias : null,
+        match: resolved ? resolved.match : 'unresolved'
+      };
+    });
+  }
+}
+
+// ============================================================================
+// TYPED VALUE PARSER
+// ============================================================================
+
+/**
+ * Currency symbols that identify a single currency. '$' is left out because
+ * USD, CAD and AUD all use it; those rows carry a currency code instead.
+ */
+const CURRENCY_SYMBOLS = { '€': 'EUR', '£': 'GBP', '₹': 'INR', '₩': 'KRW' };
+
+/**
+ * Parses report cell values into numbers, money and dates. Handles accounting
+ * negatives "(45.00)", thousands separators in either locale ("1,234.56" and
+ * "1.234,56"), currency codes and symbols, the dateFormats list for non-ISO
+ * dates, and reads dates without a UTC offset in the account timezone.
+ */
+class TypedValueParser {
+  constructor(config) {
+    this.config = config;
+    this.timezone = config.get('accountTimezone', '') || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    this.decimalSeparator = config.get('decimalSeparator', 'auto');
+    this.dateFormats = (config.get('dateFormats', ['MM/DD/YYYY', 'YYYY-MM-DD']) || []).map(format => ({
+      format: format,
+      pattern: TypedValueParser.compileDateFormat(format)
+    }));
+    this.partsFormatter = null;
+    this.unparsed = { count: 0, samples: [] }; // Values parseNumber/parseAmount couldn't read
+  }
+
+  /**
+   * Turn a format like 'DD.MM.YYYY' into a regex with named positions,
+   * followed by an optional time ("13:05", "1:05:09 PM")
+   */
+  static compileDateFormat(format) {
+    const order = [];
+    const source = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY|MM|DD/g, token => {
+      order.push(token);
+      return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+    });
+    if (order.length !== 3) {
+      throw new Error('Invalid date format "' + format + '": expected YYYY, MM and DD');
+    }
+    return {
+      regex: new RegExp('^' + source + '(?:,?\\s+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*(AM|PM)?)?$', 'i'),
+      order: order
+    };
+  }
+
+  /**
+   * Parse a value by column type ('number', 'date' or 'string')
+   */
+  parse(value, type) {
+    if (type === 'number') return this.parseNumber(value);
+    if (type === 'date') return this.parseDate(value);
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  /**
+   * Parse a number. Blanks are 0; anything else that isn't a number comes
+   * back as null and is recorded in getUnparsed(), so it is left out of totals
+   * rather than counted as 0.
+   */
+  parseNumber(value) {
+    return this.parseAmount(value).amount;
+  }
+
+  /**
+   * parseMoney for a cell that should hold a number: blank cells are 0, and
+   * unparseable text is recorded in getUnparsed()
+   * @returns {Object} { amount, currency } - amount is null when unparseable
+   */
+  parseAmount(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return { amount: 0, currency: null };
+    }
+    const money = this.parseMoney(value);
+    if (money.amount === null) {
+      this.unparsed.count++;
+      const raw = String(value);
+      if (this.unparsed.samples.length < 10 && this.unparsed.samples.indexOf(raw) === -1) {
+        this.unparsed.samples.push(raw);
+      }
+    }
+    return money;
+  }
+
+  /**
+   * How many values couldn't be read as numbers, with up to 10 distinct
+   * examples as they appeared in the sheet
+   * @returns {Object} { count, samples }
+   */
+  getUnparsed() {
+    return { count: this.unparsed.count, samples: this.unparsed.samples.slice() };
+  }
+
+  /**
+   * Parse a monetary value
+   * @param {*} value - Cell value, e.g. 1249, "1,249.00", "(45.00)", "1.234,56 EUR", "€12"
+   * @returns {Object} { amount, currency } - amount is null when unparseable, currency null when not stated
+   */
+  parseMoney(value) {
+    if (typeof value === 'number') {
+      return { amount: isFinite(value) ? value : null, currency: null };
+    }
+    if (value === null || value === undefined) return { amount: null, currency: null };
+
+    let text = String(value).trim();
+    let currency = null;
+
+    const code = text.match(/(^|[^A-Za-z])([A-Z]{3})(?![A-Za-z])/);
+    if (code) {
+      currency = code[2];
+      text = text.replace(code[2], '');
+    }
+    for (const symbol in CURRENCY_SYMBOLS) {
+      if (text.indexOf(symbol) !== -1) {
+        currency = currency || CURRENCY_SYMBOLS[symbol];
+        text = text.split(symbol).join('');
+      }
+    }
+    text = text.replace(/[$\s\u00a0\u202f']/g, '').replace(/\u2212/g, '-');
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (/^-/.test(text) || /-$/.test(text)) {
+      negative = !negative;
+      text = text.replace(/^-|-$/g, '');
+    }
+
+    if (!/^(\d|[.,]\d)[\d.,]*$/.test(text)) return { amount: null, currency: currency };
+
+    const decimal = this.detectDecimalSeparator(text);
+    const thousands = decimal === '.' ? ',' : '.';
+    text = text.split(thousands).join('');
+    if (decimal === ',') text = text.replace(',', '.');
+    if ((text.match(/\./g) || []).length > 1) return { amount: null, currency: currency };
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return { amount: null, currency: currency };
+    return { amount: negative ? -amount : amount, currency: currency };
+  }
+
+  /**
+   * Which of '.' and ',' is the decimal separator in a digits-and-separators string
+   */
+  detectDecimalSeparator(text) {
+    if (this.decimalSeparator === '.' || this.decimalSeparator === ',') return this.decimalSeparator;
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+    // Only dots: "1.234.567" groups thousands; a single dot is a decimal point
+    // and anything else ("1.2.3") is left unparseable
+    if (lastComma === -1) {
+      const groups = text.split('.');
+      return groups.length > 2 && groups.slice(1).every(group => group.length === 3) ? ',' : '.';
+    }
+
+    // Only commas: "1,249" and "1,234,567" group thousands, "12,5" is a decimal
+    const groups = text.split(',');
+    return groups.length === 2 && groups[1].length !== 3 ? ',' : '.';
+  }
+
+  /**
+   * Parse a date
+   * @param {*} value - Date, ISO 8601 string, or a string in one of dateFormats
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/);
+    if (iso) {
+      const parts = iso.slice(1, 7).map(p => Number(p || 0));
+      const millis = iso[7] ? Number((iso[7] + '00').slice(0, 3)) : 0;
+      if (!this.isValidDate(parts[0], parts[1], parts[2])) return null;
+      if (iso[8]) {
+        const offset = iso[8] === 'Z' ? 0 : this.parseOffset(iso[8]);
+        return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], millis) - offset);
+      }
+      return this.fromAccountTime(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], millis);
+    }
+
+    for (let i = 0; i < this.dateFormats.length; i++) {
+      const { regex, order } = this.dateFormats[i].pattern;
+      const match = text.match(regex);
+      if (!match) continue;
+
+      const fields = {};
+      order.forEach((token, index) => { fields[token] = Number(match[index + 1]); });
+      if (!this.isValidDate(fields.YYYY, fields.MM, fields.DD)) continue;
+
+      let hour = Number(match[4] || 0);
+      const meridiem = (match[7] || '').toUpperCase();
+      if (meridiem === 'PM' && hour < 12) hour += 12;
+      if (meridiem === 'AM' && hour === 12) hour = 0;
+      return this.fromAccountTime(fields.YYYY, fields.MM, fields.DD, hour, Number(match[5] || 0), Number(match[6] || 0), 0);
+    }
+
+    return null;
+  }
+
+  isValidDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  /**
+   * "+05:30" / "-0400" -> milliseconds east of UTC
+   */
+  parseOffset(offset) {
+    const match = offset.match(/^([+-])(\d{2}):?(\d{2})$/);
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return (match[1] === '-' ? -minutes : minutes) * 60000;
+  }
+
+  /**
+   * Wall-clock fields of a moment in the account timezone
+   */
+  getAccountParts(date) {
+    if (!this.partsFormatter) {
+      this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      });
+    }
+    const parts = {};
+    this.partsFormatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return {
+      year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+      hour: Number(parts.hour) % 24, minute: Number(parts.minute), second: Number(parts.second)
+    };
+  }
+
+  /**
+   * Offset of the account timezone from UTC at a moment, in milliseconds
+   */
+  getAccountOffset(time) {
+    const p = this.getAccountParts(new Date(time));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+  }
+
+  /**
+   * Date for a wall-clock time in the account timezone
+   */
+  fromAccountTime(year, month, day, hour, minute, second, millis) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+    let time = wallClock - this.getAccountOffset(wallClock);
+    // Re-check once in case the guess crossed a DST change
+    time = wallClock - this.getAccountOffset(time);
+    return new Date(time);
+  }
+
+  /**
+   * Calendar day of a date in the account timezone, as YYYY-MM-DD
+   */
+  formatDateKey(date) {
+    const p = this.getAccountParts(date);
+    return p.year + '-' + String(p.month).padStart(2, '0') + '-' + String(p.day).padStart(2, '0');
+  }
+}
+
+// ============================================================================
+// CURRENCY CONVERTER
+// ============================================================================
+
+/**
+ * Converts SaleAmount/Earnings into the reporting currency using dated rates.
+ * Rates come from the currencyRates config and the Currency Rates sheet
+ * (Effective Date | Currency | Rate, where Rate is reporting-currency units per
+ * one unit of Currency); an action uses the latest rate effective on its date.
+ * Amounts in a currency without any rate are kept out of converted totals and
+ * reported as missing rather than summed as if they were already converted.
+ */
+class CurrencyConverter {
+  constructor(config, parser, spreadsheet = null) {
+    this.config = config;
+    this.parser = parser;
+    this.spreadsheet = spreadsheet;
+    this.enabled = config.get('enableCurrencyNormalization', true);
+    this.reportingCurrency = String(config.get('reportingCurrency', 'USD')).toUpperCase();
+    this.rates = null;
+    this.totals = {};
+  }
+
+  /**
+   * Rates by currency, sorted by effective date (loaded once)
+   * @returns {Object} currency -> [{ date: 'YYYY-MM-DD', rate }]
+   */
+  loadRates() {
+    if (this.rates) return this.rates;
+
+    const byCurrency = {};
+    const add = (currency, date, rate, source) => {
+      const code = String(currency || '').trim().toUpperCase();
+      const value = this.parser.parseMoney(rate).amount;
+      const effective = this.parser.parseDate(date instanceof Date ? date : String(date || '').trim());
+      if (!code || !effective || !(value > 0)) return;
+      byCurrency[code] = byCurrency[code] || {};
+      byCurrency[code][this.parser.formatDateKey(effective)] = { rate: value, source: source };
+    };
+
+    const configured = this.config.get('currencyRates', {}) || {};
+    Object.keys(configured).forEach(currency => {
+      Object.keys(configured[currency] || {}).forEach(date => add(currency, date, configured[currency][date], 'config'));
     });
+
+    // Sheet rates are added last so they win over config rates for the same day
+    const sheet = this.spreadsheet &&
+      this.spreadsheet.getSheetByName(this.config.get('currencyRatesSheetName', 'Currency Rates'));
+    if (sheet && sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues()
+        .forEach(row => add(row[1], row[0], row[2], 'sheet'));
+    }
+
+    this.rates = {};
+    Object.keys(byCurrency).forEach(currency => {
+      this.rates[currency] = Object.keys(byCurrency[currency]).sort().map(date => ({
+        date: date,
+        rate: byCurrency[currency][date].rate,
+        source: byCurrency[currency][date].source
+      }));
+    });
+    return this.rates;
   }
 
-  formatSummarySheet(sheet, columnCount, rowCount) {
-    // Format header
-    const headerRange = sheet.getRange(1, 1, 1, columnCount);
-    headerRange.setFontWeight('bold');
-    headerRange.setBackground('#fff3e0');
-    headerRange.setFontColor('#e65100');
-    sheet.setFrozenRows(1);
+  /**
+   * Reporting-currency units per unit of currency on a date
+   * @param {string} currency - ISO currency code
+   * @param {Date|null} date - Action date (null uses the latest rate)
+   * @returns {number|null} null when the currency has no rates
+   */
+  getRate(currency, date) {
+    if (!currency || currency === this.reportingCurrency) return 1;
 
-    // Format statistics section
-    const statsStartRow = sheet.getRange('A:A').getValues().findIndex(row =>
-      row[0] === '=== STATISTICS ==='
-    ) + 1;
+    const rates = this.loadRates()[currency];
+    if (!rates || rates.length === 0) return null;
+    if (!date) return rates[rates.length - 1].rate;
 
-    if (statsStartRow > 0) {
-      const statsRange = sheet.getRange(statsStartRow, 1, rowCount - statsStartRow + 1, columnCount);
-      statsRange.setBackground('#f5f5f5');
-      statsRange.setFontWeight('bold');
+    // Actions older than the first rate use the first rate
+    const day = this.parser.formatDateKey(date);
+    let rate = rates[0].rate;
+    for (let i = 0; i < rates.length && rates[i].date <= day; i++) {
+      rate = rates[i].rate;
     }
-
-    // Auto-resize columns
-    sheet.autoResizeColumns(1, columnCount);
+    return rate;
   }
 
-  yieldExecution() {
-    // Yield execution to prevent timeout
-    Utilities.sleep(this.config.get('yieldInterval', 1000));
+  /**
+   * Read a row's revenue and earnings in their original currency and in the
+   * reporting currency, and add them to the per-currency totals
+   * @param {Object} row - Row object keyed by header
+   * @param {ColumnDictionary} columns - Column dictionary
+   * @returns {Object} { currency, rate, revenue, earnings, originalRevenue, originalEarnings, converted, unparsed }
+   */
+  readAmounts(row, columns) {
+    const revenue = this.parser.parseAmount(columns.get(row, 'revenue'));
+    const earnings = this.parser.parseAmount(columns.get(row, 'earnings'));
+    const currency = String(columns.get(row, 'currency') || revenue.currency || earnings.currency ||
+      this.reportingCurrency).trim().toUpperCase();
+    const date = this.parser.parseDate(columns.get(row, 'actionDate'));
+
+    // An amount that isn't a number stays out of the totals and is counted as unparsed
+    const unparsed = revenue.amount === null || earnings.amount === null;
+    const originalRevenue = revenue.amount || 0;
+    const originalEarnings = earnings.amount || 0;
+    const rate = this.enabled ? this.getRate(currency, date) : 1;
+    const converted = rate !== null;
+
+    const amounts = {
+      currency: currency,
+      rate: rate,
+      originalRevenue: originalRevenue,
+      originalEarnings: originalEarnings,
+      revenue: converted ? Math.round(originalRevenue * rate * 100) / 100 : 0,
+      earnings: converted ? Math.round(originalEarnings * rate * 100) / 100 : 0,
+      converted: converted,
+      unparsed: unparsed
+    };
+
+    const totals = this.totals[currency] = this.totals[currency] ||
+      { currency: currency, rows: 0, revenue: 0, earnings: 0, convertedRevenue: 0, convertedEarnings: 0, missingRate: false,
+        unparsedRows: 0 };
+    totals.rows++;
+    if (unparsed) totals.unparsedRows++;
+    totals.revenue += originalRevenue;
+    totals.earnings += originalEarnings;
+    totals.convertedRevenue += amounts.revenue;
+    totals.convertedEarnings += amounts.earnings;
+    totals.missingRate = totals.missingRate || !converted;
+
+    return amounts;
   }
 
   /**
-   * Check if data should be refreshed based on freshness rules
+   * Original and converted totals per currency for everything read so far
+   * @returns {Object} { reportingCurrency, currencies: [...], missingRates: [codes], unparsed: { count, samples } }
    */
-  shouldRefreshData(reportId, metadata) {
-    const freshnessHours = this.config.get('dataFreshnessHours', 24); // Default 24 hours
-    const forceRefresh = this.config.get('forceRefresh', false);
+  getSummary() {
+    const currencies = Object.values(this.totals).sort((a, b) => b.convertedRevenue - a.convertedRevenue);
+    return {
+      reportingCurrency: this.reportingCurrency,
+      currencies: currencies,
+      missingRates: currencies.filter(c => c.missingRate).map(c => c.currency),
+      unparsed: this.parser.getUnparsed()
+    };
+  }
+}
 
-    if (forceRefresh) {
-      this.logger.info('Force refresh enabled for ' + reportId + ' (Config: ' + forceRefresh + ')');
-      return true;
+// ============================================================================
+// EXPORT JOB QUEUE
+// ============================================================================
+
+/**
+ * Durable list of scheduled Impact export jobs. Jobs are added as soon as
+ * they are scheduled and removed once their data is written, so a run that
+ * stops at the execution limit leaves its outstanding jobs for the next run
+ * to poll and download instead of scheduling them again.
+ */
+class ExportJobQueue {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.props = PropertiesService.getScriptProperties();
+    this.storageKey = config.propertyKey('IMPACT_JOB_QUEUE');
+  }
+
+  load() {
+    const stored = this.props.getProperty(this.storageKey);
+    if (!stored) return [];
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      this.logger.warn('Discarding unreadable job queue', { error: error.message });
+      return [];
     }
+  }
 
-    // Check if we have freshness data for this report
-    const freshnessData = this.getDataFreshness(reportId);
-    if (!freshnessData) {
-      this.logger.info('No freshness data for ' + reportId + ' - will refresh');
-      return true;
+  save(jobs) {
+    if (jobs.length === 0) {
+      this.props.deleteProperty(this.storageKey);
+    } else {
+      this.props.setProperty(this.storageKey, JSON.stringify(jobs));
     }
+  }
 
-    const lastUpdated = new Date(freshnessData.lastUpdated);
-    const now = new Date();
-    const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
+  /**
+   * Add a scheduled job (replaces any queued job for the same report)
+   * @param {Object} job - { reportId, jobId, reportName, scheduledAt, params, dateWindow, incremental }
+   */
+  enqueue(job) {
+    const jobs = this.load().filter(j => j.reportId !== job.reportId);
+    jobs.push({
+      jobId: job.jobId,
+      reportId: job.reportId,
+      reportName: job.reportName,
+      params: job.params || {},
+      dateWindow: job.dateWindow || null,
+      incremental: job.incremental || null,
+      scheduledAt: new Date(job.scheduledAt || Date.now()).toISOString(),
+      attempts: 0,
+      state: 'QUEUED',
+      lastError: null
+    });
+    this.save(jobs);
+  }
 
-    if (hoursSinceUpdate >= freshnessHours) {
-      this.logger.info('Data is stale for ' + reportId, {
-        hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
-        freshnessThreshold: freshnessHours
+  /**
+   * Jobs still waiting to be downloaded. Jobs older than jobQueueMaxAgeHours
+   * are dropped so their reports get scheduled again.
+   * @returns {Object[]} Jobs in the shape processExportsOptimized expects
+   */
+  getActiveJobs() {
+    const maxAge = this.config.get('jobQueueMaxAgeHours', 12) * 60 * 60 * 1000;
+    const now = Date.now();
+    const jobs = this.load();
+    const active = jobs.filter(job => now - new Date(job.scheduledAt).getTime() < maxAge);
+
+    if (active.length < jobs.length) {
+      this.logger.info('Dropping ' + (jobs.length - active.length) + ' expired queued export jobs', {
+        reportIds: jobs.filter(job => active.indexOf(job) === -1).map(job => job.reportId)
       });
-      return true;
+      this.save(active);
     }
 
-    this.logger.info('Data is fresh for ' + reportId, {
-      hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
-      freshnessThreshold: freshnessHours
-    });
-    return false;
+    return active.map(job => ({ ...job, scheduledAt: new Date(job.scheduledAt), fromQueue: true }));
   }
+
   /**
-   * Store data freshness information
+   * Record a failed processing attempt
+   * @param {string} jobId - Impact job ID
+   * @param {Error} error - What went wrong
+   * @param {boolean} retryable - Whether the same job can be downloaded again
+   * @returns {boolean} True if the job stays queued for another attempt
    */
-  storeDataFreshness(reportId, metadata) {
-    const freshnessData = {
-      reportId: reportId,
-      lastUpdated: new Date().toISOString(),
-      reportName: metadata.name,
-      dataHash: this.calculateDataHash(metadata),
-      rowCount: metadata.rowCount || 0
-    };
+  recordFailure(jobId, error, retryable) {
+    const jobs = this.load();
+    const job = jobs.find(j => j.jobId === jobId);
+    if (!job) return false;
 
-    const props = PropertiesService.getScriptProperties();
-    const existingData = props.getProperty('IMPACT_DATA_FRESHNESS');
-    let freshnessMap = {};
+    job.attempts++;
+    job.lastError = error.message.substring(0, 200);
+    job.state = 'RETRY';
 
-    if (existingData) {
+    const keep = retryable && job.attempts < this.config.get('jobQueueMaxAttempts', 3);
+    this.save(keep ? jobs : jobs.filter(j => j.jobId !== jobId));
+    return keep;
+  }
+
+  remove(jobId) {
+    this.save(this.load().filter(j => j.jobId !== jobId));
+  }
+
+  clear() {
+    this.props.deleteProperty(this.storageKey);
+  }
+}
+
+// ============================================================================
+// CONTINUATION TRIGGERS
+// ============================================================================
+
+/**
+ * Schedules one-off time triggers that pick a run back up after it stops at
+ * the execution time limit. Continuations chain until a pass finishes, are
+ * capped per day, and leftover continuation triggers are cleaned up.
+ */
+class ContinuationManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.props = PropertiesService.getScriptProperties();
+    this.storageKey = 'IMPACT_CONTINUATION';
+    this.handler = config.get('continuationHandler', 'continueDiscovery');
+  }
+
+  loadState() {
+    const stored = this.props.getProperty(this.storageKey);
+    if (stored) {
       try {
-        freshnessMap = JSON.parse(existingData);
+        return JSON.parse(stored);
       } catch (error) {
-        this.logger.warn('Failed to parse existing freshness data');
+        this.logger.warn('Discarding unreadable continuation state', { error: error.message });
       }
     }
+    return { day: null, count: 0, chainStartedAt: null, pending: null };
+  }
 
-    freshnessMap[reportId] = freshnessData;
-    props.setProperty('IMPACT_DATA_FRESHNESS', JSON.stringify(freshnessMap));
+  saveState(state) {
+    this.props.setProperty(this.storageKey, JSON.stringify(state));
+  }
 
-    this.logger.info('Stored freshness data for ' + reportId, {
-      lastUpdated: freshnessData.lastUpdated,
-      rowCount: freshnessData.rowCount
-    });
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  getContinuationTriggers() {
+    return ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === this.handler);
   }
 
   /**
-   * Get data freshness information for a report
+   * Schedule the next continuation after a run stopped on timeout
+   * @param {string} reason - Why the run stopped
+   * @param {Array<string>} accounts - Account profiles still to run, starting with the one that stopped
+   * @returns {Object|null} { triggerId, runAt, count, max } or null when not scheduled
    */
-  getDataFreshness(reportId) {
-    const props = PropertiesService.getScriptProperties();
-    const existingData = props.getProperty('IMPACT_DATA_FRESHNESS');
+  scheduleContinuation(reason, accounts = null) {
+    if (!this.config.get('enableAutoContinuation', true)) return null;
 
-    if (!existingData) {
-      return null;
+    const state = this.loadState();
+    const today = this.today();
+    if (state.day !== today) {
+      state.day = today;
+      state.count = 0;
     }
 
-    try {
-      const freshnessMap = JSON.parse(existingData);
-      return freshnessMap[reportId] || null;
-    } catch (error) {
-      this.logger.warn('Failed to parse freshness data');
+    const max = this.config.get('maxContinuationsPerDay', 10);
+    if (state.count >= max) {
+      this.logger.warn('Continuation limit reached (' + max + ' per day) - run resumeDiscovery() manually', {
+        reason: reason
+      });
       return null;
     }
+
+    // Only one continuation is ever pending
+    this.getContinuationTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    const delay = this.config.get('continuationDelayMinutes', 1) * 60 * 1000;
+    const trigger = ScriptApp.newTrigger(this.handler)
+      .timeBased()
+      .after(delay)
+      .create();
+
+    state.count++;
+    state.chainStartedAt = state.chainStartedAt || new Date().toISOString();
+    state.pending = {
+      triggerId: trigger.getUniqueId(),
+      runAt: new Date(Date.now() + delay).toISOString(),
+      reason: reason,
+      accounts: accounts
+    };
+    this.saveState(state);
+
+    this.logger.info('Scheduled continuation ' + state.count + '/' + max + ' for ' + state.pending.runAt, {
+      reason: reason
+    });
+
+    return { triggerId: state.pending.triggerId, runAt: state.pending.runAt, count: state.count, max: max };
   }
 
   /**
-   * Calculate a simple hash for data comparison
+   * Called by the continuation handler: removes the trigger that just fired
+   * @returns {Object|null} The continuation that was pending
    */
-  calculateDataHash(metadata) {
-    const hashData = {
-      reportId: metadata.reportId,
-      reportName: metadata.name,
-      rowCount: metadata.rowCount,
-      columnCount: metadata.columnCount,
-      timestamp: new Date().toISOString().split('T')[0] // Date only for daily comparison
+  startContinuation() {
+    const state = this.loadState();
+    const pending = state.pending;
+    this.getContinuationTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    state.pending = null;
+    this.saveState(state);
+    return pending;
+  }
+
+  /**
+   * A pass finished (or failed outright) - end the chain
+   */
+  finishChain() {
+    const state = this.loadState();
+    const leftovers = this.getContinuationTriggers();
+    leftovers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    if (state.chainStartedAt || state.pending || leftovers.length > 0) {
+      this.logger.info('Continuation chain finished', {
+        continuationsToday: state.count,
+        removedTriggers: leftovers.length
+      });
+      state.chainStartedAt = null;
+      state.pending = null;
+      this.saveState(state);
+    }
+  }
+
+  /**
+   * Delete continuation triggers that should have fired long ago or that
+   * this manager didn't create
+   * @returns {number} Triggers removed
+   */
+  cleanupStaleTriggers() {
+    const state = this.loadState();
+    const staleAfter = this.config.get('staleContinuationMinutes', 60) * 60 * 1000;
+    const pending = state.pending;
+    const pendingIsLive = pending && Date.now() - new Date(pending.runAt).getTime() < staleAfter;
+
+    let removed = 0;
+    this.getContinuationTriggers().forEach(trigger => {
+      if (pendingIsLive && trigger.getUniqueId() === pending.triggerId) return;
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    });
+
+    if (pending && !pendingIsLive) {
+      state.pending = null;
+      state.chainStartedAt = null;
+      this.saveState(state);
+    }
+    if (removed > 0) {
+      this.logger.info('Removed ' + removed + ' stale continuation trigger(s)');
+    }
+    return removed;
+  }
+
+  getStatus() {
+    const state = this.loadState();
+    return {
+      enabled: this.config.get('enableAutoContinuation', true),
+      continuationsToday: state.day === this.today() ? state.count : 0,
+      maxPerDay: this.config.get('maxContinuationsPerDay', 10),
+      chainStartedAt: state.chainStartedAt,
+      pending: state.pending,
+      triggers: this.getContinuationTriggers().length
     };
+  }
+}
 
-    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5,
-      JSON.stringify(hashData),
-      Utilities.Charset.UTF_8
-    ).map(b => b.toString(16).padStart(2, '0')).join('');
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+const RUN_HISTORY_HEADERS = ['Run ID', 'Account', 'Trigger', 'Status', 'Started', 'Finished', 'Duration (s)',
+  'Config Hash', 'Window Start', 'Window End', 'Reports Found', 'Attempted', 'Succeeded', 'Failed', 'Skipped',
+  'Rows', 'API Calls', 'Failed API Calls', 'Bytes', 'Failed Reports', 'Message', 'Manifest'];
+
+// Left out of the config hash: credentials, and the date window, which is reported on its own
+const RUN_HISTORY_UNHASHED_KEYS = ['impactSid', 'impactToken', 'startDate', 'endDate'];
+
+/**
+ * Keeps one manifest per orchestrator run. Unlike the DISCOVERY SUMMARY the
+ * Run History sheet is only ever appended to (trimmed to runHistoryMaxRows),
+ * so runs can be compared night to night. The Manifest column holds the full
+ * manifest as JSON; with runHistoryFolderId set, each manifest is also
+ * appended to run-history.ndjson in that Drive folder.
+ */
+class RunHistory {
+  constructor(config, logger, spreadsheetManager) {
+    this.config = config;
+    this.logger = logger;
+    this.spreadsheetManager = spreadsheetManager;
+    this.enabled = config.get('enableRunHistory', true);
+    this.sheetName = config.get('runHistorySheetName', 'Run History');
   }
 
   /**
-   * Clear all freshness data (useful for full refresh)
+   * Short fingerprint of the effective settings; runs with the same hash ran
+   * with the same configuration
+   * @param {Object} values - The loaded config values
    */
-  clearDataFreshness() {
-    const props = PropertiesService.getScriptProperties();
-    props.deleteProperty('IMPACT_DATA_FRESHNESS');
-    this.logger.info('Cleared all data freshness information');
+  static hashConfig(values) {
+    const stable = value => {
+      if (Array.isArray(value)) return '[' + value.map(stable).join(',') + ']';
+      if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + stable(value[key])).join(',') + '}';
+      }
+      return JSON.stringify(value === undefined ? null : value);
+    };
+
+    const hashed = { ...values };
+    RUN_HISTORY_UNHASHED_KEYS.forEach(key => delete hashed[key]);
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, stable(hashed), Utilities.Charset.UTF_8)
+      .map(b => (b & 0xff).toString(16).padStart(2, '0')).join('').substring(0, 12);
+  }
+
+  static toRow(manifest) {
+    const reports = manifest.reports;
+    return [manifest.runId, manifest.account, manifest.triggerSource, manifest.status, manifest.startedAt,
+      manifest.finishedAt, Math.round(manifest.durationMs / 1000), manifest.configHash,
+      manifest.dateWindow.start || '', manifest.dateWindow.end || '', reports.found, reports.attempted,
+      reports.succeeded, reports.failed, reports.skipped, manifest.rows, manifest.apiCalls,
+      manifest.failedApiCalls, manifest.bytes, manifest.failedReports.join(', '),
+      manifest.error || manifest.message || '', JSON.stringify(manifest)];
   }
 
   /**
-   * Get freshness summary for all reports
+   * Append a run's manifest to the sheet and, when configured, the NDJSON log
    */
-  getFreshnessSummary() {
-    const props = PropertiesService.getScriptProperties();
-    const existingData = props.getProperty('IMPACT_DATA_FRESHNESS');
+  record(manifest) {
+    if (!this.enabled) return;
+
+    this.appendRow(manifest);
+    this.logger.info('Run ' + manifest.runId + ' recorded: ' + manifest.status, {
+      runId: manifest.runId,
+      reports: manifest.reports,
+      apiCalls: manifest.apiCalls,
+      durationMs: manifest.durationMs
+    });
 
-    if (!existingData) {
-      return { totalReports: 0, freshReports: 0, staleReports: 0, reports: [] };
+    const folderId = this.config.get('runHistoryFolderId', '');
+    if (folderId) {
+      try {
+        this.appendLog(folderId, manifest);
+      } catch (error) {
+        this.logger.warn('Failed to append run ' + manifest.runId + ' to the run history log', { error: error.message });
+      }
     }
+  }
 
-    try {
-      const freshnessMap = JSON.parse(existingData);
-      const now = new Date();
-      const freshnessHours = this.config.get('dataFreshnessHours', 24);
+  getSheet(create) {
+    const spreadsheet = this.spreadsheetManager.getSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet && create) {
+      sheet = spreadsheet.insertSheet(this.sheetName);
+      sheet.getRange(1, 1, 1, RUN_HISTORY_HEADERS.length).setValues([RUN_HISTORY_HEADERS]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
 
-      let freshCount = 0;
-      let staleCount = 0;
-      const reports = [];
+  appendRow(manifest) {
+    const sheet = this.getSheet(true);
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, RUN_HISTORY_HEADERS.length).setValues([RunHistory.toRow(manifest)]);
 
-      for (const [reportId, data] of Object.entries(freshnessMap)) {
-        const lastUpdated = new Date(data.lastUpdated);
-        const hoursSinceUpdate = (now - lastUpdated) / (1000 * 60 * 60);
-        const isFresh = hoursSinceUpdate < freshnessHours;
+    // An invalid limit fails validation; the failed run is still kept
+    const maxRows = Math.max(1, Math.floor(Number(this.config.get('runHistoryMaxRows', 1000))) || 1000);
+    const excess = sheet.getLastRow() - 1 - maxRows;
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  }
 
-        if (isFresh) freshCount++;
-        else staleCount++;
+  appendLog(folderId, manifest) {
+    const folder = DriveApp.getFolderById(folderId);
+    const fileName = 'run-history.ndjson';
+    const line = JSON.stringify(manifest) + '\n';
+    const files = folder.getFilesByName(fileName);
+    if (files.hasNext()) {
+      const file = files.next();
+      file.setContent(file.getBlob().getDataAsString() + line);
+    } else {
+      folder.createFile(fileName, line, 'application/x-ndjson');
+    }
+  }
 
-        reports.push({
-          reportId: reportId,
-          reportName: data.reportName,
-          lastUpdated: data.lastUpdated,
-          hoursSinceUpdate: hoursSinceUpdate.toFixed(1),
-          isFresh: isFresh,
-          rowCount: data.rowCount
-        });
+  /**
+   * Recorded manifests, newest first
+   * @param {number} limit - How many to return (default all)
+   * @returns {Object[]}
+   */
+  list(limit) {
+    const sheet = this.getSheet(false);
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    const column = RUN_HISTORY_HEADERS.indexOf('Manifest') + 1;
+    const values = sheet.getRange(2, column, sheet.getLastRow() - 1, 1).getValues();
+    const manifests = [];
+    for (let i = values.length - 1; i >= 0 && (!limit || manifests.length < limit); i--) {
+      try {
+        manifests.push(JSON.parse(values[i][0]));
+      } catch (error) {
+        // Rows edited by hand are skipped
       }
-
-      return {
-        totalReports: Object.keys(freshnessMap).length,
-        freshReports: freshCount,
-        staleReports: staleCount,
-        reports: reports.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
-      };
-    } catch (error) {
-      this.logger.error('Failed to parse freshness summary', { error: error.message });
-      return { totalReports: 0, freshReports: 0, staleReports: 0, reports: [] };
     }
+    return manifests;
   }
 }
 
@@ -1589,20 +6859,170 @@ class EnhancedSpreadsheetManager {
 // ============================================================================
 
 class UltraOptimizedOrchestrator {
-  constructor() {
-    this.config = new ImpactConfig();
+  /**
+   * @param {string} accountName - Account profile to run (default: the active one)
+   * @param {number} startTime - Execution start, shared when several accounts run in one execution
+   */
+  constructor(accountName, startTime) {
+    this.config = new ImpactConfig(accountName);
     this.metrics = new PerformanceMetrics();
     this.logger = new EnhancedLogger(this.config, this.metrics);
     this.progressTracker = new EnhancedProgressTracker(this.config, this.metrics);
     this.apiClient = new EnhancedAPIClient(this.config, this.logger, this.metrics);
     this.dataProcessor = new EnhancedDataProcessor(this.config, this.logger, this.metrics);
     this.spreadsheetManager = new EnhancedSpreadsheetManager(this.config, this.logger, this.metrics, this.progressTracker);
-
-    this.startTime = Date.now();
+    this.outputSinks = new OutputSinkRouter(this.config, this.logger, this.spreadsheetManager);
+    this.exportArchive = new ExportArchive(this.config, this.logger);
+    this.incrementalManager = new IncrementalExportManager(this.config, this.logger);
+    this.statusHistory = new StatusHistoryTracker(this.config, this.logger, this.spreadsheetManager);
+    this.schemaDetector = new SchemaDriftDetector(this.config, this.logger, this.spreadsheetManager);
+    this.jobQueue = new ExportJobQueue(this.config, this.logger);
+    this.continuationManager = new ContinuationManager(this.config, this.logger);
+    this.runHistory = new RunHistory(this.config, this.logger, this.spreadsheetManager);
+
+    this.startTime = startTime || Date.now();
+    this.runId = UltraOptimizedOrchestrator.createRunId(this.startTime);
+    this.logger.setRunId(this.runId);
     this.lastCheckpoint = Date.now();
+    // Reports found by discovery, and those skipped because their data was still fresh
+    this.reportCounts = { found: 0, fresh: 0 };
+  }
+
+  /**
+   * Run IDs sort by start time, e.g. 20251019T061500Z-3f9a1c
+   */
+  static createRunId(startTime) {
+    return new Date(startTime).toISOString().replace(/[-:]|\.\d+/g, '') + '-' + Utilities.getUuid().substring(0, 6);
   }
 
+  /**
+   * Run a discovery pass and, if it stops at the execution time limit,
+   * schedule a continuation trigger to pick up the remaining reports.
+   * Every run, including failed ones, is recorded in the run history.
+   * @param {Object} options - { forceRestart, remainingAccounts, triggerSource }
+   */
   runCompleteDiscovery(options = {}) {
+    this.continuationManager.cleanupStaleTriggers();
+
+    let result;
+    try {
+      result = this.runDiscoveryPass(options);
+
+      if (result && !result.timeout && Object.keys(this.config.get('restCollections', {}) || {}).length > 0) {
+        this.checkpoint('collecting_rest');
+        result.collections = this.runRestCollections(options);
+        if (result.collections.timeout) {
+          result.timeout = true;
+          result.message = result.collections.message;
+        }
+      }
+    } catch (error) {
+      this.continuationManager.finishChain();
+      this.recordRun(options, null, error);
+      this.logger.flush();
+      throw error;
+    }
+
+    if (result && result.timeout) {
+      const accountName = this.config.get('accountName', null);
+      const accounts = accountName ? [accountName].concat(options.remainingAccounts || []) : null;
+      const continuation = this.continuationManager.scheduleContinuation(result.message || 'timeout', accounts);
+      if (continuation) {
+        result.continuation = continuation;
+        result.message = 'Stopped at the execution time limit. Progress saved; continuing automatically at ' +
+          continuation.runAt + ' (' + continuation.count + '/' + continuation.max + ' today).';
+      }
+    } else {
+      this.continuationManager.finishChain();
+    }
+
+    this.recordRun(options, result, null);
+    this.logger.flush();
+    if (result) {
+      result.runId = this.runId;
+    }
+    return result;
+  }
+
+  /**
+   * Add this run's manifest to the run history. A failure here is logged
+   * and never fails the run.
+   */
+  recordRun(options, result, error) {
+    try {
+      this.runHistory.record(this.buildRunManifest(options, result, error));
+    } catch (historyError) {
+      this.logger.warn('Failed to record run ' + this.runId, { error: historyError.message });
+    }
+  }
+
+  /**
+   * Summarize the run: what triggered it, the settings and date window it
+   * used, what happened to each report, and what it cost in API calls,
+   * bytes and time
+   */
+  buildRunManifest(options, result, error) {
+    const outcome = result || {};
+    const count = value => Array.isArray(value) ? value.length : (Number(value) || 0);
+    // After a timeout the pass may only know how many reports it finished
+    const successful = Array.isArray(outcome.successful) ? outcome.successful : [];
+    const exported = successful.filter(entry => !/^SKIPPED/.test(entry.status || ''));
+    const succeeded = Array.isArray(outcome.successful) ? exported.length : count(outcome.successful);
+    const failed = Array.isArray(outcome.failed) ? outcome.failed : [];
+
+    const windows = exported.map(entry => entry.dateWindow).filter(window => window);
+    const starts = windows.map(window => window.startdate).filter(date => date).sort();
+    const ends = windows.map(window => window.enddate).filter(date => date).sort();
+
+    const metrics = this.metrics.getSummary();
+    const startedAt = this.metrics.metrics.startTime;
+    const collections = outcome.collections;
+
+    let status = 'success';
+    if (error) {
+      status = 'failed';
+    } else if (outcome.timeout) {
+      status = outcome.continuation ? 'continued' : 'timeout';
+    } else if (failed.length > 0 || (collections && count(collections.failed) > 0)) {
+      status = 'partial';
+    }
+
+    return {
+      runId: this.runId,
+      account: this.config.get('accountName', null) || '',
+      triggerSource: options.triggerSource || 'manual',
+      status: status,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(startedAt + metrics.duration).toISOString(),
+      durationMs: metrics.duration,
+      configHash: RunHistory.hashConfig(this.config.config),
+      dateWindow: {
+        start: starts[0] || this.config.get('startDate', null),
+        end: ends[ends.length - 1] || this.config.get('endDate', null)
+      },
+      reports: {
+        found: this.reportCounts.found,
+        attempted: succeeded + failed.length,
+        succeeded: succeeded,
+        failed: failed.length,
+        skipped: this.reportCounts.fresh
+      },
+      failedReports: failed.map(entry => entry.reportId).filter(reportId => reportId),
+      rows: exported.reduce((sum, entry) => sum + (Number(entry.rowCount) || 0), 0),
+      collections: collections ? {
+        succeeded: count(collections.successful),
+        failed: count(collections.failed),
+        skipped: count(collections.skipped)
+      } : null,
+      apiCalls: metrics.apiCalls,
+      failedApiCalls: this.metrics.metrics.failedCalls,
+      bytes: metrics.dataProcessed,
+      message: outcome.message || '',
+      error: error ? error.message : ''
+    };
+  }
+
+  runDiscoveryPass(options = {}) {
     this.logger.info('Starting ultra-optimized discovery v4.0', {
       options: options,
       config: this.getConfigSummary()
@@ -1630,9 +7050,11 @@ class UltraOptimizedOrchestrator {
         });
       }
 
-      // Discover reports
+      // Discover reports, with the filters and columns each one accepts and returns
       this.checkpoint('discovering_reports');
-      const reports = this.apiClient.discoverReports();
+      const catalog = this.apiClient.metadataCatalog;
+      const reports = catalog.describeReports(this.apiClient.discoverReports());
+      this.reportCounts.found = reports.length;
       this.logger.info('Report discovery complete', { totalReports: reports.length });
 
       // Filter reports based on completion and freshness
@@ -1693,6 +7115,7 @@ class UltraOptimizedOrchestrator {
         });
 
         const skippedCount = reports.length - pendingReports.length;
+        this.reportCounts.fresh = skippedCount;
         if (skippedCount > 0) {
           this.logger.info('Skipped ' + skippedCount + ' fresh/completed reports');
         }
@@ -1700,13 +7123,25 @@ class UltraOptimizedOrchestrator {
         pendingReports = reports;
       }
 
+      // Jobs scheduled by an earlier run are downloaded, not scheduled again
+      if (options.forceRestart) {
+        this.jobQueue.clear();
+      }
+      const queuedJobs = this.jobQueue.getActiveJobs();
+      if (queuedJobs.length > 0) {
+        const queuedIds = queuedJobs.map(job => job.reportId);
+        pendingReports = pendingReports.filter(r => queuedIds.indexOf(r.Id) === -1);
+        this.logger.info('Picking up ' + queuedJobs.length + ' queued export jobs', { reportIds: queuedIds });
+      }
+
       this.logger.info('Processing reports', {
         total: reports.length,
         pending: pendingReports.length,
+        queued: queuedJobs.length,
         completed: completed.length
       });
 
-      if (pendingReports.length === 0) {
+      if (pendingReports.length === 0 && queuedJobs.length === 0) {
         this.logger.info('All reports already completed');
 
         // Still update summary to show current state
@@ -1734,7 +7169,8 @@ class UltraOptimizedOrchestrator {
       this.checkpoint('scheduling_exports');
       let exportResults;
       try {
-        exportResults = this.scheduleExportsOptimized(pendingReports);
+        exportResults = pendingReports.length > 0 ?
+          this.scheduleExportsOptimized(pendingReports) : { scheduled: [], errors: [], skipped: [] };
 
         // Merge skipped reports into successful results for summary
         if (exportResults.skipped && exportResults.skipped.length > 0) {
@@ -1790,7 +7226,8 @@ class UltraOptimizedOrchestrator {
         };
       }
 
-      if (exportResults.scheduled.length === 0) {
+      const jobsToProcess = queuedJobs.concat(exportResults.scheduled);
+      if (jobsToProcess.length === 0) {
         this.logger.warn('No exports were successfully scheduled');
 
         // Still update summary to show failed attempts
@@ -1825,7 +7262,7 @@ class UltraOptimizedOrchestrator {
       this.checkpoint('processing_exports');
       let results;
       try {
-        results = this.processExportsOptimized(exportResults.scheduled);
+        results = this.processExportsOptimized(jobsToProcess);
       } catch (timeoutError) {
         if (timeoutError.isTimeout) {
           // Handle timeout during processing
@@ -1845,6 +7282,11 @@ class UltraOptimizedOrchestrator {
         }
       }
 
+      // Reports that couldn't be scheduled belong in the summary too
+      if (exportResults.errors && exportResults.errors.length > 0) {
+        results.failed = exportResults.errors.concat(results.failed || []);
+      }
+
       // Handle timeout case in processing
       if (results.timeout) {
         this.logger.warn('Processing stopped due to timeout', {
@@ -1980,8 +7422,12 @@ class UltraOptimizedOrchestrator {
   scheduleExportsOptimized(reports) {
     this.logger.info('Scheduling exports with optimization', { reportCount: reports.length });
 
+    // With the rate limiter on, the token bucket paces every request and the
+    // fixed pauses below would only slow the run down further
+    const fixedPacing = !this.apiClient.rateLimiter.enabled;
+
     // Initial delay to let any previous API calls settle (e.g. discovery)
-    Utilities.sleep(2000);
+    if (fixedPacing) Utilities.sleep(2000);
 
     const scheduled = [];
     const skipped = [];
@@ -2013,6 +7459,7 @@ class UltraOptimizedOrchestrator {
 
           if (!shouldRefresh) {
             this.logger.info('Skipping ' + report.Id + ' - data is fresh');
+            this.reportCounts.fresh++;
             skipped.push({
               reportId: report.Id,
               reportName: report.Name,
@@ -2035,23 +7482,32 @@ class UltraOptimizedOrchestrator {
 
           this.logger.info('Scheduling ' + (globalIndex + 1) + '/' + reports.length + ': ' + report.Id);
 
-          // Add default parameters for Action Listing reports to ensure we get ALL statuses
+          // Per-report parameters come from reportProfiles inside scheduleExport
           const params = {};
-          if (report.Id.includes('action_listing')) {
-            params.ActionStatus = 'APPROVED,PENDING,REVERSED';
-            this.logger.info('Added ActionStatus=APPROVED,PENDING,REVERSED for ' + report.Id);
+
+          // Delta window for reports with a stored watermark
+          const incremental = this.planIncrementalExport(report);
+          if (incremental && incremental.window) {
+            params.startdate = incremental.window.startdate;
+            params.enddate = incremental.window.enddate;
+            this.logger.info('Incremental export for ' + report.Id + ' since ' + incremental.window.startdate);
           }
 
-          const job = this.apiClient.scheduleExport(report.Id, params);
-          scheduled.push({
+          const job = this.apiClient.scheduleExport(report.Id, params, report);
+          const scheduledJob = {
             reportId: job.reportId,
             jobId: job.jobId,
             reportName: report.Name,
-            scheduledAt: job.scheduledAt
-          });
+            scheduledAt: job.scheduledAt,
+            params: job.params,
+            dateWindow: job.dateWindow,
+            incremental: incremental
+          };
+          scheduled.push(scheduledJob);
+          this.jobQueue.enqueue(scheduledJob);
 
           // Rate limiting
-          if (j < batch.length - 1) {
+          if (fixedPacing && j < batch.length - 1) {
             Utilities.sleep(this.config.get('burstDelay', 200));
           }
 
@@ -2078,7 +7534,7 @@ class UltraOptimizedOrchestrator {
       }
 
       // Delay between batches
-      if (i + parallelLimit < reports.length) {
+      if (fixedPacing && i + parallelLimit < reports.length) {
         Utilities.sleep(requestDelay);
       }
 
@@ -2128,7 +7584,36 @@ class UltraOptimizedOrchestrator {
     return { scheduled: scheduled, errors: errors };
   }
 
+  /**
+   * Decide how an incremental report is exported. A delta window is only used
+   * when there is a watermark and an unsplit sheet to merge into (and no other
+   * output sink, since those are rewritten from each export); otherwise the
+   * report is pulled in full and the watermark is recorded from that pull.
+   * @returns {Object|null} { profile, window } or null for non-incremental reports
+   */
+  planIncrementalExport(report) {
+    const profile = this.incrementalManager.getProfile(report.Id, report.Name);
+    if (!profile) return null;
+
+    let window = this.incrementalManager.getWindow(report.Id);
+    if (window && !this.spreadsheetManager.getMergeTarget(report.Id, report.Name)) {
+      this.logger.info('No single sheet to merge into for ' + report.Id + ' - doing a full export');
+      window = null;
+    }
+    if (window && !this.outputSinks.isSheetsOnly(report.Id, report.Name)) {
+      this.logger.info(report.Id + ' also goes to ' + this.outputSinks.getSinkNames(report.Id, report.Name).join(', ') +
+        ' - doing a full export');
+      window = null;
+    }
+
+    return { profile: profile, window: window };
+  }
+
   processExportsOptimized(scheduledJobs) {
+    if (this.config.get('enableParallelProcessing', true) && scheduledJobs.length > 1) {
+      return this.processExportsConcurrently(scheduledJobs);
+    }
+
     this.logger.info('Processing exports with optimization', { jobCount: scheduledJobs.length });
 
     const successful = [];
@@ -2141,78 +7626,14 @@ class UltraOptimizedOrchestrator {
         this.logger.info('Processing ' + (i + 1) + '/' + scheduledJobs.length + ': ' + job.reportId);
 
         const result = this.processSingleExportOptimized(job);
-        successful.push(result);
-
-        // Mark as complete for resume capability
-        this.progressTracker.markReportComplete(job.reportId, {
-          reportName: result.reportName,
-          sheetName: result.sheetName,
-          rowCount: result.rowCount,
-          columnCount: result.columnCount,
-          chunked: result.chunked,
-          chunkCount: result.chunkCount,
-          processedAt: result.processedAt
-        });
-
-        // Save progress periodically and update summary incrementally
-        if ((i + 1) % this.config.get('progressSaveInterval', 5) === 0) {
-          this.progressTracker.saveProgress('processing', {
-            successful: successful.length,
-            failed: failed.length,
-            processed: i + 1
-          });
-
-          // Update summary incrementally so user can see progress
-          try {
-            this.spreadsheetManager.createSummarySheet(successful, failed);
-            this.logger.debug('Summary updated incrementally', {
-              successful: successful.length,
-              failed: failed.length
-            });
-          } catch (summaryError) {
-            this.logger.warn('Failed to update summary incrementally', {
-              error: summaryError.message
-            });
-            // Continue processing even if summary update fails
-          }
-        }
+        this.recordExportSuccess(job, result, successful, failed, i + 1);
 
       } catch (error) {
         // Check if it's a timeout error
         if (error.isTimeout) {
-          // Save progress before exiting
-          this.progressTracker.saveProgress('processing_timeout', {
-            successful: successful.length,
-            failed: failed.length,
-            processed: i + 1,
-            remainingJobs: scheduledJobs.length - (i + 1)
-          }, true);
-
-          this.logger.warn('Timeout during processing - progress saved', {
-            successful: successful.length,
-            failed: failed.length,
-            processed: i + 1,
-            remaining: scheduledJobs.length - (i + 1)
-          });
-
-          // Return partial results so caller can handle gracefully
-          return {
-            successful: successful,
-            failed: failed,
-            timeout: true,
-            message: 'Processing stopped due to timeout. Progress saved. Run resumeDiscovery() to continue.'
-          };
+          return this.stopProcessingForTimeout(successful, failed, i + 1, scheduledJobs.length - (i + 1));
         }
-
-        this.logger.error('Failed to process ' + job.reportId, {
-          error: error.message,
-          reportName: job.reportName
-        });
-        failed.push({
-          reportId: job.reportId,
-          reportName: job.reportName,
-          error: error.message
-        });
+        this.recordExportFailure(job, error, failed);
       }
 
       // Check for timeout
@@ -2220,33 +7641,141 @@ class UltraOptimizedOrchestrator {
         this.checkTimeout();
       } catch (timeoutError) {
         if (timeoutError.isTimeout) {
-          // Save progress before exiting
-          this.progressTracker.saveProgress('processing_timeout', {
-            successful: successful.length,
-            failed: failed.length,
-            processed: i + 1,
-            remainingJobs: scheduledJobs.length - (i + 1)
-          }, true);
+          return this.stopProcessingForTimeout(successful, failed, i + 1, scheduledJobs.length - (i + 1));
+        }
+        throw timeoutError; // Re-throw if not a timeout error
+      }
+    }
 
-          this.logger.warn('Timeout during processing - progress saved', {
-            successful: successful.length,
-            failed: failed.length,
-            processed: i + 1,
-            remaining: scheduledJobs.length - (i + 1)
-          });
+    this.logger.info('Export processing complete', {
+      successful: successful.length,
+      failed: failed.length
+    });
 
-          // Return partial results so caller can handle gracefully
-          return {
-            successful: successful,
-            failed: failed,
-            timeout: true,
-            message: 'Processing stopped due to timeout. Progress saved. Run resumeDiscovery() to continue.'
-          };
+    return { successful: successful, failed: failed };
+  }
+
+  /**
+   * Poll every outstanding job in UrlFetchApp.fetchAll rounds of
+   * parallelRequestLimit and download each export as soon as Impact finishes
+   * it, while the rest keep running. The polling backoff applies per round
+   * rather than per job, and only when a round finished nothing.
+   */
+  processExportsConcurrently(scheduledJobs) {
+    const batchSize = Math.max(1, this.config.get('parallelRequestLimit', 3));
+    const maxAttempts = this.config.get('maxPollingAttempts', 30);
+    let delay = this.config.get('initialPollingDelay', 3000);
+    const maxDelay = this.config.get('maxPollingDelay', 60000);
+    const multiplier = this.config.get('pollingMultiplier', 1.2);
+    const quickThreshold = this.config.get('quickPollingThreshold', 5);
+    const quickDelay = this.config.get('quickPollingDelay', 2000);
+
+    this.logger.info('Processing exports concurrently', {
+      jobCount: scheduledJobs.length,
+      pollBatchSize: batchSize
+    });
+
+    const successful = [];
+    const failed = [];
+    let pending = scheduledJobs.map(job => ({ job: job, attempts: 0 }));
+    let processed = 0;
+
+    const giveUp = (entry, error) => {
+      processed++;
+      this.recordExportFailure(entry.job, error, failed);
+    };
+
+    for (let round = 0; pending.length > 0; round++) {
+      const stillRunning = [];
+      let finishedThisRound = 0;
+
+      for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+
+        let statuses;
+        try {
+          statuses = this.apiClient.checkJobStatuses(batch.map(entry => entry.job.jobId));
+        } catch (error) {
+          // An open breaker or an exhausted rate budget won't clear within this run;
+          // the jobs stay queued, uncounted, and are picked up by the next one
+          if (error.message.includes('Circuit breaker is OPEN') || error.message.includes('> 5m limit')) {
+            const queued = pending.slice(i).concat(stillRunning);
+            this.logger.warn('Stopping job polling: ' + error.message, {
+              stillQueued: queued.map(entry => entry.job.reportId)
+            });
+            return this.finishProcessing(successful, failed);
+          }
+          statuses = batch.map(entry => ({ jobId: entry.job.jobId, status: 'unknown', pollError: error.message }));
+        }
+
+        const ready = [];
+        batch.forEach((entry, index) => {
+          const status = statuses[index];
+          entry.attempts++;
+
+          if (status.status === 'completed') {
+            ready.push({ entry: entry, status: status });
+          } else if (status.status === 'failed') {
+            giveUp(entry, new Error('Job failed: ' + (status.error || 'Unknown error')));
+          } else if (entry.attempts >= maxAttempts) {
+            giveUp(entry, new Error(status.pollError || 'Job polling timed out after ' + maxAttempts + ' attempts'));
+          } else {
+            if (status.pollError) {
+              this.logger.warn('Polling error, retrying', {
+                jobId: entry.job.jobId,
+                attempt: entry.attempts,
+                error: status.pollError
+              });
+            }
+            stillRunning.push(entry);
+          }
+        });
+
+        // Download what finished before polling the next batch
+        for (let r = 0; r < ready.length; r++) {
+          const job = ready[r].entry.job;
+          finishedThisRound++;
+          try {
+            this.logger.info('Processing ' + (processed + 1) + '/' + scheduledJobs.length + ': ' + job.reportId);
+            const result = this.ingestCompletedExport(job, ready[r].status);
+            processed++;
+            this.recordExportSuccess(job, result, successful, failed, processed);
+          } catch (error) {
+            if (error.isTimeout) {
+              return this.stopProcessingForTimeout(successful, failed, processed, scheduledJobs.length - processed);
+            }
+            processed++;
+            this.recordExportFailure(job, error, failed);
+          }
+        }
+
+        try {
+          this.checkTimeout();
+        } catch (timeoutError) {
+          if (timeoutError.isTimeout) {
+            return this.stopProcessingForTimeout(successful, failed, processed, scheduledJobs.length - processed);
+          }
+          throw timeoutError;
         }
-        throw timeoutError; // Re-throw if not a timeout error
       }
+
+      pending = stillRunning;
+      if (pending.length === 0 || finishedThisRound > 0) continue;
+
+      // Use quick polling after initial rounds
+      delay = round >= quickThreshold ? quickDelay : Math.min(delay * multiplier, maxDelay);
+      this.logger.debug('Jobs still running', {
+        pending: pending.length,
+        round: round + 1,
+        nextDelay: delay
+      });
+      Utilities.sleep(delay);
     }
 
+    return this.finishProcessing(successful, failed);
+  }
+
+  finishProcessing(successful, failed) {
     this.logger.info('Export processing complete', {
       successful: successful.length,
       failed: failed.length
@@ -2255,6 +7784,93 @@ class UltraOptimizedOrchestrator {
     return { successful: successful, failed: failed };
   }
 
+  /**
+   * Bookkeeping once an export is in its sheet: drop the job from the queue,
+   * mark the report complete for resume, and every progressSaveInterval
+   * exports save progress and refresh the summary
+   */
+  recordExportSuccess(job, result, successful, failed, processed) {
+    successful.push(result);
+    this.jobQueue.remove(job.jobId);
+
+    // Mark as complete for resume capability
+    this.progressTracker.markReportComplete(job.reportId, {
+      reportName: result.reportName,
+      sheetName: result.sheetName,
+      rowCount: result.rowCount,
+      columnCount: result.columnCount,
+      chunked: result.chunked,
+      chunkCount: result.chunkCount,
+      notes: result.notes,
+      processedAt: result.processedAt
+    });
+
+    // Save progress periodically and update summary incrementally
+    if (processed % this.config.get('progressSaveInterval', 5) === 0) {
+      this.progressTracker.saveProgress('processing', {
+        successful: successful.length,
+        failed: failed.length,
+        processed: processed
+      });
+
+      // Update summary incrementally so user can see progress
+      try {
+        this.spreadsheetManager.createSummarySheet(successful, failed);
+        this.logger.debug('Summary updated incrementally', {
+          successful: successful.length,
+          failed: failed.length
+        });
+      } catch (summaryError) {
+        this.logger.warn('Failed to update summary incrementally', {
+          error: summaryError.message
+        });
+        // Continue processing even if summary update fails
+      }
+    }
+  }
+
+  recordExportFailure(job, error, failed) {
+    // A failed Impact job has to be scheduled again; anything else can retry the same job
+    const retryable = !/Job failed:/.test(error.message);
+    const requeued = this.jobQueue.recordFailure(job.jobId, error, retryable);
+
+    this.logger.error('Failed to process ' + job.reportId, {
+      error: error.message,
+      reportName: job.reportName,
+      requeued: requeued
+    });
+    failed.push({
+      reportId: job.reportId,
+      reportName: job.reportName,
+      error: error.message + (requeued ? ' (job kept in queue for the next run)' : '')
+    });
+  }
+
+  stopProcessingForTimeout(successful, failed, processed, remaining) {
+    // Save progress before exiting
+    this.progressTracker.saveProgress('processing_timeout', {
+      successful: successful.length,
+      failed: failed.length,
+      processed: processed,
+      remainingJobs: remaining
+    }, true);
+
+    this.logger.warn('Timeout during processing - progress saved', {
+      successful: successful.length,
+      failed: failed.length,
+      processed: processed,
+      remaining: remaining
+    });
+
+    // Return partial results so caller can handle gracefully
+    return {
+      successful: successful,
+      failed: failed,
+      timeout: true,
+      message: 'Processing stopped due to timeout. Progress saved. Run resumeDiscovery() to continue.'
+    };
+  }
+
   processSingleExportOptimized(job) {
     // Poll for completion with optimized strategy
     const status = this.pollJobCompletionOptimized(job.jobId);
@@ -2263,29 +7879,251 @@ class UltraOptimizedOrchestrator {
       throw new Error('Job failed or timed out: ' + status.status);
     }
 
-    // Download and process data
+    return this.ingestCompletedExport(job, status);
+  }
+
+  /**
+   * Download a finished job and write it to its sheet (merge, streaming or
+   * whole-file, depending on the report and config) and to any other output
+   * sinks configured for the report
+   */
+  ingestCompletedExport(job, status) {
+    // Download and stream rows into the sheet in batches
     const csvData = this.apiClient.downloadResult(status.resultUri);
-    const processedData = this.dataProcessor.processCSVData(csvData);
+    const metadata = {
+      name: job.reportName,
+      jobId: job.jobId,
+      scheduledAt: job.scheduledAt
+    };
+
+    // Archived as downloaded, before anything can fail on it; an archive
+    // problem is logged rather than failing the report
+    if (this.config.get('enableExportArchive', false)) {
+      try {
+        this.exportArchive.archive(job, this.runId, csvData);
+      } catch (error) {
+        this.logger.warn('Failed to archive ' + job.reportId, { error: error.message });
+      }
+    }
+
+    const incremental = job.incremental || null;
+    const tracker = incremental ? this.incrementalManager.createTracker(incremental.profile) : null;
+    const statusProfile = this.statusHistory.getProfile(job.reportId, job.reportName);
+    const statusObserver = statusProfile ? this.statusHistory.createObserver(statusProfile) : null;
+    const observe = tracker || statusObserver ? (headers, rows) => {
+      if (tracker) tracker.observe(headers, rows);
+      if (statusObserver) statusObserver.observe(headers, rows);
+    } : null;
+
+    // Every sink gets the same download; the row observers ride along with
+    // the first one
+    const isDelta = !!(incremental && incremental.window);
+    const outputs = this.outputSinks.getSinkNames(job.reportId, job.reportName).map((name, i) => {
+      const sink = this.outputSinks.getSink(name);
+      const output = sink.writeCsv(job.reportId, job.reportName, csvData, this.dataProcessor, i === 0 ? observe : null, {
+        metadata: metadata,
+        keyColumns: incremental ? incremental.profile.keyColumns : null,
+        delta: isDelta
+      });
+      return { ...output, sink: name, location: sink.describe(output) };
+    });
+
+    const sheetsOutput = outputs.find(output => output.sink === 'sheets') || null;
+    const others = outputs.filter(output => output !== sheetsOutput);
+    const merged = !!(sheetsOutput && sheetsOutput.merge);
+    let sheetInfo = sheetsOutput;
+    let notes = '';
+    if (merged) {
+      const stats = sheetsOutput.merge;
+      notes = (isDelta ? 'Incremental since ' + incremental.window.startdate : 'Merged') + ': +' + stats.added +
+        ' new, ' + stats.updated + ' updated, ' + stats.unchanged + ' unchanged';
+      if (stats.vanished > 0) notes += ', ' + stats.vanished + ' no longer in export';
+      if (tracker) {
+        this.incrementalManager.recordRun(job.reportId, tracker, {
+          window: isDelta ? incremental.window : null,
+          added: stats.added,
+          updated: stats.updated,
+          unchanged: stats.unchanged
+        });
+      }
+    }
+
+    if (!sheetInfo) {
+      sheetInfo = {
+        sheetName: others.map(output => output.location).join(', '),
+        rowCount: others[0].rowCount,
+        columnCount: others[0].columnCount
+      };
+      this.spreadsheetManager.storeDataFreshness(job.reportId, { ...metadata, rowCount: sheetInfo.rowCount });
+    } else if (others.length > 0) {
+      notes = (notes ? notes + ' | ' : '') + 'Also written to ' + others.map(output => output.location).join(', ');
+    }
+
+    if (tracker && !merged) {
+      this.incrementalManager.recordRun(job.reportId, tracker, { added: sheetInfo.rowCount });
+    }
+
+    // Status history is a side product - a failure here shouldn't fail the export
+    if (statusObserver) {
+      try {
+        const changes = this.statusHistory.commit(job.reportId, statusObserver);
+        if (changes.changed > 0) {
+          notes = (notes ? notes + ' | ' : '') + changes.changed + ' status changes (' + changes.reversed + ' reversed)';
+        }
+      } catch (error) {
+        this.logger.warn('Failed to update status history for ' + job.reportId, { error: error.message });
+      }
+    }
+
+    let schema = null;
+    if (this.schemaDetector.enabled) {
+      try {
+        schema = this.schemaDetector.check({
+          reportId: job.reportId,
+          reportName: job.reportName,
+          sheetName: this.spreadsheetManager.generateSheetName(job.reportId, job.reportName)
+        }, new CsvRowStream(csvData).next() || []);
+        if (schema.changed || schema.missingRequired.length > 0) {
+          notes = (notes ? notes + ' | ' : '') + 'Schema: ' + this.schemaDetector.describe(schema);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to check schema for ' + job.reportId, { error: error.message });
+      }
+    }
+
+    return {
+      reportId: job.reportId,
+      reportName: job.reportName,
+      sheetName: sheetInfo.sheetName,
+      rowCount: sheetInfo.rowCount,
+      columnCount: sheetInfo.columnCount,
+      chunked: sheetInfo.chunked,
+      chunkCount: sheetInfo.chunkCount,
+      notes: notes,
+      status: schema && schema.missingRequired.length > 0 ? 'SUCCESS (Missing columns)' :
+        (schema && schema.changed ? 'SUCCESS (Schema changed)' : undefined),
+      schemaChanged: !!(schema && schema.changed),
+      dateWindow: job.dateWindow || null,
+      processedAt: new Date()
+    };
+  }
+
+  /**
+   * Pull every collection in restCollections. Collections written within
+   * dataFreshnessHours are skipped unless forceRestart is set; one stopped at
+   * the time limit picks up at its checkpointed page on the next run.
+   * @param {Object} options - { forceRestart }
+   * @returns {Object} { successful, failed, skipped, timeout, message }
+   */
+  runRestCollections(options = {}) {
+    const collections = this.config.get('restCollections', {}) || {};
+    const results = { successful: [], failed: [], skipped: [] };
+    const freshnessHours = this.config.get('dataFreshnessHours', 24);
+
+    for (const collection in collections) {
+      if (options.forceRestart) {
+        this.apiClient.clearCollectionCursor(collection);
+      } else if (!this.apiClient.getCollectionCursor(collection) && this.config.get('enableDataFreshness', true) &&
+        !this.config.get('forceRefresh', false)) {
+        const freshness = this.spreadsheetManager.getDataFreshness(collection);
+        if (freshness && (Date.now() - new Date(freshness.lastUpdated).getTime()) / 3600000 < freshnessHours) {
+          this.logger.info('Skipping ' + collection + ' - collected ' + freshness.lastUpdated);
+          results.skipped.push(collection);
+          continue;
+        }
+      }
+
+      try {
+        results.successful.push(this.collectRestCollection(collection, collections[collection] || {}));
+      } catch (error) {
+        if (error.isTimeout) {
+          results.timeout = true;
+          results.message = 'Stopped at the execution time limit while collecting ' + collection +
+            '. The next run resumes at the last checkpointed page.';
+          break;
+        }
+        this.logger.error('Failed to collect ' + collection, { error: error.message });
+        results.failed.push({ reportId: collection, reportName: collection, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Page one REST collection into its output sinks. A Sheets writer keeps its
+   * staging sheets in the page checkpoint so a resumed collection appends to
+   * them; files and warehouse tables only exist once the last page is in, so
+   * a collection that goes to them starts over from page 1 instead.
+   */
+  collectRestCollection(collection, settings) {
+    const reportName = settings.sheetName || collection;
+    const writers = this.outputSinks.getSinkNames(collection, reportName).map(name => {
+      const sink = this.outputSinks.getSink(name);
+      return { sink: sink, writer: sink.openWriter(collection, reportName) };
+    });
+    const sheets = writers.find(entry => entry.sink.name === 'sheets') || null;
+    const writer = sheets ? sheets.writer : null;
+
+    const cursor = this.apiClient.getCollectionCursor(collection);
+    if (cursor && writers.length > (writer ? 1 : 0)) {
+      this.logger.warn(collection + ' is also written to files or a warehouse table - collecting from page 1');
+      this.apiClient.clearCollectionCursor(collection);
+    } else if (cursor && !writer.reattach(cursor.state.parts)) {
+      this.logger.warn('Staging sheets for ' + collection + ' are gone - collecting from page 1');
+      this.apiClient.clearCollectionCursor(collection);
+    }
+    let headers = cursor && writer && writer.parts.length > 0 ? cursor.state.headers : [];
 
-    // Create spreadsheet sheet
-    const sheetInfo = this.spreadsheetManager.createReportSheet(
-      job.reportId,
-      processedData,
-      {
-        name: job.reportName,
-        jobId: job.jobId,
-        scheduledAt: job.scheduledAt
+    let collected;
+    try {
+      collected = this.apiClient.collectPages(collection, settings.params || {}, {
+        pageSize: settings.pageSize,
+        beforePage: () => this.checkTimeout(),
+        onPage: records => {
+          const page = this.dataProcessor.flattenRecords(records, headers);
+          headers = page.headers;
+          writers.forEach(entry => entry.writer.write(headers, page.dataRows));
+          return { headers: headers, parts: writer ? writer.getPartState() : [] };
+        }
+      });
+    } catch (error) {
+      // Staging sheets stay for the resumed run; anything else starts over
+      writers.forEach(entry => {
+        if (!error.isTimeout || entry !== sheets) entry.writer.abort();
+      });
+      if (!error.isTimeout) {
+        this.apiClient.clearCollectionCursor(collection);
       }
-    );
+      throw error;
+    }
+
+    if (headers.length === 0) headers = ['Id'];
+    const outputs = writers.map(entry => {
+      const info = entry.writer.finish(headers);
+      return { ...info, location: entry.sink.describe(info) };
+    });
+    const sheetInfo = sheets ? outputs[writers.indexOf(sheets)] : {};
+    const metadata = { name: reportName, rowCount: collected.records, columnCount: headers.length };
+    if (writer) {
+      this.spreadsheetManager.addMetadataNote(writer.parts[0].sheet, collection, metadata, {
+        rowCount: writer.rowCount,
+        columnCount: headers.length,
+        needsChunking: sheetInfo.chunked
+      });
+    }
+    this.spreadsheetManager.storeDataFreshness(collection, metadata);
 
     return {
-      reportId: job.reportId,
-      reportName: job.reportName,
-      sheetName: sheetInfo.sheetName,
-      rowCount: sheetInfo.rowCount,
-      columnCount: sheetInfo.columnCount,
+      reportId: collection,
+      reportName: reportName,
+      sheetName: outputs.map(output => output.location).join(', '),
+      rowCount: collected.records,
+      columnCount: headers.length,
       chunked: sheetInfo.chunked,
       chunkCount: sheetInfo.chunkCount,
+      notes: 'REST: ' + collected.pages + ' page(s)' +
+        (collected.resumedAtPage ? ', resumed at page ' + collected.resumedAtPage : ''),
       processedAt: new Date()
     };
   }
@@ -2553,7 +8391,8 @@ function testSecureConnection() {
     const sid = props.getProperty('IMPACT_SID');
     const token = props.getProperty('IMPACT_TOKEN');
 
-    const url = `https://api.impact.com/Mediapartners/${sid}/Reports`;
+    const accountType = API_ACCOUNT_TYPES[new ImpactConfig().get('accountType', 'mediapartner')] || API_ACCOUNT_TYPES.mediapartner;
+    const url = `https://api.impact.com/${accountType.resource}/${sid}/Reports`;
     const basicAuth = Utilities.base64Encode(`${sid}:${token}`);
 
     const response = UrlFetchApp.fetch(url, {
@@ -2646,9 +8485,130 @@ function quickSetupWithCredentials() {
 // PUBLIC API FUNCTIONS
 // ============================================================================
 
-function runCompleteDiscovery() {
-  const orchestrator = new UltraOptimizedOrchestrator();
-  return orchestrator.runCompleteDiscovery();
+/**
+ * Run discovery for every account profile, or only the named one
+ * @param {string} accountName - Account profile to run (optional; ignored when
+ *   called from a trigger, which passes an event object)
+ */
+function runCompleteDiscovery(accountName) {
+  return runDiscoveryForAccounts(typeof accountName === 'string' ? [accountName] : null,
+    { triggerSource: accountName && typeof accountName === 'object' ? 'schedule' : 'manual' });
+}
+
+/**
+ * Run discovery for each account in turn, or for the default account when no
+ * profiles are configured. All accounts share the execution's time budget: if
+ * one stops at the limit, its continuation resumes it and then the rest.
+ * @param {Array<string>} accountNames - Accounts to run (default: all profiles)
+ * @param {Object} options - Passed to the orchestrator
+ */
+function runDiscoveryForAccounts(accountNames, options = {}) {
+  const names = accountNames || ImpactConfig.getAccountNames();
+  if (names.length === 0) {
+    return new UltraOptimizedOrchestrator().runCompleteDiscovery(options);
+  }
+
+  const startTime = Date.now();
+  const results = {};
+  let stoppedAt = null;
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    console.log('🏢 Account: ' + name);
+    ImpactConfig.activeAccount = name;
+    try {
+      const orchestrator = new UltraOptimizedOrchestrator(name, startTime);
+      results[name] = orchestrator.runCompleteDiscovery({ ...options, remainingAccounts: names.slice(i + 1) });
+    } catch (error) {
+      console.log('❌ Account ' + name + ' failed: ' + error.message);
+      results[name] = { success: false, error: error.message };
+    } finally {
+      ImpactConfig.activeAccount = null;
+    }
+
+    if (results[name] && results[name].timeout) {
+      stoppedAt = name;
+      break;
+    }
+  }
+
+  const failed = Object.keys(results).filter(name => results[name] && results[name].success === false);
+  return {
+    success: failed.length === 0 && !stoppedAt,
+    timeout: !!stoppedAt,
+    accounts: results,
+    failedAccounts: failed,
+    remainingAccounts: stoppedAt ? names.slice(names.indexOf(stoppedAt)) : [],
+    message: stoppedAt ?
+      'Stopped at the execution time limit during account ' + stoppedAt :
+      'Completed ' + names.length + ' account(s)' + (failed.length > 0 ? ', ' + failed.length + ' failed' : '')
+  };
+}
+
+/**
+ * Add (or update) an account profile. Credentials go to Script Properties;
+ * settings such as excludedReports or startDate override the defaults for
+ * this account's runs.
+ * @param {string} name - Account name, used for sheet prefixes and the Account column
+ * @param {string} sid - Impact account SID
+ * @param {string} token - Impact auth token
+ * @param {string} spreadsheetId - Workbook for this account (optional; default workbook when omitted)
+ * @param {Object} settings - Per-account config overrides (optional)
+ */
+function addAccountProfile(name, sid, token, spreadsheetId, settings) {
+  if (!name || !sid || !token) {
+    throw new Error('addAccountProfile needs a name, SID and token');
+  }
+
+  const props = PropertiesService.getScriptProperties();
+  const suffix = '_' + ImpactConfig.accountKey(name);
+  props.setProperty('IMPACT_SID' + suffix, sid);
+  props.setProperty('IMPACT_TOKEN' + suffix, token);
+  if (spreadsheetId) {
+    props.setProperty('IMPACT_SPREADSHEET_ID' + suffix, spreadsheetId);
+  } else {
+    props.deleteProperty('IMPACT_SPREADSHEET_ID' + suffix);
+  }
+
+  let stored = {};
+  try {
+    stored = JSON.parse(props.getProperty('IMPACT_OPTIMIZED_CONFIG') || '{}');
+  } catch (error) {
+    Logger.log('Failed to parse config: ' + error.message);
+  }
+  stored.accounts = stored.accounts || {};
+  stored.accounts[name] = { ...(stored.accounts[name] || {}), ...(settings || {}) };
+  props.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify(stored));
+
+  console.log('✅ Account profile saved: ' + name);
+  console.log('SID: ' + sid.substring(0, 8) + '...');
+  console.log('Workbook: ' + (spreadsheetId ? spreadsheetId : 'default (sheets prefixed "' + name + ' - ")'));
+
+  return { name: name, accounts: Object.keys(stored.accounts) };
+}
+
+/**
+ * List account profiles and where each one writes
+ */
+function listAccounts() {
+  const accounts = ImpactConfig.getAccountNames().map(name => {
+    const config = new ImpactConfig(name);
+    return {
+      name: name,
+      spreadsheetId: config.get('spreadsheetId'),
+      sheetPrefix: config.get('sheetPrefix', ''),
+      startDate: config.get('startDate', null),
+      endDate: config.get('endDate', null)
+    };
+  });
+
+  console.log('🏢 ' + accounts.length + ' account profile(s)');
+  accounts.forEach(account => {
+    console.log('  ' + account.name + ' → ' + account.spreadsheetId +
+      (account.sheetPrefix ? ' (sheets prefixed "' + account.sheetPrefix + '")' : ''));
+  });
+
+  return accounts;
 }
 
 /**
@@ -2668,6 +8628,7 @@ function forceRefreshAllReports() {
   Logger.log('   - Starting discovery...');
   Logger.log('');
 
+  orchestrator.logger.flush();
   return orchestrator.runCompleteDiscovery({ forceRestart: true });
 }
 
@@ -2738,13 +8699,261 @@ function resumeDiscovery() {
   Logger.log('   - Will skip already completed reports');
   Logger.log('');
 
-  return orchestrator.runCompleteDiscovery({ forceRestart: false });
+  orchestrator.logger.flush();
+  return orchestrator.runCompleteDiscovery({ forceRestart: false, triggerSource: 'resume' });
+}
+
+/**
+ * Show export jobs that were scheduled but not downloaded yet
+ */
+function getJobQueueStatus() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const jobs = orchestrator.jobQueue.load();
+
+  console.log('📬 Queued export jobs: ' + jobs.length);
+  jobs.forEach(job => {
+    console.log('   ' + job.reportId + ' (' + job.jobId + ') - ' + job.state + ', scheduled ' + job.scheduledAt +
+      (job.attempts > 0 ? ', ' + job.attempts + ' failed attempts: ' + job.lastError : ''));
+  });
+
+  orchestrator.logger.flush();
+  return jobs;
+}
+
+/**
+ * Pull the REST collections in restCollections without running report discovery
+ * @param {boolean} forceRestart - Ignore freshness and checkpointed pages
+ */
+function collectRestCollections(forceRestart) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const results = orchestrator.runRestCollections({ forceRestart: forceRestart === true });
+
+  results.successful.forEach(r => console.log('✅ ' + r.reportId + ': ' + r.rowCount + ' rows → ' + r.sheetName + ' (' + r.notes + ')'));
+  results.skipped.forEach(name => console.log('⏭️ ' + name + ': fresh, skipped'));
+  results.failed.forEach(r => console.log('❌ ' + r.reportId + ': ' + r.error));
+  if (results.timeout) console.log('⏱️ ' + results.message);
+
+  orchestrator.logger.flush();
+  return results;
+}
+
+/**
+ * Show REST collections stopped between pages
+ */
+function getRestCollectionStatus() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const collections = Object.keys(orchestrator.config.get('restCollections', {}) || {});
+  const status = collections.map(name => {
+    const cursor = orchestrator.apiClient.getCollectionCursor(name);
+    const freshness = orchestrator.spreadsheetManager.getDataFreshness(name);
+    return {
+      collection: name,
+      lastCollected: freshness ? freshness.lastUpdated : null,
+      resumeAtPage: cursor ? cursor.page + 1 : null,
+      recordsSoFar: cursor ? cursor.records : null
+    };
+  });
+
+  console.log('📄 REST collections: ' + status.length);
+  status.forEach(s => {
+    console.log('   ' + s.collection + ' - last collected ' + (s.lastCollected || 'never') +
+      (s.resumeAtPage ? ', resumes at page ' + s.resumeAtPage + ' (' + s.recordsSoFar + ' records so far)' : ''));
+  });
+
+  orchestrator.logger.flush();
+  return status;
+}
+
+/**
+ * Forget queued export jobs so their reports are scheduled again
+ */
+function clearJobQueue() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  orchestrator.jobQueue.clear();
+
+  console.log('✅ Job queue cleared');
+  orchestrator.logger.flush();
+  return { message: 'Job queue cleared' };
+}
+
+/**
+ * Fetch every discovered report's filters and columns again and rewrite the
+ * Report Catalog sheet
+ */
+function refreshReportMetadata() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const catalog = orchestrator.apiClient.metadataCatalog;
+  const reports = catalog.describeReports(orchestrator.apiClient.discoverReports(), true);
+  const entries = catalog.getAll();
+
+  const described = reports.filter(r => Array.isArray(r.Filters)).length;
+  console.log('📚 Report metadata refreshed: ' + described + '/' + reports.length + ' reports described');
+  orchestrator.logger.flush();
+  return entries;
+}
+
+/**
+ * Show the cached filters and columns for each report
+ */
+function getReportCatalog() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const entries = orchestrator.apiClient.metadataCatalog.getAll();
+
+  console.log('📚 Report catalog: ' + entries.length + ' reports');
+  entries.forEach(entry => {
+    if (entry.Unavailable) {
+      console.log('   ' + entry.Id + ' - ' + entry.Unavailable);
+      return;
+    }
+    console.log('   ' + entry.Id + ' - filters: ' + (entry.Filters.map(f => f.Name).join(', ') || 'none') +
+      '; ' + entry.Columns.length + ' columns (fetched ' + entry.FetchedAt + ')');
+  });
+
+  orchestrator.logger.flush();
+  return entries;
+}
+
+/**
+ * Show each report's last known columns and any schema changes or missing
+ * required columns
+ */
+function getSchemaStatus() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const entries = orchestrator.schemaDetector.getAll();
+
+  console.log('🧬 Report schemas: ' + entries.length);
+  entries.forEach(entry => {
+    let line = '   ' + entry.reportId + ' - ' + entry.headers.length + ' columns (' + entry.fingerprint + ')';
+    if (entry.lastChange) {
+      line += ', last changed ' + entry.lastChange.changedAt;
+    }
+    if (entry.missingRequired.length > 0) {
+      line += ' ⛔ missing required: ' + entry.missingRequired.join(', ');
+    }
+    console.log(line);
+  });
+
+  orchestrator.logger.flush();
+  return entries;
+}
+
+/**
+ * Accept a report's current columns so analysis that was blocked by a
+ * missing required column can run
+ * @param {string} reportId - Report ID
+ */
+function acknowledgeSchemaChange(reportId) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const entry = orchestrator.schemaDetector.acknowledge(reportId);
+  if (!entry) {
+    console.log('❌ No schema recorded for ' + reportId);
+    orchestrator.logger.flush();
+    return { success: false, message: 'No schema recorded for ' + reportId };
+  }
+
+  console.log('✅ Schema for ' + reportId + ' acknowledged - analysis is unblocked until the next export');
+  orchestrator.logger.flush();
+  return { success: true, reportId: reportId, acknowledgedAt: entry.acknowledgedAt };
+}
+
+/**
+ * Show which column of a sheet each canonical field (revenue, sku, ...)
+ * resolves to and which alias matched
+ * @param {string} sheetName - Sheet to inspect (default: the SKU level sheet)
+ */
+function explainColumnResolution(sheetName) {
+  const config = new ImpactConfig();
+  const metrics = new PerformanceMetrics();
+  const logger = new EnhancedLogger(config, metrics);
+  const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
+
+  const names = sheetName ? [sheetName] : ['SkuLevelAction', 'SkuLevelActions'];
+  const dataset = ReportDataset.openAny(spreadsheetManager.getSpreadsheet(), names);
+  const headers = dataset ? dataset.getHeaders() : [];
+  if (headers.length === 0) {
+    console.log('❌ Sheet not found or empty: ' + names.join(' / '));
+    logger.flush();
+    return null;
+  }
+
+  const name = dataset.getName();
+  const report = new ColumnDictionary(config).explain(headers);
+
+  console.log('🔎 Column resolution for ' + name + ':');
+  report.forEach(entry => {
+    if (entry.header === null) {
+      console.log('   ' + entry.field + ' (' + entry.type + ') - not found');
+    } else {
+      console.log('   ' + entry.field + ' (' + entry.type + ') → "' + entry.header + '" via ' +
+        entry.alias + ' (' + entry.match + ')');
+    }
+  });
+
+  logger.flush();
+  return { sheetName: name, fields: report };
+}
+
+/**
+ * Create the Currency Rates sheet if needed and add a blank row for each
+ * currency in the SKU data that has no rate yet
+ */
+function setupCurrencyRatesSheet() {
+  const config = new ImpactConfig();
+  const metrics = new PerformanceMetrics();
+  const logger = new EnhancedLogger(config, metrics);
+  const spreadsheet = new EnhancedSpreadsheetManager(config, logger, metrics).getSpreadsheet();
+  const sheetName = config.get('currencyRatesSheetName', 'Currency Rates');
+
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, 3).setValues([['Effective Date', 'Currency', 'Rate']]);
+    sheet.getRange(1, 1, 1, 3).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  const columns = new ColumnDictionary(config);
+  const converter = new CurrencyConverter(config, new TypedValueParser(config), spreadsheet);
+  const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
+  const missing = [];
+  // Currencies already on the sheet, with or without a rate, aren't added again
+  const listed = sheet.getLastRow() > 1
+    ? sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues().map(row => String(row[0] || '').trim().toUpperCase())
+    : [];
+
+  if (skuDataset && skuDataset.getRowCount() > 0) {
+    const data = skuDataset.getValues();
+    const currencyIndex = columns.indexOf(data[0], 'currency');
+    if (currencyIndex !== -1) {
+      data.slice(1).forEach(row => {
+        const currency = String(row[currencyIndex] || '').trim().toUpperCase();
+        if (currency && missing.indexOf(currency) === -1 && converter.getRate(currency, null) === null) {
+          missing.push(currency);
+        }
+      });
+    }
+  }
+
+  const added = missing.filter(currency => listed.indexOf(currency) === -1);
+  if (added.length > 0) {
+    const today = new Date().toISOString().slice(0, 10);
+    sheet.getRange(sheet.getLastRow() + 1, 1, added.length, 3)
+      .setValues(added.map(currency => [today, currency, '']));
+  }
+
+  console.log('💱 ' + sheetName + ' ready (reporting currency ' + converter.reportingCurrency + ')');
+  if (missing.length > 0) {
+    console.log('   Fill in rates for: ' + missing.join(', '));
+  }
+  logger.flush();
+  return { sheetName: sheetName, reportingCurrency: converter.reportingCurrency, missingRates: missing };
 }
 
 function restartDiscovery() {
   const orchestrator = new UltraOptimizedOrchestrator();
   const tracker = new EnhancedProgressTracker(orchestrator.config, orchestrator.metrics);
   tracker.clearAll();
+  orchestrator.logger.flush();
   return orchestrator.runCompleteDiscovery({ forceRestart: true });
 }
 
@@ -2800,6 +9009,7 @@ function refreshSummarySheet() {
   orchestrator.spreadsheetManager.createSummarySheet([], []);
 
   console.log('Summary sheet refreshed with all historical data');
+  orchestrator.logger.flush();
   return {
     historicalReports: completedReports.length,
     message: 'Summary sheet refreshed with all historical data'
@@ -2826,6 +9036,7 @@ function checkDataFreshness() {
     });
   }
 
+  orchestrator.logger.flush();
   return summary;
 }
 
@@ -2841,6 +9052,7 @@ function forceRefreshAllData() {
   console.log('Force refresh enabled - all data will be refreshed');
   console.log('Run runCompleteDiscovery() to refresh all data');
 
+  orchestrator.logger.flush();
   return {
     message: 'Force refresh enabled',
     nextStep: 'Run runCompleteDiscovery() to refresh all data'
@@ -2857,6 +9069,7 @@ function setDataFreshnessHours(hours) {
   console.log('Data freshness threshold set to ' + hours + ' hours');
   console.log('Reports older than ' + hours + ' hours will be refreshed');
 
+  orchestrator.logger.flush();
   return {
     message: 'Freshness threshold updated',
     hours: hours
@@ -2869,10 +9082,12 @@ function setDataFreshnessHours(hours) {
 function clearDataFreshness() {
   const orchestrator = new UltraOptimizedOrchestrator();
   orchestrator.spreadsheetManager.clearDataFreshness();
+  orchestrator.incrementalManager.clearWatermarks();
 
   console.log('All data freshness information cleared');
   console.log('Next run will refresh all data');
 
+  orchestrator.logger.flush();
   return {
     message: 'Freshness data cleared',
     nextStep: 'Next run will refresh all data'
@@ -2880,26 +9095,219 @@ function clearDataFreshness() {
 }
 
 /**
- * Get detailed freshness report
+ * Get detailed freshness report
+ */
+function getDetailedFreshnessReport() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const summary = orchestrator.spreadsheetManager.getFreshnessSummary();
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    configuration: {
+      freshnessHours: orchestrator.config.get('dataFreshnessHours', 24),
+      forceRefresh: orchestrator.config.get('forceRefresh', false),
+      enableFreshness: orchestrator.config.get('enableDataFreshness', true)
+    },
+    summary: summary
+  };
+
+  console.log('Detailed Freshness Report:');
+  console.log(JSON.stringify(report, null, 2));
+
+  orchestrator.logger.flush();
+  return report;
+}
+
+/**
+ * Show incremental export watermarks and the window the next run will request
+ */
+function getIncrementalExportStatus() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const manager = orchestrator.incrementalManager;
+  const watermarks = manager.getWatermarks();
+
+  console.log('📈 Incremental Exports: ' + (orchestrator.config.get('enableIncrementalExports', false) ? 'ENABLED' : 'DISABLED'));
+  console.log('Overlap: ' + orchestrator.config.get('incrementalOverlapHours', 72) + 'h');
+
+  const reports = Object.keys(watermarks).map(reportId => {
+    const entry = watermarks[reportId];
+    const window = manager.getWindow(reportId);
+    console.log('');
+    console.log('📊 ' + reportId);
+    console.log('   Watermark (' + entry.field + '): ' + (entry.watermark || 'none'));
+    if (entry.unlockedFrom) {
+      console.log('   Oldest unlocked action: ' + entry.unlockedFrom);
+    }
+    console.log('   Next window: ' + (window ? window.startdate + ' → ' + window.enddate : 'full export'));
+    if (entry.lastRun) {
+      console.log('   Last run (' + entry.lastRun.mode + '): ' + entry.lastRun.rows + ' rows');
+    }
+
+    return { reportId: reportId, ...entry, nextWindow: window };
+  });
+
+  if (reports.length === 0) {
+    console.log('No watermarks yet - incremental reports will do a full export first');
+  }
+
+  orchestrator.logger.flush();
+  return { reports: reports };
+}
+
+/**
+ * Forget a report's watermark so its next export is a full pull
+ * @param {string} reportId - Report ID (omit to reset every report)
+ */
+function resetIncrementalWatermark(reportId) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  orchestrator.incrementalManager.clearWatermarks(reportId);
+
+  const target = reportId || 'all reports';
+  console.log('✅ Watermark reset for ' + target);
+  console.log('Next run will do a full export');
+
+  orchestrator.logger.flush();
+  return {
+    message: 'Watermark reset for ' + target,
+    nextStep: 'Next run will do a full export'
+  };
+}
+
+/**
+ * List archived exports with their run IDs and date windows
+ * @param {string} reportId - Report ID (omit for every report)
+ */
+function listArchivedExports(reportId) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const entries = orchestrator.exportArchive.list(reportId);
+
+  console.log('🗄️ Archived exports: ' + entries.length);
+  entries.forEach(entry => {
+    console.log('   ' + entry.reportId + ' @ ' + entry.runId + ' (' + entry.mode + ', ' + entry.rowCount + ' rows, ' +
+      (entry.windowStart || '…') + ' → ' + (entry.windowEnd || '…') + ')');
+  });
+
+  orchestrator.logger.flush();
+  return entries.map(entry => ({
+    runId: entry.runId,
+    reportId: entry.reportId,
+    reportName: entry.reportName,
+    mode: entry.mode,
+    windowStart: entry.windowStart,
+    windowEnd: entry.windowEnd,
+    columns: entry.headers.length,
+    rowCount: entry.rowCount,
+    archivedAt: entry.archivedAt
+  }));
+}
+
+/**
+ * Rebuild a report from the export archive as it stood after a past run and
+ * write it to an "Archive - <report> @ <run>" sheet
+ * @param {string} reportId - Report ID
+ * @param {string} asOf - Run ID, or a date for the last export archived by then (default: the latest)
+ */
+function rebuildArchivedReport(reportId, asOf) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+
+  try {
+    const rebuilt = orchestrator.exportArchive.rebuild(reportId, asOf);
+    const manager = orchestrator.spreadsheetManager;
+    const sheetName = orchestrator.config.get('sheetPrefix', '') + 'Archive - ' + reportId + ' @ ' + rebuilt.runId;
+    const writer = new StreamingSheetWriter(manager, manager.getSpreadsheet(), sheetName);
+    writer.write(rebuilt.headers, rebuilt.rows);
+    const sheetInfo = writer.finish(rebuilt.headers.length > 0 ? rebuilt.headers : ['(no columns)']);
+
+    console.log('✅ Rebuilt ' + reportId + ' as of run ' + rebuilt.runId + ': ' + rebuilt.rows.length + ' rows → ' + sheetInfo.sheetName);
+    console.log('   From ' + rebuilt.exports.map(e => e.runId + ' (' + e.mode + ')').join(', '));
+
+    return {
+      success: true,
+      reportId: reportId,
+      runId: rebuilt.runId,
+      sheetName: sheetInfo.sheetName,
+      rowCount: rebuilt.rows.length,
+      exports: rebuilt.exports
+    };
+  } catch (error) {
+    console.log('❌ ' + error.message);
+    return { success: false, error: error.message };
+  } finally {
+    orchestrator.logger.flush();
+  }
+}
+
+/**
+ * Show recent runs from the Run History sheet, each compared with the run
+ * before it for the same account
+ * @param {number} limit - How many runs to show (default 10)
+ */
+function getRunHistory(limit) {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const manifests = orchestrator.runHistory.list();
+  const shown = manifests.slice(0, limit || 10);
+
+  const runs = shown.map(manifest => {
+    const previous = manifests.slice(manifests.indexOf(manifest) + 1).find(other => other.account === manifest.account);
+    const changes = previous ? {
+      previousRunId: previous.runId,
+      durationMs: manifest.durationMs - previous.durationMs,
+      apiCalls: manifest.apiCalls - previous.apiCalls,
+      bytes: manifest.bytes - previous.bytes,
+      failed: manifest.reports.failed - previous.reports.failed,
+      configChanged: manifest.configHash !== previous.configHash,
+      newlyFailed: manifest.failedReports.filter(reportId => previous.failedReports.indexOf(reportId) === -1)
+    } : null;
+    return { ...manifest, changes: changes };
+  });
+
+  console.log('🧾 Run history: ' + manifests.length + ' run(s) recorded, showing ' + runs.length);
+  runs.forEach(run => {
+    const signed = value => (value > 0 ? '+' : '') + value;
+    console.log('   ' + run.runId + (run.account ? ' [' + run.account + ']' : '') + ' ' + run.triggerSource + ' → ' +
+      run.status + ': ' + run.reports.succeeded + ' ok, ' + run.reports.failed + ' failed, ' + run.reports.skipped +
+      ' skipped, ' + run.apiCalls + ' API calls, ' + (run.durationMs / 1000).toFixed(0) + 's');
+    if (run.changes) {
+      console.log('      vs ' + run.changes.previousRunId + ': ' + signed(Math.round(run.changes.durationMs / 1000)) + 's, ' +
+        signed(run.changes.apiCalls) + ' API calls, ' + signed(run.changes.bytes) + ' bytes, ' +
+        signed(run.changes.failed) + ' failed' + (run.changes.configChanged ? ', config changed' : '') +
+        (run.changes.newlyFailed.length > 0 ? ', newly failing: ' + run.changes.newlyFailed.join(', ') : ''));
+    }
+  });
+
+  orchestrator.logger.flush();
+  return runs;
+}
+
+/**
+ * Search the entries kept by a log sink, newest first
+ * @param {Object|string} query - Text to look for, or { text, runId, account, level (minimum), since, until,
+ *   sink (default: the first one configured), limit (default 100) }
  */
-function getDetailedFreshnessReport() {
-  const orchestrator = new UltraOptimizedOrchestrator();
-  const summary = orchestrator.spreadsheetManager.getFreshnessSummary();
+function searchLogs(query) {
+  const search = typeof query === 'string' ? { text: query } : (query || {});
+  const config = new ImpactConfig();
+  const logger = new EnhancedLogger(config, new PerformanceMetrics());
+  const sink = search.sink ? logger.sinks.find(candidate => candidate.name === search.sink) : logger.sinks[0];
 
-  const report = {
-    timestamp: new Date().toISOString(),
-    configuration: {
-      freshnessHours: orchestrator.config.get('dataFreshnessHours', 24),
-      forceRefresh: orchestrator.config.get('forceRefresh', false),
-      enableFreshness: orchestrator.config.get('enableDataFreshness', true)
-    },
-    summary: summary
-  };
+  if (!sink) {
+    console.log('❌ ' + (search.sink ? 'Log sink "' + search.sink + '" is not configured' : 'No log sinks configured') +
+      '. Set logSinks, e.g. { sheet: "INFO" }.');
+    logger.flush();
+    return [];
+  }
 
-  console.log('Detailed Freshness Report:');
-  console.log(JSON.stringify(report, null, 2));
+  const matches = sink.read(search.since || null).filter(entry => LogSink.matches(entry, search)).reverse()
+    .slice(0, search.limit || 100);
 
-  return report;
+  console.log('🔎 ' + matches.length + ' log entr' + (matches.length === 1 ? 'y' : 'ies') + ' from the ' + sink.name + ' sink');
+  matches.forEach(entry => {
+    console.log('   [' + entry.timestamp + '] ' + entry.level + (entry.runId ? ' ' + entry.runId : '') +
+      (entry.account ? ' [' + entry.account + ']' : '') + ': ' + entry.message);
+  });
+
+  logger.flush();
+  return matches;
 }
 
 /**
@@ -2930,11 +9338,15 @@ function setDateRange(startDate, endDate) {
   orchestrator.config.set('startDate', startDate);
   orchestrator.config.set('endDate', endDate);
 
+  // Sheets no longer match the range, so incremental reports start over with a full pull
+  orchestrator.incrementalManager.clearWatermarks();
+
   console.log('Date range set successfully:');
   console.log('Start Date: ' + startDate);
   console.log('End Date: ' + endDate);
   console.log('Run runCompleteDiscovery() to get reports for this date range');
 
+  orchestrator.logger.flush();
   return {
     message: 'Date range set successfully',
     startDate: startDate,
@@ -2957,6 +9369,7 @@ function setDateRangePreset(preset) {
   }
 
   const dateRange = presets[preset];
+  orchestrator.logger.flush();
   return setDateRange(dateRange.start, dateRange.end);
 }
 
@@ -2969,10 +9382,12 @@ function clearDateRange() {
   orchestrator.config.set('enableDateFiltering', false);
   orchestrator.config.set('startDate', null);
   orchestrator.config.set('endDate', null);
+  orchestrator.incrementalManager.clearWatermarks();
 
   console.log('Date range filtering cleared');
   console.log('Next run will get all available data');
 
+  orchestrator.logger.flush();
   return {
     message: 'Date range filtering cleared',
     nextStep: 'Next run will get all available data'
@@ -3000,6 +9415,7 @@ function getDateRangeConfig() {
   }
   console.log('Available Presets: ' + config.availablePresets.join(', '));
 
+  orchestrator.logger.flush();
   return config;
 }
 
@@ -3049,16 +9465,19 @@ function discoverAllReports() {
   const metrics = new PerformanceMetrics();
   const logger = new EnhancedLogger(config, metrics);
   const apiClient = new EnhancedAPIClient(config, logger, metrics);
-  return apiClient.discoverReports();
+  const reports = apiClient.discoverReports();
+  logger.flush();
+  return reports;
 }
 
 function testConnection() {
   Logger.log('Testing connection with optimized client...');
 
+  let logger = null;
   try {
     const config = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(config, metrics);
+    logger = new EnhancedLogger(config, metrics);
     const apiClient = new EnhancedAPIClient(config, logger, metrics);
 
     const reports = apiClient.discoverReports();
@@ -3077,6 +9496,8 @@ function testConnection() {
     Logger.log('❌ CONNECTION FAILED');
     Logger.log('Error: ' + error.message);
     return { success: false, error: error.message };
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -3109,8 +9530,10 @@ function getSystemHealth() {
 
   const progress = tracker.getProgress();
   const completed = tracker.getCompletedReports();
+  const logger = new EnhancedLogger(config, metrics);
+  const rateLimiter = new RateLimiter(config, logger, metrics);
 
-  return {
+  const health = {
     status: validation.isValid ? 'HEALTHY' : 'UNHEALTHY',
     configValid: validation.isValid,
     configErrors: validation.errors,
@@ -3118,8 +9541,76 @@ function getSystemHealth() {
     inProgress: progress !== null,
     completedReports: completed.length,
     lastActivity: progress ? progress.timestamp : null,
+    rateLimit: rateLimiter.getBudget(),
+    circuitBreakers: CIRCUIT_BREAKER_ENDPOINTS.map(name => new CircuitBreaker(config, name).getStatus()),
     metrics: metrics.getSummary()
   };
+  logger.flush();
+  return health;
+}
+
+/**
+ * Show the shared API request budget
+ */
+function getRateLimitStatus() {
+  const config = new ImpactConfig();
+  const metrics = new PerformanceMetrics();
+  const logger = new EnhancedLogger(config, metrics);
+  const budget = new RateLimiter(config, logger, metrics).getBudget();
+
+  console.log('🚦 Rate Limiter: ' + (budget.enabled ? 'ENABLED' : 'DISABLED'));
+  console.log('Tokens: ' + budget.tokens + '/' + budget.capacity);
+  if (budget.serverRemaining !== null) {
+    console.log('Impact budget: ' + budget.serverRemaining + '/' + budget.serverLimit + ' (resets ' + budget.serverResetAt + ')');
+  }
+  if (budget.blockedUntil) {
+    console.log('⏸️ Blocked by Retry-After until ' + budget.blockedUntil);
+  }
+
+  logger.flush();
+  return budget;
+}
+
+/**
+ * Forget the stored request budget (e.g. after changing rate limit settings)
+ */
+function resetRateLimiter() {
+  const config = new ImpactConfig();
+  const metrics = new PerformanceMetrics();
+  const logger = new EnhancedLogger(config, metrics);
+  new RateLimiter(config, logger, metrics).reset();
+
+  console.log('✅ Rate limiter state cleared');
+  logger.flush();
+  return { message: 'Rate limiter state cleared' };
+}
+
+/**
+ * Show the state of each endpoint's circuit breaker
+ */
+function getCircuitBreakerStatus() {
+  const config = new ImpactConfig();
+  const statuses = CIRCUIT_BREAKER_ENDPOINTS.map(name => new CircuitBreaker(config, name).getStatus());
+
+  statuses.forEach(status => {
+    const icon = status.state === 'CLOSED' ? '✅' : (status.state === 'OPEN' ? '⛔' : '⚠️');
+    console.log(icon + ' ' + status.name + ': ' + status.state + ' (' + status.failureCount + '/' + status.threshold + ' failures)');
+    if (status.retryAt) console.log('   Next attempt after ' + status.retryAt);
+    if (status.lastError) console.log('   Last error: ' + status.lastError);
+  });
+
+  return statuses;
+}
+
+/**
+ * Close all circuit breakers (e.g. once the API is known to be back)
+ */
+function resetCircuitBreakers() {
+  const config = new ImpactConfig();
+  CIRCUIT_BREAKER_ENDPOINTS.forEach(name => new CircuitBreaker(config, name).reset());
+
+  console.log('✅ Circuit breakers reset');
+  return { message: 'Circuit breakers reset' };
 }
 
 function updateCredentials(sid, token, spreadsheetId = null) {
@@ -3189,7 +9680,7 @@ function runSkuLevelActionOnly() {
   try {
     // Step 1: Schedule the export
     logger.info('Scheduling SkuLevelAction export...');
-    const job = apiClient.scheduleExport(reportId);
+    const job = apiClient.scheduleExport(reportId, {}, { Id: reportId, Name: reportName });
     logger.info('Export scheduled successfully', { jobId: job.jobId });
 
     // Step 2: Poll for completion
@@ -3207,25 +9698,38 @@ function runSkuLevelActionOnly() {
     const csvData = apiClient.downloadResult(status.resultUri);
     logger.info('Data downloaded', { size: csvData.length });
 
-    // Step 4: Process the CSV data
-    logger.info('Processing CSV data...');
-    const processedData = dataProcessor.processCSVData(csvData);
-    logger.info('Data processed', {
-      rows: processedData.rowCount,
-      columns: processedData.columnCount
+    // Step 4: Write to the report's output sinks - in Sheets, merged into the
+    // existing sheet or streamed into a new one
+    logger.info('Writing CSV data to output sinks...');
+    const metadata = {
+      name: reportName,
+      jobId: job.jobId,
+      scheduledAt: job.scheduledAt
+    };
+    const outputSinks = new OutputSinkRouter(config, logger, spreadsheetManager);
+    const statusHistory = new StatusHistoryTracker(config, logger, spreadsheetManager);
+    const statusProfile = statusHistory.getProfile(reportId, reportName);
+    const statusObserver = statusProfile ? statusHistory.createObserver(statusProfile) : null;
+    const outputs = outputSinks.getSinkNames(reportId, reportName).map((name, i) => {
+      const sink = outputSinks.getSink(name);
+      const observe = i === 0 && statusObserver ? statusObserver.observe : null;
+      const output = sink.writeCsv(reportId, reportName, csvData, dataProcessor, observe, { metadata: metadata, merge: true });
+      return { ...output, location: sink.describe(output) };
     });
+    const sheetInfo = {
+      ...outputs[0],
+      sheetName: outputs.map(output => output.location).join(', ')
+    };
 
-    // Step 5: Create the spreadsheet sheet
-    logger.info('Creating spreadsheet sheet...');
-    const sheetInfo = spreadsheetManager.createReportSheet(
-      reportId,
-      processedData,
-      {
-        name: reportName,
-        jobId: job.jobId,
-        scheduledAt: job.scheduledAt
+    // Status history is a side product - a failure here shouldn't fail the export
+    let statusChanges = null;
+    if (statusObserver) {
+      try {
+        statusChanges = statusHistory.commit(reportId, statusObserver);
+      } catch (error) {
+        logger.warn('Failed to update status history for ' + reportId, { error: error.message });
       }
-    );
+    }
 
     logger.info('SkuLevelAction report completed successfully!', {
       sheetName: sheetInfo.sheetName,
@@ -3242,6 +9746,7 @@ function runSkuLevelActionOnly() {
       rowCount: sheetInfo.rowCount,
       columnCount: sheetInfo.columnCount,
       chunked: sheetInfo.chunked,
+      statusChanges: statusChanges,
       metrics: metrics.getSummary()
     };
 
@@ -3258,6 +9763,8 @@ function runSkuLevelActionOnly() {
       error: error.message,
       metrics: metrics.getSummary()
     };
+  } finally {
+    logger.flush();
   }
 }
 
@@ -3334,41 +9841,33 @@ function runSkuLevelActionWithDateRange(startDate, endDate) {
 function analyzeDailyMulaRevenue() {
   console.log('=== DAILY MULA REVENUE ANALYSIS ===\n');
 
+  let logger = null;
   try {
     const config = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(config, metrics);
+    logger = new EnhancedLogger(config, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction') ||
-      spreadsheet.getSheetByName('SkuLevelActions');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ No SkuLevelAction sheet found. Run runSkuLevelActionOnly() first.');
       return null;
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const rows = data.slice(1);
 
     // Find column indices
-    const dateIndex = headers.findIndex(h =>
-      h && (h.toLowerCase() === 'date' || h.toLowerCase() === 'period' || h.toLowerCase() === 'actiondate')
-    );
-    const saleAmountIndex = headers.findIndex(h =>
-      h && (h.toLowerCase() === 'saleamount' || h.toLowerCase() === 'sale_amount' || h.toLowerCase() === 'revenue')
-    );
-    const earningsIndex = headers.findIndex(h =>
-      h && (h.toLowerCase() === 'earnings' || h.toLowerCase() === 'payout' || h.toLowerCase() === 'commission')
-    );
-    const pubSubid1Index = headers.findIndex(h =>
-      h && h.toLowerCase() === 'pubsubid1'
-    );
-    const subidIndex = headers.findIndex(h =>
-      h && h.toLowerCase() === 'subid'
-    );
+    const columns = new ColumnDictionary(config);
+    const parser = new TypedValueParser(config);
+    const dateIndex = columns.indexOf(headers, 'actionDate');
+    const saleAmountIndex = columns.indexOf(headers, 'revenue');
+    const earningsIndex = columns.indexOf(headers, 'earnings');
+    const pubSubid1Index = columns.indexOf(headers, 'pubSubid1');
+    const subidIndex = columns.indexOf(headers, 'subId');
 
     if (dateIndex === -1) {
       console.log('❌ Date column not found. Available columns:');
@@ -3413,26 +9912,14 @@ function analyzeDailyMulaRevenue() {
     const dates = [];
 
     mulaRows.forEach(row => {
-      const dateValue = row[dateIndex];
-      const saleAmount = saleAmountIndex >= 0 ? parseFloat((row[saleAmountIndex] || 0).toString().replace(/[^0-9.-]/g, '')) || 0 : 0;
-      const earnings = earningsIndex >= 0 ? parseFloat((row[earningsIndex] || 0).toString().replace(/[^0-9.-]/g, '')) || 0 : 0;
-
-      if (!dateValue) return;
-
-      // Parse date (handle various formats)
-      let date;
-      if (dateValue instanceof Date) {
-        date = dateValue;
-      } else if (typeof dateValue === 'string') {
-        date = new Date(dateValue);
-      } else {
-        return;
-      }
+      const saleAmount = saleAmountIndex >= 0 ? parser.parseNumber(row[saleAmountIndex]) : 0;
+      const earnings = earningsIndex >= 0 ? parser.parseNumber(row[earningsIndex]) : 0;
 
-      if (isNaN(date.getTime())) return;
+      const date = parser.parseDate(row[dateIndex]);
+      if (!date) return;
 
-      // Format as YYYY-MM-DD for grouping
-      const dateKey = date.toISOString().split('T')[0];
+      // Group by the calendar day in the account timezone
+      const dateKey = parser.formatDateKey(date);
 
       if (!dailyRevenue[dateKey]) {
         dailyRevenue[dateKey] = {
@@ -3440,7 +9927,7 @@ function analyzeDailyMulaRevenue() {
           revenue: 0,
           earnings: 0,
           conversions: 0,
-          displayDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+          displayDate: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: parser.timezone })
         };
         dates.push(dateKey);
       }
@@ -3462,11 +9949,12 @@ function analyzeDailyMulaRevenue() {
       end: dates[dates.length - 1],
       days: dates.length
     };
+    const avgDailyRevenue = dates.length > 0 ? totalRevenue / dates.length : 0;
 
     // Display results
     console.log('📅 DATE RANGE:');
-    console.log('   Start: ' + (dateRange.start ? new Date(dateRange.start).toLocaleDateString() : 'N/A'));
-    console.log('   End: ' + (dateRange.end ? new Date(dateRange.end).toLocaleDateString() : 'N/A'));
+    console.log('   Start: ' + (dateRange.start ? dailyRevenue[dateRange.start].displayDate : 'N/A'));
+    console.log('   End: ' + (dateRange.end ? dailyRevenue[dateRange.end].displayDate : 'N/A'));
     console.log('   Days with data: ' + dateRange.days);
     console.log('');
 
@@ -3479,7 +9967,7 @@ function analyzeDailyMulaRevenue() {
       // Display daily breakdown
       Object.keys(dailyRevenue).sort().forEach(date => {
         const day = dailyRevenue[date];
-        const sales = day.sales || 0;
+        const sales = day.revenue || 0;
         const earnings = day.earnings || 0;
         const conversions = day.conversions || 0;
         const commission = sales > 0 ? ((earnings / sales) * 100).toFixed(2) : '0.00';
@@ -3496,11 +9984,19 @@ function analyzeDailyMulaRevenue() {
       console.log('');
     }
 
+    const unparsed = parser.getUnparsed();
+    if (unparsed.count > 0) {
+      console.log('⚠️  ' + unparsed.count + ' amounts were not numbers and are excluded from the totals, e.g. ' +
+        unparsed.samples.map(v => JSON.stringify(v)).join(', '));
+    }
+
     return {
       dateRange: dateRange,
       dailyRevenue: dailyRevenue,
+      unparsed: unparsed,
       totals: {
         revenue: totalRevenue,
+        earnings: totalEarnings,
         conversions: totalConversions,
         avgDailyRevenue: avgDailyRevenue,
         avgOrderValue: totalConversions > 0 ? totalRevenue / totalConversions : 0
@@ -3513,6 +10009,8 @@ function analyzeDailyMulaRevenue() {
     console.error('❌ Error analyzing daily Mula revenue: ' + error.message);
     console.error(error.stack);
     return null;
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -3532,16 +10030,17 @@ function checkReportDateRange(sheetName) {
   console.log('Sheet: ' + sheetName);
   console.log('');
 
+  let logger = null;
   try {
     const config = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(config, metrics);
+    logger = new EnhancedLogger(config, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const sheet = spreadsheet.getSheetByName(sheetName);
+    const dataset = ReportDataset.open(spreadsheet, sheetName);
 
-    if (!sheet) {
+    if (!dataset) {
       console.log('❌ Sheet "' + sheetName + '" not found.');
       console.log('\nAvailable sheets:');
       const allSheets = spreadsheet.getSheets();
@@ -3549,8 +10048,11 @@ function checkReportDateRange(sheetName) {
       console.log('\n💡 Tip: Use checkReportDateRange("SheetName") with quotes around the sheet name');
       return null;
     }
+    if (dataset.isChunked()) {
+      console.log('Reading ' + dataset.getSheets().length + ' parts: ' + dataset.getSheetNames().join(', ') + '\n');
+    }
 
-    const data = sheet.getDataRange().getValues();
+    const data = dataset.getValues();
     if (data.length < 2) {
       console.log('⚠️  Sheet has no data rows.');
       return null;
@@ -3559,18 +10061,7 @@ function checkReportDateRange(sheetName) {
     const headers = data[0];
     const rows = data.slice(1);
 
-    // Find date column using same patterns as findDateColumn()
-    const datePatterns = [
-      'date', 'period', 'actiondate', 'action_date',
-      'transactiondate', 'transaction_date', 'eventdate', 'event_date',
-      'clearingdate', 'clearing_date', 'postdate', 'post_date'
-    ];
-
-    const dateIndex = headers.findIndex(h => {
-      if (!h) return false;
-      const lower = h.toLowerCase().trim();
-      return datePatterns.some(pattern => lower === pattern || lower.includes(pattern));
-    });
+    const dateIndex = findDateColumn(headers);
 
     if (dateIndex === -1) {
       console.log('❌ No date column found. Available columns:');
@@ -3632,6 +10123,8 @@ function checkReportDateRange(sheetName) {
   } catch (error) {
     console.error('❌ Error checking date range: ' + error.message);
     return null;
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -3813,6 +10306,8 @@ function readReportStatusesFromSheet(spreadsheetId = null) {
   } catch (error) {
     Logger.log('Error reading report statuses from sheet: ' + error.message);
     return [];
+  } finally {
+    logger.flush();
   }
 }
 
@@ -3833,52 +10328,29 @@ function identifyFailedReports(statusText) {
  * @returns {Object} Result object with success status and details
  */
 function retryFailedReport(reportId, options = {}) {
-  const config = new ImpactConfig();
-  const metrics = new PerformanceMetrics();
-  const logger = new EnhancedLogger(config, metrics);
-  const apiClient = new EnhancedAPIClient(config, logger, metrics);
-  const dataProcessor = new EnhancedDataProcessor(config, logger, metrics);
-  const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
+  // One logger for the retry and the export it runs, flushed once at the end
   const orchestrator = new UltraOptimizedOrchestrator();
+  const metrics = orchestrator.metrics;
+  const logger = orchestrator.logger;
+  const apiClient = orchestrator.apiClient;
 
   logger.info('Retrying failed report', { reportId: reportId });
 
   try {
-    // Step 1: Schedule the export
-    const scheduleResponse = apiClient.scheduleExport(reportId);
-    if (!scheduleResponse.success || !scheduleResponse.jobId) {
-      throw new Error('Failed to schedule export: ' + (scheduleResponse.error || 'Unknown error'));
-    }
-
-    const jobId = scheduleResponse.jobId;
-    logger.info('Export scheduled', { reportId: reportId, jobId: jobId });
-
-    // Step 2: Poll for completion with enhanced timeout handling
-    const status = orchestrator.pollJobCompletionOptimized(jobId);
-
-    if (status.status !== 'completed') {
-      throw new Error('Job did not complete: ' + (status.error || 'Unknown status'));
-    }
-
-    // Step 3: Download and process data
-    const downloadResponse = apiClient.downloadExport(jobId);
-    if (!downloadResponse.success || !downloadResponse.data) {
-      throw new Error('Failed to download export: ' + (downloadResponse.error || 'Unknown error'));
-    }
+    // Step 1: Schedule the export with the report's profile parameters
+    const reportName = options.reportName || reportId;
+    const job = apiClient.scheduleExport(reportId, {}, { Id: reportId, Name: options.reportName });
+    logger.info('Export scheduled', { reportId: reportId, jobId: job.jobId });
 
-    // Step 4: Process and write to spreadsheet
-    const processedData = dataProcessor.processExportData(
-      downloadResponse.data,
-      reportId,
-      options.reportName || reportId
-    );
-
-    // Step 5: Write to spreadsheet
-    const writeResult = spreadsheetManager.writeDataToSheet(
-      processedData,
-      reportId,
-      options.reportName || reportId
-    );
+    // Step 2: Poll, download and write it the same way a full run does
+    const writeResult = orchestrator.processSingleExportOptimized({
+      reportId: reportId,
+      jobId: job.jobId,
+      reportName: reportName,
+      scheduledAt: job.scheduledAt,
+      params: job.params,
+      dateWindow: job.dateWindow
+    });
 
     logger.info('Report retry successful', {
       reportId: reportId,
@@ -3889,7 +10361,7 @@ function retryFailedReport(reportId, options = {}) {
     return {
       success: true,
       reportId: reportId,
-      reportName: options.reportName || reportId,
+      reportName: reportName,
       rowCount: writeResult.rowCount,
       columnCount: writeResult.columnCount,
       chunked: writeResult.chunked,
@@ -3909,6 +10381,8 @@ function retryFailedReport(reportId, options = {}) {
       error: error.message,
       metrics: metrics.getSummary()
     };
+  } finally {
+    logger.flush();
   }
 }
 
@@ -3968,6 +10442,7 @@ function retryFailedReports(reportIds, options = {}) {
     total: results.total
   });
 
+  logger.flush();
   return results;
 }
 
@@ -4440,50 +10915,42 @@ function getReportFreshness(reportId, readFromSheet = true) {
 // ============================================================================
 
 /**
- * Find date column in sheet headers
+ * Find date column in sheet headers (the actionDate canonical field)
  * @param {Array} headers - Array of header strings
  * @returns {number} Index of date column or -1 if not found
  */
 function findDateColumn(headers) {
-  const datePatterns = [
-    'date', 'period', 'actiondate', 'action_date',
-    'transactiondate', 'transaction_date', 'eventdate', 'event_date',
-    'clearingdate', 'clearing_date', 'postdate', 'post_date'
-  ];
-
-  return headers.findIndex(h => {
-    if (!h) return false;
-    const lower = h.toLowerCase().trim();
-    return datePatterns.some(pattern => lower === pattern || lower.includes(pattern));
-  });
+  return new ColumnDictionary(new ImpactConfig()).indexOf(headers, 'actionDate');
 }
 
 /**
  * Extract date range from a sheet's actual data
- * @param {string} sheetName - Name of the sheet to analyze
+ * Chunked reports are read across all of their parts.
+ * @param {string} sheetName - Name of the sheet, one of its parts, or the Discovery Summary's part list
  * @param {string} spreadsheetId - Optional spreadsheet ID
  * @returns {Object} Date range information or null if not found
  */
 function extractDataDateRange(sheetName, spreadsheetId = null) {
+  let logger = null;
   try {
     const config = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(config, metrics);
+    logger = new EnhancedLogger(config, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
 
     const spreadsheet = spreadsheetId ?
       SpreadsheetApp.openById(spreadsheetId) :
       spreadsheetManager.getSpreadsheet();
 
-    const sheet = spreadsheet.getSheetByName(sheetName);
-    if (!sheet) {
+    const dataset = ReportDataset.open(spreadsheet, sheetName);
+    if (!dataset) {
       return {
         found: false,
         error: 'Sheet not found: ' + sheetName
       };
     }
 
-    const data = sheet.getDataRange().getValues();
+    const data = dataset.getValues();
     if (data.length < 2) {
       return {
         found: true,
@@ -4577,6 +11044,7 @@ function extractDataDateRange(sheetName, spreadsheetId = null) {
       totalDays: totalDays,
       daysWithData: daysWithData,
       coveragePercentage: ((daysWithData / totalDays) * 100).toFixed(1) + '%',
+      partSheetNames: dataset.getSheetNames(),
       totalRecords: rows.length,
       recordsWithDates: dates.length,
       hasGaps: gaps.length > 0,
@@ -4591,6 +11059,8 @@ function extractDataDateRange(sheetName, spreadsheetId = null) {
       error: error.message,
       sheetName: sheetName
     };
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -4704,6 +11174,7 @@ function analyzeAllDataRanges(readFromSheet = true) {
     };
   }
 
+  logger.flush();
   return analysis;
 }
 
@@ -4909,10 +11380,11 @@ function testAnalysisFunctions() {
 function quickTest() {
   Logger.log('=== QUICK TEST ===\n');
 
+  let logger = null;
   try {
     const config = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(config, metrics);
+    logger = new EnhancedLogger(config, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(config, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
@@ -4965,6 +11437,8 @@ function quickTest() {
       success: false,
       error: error.message
     };
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -4979,7 +11453,7 @@ function listAvailableReports() {
   const client = new EnhancedAPIClient(config, logger, metrics);
 
   try {
-    const response = client.makeRequest('/Mediapartners/' + config.getCredentials().sid + '/Reports');
+    const response = client.makeRequest(client.accountPath() + '/Reports');
     const reports = (response.data.Reports || []).filter(r => r.ApiAccessible);
 
     Logger.log('=== AVAILABLE REPORTS ===');
@@ -4994,6 +11468,8 @@ function listAvailableReports() {
   } catch (error) {
     Logger.log('Failed to list reports: ' + error.message);
     throw error;
+  } finally {
+    logger.flush();
   }
 }
 
@@ -5075,6 +11551,7 @@ function cleanupExcludedReportSheets() {
   });
 
   logger.info('Cleanup complete. Deleted ' + deletedCount + ' sheets.');
+  logger.flush();
   return 'Deleted ' + deletedCount + ' sheets.';
 }
 
@@ -5114,8 +11591,9 @@ function deleteSpecificSheet(sheetName) {
 /**
  * START HERE: Run this function to start a fresh discovery
  * This will CLEAR all previous progress and force a new run
+ * @param {string} triggerSource - What started the run, for the run history (optional)
  */
-function startFreshDiscovery() {
+function startFreshDiscovery(triggerSource) {
   console.log('🚀 Starting FRESH discovery run... [VERSION CHECK: ' + new Date().toISOString() + ']');
 
   // 1. Force set the correct Spreadsheet ID
@@ -5125,20 +11603,83 @@ function startFreshDiscovery() {
   console.log('✅ Enforced correct Spreadsheet ID:', CORRECT_SPREADSHEET_ID);
 
   // 2. Clear saved config to ensure defaults (and exclusions) are used
-  // This fixes the issue where old config might override new exclusions
-  props.deleteProperty('IMPACT_OPTIMIZED_CONFIG');
-  console.log('✅ Cleared saved configuration to enforce defaults');
+  // This fixes the issue where old config might override new exclusions.
+  // Account profiles are kept - without them their credentials are never used.
+  let stored = {};
+  try {
+    stored = JSON.parse(props.getProperty('IMPACT_OPTIMIZED_CONFIG') || '{}');
+  } catch (error) {
+    Logger.log('Failed to parse config: ' + error.message);
+  }
+  const accountNames = Object.keys(stored.accounts || {});
+  if (accountNames.length > 0) {
+    props.setProperty('IMPACT_OPTIMIZED_CONFIG', JSON.stringify({ accounts: stored.accounts }));
+    console.log('✅ Cleared saved configuration to enforce defaults (kept ' + accountNames.length + ' account profile(s))');
+  } else {
+    props.deleteProperty('IMPACT_OPTIMIZED_CONFIG');
+    console.log('✅ Cleared saved configuration to enforce defaults');
+  }
 
   console.log('This will ignore previous progress and re-process all reports.');
 
-  const orchestrator = new UltraOptimizedOrchestrator();
-
   // Force restart option
-  orchestrator.runCompleteDiscovery({
-    forceRestart: true
+  return runDiscoveryForAccounts(null, {
+    forceRestart: true,
+    triggerSource: typeof triggerSource === 'string' ? triggerSource : (triggerSource ? 'schedule' : 'manual')
+  });
+}
+
+/**
+ * Handler for continuation triggers scheduled when a run stops at the
+ * execution time limit. Not meant to be run by hand - use resumeDiscovery().
+ */
+function continueDiscovery() {
+  console.log('🔁 Continuing discovery run from trigger...');
+  const accounts = ImpactConfig.getAccountNames();
+  const orchestrator = new UltraOptimizedOrchestrator(accounts.length > 0 ? accounts[0] : null);
+  const pending = orchestrator.continuationManager.startContinuation();
+
+  if (accounts.length > 0) {
+    orchestrator.logger.flush();
+    return runDiscoveryForAccounts(pending && pending.accounts ? pending.accounts : null,
+      { forceRestart: false, triggerSource: 'continuation' });
+  }
+  orchestrator.logger.flush();
+  return orchestrator.runCompleteDiscovery({
+    forceRestart: false,
+    triggerSource: 'continuation'
   });
 }
 
+/**
+ * Show continuation trigger state
+ */
+function getContinuationStatus() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  const status = orchestrator.continuationManager.getStatus();
+
+  console.log('🔁 Auto-continuation: ' + (status.enabled ? 'ENABLED' : 'DISABLED'));
+  console.log('Continuations today: ' + status.continuationsToday + '/' + status.maxPerDay);
+  if (status.pending) {
+    console.log('Next continuation: ' + status.pending.runAt);
+  }
+
+  orchestrator.logger.flush();
+  return status;
+}
+
+/**
+ * Delete pending continuation triggers and end the current chain
+ */
+function cancelContinuations() {
+  const orchestrator = new UltraOptimizedOrchestrator();
+  orchestrator.continuationManager.finishChain();
+
+  console.log('✅ Continuation triggers removed');
+  orchestrator.logger.flush();
+  return { message: 'Continuation triggers removed' };
+}
+
 /**
  * Run this if you want to resume a stopped run
  */
@@ -5146,8 +11687,10 @@ function resumeDiscovery() {
   console.log('🔄 Resuming discovery run...');
   const orchestrator = new UltraOptimizedOrchestrator();
   orchestrator.runCompleteDiscovery({
-    forceRestart: false
+    forceRestart: false,
+    triggerSource: 'resume'
   });
+  orchestrator.logger.flush();
 }
 
 /**
@@ -5155,10 +11698,12 @@ function resumeDiscovery() {
  */
 function clearDiscoveryState() {
   const props = PropertiesService.getScriptProperties();
-  props.deleteProperty('IMPACT_PROGRESS_V4');
-  props.deleteProperty('IMPACT_COMPLETED_V4');
-  props.deleteProperty('IMPACT_CHECKPOINT');
-  props.deleteProperty('IMPACT_DATA_FRESHNESS');
+  const keys = ['IMPACT_PROGRESS_V4', 'IMPACT_COMPLETED_V4', 'IMPACT_CHECKPOINT', 'IMPACT_DATA_FRESHNESS',
+    'IMPACT_JOB_QUEUE', 'IMPACT_REST_CURSORS'];
+  // The default account's state, then every account profile's
+  [null].concat(ImpactConfig.getAccountNames()).forEach(accountName => {
+    keys.forEach(key => props.deleteProperty(ImpactConfig.scopedKey(accountName, key)));
+  });
   console.log('✅ Cleared all discovery state. You can now run startFreshDiscovery()');
 }
 
@@ -5178,7 +11723,7 @@ function runDailyAutomation() {
   try {
     // Step 1: Fetch fresh Impact.com data
     console.log('\n📡 STEP 1: Fetching Impact.com Data...');
-    startFreshDiscovery();
+    startFreshDiscovery('daily automation');
 
     // Step 2: Run Team Analysis and Mapping
     console.log('\n🏈 STEP 2: Running Team SKU Analysis & Mapping...');
@@ -5599,6 +12144,10 @@ class TeamMapper {
   constructor(teamConfig) {
     this.teamConfig = teamConfig;
     this.formatter = new TeamDisplayFormatter();
+
+    const config = new ImpactConfig();
+    this.columns = new ColumnDictionary(config);
+    this.parser = new TypedValueParser(config);
   }
 
   /**
@@ -5609,32 +12158,15 @@ class TeamMapper {
    */
   mapToTeam(row) {
     const rules = this.teamConfig.get('teamMappingRules', {});
+    const getValue = (obj, field) => this.columns.get(obj, field);
 
-    // Helper to find value by fuzzy key match
-    const getValue = (obj, targetKey) => {
-      // Direct match
-      if (obj[targetKey]) return obj[targetKey];
-
-      // Case-insensitive match
-      const lowerTarget = targetKey.toLowerCase();
-      if (obj[lowerTarget]) return obj[lowerTarget];
-
-      // Normalized match (remove spaces, underscores, special chars)
-      const normalize = k => k.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
-      const normalizedTarget = normalize(targetKey);
+    // Extract identifiers from row via the column dictionary
+    const partner = (getValue(row, 'partner') || '').toString().toLowerCase();
+    const subid = (getValue(row, 'subId') || '').toString().toLowerCase();
+    const campaign = (getValue(row, 'campaign') || '').toString().toLowerCase();
+    const conversationId = (getValue(row, 'conversationId') || '').toString().toLowerCase();
 
-      const key = Object.keys(obj).find(k => normalize(k) === normalizedTarget);
-      return key ? obj[key] : '';
-    };
-
-    // Extract identifiers from row using robust matching
-    const partner = (getValue(row, 'Partner') || '').toString().toLowerCase();
-    const subid = (getValue(row, 'SubID') || '').toString().toLowerCase();
-    const campaign = (getValue(row, 'Campaign') || '').toString().toLowerCase();
-    const conversationId = (getValue(row, 'ConversationID') || '').toString().toLowerCase();
-
-    // robustly find PubSubid3
-    const pubSubid3 = (getValue(row, 'PubSubid3') || '').toString().trim();
+    const pubSubid3 = (getValue(row, 'pubSubid3') || '').toString().trim();
 
     // Debug log if PubSubid3 is missing but might be expected (optional, can be noisy)
     // console.log(`Mapping row: PubSubid3=${pubSubid3}, SubID=${subid}`);
@@ -5686,7 +12218,7 @@ class TeamMapper {
     }
 
     // 5. Fallback: Check PubSubid1 for "Mula" (for historical data before PubSubid3 was used)
-    const pubSubid1 = (getValue(row, 'PubSubid1') || '').toString().toLowerCase();
+    const pubSubid1 = (getValue(row, 'pubSubid1') || '').toString().toLowerCase();
     if (pubSubid1.includes('mula')) {
       return 'Mula';
     }
@@ -5723,9 +12255,12 @@ class TeamMapper {
 // ============================================================================
 
 class SKUTeamAnalyzer {
-  constructor(teamConfig, teamMapper) {
+  constructor(teamConfig, teamMapper, currencyConverter = null) {
     this.teamConfig = teamConfig;
     this.teamMapper = teamMapper;
+    this.columns = teamMapper.columns;
+    this.parser = teamMapper.parser;
+    this.currency = currencyConverter || new CurrencyConverter(new ImpactConfig(), this.parser);
   }
 
   /**
@@ -5756,7 +12291,7 @@ class SKUTeamAnalyzer {
     const initialCount = enrichedData.length;
     enrichedData = enrichedData.filter(row => {
       const team = (row.team || '').toString().trim();
-      const pubSubid1 = (row['PubSubid1'] || row['PubSubid1_'] || row['pubsubid1'] || '').toString().toLowerCase().trim();
+      const pubSubid1 = (this.columns.get(row, 'pubSubid1') || '').toString().toLowerCase().trim();
 
       // strict check: Team must not be 'Unassigned' AND PubSubid1 should be 'mula' (if it exists in data)
       const isUnassigned = team.toLowerCase() === 'unassigned';
@@ -5779,11 +12314,12 @@ class SKUTeamAnalyzer {
 
     enrichedData.forEach(row => {
       const team = row.team;
-      const sku = row['SKU'] || row['sku'] || row['Sku'] || row['Product_SKU'] || 'Unknown';
-      const revenue = this.parseNumber(row['SaleAmount'] || row['Sale_amount'] || row['Revenue'] || row['revenue'] || 0);
-      const commission = this.parseNumber(row['Earnings'] || row['earnings'] || row['Commission'] || row['commission'] || row['Payout'] || row['payout'] || 0);
-      const quantity = this.parseNumber(row['Quantity'] || row['quantity'] || row['Items'] || 1);
-      const conversions = this.parseNumber(row['Actions'] || row['Conversions'] || row['conversions'] || 1);
+      const sku = this.columns.get(row, 'sku') || 'Unknown';
+      const amounts = this.currency.readAmounts(row, this.columns);
+      const revenue = amounts.revenue;
+      const commission = amounts.earnings;
+      const quantity = this.parseNumber(this.columns.get(row, 'quantity') || 1);
+      const conversions = this.parseNumber(this.columns.get(row, 'conversions') || 1);
 
       // Initialize team stats
       if (!teamStats[team]) {
@@ -5793,6 +12329,7 @@ class SKUTeamAnalyzer {
           totalCommission: 0,
           totalConversions: 0,
           totalQuantity: 0,
+          revenueByCurrency: {},
           uniqueSKUs: new Set(),
           conversations: []
         };
@@ -5809,6 +12346,12 @@ class SKUTeamAnalyzer {
       teamStats[team].totalConversions += conversions;
       teamStats[team].totalQuantity += quantity;
       teamStats[team].uniqueSKUs.add(sku);
+
+      // Original-currency amounts alongside the converted totals
+      const byCurrency = teamStats[team].revenueByCurrency;
+      byCurrency[amounts.currency] = byCurrency[amounts.currency] || { revenue: 0, commission: 0 };
+      byCurrency[amounts.currency].revenue += amounts.originalRevenue;
+      byCurrency[amounts.currency].commission += amounts.originalEarnings;
       teamStats[team].conversations.push(row);
 
       // Track SKU-level stats within team
@@ -5856,6 +12399,7 @@ class SKUTeamAnalyzer {
       skuByTeam: skuByTeam,
       enrichedData: enrichedData,
       totalRecords: skuData.length,
+      currency: this.currency.getSummary(),
       analyzedAt: new Date()
     };
   }
@@ -5890,13 +12434,7 @@ class SKUTeamAnalyzer {
   }
 
   parseNumber(value) {
-    if (typeof value === 'number') return value;
-    if (typeof value === 'string') {
-      const cleaned = value.replace(/[$,]/g, '');
-      const parsed = parseFloat(cleaned);
-      return isNaN(parsed) ? 0 : parsed;
-    }
-    return 0;
+    return this.parser.parseNumber(value);
   }
 }
 
@@ -5908,6 +12446,8 @@ class TeamReportGenerator {
   constructor(spreadsheetManager, teamConfig) {
     this.spreadsheetManager = spreadsheetManager;
     this.teamConfig = teamConfig;
+    this.columns = new ColumnDictionary(spreadsheetManager.config);
+    this.parser = new TypedValueParser(spreadsheetManager.config);
   }
 
   /**
@@ -6155,13 +12695,10 @@ class TeamReportGenerator {
     let end = null;
 
     data.forEach(row => {
-      const dateStr = row['Date'] || row['date'] || row['Period'] || row['period'];
-      if (dateStr) {
-        const date = new Date(dateStr);
-        if (!isNaN(date.getTime())) {
-          if (!start || date < start) start = date;
-          if (!end || date > end) end = date;
-        }
+      const date = this.parser.parseDate(this.columns.get(row, 'actionDate'));
+      if (date) {
+        if (!start || date < start) start = date;
+        if (!end || date > end) end = date;
       }
     });
 
@@ -6308,19 +12845,14 @@ function enrichSKUDataWithTeams(csvData) {
   }
 
   const formatter = new TeamDisplayFormatter();
+  const columns = new ColumnDictionary(new ImpactConfig());
   const headers = csvData[0];
   const dataRows = csvData.slice(1);
 
   // Find required columns
-  const pubSubid3Index = headers.findIndex(h =>
-    h && h.toLowerCase() === 'pubsubid3'
-  );
-  const pubSubid1Index = headers.findIndex(h =>
-    h && h.toLowerCase() === 'pubsubid1' || h.toLowerCase().includes('subid1')
-  );
-  const skuIndex = headers.findIndex(h =>
-    h && h.toLowerCase() === 'sku'
-  );
+  const pubSubid3Index = columns.indexOf(headers, 'pubSubid3');
+  const pubSubid1Index = columns.indexOf(headers, 'pubSubid1');
+  const skuIndex = columns.indexOf(headers, 'sku');
 
   if (pubSubid3Index === -1) {
     console.log('Warning: PubSubid3 column not found. Cannot add Team column from PubSubid3.');
@@ -6331,9 +12863,7 @@ function enrichSKUDataWithTeams(csvData) {
   }
 
   // Add Team column header (insert after PubSubid4 if it exists, otherwise at the end)
-  const pubSubid4Index = headers.findIndex(h =>
-    h && h.toLowerCase() === 'pubsubid4'
-  );
+  const pubSubid4Index = columns.indexOf(headers, 'pubSubid4');
   const teamColumnIndex = pubSubid4Index >= 0 ? pubSubid4Index + 1 : headers.length;
 
   // Add Fanatics Search URL column right after Team
@@ -6424,7 +12954,7 @@ function runSkuLevelActionWithTeams() {
   try {
     // Step 1: Schedule the export
     logger.info('Scheduling SkuLevelAction export...');
-    const job = apiClient.scheduleExport(reportId);
+    const job = apiClient.scheduleExport(reportId, {}, { Id: reportId, Name: reportName });
     logger.info('Export scheduled successfully', { jobId: job.jobId });
 
     // Step 2: Poll for completion
@@ -6507,6 +13037,8 @@ function runSkuLevelActionWithTeams() {
       error: error.message,
       metrics: metrics.getSummary()
     };
+  } finally {
+    logger.flush();
   }
 }
 
@@ -6518,10 +13050,11 @@ function runSkuLevelActionWithTeams() {
 function enrichExistingSkuSheet() {
   console.log('Enriching existing SkuLevelAction sheet...');
 
+  let logger = null;
   try {
     const impactConfig = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
@@ -6529,6 +13062,11 @@ function enrichExistingSkuSheet() {
       spreadsheet.getSheetByName('SkuLevelActions');
 
     if (!sheet) {
+      const dataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
+      if (dataset && dataset.isChunked()) {
+        throw new Error('SkuLevelAction is split into ' + dataset.getSheets().length +
+          ' parts and can only be enriched in place as one sheet. Run forceRefreshSkuDataWithTeams() instead.');
+      }
       throw new Error('SkuLevelAction sheet not found. Please run runSkuLevelActionWithTeams() first.');
     }
 
@@ -6573,6 +13111,8 @@ function enrichExistingSkuSheet() {
 
   } catch (error) {
     console.error('Enrichment failed: ' + error.message);
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -6634,27 +13174,31 @@ function pollJobCompletion(jobId, apiClient, logger) {
 function runTeamSKUAnalysis() {
   console.log('Starting Team-Level SKU Analysis...');
 
+  let logger = null;
   try {
     // Initialize components
     const impactConfig = new ImpactConfig();
     const teamConfig = new TeamConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     // Get SKU data from existing sheet
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction') ||
-      spreadsheet.getSheetByName('SkuLevelActions');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       throw new Error('SKU data sheet not found. Please run runSkuLevelActionOnly() first.');
     }
 
-    console.log('Found SKU data sheet: ' + skuSheet.getName());
+    console.log('Found SKU data sheet: ' + skuDataset.getName());
+
+    // Don't produce team totals from a sheet that lost a column they depend on
+    new SchemaDriftDetector(impactConfig, logger, spreadsheetManager)
+      .assertAnalysisAllowed({ sheetNames: [skuDataset.getName()] });
 
     // Read SKU data
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const rows = data.slice(1);
 
@@ -6671,7 +13215,8 @@ function runTeamSKUAnalysis() {
 
     // Initialize team components
     const teamMapper = new TeamMapper(teamConfig);
-    const analyzer = new SKUTeamAnalyzer(teamConfig, teamMapper);
+    const currencyConverter = new CurrencyConverter(impactConfig, teamMapper.parser, spreadsheet);
+    const analyzer = new SKUTeamAnalyzer(teamConfig, teamMapper, currencyConverter);
     const reportGenerator = new TeamReportGenerator(spreadsheetManager, teamConfig);
 
     // Run analysis
@@ -6694,6 +13239,19 @@ function runTeamSKUAnalysis() {
         ' (' + team.totalConversions + ' conversions)');
     });
 
+    if (analysis.currency.currencies.length > 1 || analysis.currency.missingRates.length > 0) {
+      console.log('\nRevenue by currency (converted to ' + analysis.currency.reportingCurrency + '):');
+      analysis.currency.currencies.forEach(c => {
+        console.log('   ' + c.currency + ': ' + c.revenue.toFixed(2) +
+          (c.missingRate ? ' ⚠️  no rate - excluded from totals' : ' → ' + c.convertedRevenue.toFixed(2)));
+      });
+    }
+
+    if (analysis.currency.unparsed.count > 0) {
+      console.log('\n⚠️  ' + analysis.currency.unparsed.count + ' values were not numbers and are excluded from totals, e.g. ' +
+        analysis.currency.unparsed.samples.map(v => JSON.stringify(v)).join(', '));
+    }
+
     return {
       success: true,
       analysis: analysis,
@@ -6707,6 +13265,8 @@ function runTeamSKUAnalysis() {
       success: false,
       error: error.message
     };
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -6804,6 +13364,7 @@ function getTeamPerformanceSummary() {
 
   if (!summarySheet) {
     console.log('Team summary not found. Run runTeamSKUAnalysis() first.');
+    logger.flush();
     return null;
   }
 
@@ -6816,6 +13377,7 @@ function getTeamPerformanceSummary() {
     }
   });
 
+  logger.flush();
   return data;
 }
 
@@ -6830,21 +13392,22 @@ function getTeamPerformanceSummary() {
 function getUnassignedRecords() {
   console.log('Finding unassigned records...');
 
+  let logger = null;
   try {
     const impactConfig = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ No SkuLevelAction sheet found. Run forceRefreshSkuDataWithTeams() first.');
       return [];
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const rows = data.slice(1);
 
@@ -6891,6 +13454,8 @@ function getUnassignedRecords() {
   } catch (error) {
     console.error('Failed to get unassigned records: ' + error.message);
     return [];
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -7022,21 +13587,22 @@ function bulkAssignTeam(actionIds, teamName) {
 function checkUnassignedPubSubid1() {
   console.log('Checking PubSubid1 for unassigned records...\n');
 
+  let logger = null;
   try {
     const impactConfig = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ No SkuLevelAction sheet found.');
       return;
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const rows = data.slice(1);
 
@@ -7080,6 +13646,8 @@ function checkUnassignedPubSubid1() {
 
   } catch (error) {
     console.error('❌ Error: ' + error.message);
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -7090,21 +13658,22 @@ function checkUnassignedPubSubid1() {
 function checkSheetColumns() {
   console.log('Checking sheet columns and data...\n');
 
+  let logger = null;
   try {
     const impactConfig = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ No SkuLevelAction sheet found.');
       return;
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const firstRow = data[1] || [];
 
@@ -7175,6 +13744,8 @@ function checkSheetColumns() {
 
   } catch (error) {
     console.error('❌ Error: ' + error.message);
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -7189,26 +13760,27 @@ function checkSheetColumns() {
 function importManualTeamAssignments(teamColumnIndex, sheetName) {
   console.log('Importing manual team assignments from spreadsheet...');
 
+  let logger = null;
   try {
     const impactConfig = new ImpactConfig();
     const metrics = new PerformanceMetrics();
-    const logger = new EnhancedLogger(impactConfig, metrics);
+    logger = new EnhancedLogger(impactConfig, metrics);
     const spreadsheetManager = new EnhancedSpreadsheetManager(impactConfig, logger, metrics);
 
     const spreadsheet = spreadsheetManager.getSpreadsheet();
 
     // Default to SkuLevelAction if no sheet specified
     const targetSheet = sheetName || 'SkuLevelAction';
-    const skuSheet = spreadsheet.getSheetByName(targetSheet);
+    const skuDataset = ReportDataset.open(spreadsheet, targetSheet);
 
     console.log('Reading from sheet: ' + targetSheet);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ Sheet "' + targetSheet + '" not found.');
       return { success: false, error: 'Sheet not found: ' + targetSheet };
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     const headers = data[0];
     const rows = data.slice(1);
 
@@ -7321,6 +13893,8 @@ function importManualTeamAssignments(teamColumnIndex, sheetName) {
   } catch (error) {
     console.error('❌ Import failed: ' + error.message);
     return { success: false, error: error.message };
+  } finally {
+    if (logger) logger.flush();
   }
 }
 
@@ -7344,7 +13918,7 @@ function forceRefreshSkuDataWithTeams() {
   try {
     // Step 1: Schedule the export
     logger.info('Scheduling SkuLevelAction export...');
-    const job = apiClient.scheduleExport(reportId);
+    const job = apiClient.scheduleExport(reportId, {}, { Id: reportId, Name: reportName });
     logger.info('Export scheduled successfully', { jobId: job.jobId });
 
     // Step 2: Poll for completion
@@ -7439,6 +14013,8 @@ function forceRefreshSkuDataWithTeams() {
       error: error.message,
       metrics: metrics.getSummary()
     };
+  } finally {
+    logger.flush();
   }
 }
 
@@ -7780,15 +14356,14 @@ function checkSkuLevelActionTeam(actionId) {
     const formatter = new TeamDisplayFormatter();
     const manualMappings = new ManualTeamMappings();
     const spreadsheet = SpreadsheetApp.openById(config.get('spreadsheetId'));
-    const skuSheet = spreadsheet.getSheetByName('SkuLevelAction') ||
-      spreadsheet.getSheetByName('SkuLevelActions');
+    const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-    if (!skuSheet) {
+    if (!skuDataset) {
       console.log('❌ SkuLevelAction sheet not found');
       return;
     }
 
-    const data = skuSheet.getDataRange().getValues();
+    const data = skuDataset.getValues();
     if (data.length < 2) {
       console.log('❌ No data in SkuLevelAction sheet');
       return;
@@ -7992,29 +14567,25 @@ class BIConfig {
 class BIDataProcessor {
   constructor(config) {
     this.config = config;
+
+    const impactConfig = new ImpactConfig();
+    this.columns = new ColumnDictionary(impactConfig);
+    this.parser = new TypedValueParser(impactConfig);
+    this.currency = new CurrencyConverter(impactConfig, this.parser);
   }
 
   /**
-   * Helper to find value by fuzzy key match
+   * Value of a canonical field (revenue, earnings, ...)
    */
-  getValue(row, targetKey) {
-    if (!row) return undefined;
-
-    // Direct match
-    if (row[targetKey] !== undefined) return row[targetKey];
-
-    // Case-insensitive match
-    const lowerTarget = targetKey.toLowerCase();
-    // Check if any key matches case-insensitively
-    let key = Object.keys(row).find(k => k.toLowerCase() === lowerTarget);
-    if (key) return row[key];
-
-    // Normalized match (remove spaces, underscores, special chars)
-    const normalize = k => k.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
-    const normalizedTarget = normalize(targetKey);
+  field(row, fieldName) {
+    return this.columns.get(row, fieldName);
+  }
 
-    key = Object.keys(row).find(k => normalize(k) === normalizedTarget);
-    return key ? row[key] : undefined;
+  /**
+   * Helper to find value by fuzzy key match, for columns outside the dictionary
+   */
+  getValue(row, targetKey) {
+    return this.columns.getByName(row, targetKey);
   }
 
   /**
@@ -8022,7 +14593,18 @@ class BIDataProcessor {
    */
   processSourceData() {
     const sourceSpreadsheet = SpreadsheetApp.openById(this.config.get('sourceSpreadsheetId'));
-    const sheets = sourceSpreadsheet.getSheets();
+    // Chunked reports come back as one dataset so their parts are read together
+    const datasets = ReportDataset.list(sourceSpreadsheet);
+
+    // Missing revenue/earnings columns would otherwise read as zeros below
+    const impactConfig = new ImpactConfig();
+    const metrics = new PerformanceMetrics();
+    const logger = new EnhancedLogger(impactConfig, metrics);
+    new SchemaDriftDetector(impactConfig, logger, new EnhancedSpreadsheetManager(impactConfig, logger, metrics))
+      .assertAnalysisAllowed({ sheetNames: datasets.map(dataset => dataset.getName()) });
+
+    // Rates sheet lives next to the report data
+    this.currency = new CurrencyConverter(impactConfig, this.parser, sourceSpreadsheet);
 
     const processedData = {
       partnerPerformance: [],
@@ -8042,8 +14624,8 @@ class BIDataProcessor {
       }
     };
 
-    sheets.forEach(sheet => {
-      const sheetName = sheet.getName();
+    datasets.forEach(dataset => {
+      const sheetName = dataset.getName();
       const lowerSheetName = sheetName.toLowerCase();
 
       // Skip Discovery Summary and Dashboard Sheets
@@ -8053,7 +14635,7 @@ class BIDataProcessor {
       if (lowerSheetName.includes('summary') && !lowerSheetName.includes('sku')) return; // Skip summary sheets
 
       try {
-        const rawData = this.extractSheetData(sheet);
+        const rawData = this.extractSheetData(dataset);
         if (rawData.length === 0) return;
 
         // Process specific data types
@@ -8108,9 +14690,13 @@ class BIDataProcessor {
       Logger.log('❌ CRITICAL: No data found for summary calculation!');
     }
 
+    // Original vs converted totals for every amount read above
+    processedData.currency = this.currency.getSummary();
+
     // Run QA Checks
     this.performDataQA(processedData);
 
+    logger.flush();
     return processedData;
   }
 
@@ -8158,11 +14744,22 @@ class BIDataProcessor {
       }
     }
 
-    // 3. Zero Check
+    // 3. Currency Check
+    if (data.currency && data.currency.missingRates.length > 0) {
+      warnings.push('Currency Warning: No ' + data.currency.reportingCurrency + ' rate for ' + data.currency.missingRates.join(', ') +
+        '; those amounts are excluded from totals. Add rates to the Currency Rates sheet.');
+    }
+    if (data.currency && data.currency.unparsed.count > 0) {
+      warnings.push('Parse Warning: ' + data.currency.unparsed.count + ' values could not be read as numbers (e.g. ' +
+        data.currency.unparsed.samples.map(v => JSON.stringify(v)).join(', ') + ') and are excluded from totals. ' +
+        'Check decimalSeparator.');
+    }
+
+    // 4. Zero Check
     if (data.summary.totalRevenue === 0) warnings.push('Critical Warning: Total Revenue is $0.00');
     if (data.summary.totalConversions === 0) warnings.push('Critical Warning: Total Conversions is 0');
 
-    // 4. Date Check
+    // 5. Date Check
     if (!data.summary.dateRange.start || !data.summary.dateRange.end) {
       warnings.push('Data Warning: Invalid or missing date range.');
     }
@@ -8200,8 +14797,11 @@ class BIDataProcessor {
     });
   }
 
-  extractSheetData(sheet) {
-    const data = sheet.getDataRange().getValues();
+  /**
+   * @param {ReportDataset} dataset - A report sheet, or all parts of a chunked report
+   */
+  extractSheetData(dataset) {
+    const data = dataset.getValues();
     if (data.length < 2) return [];
 
     // Find the header row
@@ -8222,12 +14822,12 @@ class BIDataProcessor {
     }
 
     if (headerRowIndex === -1) {
-      Logger.log('⚠️ Could not find a valid header row in sheet: ' + sheet.getName());
+      Logger.log('⚠️ Could not find a valid header row in sheet: ' + dataset.getName());
       return [];
     }
 
     const headers = data[headerRowIndex];
-    Logger.log('✅ Found headers in ' + sheet.getName() + ' (Row ' + (headerRowIndex + 1) + '): ' + headers.join(', '));
+    Logger.log('✅ Found headers in ' + dataset.getName() + ' (Row ' + (headerRowIndex + 1) + '): ' + headers.join(', '));
     const rows = data.slice(headerRowIndex + 1);
 
     return rows.map(row => {
@@ -8243,69 +14843,92 @@ class BIDataProcessor {
   }
 
   processPartnerData(data) {
-    return data.map(row => ({
-      partner: this.getValue(row, 'Partner') || this.getValue(row, 'SubID') || this.getValue(row, 'pubsubid1_') || 'Unknown',
-      revenue: this.parseNumber(this.getValue(row, 'Sale_amount') || this.getValue(row, 'sale_amount') || this.getValue(row, 'Revenue') || this.getValue(row, 'Total Revenue') || 0),
-      conversions: this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0),
-      clicks: this.parseNumber(this.getValue(row, 'Clicks') || this.getValue(row, 'raw_clicks') || 0),
-      earnings: this.parseNumber(this.getValue(row, 'Earnings') || this.getValue(row, 'Total Cost') || 0),
-      epc: this.parseNumber(this.getValue(row, 'EPC') || 0),
-      conversionRate: this.calculateConversionRate(
-        this.parseNumber(this.getValue(row, 'Clicks') || 0),
-        this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0)
-      ),
-      aov: this.calculateAOV(
-        this.parseNumber(this.getValue(row, 'Sale_amount') || this.getValue(row, 'Revenue') || 0),
-        this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0)
-      ),
-      date: this.parseDate(this.getValue(row, 'Date') || this.getValue(row, 'Period'))
-    }));
+    return data.map(row => {
+      const amounts = this.currency.readAmounts(row, this.columns);
+      return {
+        partner: this.field(row, 'partner') || this.field(row, 'subId') || this.field(row, 'pubSubid1') || 'Unknown',
+        revenue: amounts.revenue,
+        conversions: this.parseNumber(this.field(row, 'conversions') || 0),
+        clicks: this.parseNumber(this.field(row, 'clicks') || 0),
+        earnings: amounts.earnings,
+        currency: amounts.currency,
+        originalRevenue: amounts.originalRevenue,
+        originalEarnings: amounts.originalEarnings,
+        epc: this.parseNumber(this.getValue(row, 'EPC') || 0),
+        conversionRate: this.calculateConversionRate(
+          this.parseNumber(this.field(row, 'clicks') || 0),
+          this.parseNumber(this.field(row, 'conversions') || 0)
+        ),
+        aov: this.calculateAOV(
+          amounts.revenue,
+          this.parseNumber(this.field(row, 'conversions') || 0)
+        ),
+        date: this.parseDate(this.field(row, 'actionDate'))
+      };
+    });
   }
 
   processCampaignData(data) {
-    return data.map(row => ({
-      campaign: this.getValue(row, 'Campaign') || 'Unknown',
-      revenue: this.parseNumber(this.getValue(row, 'Sale_amount') || this.getValue(row, 'Revenue') || 0),
-      conversions: this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0),
-      clicks: this.parseNumber(this.getValue(row, 'Clicks') || 0),
-      earnings: this.parseNumber(this.getValue(row, 'Earnings') || 0),
-      cpc: this.parseNumber(this.getValue(row, 'CPC_Cost') || this.getValue(row, 'Click_Cost') || this.getValue(row, 'cpc') || 0),
-      date: this.parseDate(this.getValue(row, 'Date') || this.getValue(row, 'Period'))
-    }));
+    return data.map(row => {
+      const amounts = this.currency.readAmounts(row, this.columns);
+      return {
+        campaign: this.field(row, 'campaign') || 'Unknown',
+        revenue: amounts.revenue,
+        conversions: this.parseNumber(this.field(row, 'conversions') || 0),
+        clicks: this.parseNumber(this.field(row, 'clicks') || 0),
+        earnings: amounts.earnings,
+        currency: amounts.currency,
+        originalRevenue: amounts.originalRevenue,
+        originalEarnings: amounts.originalEarnings,
+        cpc: this.parseNumber(this.getValue(row, 'CPC_Cost') || this.getValue(row, 'Click_Cost') || this.getValue(row, 'cpc') || 0),
+        date: this.parseDate(this.field(row, 'actionDate'))
+      };
+    });
   }
 
   processClickData(data) {
     return data.map(row => ({
-      partner: this.getValue(row, 'Partner') || this.getValue(row, 'SubID') || 'Unknown',
-      campaign: this.getValue(row, 'Campaign') || 'Unknown',
-      clicks: this.parseNumber(this.getValue(row, 'Clicks') || 0),
+      partner: this.field(row, 'partner') || this.field(row, 'subId') || 'Unknown',
+      campaign: this.field(row, 'campaign') || 'Unknown',
+      clicks: this.parseNumber(this.field(row, 'clicks') || 0),
       impressions: this.parseNumber(this.getValue(row, 'Impressions') || 0),
       ctr: this.parseNumber(this.getValue(row, 'CTR') || 0),
-      date: this.parseDate(this.getValue(row, 'Date') || this.getValue(row, 'Period'))
+      date: this.parseDate(this.field(row, 'actionDate'))
     }));
   }
 
   processConversionData(data) {
-    return data.map(row => ({
-      partner: this.getValue(row, 'Partner') || this.getValue(row, 'SubID') || 'Unknown',
-      campaign: this.getValue(row, 'Campaign') || 'Unknown',
-      conversions: this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0),
-      revenue: this.parseNumber(this.getValue(row, 'Sale_amount') || this.getValue(row, 'Revenue') || 0),
-      earnings: this.parseNumber(this.getValue(row, 'Earnings') || 0),
-      date: this.parseDate(this.getValue(row, 'Date') || this.getValue(row, 'Period'))
-    }));
+    return data.map(row => {
+      const amounts = this.currency.readAmounts(row, this.columns);
+      return {
+        partner: this.field(row, 'partner') || this.field(row, 'subId') || 'Unknown',
+        campaign: this.field(row, 'campaign') || 'Unknown',
+        conversions: this.parseNumber(this.field(row, 'conversions') || 0),
+        revenue: amounts.revenue,
+        earnings: amounts.earnings,
+        currency: amounts.currency,
+        originalRevenue: amounts.originalRevenue,
+        originalEarnings: amounts.originalEarnings,
+        date: this.parseDate(this.field(row, 'actionDate'))
+      };
+    });
   }
 
   processCreativeData(data) {
-    return data.map(row => ({
-      creative: this.getValue(row, 'Creative') || 'Unknown',
-      campaign: this.getValue(row, 'Campaign') || 'Unknown',
-      clicks: this.parseNumber(this.getValue(row, 'Clicks') || 0),
-      conversions: this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || 0),
-      revenue: this.parseNumber(this.getValue(row, 'Sale_amount') || this.getValue(row, 'Revenue') || 0),
-      ctr: this.parseNumber(this.getValue(row, 'CTR') || 0),
-      date: this.parseDate(this.getValue(row, 'Date') || this.getValue(row, 'Period'))
-    }));
+    return data.map(row => {
+      const amounts = this.currency.readAmounts(row, this.columns);
+      return {
+        creative: this.getValue(row, 'Creative') || 'Unknown',
+        campaign: this.field(row, 'campaign') || 'Unknown',
+        clicks: this.parseNumber(this.field(row, 'clicks') || 0),
+        conversions: this.parseNumber(this.field(row, 'conversions') || 0),
+        revenue: amounts.revenue,
+        currency: amounts.currency,
+        originalRevenue: amounts.originalRevenue,
+        ctr: this.parseNumber(this.getValue(row, 'CTR') || 0),
+        date: this.parseDate(this.field(row, 'actionDate'))
+      };
+    });
   }
 
   processTeamData(data) {
@@ -8314,9 +14937,9 @@ class BIDataProcessor {
     // OR falls back to PubSubid3 if Team column is missing (though it should be there)
 
     return data.map(row => {
-      let team = this.getValue(row, 'Team') || 'Unassigned';
-      const pubSubid1 = (this.getValue(row, 'PubSubid1') || '').toString().toLowerCase();
-      const pubSubid3 = (this.getValue(row, 'PubSubid3') || '').toString();
+      let team = this.field(row, 'team') || 'Unassigned';
+      const pubSubid1 = (this.field(row, 'pubSubid1') || '').toString().toLowerCase();
+      const pubSubid3 = (this.field(row, 'pubSubid3') || '').toString();
 
       // Fallback logic if Team column is missing but PubSubid3 exists
       if ((team === 'Unassigned' || !team) && pubSubid3) {
@@ -8326,17 +14949,18 @@ class BIDataProcessor {
           .join(' ');
       }
 
-      // Robust column mapping
-      const revenue = this.parseNumber(this.getValue(row, 'SaleAmount') || this.getValue(row, 'Sale Amount') || this.getValue(row, 'Revenue') || 0);
-      const quantity = this.parseNumber(this.getValue(row, 'Quantity') || 1);
-      const conversions = this.parseNumber(this.getValue(row, 'Actions') || this.getValue(row, 'Conversions') || quantity || 1); // Default to quantity or 1 for SKU reports
-      const earnings = this.parseNumber(this.getValue(row, 'Commission') || this.getValue(row, 'Earnings') || 0);
+      // Robust column mapping (revenue and earnings in the reporting currency)
+      const amounts = this.currency.readAmounts(row, this.columns);
+      const revenue = amounts.revenue;
+      const quantity = this.parseNumber(this.field(row, 'quantity') || 1);
+      const conversions = this.parseNumber(this.field(row, 'conversions') || quantity || 1); // Default to quantity or 1 for SKU reports
+      const earnings = amounts.earnings;
 
       // Product Details
       const productUrl = this.getValue(row, 'Fanatics Search URL') || '';
-      const sku = this.getValue(row, 'Sku') || this.getValue(row, 'SKU') || 'Unknown';
-      const category = this.getValue(row, 'Category') || 'Unknown';
-      const itemName = this.getValue(row, 'ItemName') || this.getValue(row, 'Item Name') || '';
+      const sku = this.field(row, 'sku') || 'Unknown';
+      const category = this.field(row, 'category') || 'Unknown';
+      const itemName = this.field(row, 'itemName') || '';
 
       return {
         team: team,
@@ -8344,27 +14968,30 @@ class BIDataProcessor {
         revenue: revenue,
         conversions: conversions,
         earnings: earnings,
+        currency: amounts.currency,
+        originalRevenue: amounts.originalRevenue,
+        originalEarnings: amounts.originalEarnings,
         quantity: quantity,
         productUrl: productUrl,
         sku: sku,
         category: category,
         itemName: itemName,
         itemName: itemName,
-        date: this.parseDate(this.getValue(row, 'ActionDate') || this.getValue(row, 'Action Date') || this.getValue(row, 'Date') || this.getValue(row, 'Period')),
+        date: this.parseDate(this.field(row, 'actionDate')),
 
         // Status Breakdown
-        status: this.getValue(row, 'Action Status') || this.getValue(row, 'Status') || 'Pending',
-        revenueApproved: (this.getValue(row, 'Action Status') || '').toString().toLowerCase() === 'approved' ? revenue : 0,
-        revenuePending: (this.getValue(row, 'Action Status') || '').toString().toLowerCase() === 'pending' ? revenue : 0
+        status: this.field(row, 'status') || 'Pending',
+        revenueApproved: (this.field(row, 'status') || '').toString().toLowerCase() === 'approved' ? revenue : 0,
+        revenuePending: (this.field(row, 'status') || '').toString().toLowerCase() === 'pending' ? revenue : 0
       };
     });
   }
 
   processSkuMetadata(data, metadataStore) {
     data.forEach(row => {
-      const sku = this.getValue(row, 'SKU') || this.getValue(row, 'Sku');
-      let itemName = this.getValue(row, 'ItemName') || this.getValue(row, 'Item Name');
-      const category = this.getValue(row, 'Category');
+      const sku = this.field(row, 'sku');
+      let itemName = this.field(row, 'itemName');
+      const category = this.field(row, 'category');
 
       // Fallback strategies for missing Item Names
       if (!itemName || itemName === '') {
@@ -8383,21 +15010,11 @@ class BIDataProcessor {
   }
 
   parseNumber(value) {
-    if (typeof value === 'number') return value;
-    if (typeof value === 'string') {
-      return parseFloat(value.replace(/[^0-9.-]/g, '')) || 0;
-    }
-    return 0;
+    return this.parser.parseNumber(value);
   }
 
   parseDate(value) {
-    if (!value) return null;
-    if (value instanceof Date) return value;
-    if (typeof value === 'string') {
-      const date = new Date(value);
-      return isNaN(date.getTime()) ? null : date;
-    }
-    return null;
+    return this.parser.parseDate(value);
   }
 
   calculateConversionRate(clicks, conversions) {
@@ -8570,6 +15187,9 @@ class BIDashboardBuilder {
     // We'll pad with empty rows to ensure we don't write over it
     this.createTopProductsTable(sheet, teamData, data.skuMetadata, 25);
 
+    // --- Section 5: Revenue by Currency ---
+    this.createCurrencyTable(sheet, data.currency, 4);
+
     sheet.autoResizeColumns(1, 10);
   }
 
@@ -8823,6 +15443,35 @@ class BIDashboardBuilder {
     sheet.getRange(startRow + 1, 1, tableData.length, headers.length).setBorder(true, true, true, true, true, true);
   }
 
+  /**
+   * Original-currency totals next to their converted values; only shown when
+   * more than one currency was read, a rate is missing or an amount wasn't a number
+   */
+  createCurrencyTable(sheet, currency, paddingRows = 4) {
+    if (!currency || (currency.currencies.length < 2 && currency.missingRates.length === 0 && currency.unparsed.count === 0)) return;
+
+    const row = sheet.getLastRow() + paddingRows;
+    sheet.getRange(row, 1).setValue('💱 Revenue by Currency (converted to ' + currency.reportingCurrency + ')');
+    sheet.getRange(row, 1).setFontSize(12).setFontWeight('bold').setFontColor('#6A1B9A');
+
+    const headers = ['Currency', 'Rows', 'Original Revenue', 'Original Earnings', 'Converted Revenue', 'Converted Earnings', 'Note'];
+    const tableData = currency.currencies.map(c => [
+      c.currency,
+      this.formatNumber(c.rows),
+      c.revenue.toFixed(2) + ' ' + c.currency,
+      c.earnings.toFixed(2) + ' ' + c.currency,
+      this.formatCurrency(c.convertedRevenue),
+      this.formatCurrency(c.convertedEarnings),
+      [c.missingRate ? 'No rate - excluded from totals' : '',
+        c.unparsedRows ? c.unparsedRows + ' rows with a non-numeric amount - excluded' : ''].filter(note => note).join('; ')
+    ]);
+
+    sheet.getRange(row + 1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(row + 1, 1, 1, headers.length).setFontWeight('bold').setBackground('#6A1B9A').setFontColor('white');
+    sheet.getRange(row + 2, 1, tableData.length, headers.length).setValues(tableData);
+    sheet.getRange(row + 2, 1, tableData.length, headers.length).setBorder(true, true, true, true, true, true);
+  }
+
   addTeamConversionChart(sheet, data, position) {
     if (data.length === 0) return;
 
@@ -9172,7 +15821,7 @@ class BIDashboardBuilder {
   formatCurrency(value) {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency: this.dataProcessor && this.dataProcessor.currency ? this.dataProcessor.currency.reportingCurrency : 'USD'
     }).format(value || 0);
   }
 
@@ -9611,14 +16260,14 @@ function quickBISetup() {
 function analyzeUnassignedRecords() {
   console.log('🔍 Analyzing Unassigned Records...');
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = spreadsheet.getSheetByName('SkuLevelAction') || spreadsheet.getSheetByName('SkuLevelActions');
+  const skuDataset = ReportDataset.openAny(spreadsheet, ['SkuLevelAction', 'SkuLevelActions']);
 
-  if (!sheet) {
+  if (!skuDataset) {
     console.error('❌ SkuLevelAction sheet not found. Please run the automation first.');
     return;
   }
 
-  const data = sheet.getDataRange().getValues();
+  const data = skuDataset.getValues();
   const headers = data[0];
 
   // Find column indices
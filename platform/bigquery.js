@@ -0,0 +1,313 @@
+/**
+ * BigQuery advanced service shim
+ * Load jobs and queries run against a SQLite database, one table per
+ * "dataset.table", so warehouse loads can be checked without a GCP project
+ */
+
+const crypto = require('crypto');
+const { openDatabase } = require('./local-database');
+
+const SQLITE_TYPES = {
+  STRING: 'TEXT',
+  INTEGER: 'INTEGER',
+  INT64: 'INTEGER',
+  FLOAT: 'REAL',
+  FLOAT64: 'REAL',
+  NUMERIC: 'REAL',
+  BOOLEAN: 'INTEGER',
+  BOOL: 'INTEGER',
+  TIMESTAMP: 'TEXT',
+  DATE: 'TEXT',
+  DATETIME: 'TEXT'
+};
+
+// Table schemas report the legacy names for query result types
+const LEGACY_TYPES = { INT64: 'INTEGER', FLOAT64: 'FLOAT', BOOL: 'BOOLEAN' };
+
+function quote(identifier) {
+  return '"' + String(identifier).replace(/"/g, '""') + '"';
+}
+
+function toSqlValue(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'INTEGER':
+    case 'INT64': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) throw new Error('Could not convert value to integer: ' + JSON.stringify(value));
+      return number;
+    }
+    case 'FLOAT':
+    case 'FLOAT64':
+    case 'NUMERIC': {
+      const number = Number(value);
+      if (!isFinite(number)) throw new Error('Could not convert value to double: ' + JSON.stringify(value));
+      return number;
+    }
+    case 'BOOLEAN':
+    case 'BOOL':
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (/^(true|false)$/i.test(String(value))) return /^true$/i.test(String(value)) ? 1 : 0;
+      throw new Error('Could not convert value to boolean: ' + JSON.stringify(value));
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+class BigQuery {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.database] - Open SQLite handle (node:sqlite DatabaseSync or better-sqlite3)
+   * @param {string} [options.file] - Database file to open when no handle is given (default in-memory)
+   */
+  constructor(options = {}) {
+    this.database = options.database || null;
+    this.file = options.file || null;
+    this.jobs = new Map();
+
+    this.Jobs = {
+      insert: (job, projectId, mediaData) => this.insertJob(job, projectId, mediaData),
+      get: (projectId, jobId) => this.getJob(projectId, jobId),
+      query: (request, projectId) => this.query(request, projectId)
+    };
+    this.Tables = {
+      get: (projectId, datasetId, tableId) => this.getTable(projectId, datasetId, tableId),
+      remove: (projectId, datasetId, tableId) => this.removeTable(projectId, datasetId, tableId),
+      list: (projectId, datasetId) => this.listTables(projectId, datasetId)
+    };
+  }
+
+  getDatabase() {
+    if (!this.database) {
+      this.database = openDatabase(this.file, 'The BigQuery shim');
+    }
+    if (!this.catalogReady) {
+      this.database.exec('CREATE TABLE IF NOT EXISTS "__tables" (id TEXT PRIMARY KEY, schema TEXT, ' +
+        'numRows INTEGER, lastModifiedTime TEXT)');
+      this.catalogReady = true;
+    }
+    return this.database;
+  }
+
+  tableEntry(datasetId, tableId) {
+    const rows = this.getDatabase().prepare('SELECT * FROM "__tables" WHERE id = ?').all(datasetId + '.' + tableId);
+    return rows[0] || null;
+  }
+
+  /**
+   * Load jobs and query jobs with a destination table; they run synchronously
+   * and are DONE when returned
+   */
+  insertJob(job, projectId, mediaData) {
+    const load = job && job.configuration && job.configuration.load;
+    const query = job && job.configuration && job.configuration.query;
+    if (!load && !(query && query.destinationTable)) {
+      throw new Error('Exception: The BigQuery shim only supports load jobs and query jobs with a destinationTable');
+    }
+
+    const jobId = (job.jobReference && job.jobReference.jobId) || 'job_' + crypto.randomBytes(8).toString('hex');
+    const result = {
+      kind: 'bigquery#job',
+      id: projectId + ':' + jobId,
+      jobReference: { projectId: projectId, jobId: jobId, location: 'US' },
+      configuration: job.configuration,
+      status: { state: 'DONE' },
+      statistics: { creationTime: String(Date.now()), load: { outputRows: '0' } }
+    };
+
+    try {
+      const rows = load ? this.loadRows(load, mediaData) : this.queryInto(query);
+      result.statistics.load.outputRows = String(rows);
+    } catch (error) {
+      result.status.errorResult = { reason: 'invalid', message: error.message };
+      result.status.errors = [result.status.errorResult];
+    }
+
+    this.jobs.set(jobId, result);
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  loadRows(load, mediaData) {
+    const format = load.sourceFormat || 'CSV';
+    if (format !== 'NEWLINE_DELIMITED_JSON') {
+      throw new Error('Unsupported sourceFormat ' + format + ' (the shim loads NEWLINE_DELIMITED_JSON)');
+    }
+
+    const destination = load.destinationTable || {};
+    const fields = (load.schema && load.schema.fields) || [];
+    if (!destination.datasetId || !destination.tableId) throw new Error('destinationTable needs datasetId and tableId');
+    if (fields.length === 0) throw new Error('A schema is required for load jobs');
+
+    const records = (mediaData ? mediaData.getBlob().getDataAsString() : '').split('\n')
+      .filter(line => line.trim() !== '')
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          throw new Error('Error while reading data, error message: JSON parsing error in row starting at line ' + (i + 1));
+        }
+      });
+
+    const db = this.getDatabase();
+    const tableName = destination.datasetId + '.' + destination.tableId;
+    const existing = this.tableEntry(destination.datasetId, destination.tableId);
+    const write = load.writeDisposition || 'WRITE_APPEND';
+
+    if (!existing && load.createDisposition === 'CREATE_NEVER') throw new Error('Not found: Table ' + tableName);
+    if (existing && write === 'WRITE_EMPTY' && existing.numRows > 0) throw new Error('Already Exists: Table ' + tableName);
+
+    const values = records.map(record => fields.map(field => toSqlValue(record[field.name], field.type)));
+
+    const known = existing ? JSON.parse(existing.schema) : [];
+    const added = fields.filter(field => !known.some(column => column.name === field.name));
+    if (existing && write === 'WRITE_APPEND' && added.length > 0 &&
+        (load.schemaUpdateOptions || []).indexOf('ALLOW_FIELD_ADDITION') === -1) {
+      throw new Error('Provided Schema does not match Table ' + tableName + '. Cannot add fields (field: ' + added[0].name + ')');
+    }
+
+    db.exec('BEGIN');
+    try {
+      if (existing && write === 'WRITE_TRUNCATE') {
+        db.exec('DROP TABLE IF EXISTS ' + quote(tableName));
+      } else if (existing) {
+        added.forEach(field => {
+          db.exec('ALTER TABLE ' + quote(tableName) + ' ADD COLUMN ' + quote(field.name) + ' ' + (SQLITE_TYPES[field.type] || 'TEXT'));
+        });
+      }
+      db.exec('CREATE TABLE IF NOT EXISTS ' + quote(tableName) + ' (' +
+        fields.map(field => quote(field.name) + ' ' + (SQLITE_TYPES[field.type] || 'TEXT')).join(', ') + ')');
+
+      const insert = db.prepare('INSERT INTO ' + quote(tableName) + ' (' + fields.map(field => quote(field.name)).join(', ') +
+        ') VALUES (' + fields.map(() => '?').join(', ') + ')');
+      values.forEach(row => insert.run(...row));
+
+      const numRows = (existing && write !== 'WRITE_TRUNCATE' ? existing.numRows : 0) + values.length;
+      const schema = existing && write !== 'WRITE_TRUNCATE' ? known.concat(added) : fields;
+      db.prepare('INSERT OR REPLACE INTO "__tables" (id, schema, numRows, lastModifiedTime) VALUES (?, ?, ?, ?)')
+        .run(tableName, JSON.stringify(schema), numRows, String(Date.now()));
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    return values.length;
+  }
+
+  /**
+   * Write a query's rows to its destination table (WRITE_TRUNCATE or
+   * WRITE_APPEND). The select list may only hold columns and
+   * SAFE_CAST(column AS type), each with an alias; cast columns get the cast
+   * type in the table's schema and everything else is STRING.
+   */
+  queryInto(query) {
+    const destination = query.destinationTable;
+    const tableName = destination.datasetId + '.' + destination.tableId;
+    const match = /^\s*SELECT\s+([\s\S]+?)\s+FROM\s+(`[^`]+`)\s*$/i.exec(String(query.query));
+    if (!match) throw new Error('The shim only runs SELECT <columns> FROM `table` into a destination table');
+
+    const fields = [];
+    const select = match[1].split(/,\s*(?![^()]*\))/).map(item => {
+      const column = /^(?:SAFE_CAST\(\s*`?(\w+)`?\s+AS\s+(\w+)\s*\)|`?(\w+)`?)\s+AS\s+`?(\w+)`?$/i.exec(item.trim());
+      if (!column) throw new Error('Unsupported select expression: ' + item.trim());
+      const type = column[2] ? column[2].toUpperCase() : 'STRING';
+      fields.push({ name: column[4], type: LEGACY_TYPES[type] || type, mode: 'NULLABLE' });
+      if (!column[2]) return quote(column[3]);
+      if (type === 'BOOL' || type === 'BOOLEAN') {
+        return "CASE lower(" + quote(column[1]) + ") WHEN 'true' THEN 1 WHEN 'false' THEN 0 END";
+      }
+      const sqliteType = SQLITE_TYPES[type] || 'TEXT';
+      return sqliteType === 'TEXT' ? quote(column[1]) : 'CAST(' + quote(column[1]) + ' AS ' + sqliteType + ')';
+    });
+    const source = match[2].replace(/`(?:[\w-]+\.)?([\w-]+\.[\w-]+)`/, (all, table) => table);
+    const sourceEntry = this.tableEntry(source.split('.')[0], source.split('.')[1]);
+    if (!sourceEntry) throw new Error('Not found: Table ' + source);
+
+    const db = this.getDatabase();
+    const existing = this.tableEntry(destination.datasetId, destination.tableId);
+    const write = query.writeDisposition || 'WRITE_EMPTY';
+    if (existing && write === 'WRITE_EMPTY' && existing.numRows > 0) throw new Error('Already Exists: Table ' + tableName);
+
+    db.exec('BEGIN');
+    try {
+      if (existing && write === 'WRITE_TRUNCATE') {
+        db.exec('DROP TABLE IF EXISTS ' + quote(tableName));
+      }
+      db.exec('CREATE TABLE IF NOT EXISTS ' + quote(tableName) + ' (' +
+        fields.map(field => quote(field.name) + ' ' + (SQLITE_TYPES[field.type] || 'TEXT')).join(', ') + ')');
+      db.prepare('INSERT INTO ' + quote(tableName) + ' (' + fields.map(field => quote(field.name)).join(', ') +
+        ') SELECT ' + select.join(', ') + ' FROM ' + quote(source)).run();
+
+      const numRows = (existing && write !== 'WRITE_TRUNCATE' ? existing.numRows : 0) + sourceEntry.numRows;
+      db.prepare('INSERT OR REPLACE INTO "__tables" (id, schema, numRows, lastModifiedTime) VALUES (?, ?, ?, ?)')
+        .run(tableName, JSON.stringify(fields), numRows, String(Date.now()));
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    return sourceEntry.numRows;
+  }
+
+  getJob(projectId, jobId) {
+    if (!this.jobs.has(jobId)) {
+      throw new Error('Exception: Not found: Job ' + projectId + ':' + jobId);
+    }
+    return JSON.parse(JSON.stringify(this.jobs.get(jobId)));
+  }
+
+  getTable(projectId, datasetId, tableId) {
+    const entry = this.tableEntry(datasetId, tableId);
+    if (!entry) {
+      throw new Error('Exception: Not found: Table ' + projectId + ':' + datasetId + '.' + tableId);
+    }
+    return {
+      kind: 'bigquery#table',
+      id: projectId + ':' + datasetId + '.' + tableId,
+      tableReference: { projectId: projectId, datasetId: datasetId, tableId: tableId },
+      schema: { fields: JSON.parse(entry.schema) },
+      numRows: String(entry.numRows),
+      lastModifiedTime: entry.lastModifiedTime
+    };
+  }
+
+  removeTable(projectId, datasetId, tableId) {
+    this.getTable(projectId, datasetId, tableId);
+    const db = this.getDatabase();
+    db.exec('DROP TABLE IF EXISTS ' + quote(datasetId + '.' + tableId));
+    db.prepare('DELETE FROM "__tables" WHERE id = ?').run(datasetId + '.' + tableId);
+  }
+
+  listTables(projectId, datasetId) {
+    const rows = this.getDatabase().prepare('SELECT id FROM "__tables" WHERE id LIKE ?').all(datasetId + '.%');
+    return {
+      tables: rows.map(row => ({
+        tableReference: { projectId: projectId, datasetId: datasetId, tableId: row.id.substring(datasetId.length + 1) }
+      })),
+      totalItems: rows.length
+    };
+  }
+
+  /**
+   * Run a query. `project.dataset.table` and `dataset.table` references are
+   * rewritten to the SQLite table names; rows come back in BigQuery's
+   * { f: [{ v }] } shape with every value as a string.
+   */
+  query(request, projectId) {
+    const sql = String(request.query).replace(/`(?:[\w-]+\.)?([\w-]+\.[\w-]+)`/g, (match, table) => quote(table));
+    const rows = this.getDatabase().prepare(sql).all();
+    const names = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+    return {
+      kind: 'bigquery#queryResponse',
+      jobComplete: true,
+      jobReference: { projectId: projectId, jobId: 'job_' + crypto.randomBytes(8).toString('hex') },
+      schema: { fields: names.map(name => ({ name: name, type: 'STRING' })) },
+      rows: rows.map(row => ({ f: names.map(name => ({ v: row[name] === null ? null : String(row[name]) })) })),
+      totalRows: String(rows.length)
+    };
+  }
+}
+
+module.exports = { BigQuery };
@@ -0,0 +1,157 @@
+/**
+ * DriveApp shim
+ * Folders and files are kept in memory; set a directory to also write each
+ * folder's live files to <directory>/<folder id>/
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Blob } = require('./utilities');
+
+class FileIterator {
+  constructor(items) {
+    this.items = items;
+    this.index = 0;
+  }
+
+  hasNext() { return this.index < this.items.length; }
+
+  next() {
+    if (!this.hasNext()) {
+      throw new Error('Exception: Cannot retrieve the next object: iterator has reached the end.');
+    }
+    return this.items[this.index++];
+  }
+}
+
+class DriveFile {
+  constructor(folder, blob) {
+    this.folder = folder;
+    this.id = crypto.randomBytes(16).toString('hex');
+    this.blob = blob.copyBlob();
+    this.name = blob.getName() || 'Untitled';
+    this.trashed = false;
+    this.dateCreated = new Date();
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getSize() { return this.blob.bytes.length; }
+  getMimeType() { return this.blob.getContentType(); }
+  getBlob() { return this.blob.copyBlob().setName(this.name); }
+  getDateCreated() { return this.dateCreated; }
+  getUrl() { return 'https://drive.google.com/file/d/' + this.id + '/view'; }
+  isTrashed() { return this.trashed; }
+
+  setContent(content) {
+    this.blob = new Blob(content, this.blob.getContentType() || 'text/plain', this.name);
+    this.folder.drive.sync(this.folder);
+    return this;
+  }
+
+  setTrashed(trashed) {
+    this.trashed = !!trashed;
+    this.folder.drive.sync(this.folder);
+    return this;
+  }
+}
+
+class Folder {
+  constructor(drive, id, name) {
+    this.drive = drive;
+    this.id = id;
+    this.name = name;
+    this.files = [];
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return 'https://drive.google.com/drive/folders/' + this.id; }
+
+  /**
+   * createFile(blob) or createFile(name, content, mimeType?)
+   */
+  createFile(blobOrName, content, mimeType) {
+    const blob = typeof blobOrName === 'string' ?
+      new Blob(content, mimeType || 'text/plain', blobOrName) :
+      blobOrName.getBlob();
+    const file = new DriveFile(this, blob);
+    this.files.push(file);
+    this.drive.sync(this);
+    return file;
+  }
+
+  getFiles() {
+    return new FileIterator(this.files.filter(file => !file.trashed));
+  }
+
+  getFilesByName(name) {
+    return new FileIterator(this.files.filter(file => !file.trashed && file.name === name));
+  }
+}
+
+class DriveApp {
+  /**
+   * @param {Object} options
+   * @param {string} [options.directory] - Mirror each folder's files to disk under this directory
+   * @param {boolean} [options.autoCreate] - getFolderById creates unknown IDs instead of throwing
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.autoCreate = options.autoCreate !== false;
+    this.folders = new Map();
+    this.rootFolder = this.addFolder('root', 'My Drive');
+  }
+
+  addFolder(id, name) {
+    const folder = new Folder(this, id, name);
+    this.folders.set(id, folder);
+    return folder;
+  }
+
+  getRootFolder() {
+    return this.rootFolder;
+  }
+
+  getFolderById(id) {
+    if (!this.folders.has(id)) {
+      if (!this.autoCreate) {
+        throw new Error('Exception: No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it.');
+      }
+      this.addFolder(id, 'Folder ' + id);
+    }
+    return this.folders.get(id);
+  }
+
+  getFileById(id) {
+    for (const folder of this.folders.values()) {
+      const file = folder.files.find(candidate => candidate.id === id);
+      if (file) return file;
+    }
+    throw new Error('Exception: No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it.');
+  }
+
+  createFolder(name) {
+    return this.addFolder(crypto.randomBytes(16).toString('hex'), name);
+  }
+
+  createFile(blobOrName, content, mimeType) {
+    return this.rootFolder.createFile(blobOrName, content, mimeType);
+  }
+
+  /**
+   * Rewrite a folder's mirror directory so it holds exactly its untrashed files
+   */
+  sync(folder) {
+    if (!this.directory) return;
+
+    const dir = path.join(this.directory, folder.id.replace(/[\\/:*?"<>|]/g, '_'));
+    fs.emptyDirSync(dir);
+    folder.files.filter(file => !file.trashed).forEach(file => {
+      fs.writeFileSync(path.join(dir, file.name.replace(/[\\/:*?"<>|]/g, '_')), file.blob.bytes);
+    });
+  }
+}
+
+module.exports = { DriveApp };
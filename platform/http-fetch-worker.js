@@ -0,0 +1,43 @@
+/**
+ * Child process used by UrlFetchApp's HTTP transport.
+ * Apps Script fetches are synchronous, so the shim spawns this script,
+ * writes a JSON array of requests to stdin and reads the responses from stdout.
+ */
+
+const http = require('http');
+const https = require('https');
+
+function send(request) {
+  return new Promise(resolve => {
+    const url = new URL(request.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const body = request.payload ? Buffer.from(request.payload, 'base64') : null;
+
+    const req = client.request(url, {
+      method: request.method,
+      headers: request.headers,
+      timeout: request.timeoutMs
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('base64')
+      }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Timeout: ' + request.url)));
+    req.on('error', error => resolve({ error: error.message }));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', async () => {
+  const requests = JSON.parse(input);
+  const responses = await Promise.all(requests.map(send));
+  process.stdout.write(JSON.stringify(responses));
+});
@@ -0,0 +1,84 @@
+/**
+ * Local Platform - Apps Script services for Node
+ * Lets optimized-impact-script-v4.js run offline under Node and Jest
+ */
+
+const { PropertiesService } = require('./properties-service');
+const { SpreadsheetApp, Charts } = require('./spreadsheet-app');
+const { UrlFetchApp, handlerTransport, httpTransport } = require('./url-fetch-app');
+const { Utilities } = require('./utilities');
+const { MailApp } = require('./mail-app');
+const { ScriptApp } = require('./script-app');
+const { LockService } = require('./lock-service');
+const { DriveApp } = require('./drive-app');
+const { BigQuery } = require('./bigquery');
+const { LocalDatabase } = require('./local-database');
+const { LocalFiles } = require('./local-files');
+const { Logger, createConsole } = require('./logger');
+const { loadScripts, DEFAULT_SCRIPT } = require('./loader');
+
+/**
+ * Build a set of service shims
+ * @param {Object} options
+ * @param {string} [options.propertiesFile] - Persist script properties to this JSON file
+ * @param {Object} [options.properties] - Script properties to seed (credentials, config)
+ * @param {Function} [options.fetchHandler] - In-process handler for UrlFetchApp
+ * @param {Object} [options.http] - HTTP transport options when no handler is given
+ * @param {string} [options.sleepMode] - 'skip' (default) or 'real'
+ * @param {boolean} [options.autoCreateSpreadsheets] - openById creates unknown IDs (default true)
+ * @param {string} [options.driveDirectory] - Mirror DriveApp folders to disk under this directory
+ * @param {Object} [options.warehouseDatabase] - SQLite handle backing the BigQuery service
+ * @param {string} [options.warehouseFile] - SQLite file to open when no handle is given (default in-memory)
+ * @param {Object} [options.localDatabase] - SQLite handle for LocalDatabase (the export archive)
+ * @param {string} [options.localDatabaseFile] - SQLite file to open when no handle is given (default in-memory)
+ * @param {string} [options.localFilesDirectory] - Directory for LocalFiles (the file log sink; default in-memory)
+ * @param {boolean} [options.echo] - Forward console/Logger output to the terminal
+ * @returns {Object} Services plus the globals map used by the loader
+ */
+function createPlatform(options = {}) {
+  const services = {
+    PropertiesService: new PropertiesService({
+      file: options.propertiesFile,
+      initial: options.properties
+    }),
+    SpreadsheetApp: new SpreadsheetApp({ autoCreate: options.autoCreateSpreadsheets }),
+    UrlFetchApp: new UrlFetchApp({
+      handler: options.fetchHandler,
+      transport: options.fetchTransport,
+      http: options.http
+    }),
+    Utilities: new Utilities({ sleepMode: options.sleepMode }),
+    MailApp: new MailApp(),
+    ScriptApp: new ScriptApp(),
+    LockService: new LockService(),
+    DriveApp: new DriveApp({ directory: options.driveDirectory }),
+    BigQuery: new BigQuery({ database: options.warehouseDatabase, file: options.warehouseFile }),
+    LocalDatabase: new LocalDatabase({ database: options.localDatabase, file: options.localDatabaseFile }),
+    LocalFiles: new LocalFiles({ directory: options.localFilesDirectory }),
+    Logger: new Logger({ echo: options.echo }),
+    Charts: Charts
+  };
+
+  services.console = createConsole(!!options.echo);
+  services.globals = { ...services };
+
+  return services;
+}
+
+/**
+ * Create a platform and load the engine script into it
+ * @param {Object} options - createPlatform options plus `scripts` (paths to load)
+ * @returns {Engine}
+ */
+function loadEngine(options = {}) {
+  const platform = options.platform || createPlatform(options);
+  return loadScripts(platform, options.scripts || [DEFAULT_SCRIPT]);
+}
+
+module.exports = {
+  createPlatform,
+  loadEngine,
+  handlerTransport,
+  httpTransport,
+  DEFAULT_SCRIPT
+};
@@ -0,0 +1,74 @@
+/**
+ * Engine loader
+ * Runs the Apps Script source in a vm context whose globals are the platform shims
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DEFAULT_SCRIPT = path.join(__dirname, '..', 'optimized-impact-script-v4.js');
+
+class Engine {
+  constructor(context, platform) {
+    this.context = context;
+    this.platform = platform;
+  }
+
+  /**
+   * Look up a top-level binding from the script (classes are lexical, so
+   * they are not properties of the context object)
+   * @param {string} name - Class, function or constant name
+   * @returns {*}
+   */
+  get(name) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw new Error('Invalid binding name: ' + name);
+    }
+    return vm.runInContext(name, this.context);
+  }
+
+  /**
+   * Call a top-level function the way a menu or trigger would
+   * @param {string} name - Function name
+   * @param {...*} args - Arguments
+   * @returns {*}
+   */
+  call(name, ...args) {
+    const fn = this.get(name);
+    if (typeof fn !== 'function') {
+      throw new Error('Script function not found: ' + name);
+    }
+    return fn(...args);
+  }
+
+  /**
+   * Run an arbitrary expression inside the script context
+   * @param {string} code - JavaScript source
+   * @returns {*}
+   */
+  evaluate(code) {
+    return vm.runInContext(code, this.context);
+  }
+}
+
+/**
+ * Load one or more Apps Script files into a fresh context
+ * @param {Object} platform - Result of createPlatform()
+ * @param {string[]} scripts - Script paths, in load order
+ * @returns {Engine}
+ */
+function loadScripts(platform, scripts = [DEFAULT_SCRIPT]) {
+  const context = vm.createContext({ ...platform.globals });
+  // Sheets hands the script Dates from its own realm
+  platform.SpreadsheetApp.setDateConstructor(vm.runInContext('Date', context));
+
+  scripts.forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  return new Engine(context, platform);
+}
+
+module.exports = { Engine, loadScripts, DEFAULT_SCRIPT };
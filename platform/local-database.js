@@ -0,0 +1,77 @@
+/**
+ * LocalDatabase service (Node only, no Apps Script equivalent)
+ * Hands the engine a SQLite connection for stores that are only kept when
+ * running locally, such as the export archive
+ */
+
+/**
+ * Open a SQLite database with node:sqlite (Node 22.5+) or better-sqlite3.
+ * Both expose exec(sql) and prepare(sql).run/all(...params).
+ * @param {string} [file] - Database file (default in-memory)
+ * @param {string} [purpose] - Named in the error when neither is available
+ */
+function openDatabase(file, purpose = 'This service') {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file || ':memory:');
+  } catch (e) {
+    // fall through to better-sqlite3
+  }
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(file || ':memory:');
+  } catch (e) {
+    throw new Error(purpose + ' needs SQLite: use Node 22.5+ (node:sqlite), install better-sqlite3, ' +
+      'or pass an open database to createPlatform()');
+  }
+}
+
+/**
+ * Whether openDatabase can succeed here, without opening anything
+ */
+function sqliteAvailable() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (e) {
+    // fall through to better-sqlite3
+  }
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+class LocalDatabase {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.database] - Open SQLite handle (node:sqlite DatabaseSync or better-sqlite3)
+   * @param {string} [options.file] - Database file to open when no handle is given (default in-memory)
+   */
+  constructor(options = {}) {
+    this.database = options.database || null;
+    this.file = options.file || null;
+  }
+
+  /**
+   * Whether getConnection will work: a handle was passed in, or node:sqlite
+   * or better-sqlite3 can be loaded
+   */
+  isAvailable() {
+    return !!this.database || sqliteAvailable();
+  }
+
+  /**
+   * The connection, opened on first use
+   */
+  getConnection() {
+    if (!this.database) {
+      this.database = openDatabase(this.file, 'LocalDatabase');
+    }
+    return this.database;
+  }
+}
+
+module.exports = { LocalDatabase, openDatabase, sqliteAvailable };
@@ -0,0 +1,63 @@
+/**
+ * LocalFiles service (Node only, no Apps Script equivalent)
+ * Text files in a single directory for output that is only kept when running
+ * locally, such as the file log sink. Without a directory the files live in
+ * memory.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class LocalFiles {
+  /**
+   * @param {Object} options
+   * @param {string} [options.directory] - Directory the files are written to
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.files = new Map();
+  }
+
+  checkName(name) {
+    if (!name || /[\\/]/.test(name) || name === '.' || name === '..') {
+      throw new Error('LocalFiles: invalid file name ' + JSON.stringify(name));
+    }
+    return this.directory ? path.join(this.directory, name) : name;
+  }
+
+  appendText(name, text) {
+    const file = this.checkName(name);
+    if (this.directory) {
+      fs.ensureDirSync(this.directory);
+      fs.appendFileSync(file, text);
+    } else {
+      this.files.set(name, (this.files.get(name) || '') + text);
+    }
+  }
+
+  /**
+   * @returns {string} The file's contents, or '' when it doesn't exist
+   */
+  readText(name) {
+    const file = this.checkName(name);
+    if (!this.directory) return this.files.get(name) || '';
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  }
+
+  listFiles() {
+    if (!this.directory) return Array.from(this.files.keys()).sort();
+    return fs.existsSync(this.directory) ?
+      fs.readdirSync(this.directory).filter(name => fs.statSync(path.join(this.directory, name)).isFile()).sort() : [];
+  }
+
+  deleteFile(name) {
+    const file = this.checkName(name);
+    if (this.directory) {
+      fs.removeSync(file);
+    } else {
+      this.files.delete(name);
+    }
+  }
+}
+
+module.exports = { LocalFiles };
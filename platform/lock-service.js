@@ -0,0 +1,56 @@
+/**
+ * LockService shim
+ * One script lock per platform. Everything runs in one synchronous process,
+ * so a lock held by another Lock object can never be released while waiting:
+ * waitLock fails straight away and tryLock returns false, as they would once
+ * Apps Script's timeout ran out.
+ */
+
+class Lock {
+  constructor(service) {
+    this.service = service;
+  }
+
+  hasLock() {
+    return this.service.holder === this;
+  }
+
+  tryLock(timeoutInMillis) {
+    if (this.service.holder && this.service.holder !== this) return false;
+    this.service.holder = this;
+    this.service.acquisitions++;
+    return true;
+  }
+
+  waitLock(timeoutInMillis) {
+    if (!this.tryLock(timeoutInMillis)) {
+      throw new Error('Exception: Lock timeout: another process was holding the lock for too long.');
+    }
+  }
+
+  releaseLock() {
+    if (this.hasLock()) this.service.holder = null;
+  }
+}
+
+class LockService {
+  constructor() {
+    this.holder = null;
+    this.acquisitions = 0;
+  }
+
+  getScriptLock() {
+    return new Lock(this);
+  }
+
+  // Scripts here have a single user and no container document
+  getUserLock() {
+    return this.getScriptLock();
+  }
+
+  getDocumentLock() {
+    return this.getScriptLock();
+  }
+}
+
+module.exports = { LockService, Lock };
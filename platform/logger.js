@@ -0,0 +1,61 @@
+/**
+ * Logger and console shims
+ * Lines are captured so runs can be inspected; echoing to the terminal is optional
+ */
+
+const util = require('util');
+
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.echo] - Also print each line to stdout
+   */
+  constructor(options = {}) {
+    this.echo = !!options.echo;
+    this.lines = [];
+  }
+
+  /**
+   * log(message) or log(format, ...values) with %s style placeholders
+   */
+  log(format, ...values) {
+    const line = values.length > 0 ? util.format(String(format), ...values) : String(format);
+    this.lines.push(line);
+    if (this.echo) {
+      process.stdout.write(line + '\n');
+    }
+    return this;
+  }
+
+  getLog() {
+    return this.lines.join('\n');
+  }
+
+  clear() {
+    this.lines = [];
+  }
+}
+
+/**
+ * console replacement for the script sandbox
+ * @param {boolean} echo - Forward to the real console
+ * @returns {Object}
+ */
+function createConsole(echo) {
+  const lines = [];
+  const record = (level, realMethod) => (...args) => {
+    lines.push({ level: level, message: util.format(...args) });
+    if (echo) realMethod(...args);
+  };
+
+  return {
+    lines: lines,
+    log: record('log', console.log),
+    info: record('info', console.info),
+    warn: record('warn', console.warn),
+    error: record('error', console.error),
+    debug: record('debug', console.debug)
+  };
+}
+
+module.exports = { Logger, createConsole };
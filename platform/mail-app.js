@@ -0,0 +1,35 @@
+/**
+ * MailApp shim
+ * Messages are recorded instead of sent
+ */
+
+class MailApp {
+  constructor() {
+    this.sent = [];
+    this.dailyQuota = 100;
+  }
+
+  /**
+   * sendEmail(recipient, subject, body, options?) or sendEmail({ to, subject, body, ... })
+   */
+  sendEmail(recipientOrMessage, subject, body, options = {}) {
+    const message = typeof recipientOrMessage === 'object' ?
+      { ...recipientOrMessage } :
+      { to: recipientOrMessage, subject: subject, body: body, ...options };
+
+    if (!message.to) {
+      throw new Error('Exception: Invalid argument: recipient');
+    }
+    if (this.sent.length >= this.dailyQuota) {
+      throw new Error('Exception: Service invoked too many times for one day: email.');
+    }
+
+    this.sent.push({ ...message, sentAt: new Date() });
+  }
+
+  getRemainingDailyQuota() {
+    return this.dailyQuota - this.sent.length;
+  }
+}
+
+module.exports = { MailApp };
@@ -0,0 +1,133 @@
+/**
+ * PropertiesService shim
+ * Script/user/document properties backed by memory or a JSON file
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class Properties {
+  /**
+   * @param {string|null} filePath - JSON file to persist to, or null for memory only
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.store = {};
+
+    if (filePath && fs.pathExistsSync(filePath)) {
+      this.store = fs.readJsonSync(filePath);
+    }
+  }
+
+  /**
+   * Get a single property value, or null when unset
+   * @param {string} key - Property name
+   * @returns {string|null}
+   */
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+  }
+
+  /**
+   * Set a single property. Values are stored as strings, like Apps Script does.
+   * @param {string} key - Property name
+   * @param {*} value - Property value
+   * @returns {Properties}
+   */
+  setProperty(key, value) {
+    this.store[key] = String(value);
+    this.persist();
+    return this;
+  }
+
+  /**
+   * Delete a single property
+   * @param {string} key - Property name
+   * @returns {Properties}
+   */
+  deleteProperty(key) {
+    delete this.store[key];
+    this.persist();
+    return this;
+  }
+
+  /**
+   * Get a copy of every property
+   * @returns {Object}
+   */
+  getProperties() {
+    return { ...this.store };
+  }
+
+  /**
+   * Set several properties at once
+   * @param {Object} properties - Key/value pairs
+   * @param {boolean} deleteAllOthers - Remove properties not in the set
+   * @returns {Properties}
+   */
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) {
+      this.store = {};
+    }
+    for (const [key, value] of Object.entries(properties)) {
+      this.store[key] = String(value);
+    }
+    this.persist();
+    return this;
+  }
+
+  /**
+   * Remove every property
+   * @returns {Properties}
+   */
+  deleteAllProperties() {
+    this.store = {};
+    this.persist();
+    return this;
+  }
+
+  /**
+   * List every property name
+   * @returns {string[]}
+   */
+  getKeys() {
+    return Object.keys(this.store);
+  }
+
+  persist() {
+    if (!this.filePath) return;
+    fs.ensureDirSync(path.dirname(this.filePath));
+    fs.writeJsonSync(this.filePath, this.store, { spaces: 2 });
+  }
+}
+
+class PropertiesService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - JSON file for script properties
+   * @param {Object} [options.initial] - Properties to seed on start
+   */
+  constructor(options = {}) {
+    this.scriptProperties = new Properties(options.file || null);
+    this.userProperties = new Properties();
+    this.documentProperties = new Properties();
+
+    if (options.initial) {
+      this.scriptProperties.setProperties(options.initial);
+    }
+  }
+
+  getScriptProperties() {
+    return this.scriptProperties;
+  }
+
+  getUserProperties() {
+    return this.userProperties;
+  }
+
+  getDocumentProperties() {
+    return this.documentProperties;
+  }
+}
+
+module.exports = { Properties, PropertiesService };
@@ -0,0 +1,93 @@
+/**
+ * ScriptApp shim
+ * Triggers are kept in memory so scheduling code can be inspected and fired locally
+ */
+
+const crypto = require('crypto');
+
+const TriggerSource = { CLOCK: 'CLOCK', SPREADSHEETS: 'SPREADSHEETS' };
+const EventType = { CLOCK: 'CLOCK', ON_OPEN: 'ON_OPEN', ON_EDIT: 'ON_EDIT' };
+
+class Trigger {
+  constructor(handlerFunction, schedule) {
+    this.uniqueId = crypto.randomBytes(8).toString('hex');
+    this.handlerFunction = handlerFunction;
+    this.schedule = schedule;
+  }
+
+  getUniqueId() { return this.uniqueId; }
+  getHandlerFunction() { return this.handlerFunction; }
+  getTriggerSource() { return TriggerSource.CLOCK; }
+  getEventType() { return EventType.CLOCK; }
+}
+
+class ClockTriggerBuilder {
+  constructor(scriptApp, handlerFunction) {
+    this.scriptApp = scriptApp;
+    this.handlerFunction = handlerFunction;
+    this.schedule = {};
+  }
+
+  after(milliseconds) { this.schedule.runAt = new Date(Date.now() + milliseconds); return this; }
+  at(date) { this.schedule.runAt = new Date(date); return this; }
+  everyMinutes(n) { this.schedule.everyMinutes = n; return this; }
+  everyHours(n) { this.schedule.everyHours = n; return this; }
+  everyDays(n) { this.schedule.everyDays = n; return this; }
+  everyWeeks(n) { this.schedule.everyWeeks = n; return this; }
+  atHour(hour) { this.schedule.atHour = hour; return this; }
+  nearMinute(minute) { this.schedule.nearMinute = minute; return this; }
+  onWeekDay(day) { this.schedule.weekDay = day; return this; }
+  inTimezone(timezone) { this.schedule.timezone = timezone; return this; }
+
+  create() {
+    const trigger = new Trigger(this.handlerFunction, this.schedule);
+    this.scriptApp.triggers.push(trigger);
+    return trigger;
+  }
+}
+
+class TriggerBuilder {
+  constructor(scriptApp, handlerFunction) {
+    this.scriptApp = scriptApp;
+    this.handlerFunction = handlerFunction;
+  }
+
+  timeBased() {
+    return new ClockTriggerBuilder(this.scriptApp, this.handlerFunction);
+  }
+}
+
+class ScriptApp {
+  constructor() {
+    this.triggers = [];
+    this.TriggerSource = TriggerSource;
+    this.EventType = EventType;
+  }
+
+  newTrigger(functionName) {
+    return new TriggerBuilder(this, functionName);
+  }
+
+  getProjectTriggers() {
+    return this.triggers.slice();
+  }
+
+  deleteTrigger(trigger) {
+    this.triggers = this.triggers.filter(existing => existing.getUniqueId() !== trigger.getUniqueId());
+  }
+
+  getScriptId() {
+    return 'local-script';
+  }
+
+  /**
+   * Non-Apps Script helper: one-off triggers whose time has come
+   * @param {Date} now - Reference time
+   * @returns {Trigger[]}
+   */
+  getDueTriggers(now = new Date()) {
+    return this.triggers.filter(trigger => trigger.schedule.runAt && trigger.schedule.runAt <= now);
+  }
+}
+
+module.exports = { ScriptApp, Trigger };
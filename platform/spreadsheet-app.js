@@ -0,0 +1,588 @@
+/**
+ * SpreadsheetApp shim
+ * Spreadsheets are in-memory grids that can be exported to CSV or XLSX.
+ * Formatting calls are accepted and ignored so engine code runs unchanged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { writeXlsx } = require('./xlsx-writer');
+
+const ChartType = {
+  AREA: 'AREA',
+  BAR: 'BAR',
+  COLUMN: 'COLUMN',
+  LINE: 'LINE',
+  PIE: 'PIE',
+  SCATTER: 'SCATTER',
+  TABLE: 'TABLE'
+};
+
+// Formatting methods that return the range for chaining but change nothing
+const RANGE_NOOPS = [
+  'setFontWeight', 'setFontColor', 'setBackground', 'setFontSize', 'setFontStyle',
+  'setFontFamily', 'setBorder', 'setNumberFormat', 'setNumberFormats',
+  'setHorizontalAlignment', 'setVerticalAlignment', 'setWrap', 'setWrapStrategy',
+  'merge', 'breakApart', 'activate', 'setDataValidation', 'clearFormat'
+];
+
+const SHEET_NOOPS = [
+  'autoResizeColumns', 'autoResizeColumn', 'setColumnWidth', 'setColumnWidths',
+  'setRowHeight', 'setTabColor', 'hideSheet', 'showSheet', 'activate'
+];
+
+/**
+ * Convert column letters (A, Z, AA) to a 1-based index
+ */
+function columnToIndex(letters) {
+  let index = 0;
+  for (const ch of letters.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index;
+}
+
+/**
+ * Convert a 1-based column index to letters
+ */
+function indexToColumn(index) {
+  let letters = '';
+  let n = index;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function isEmptyCell(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Convert a written value the way Sheets does: plain numbers become numbers
+ * (so leading zeros are lost) and unambiguous dates become Dates at local
+ * time. A leading apostrophe keeps the rest as text.
+ * @param {*} value - Value passed to setValue/setValues
+ * @param {Function} DateType - Date constructor for the Dates created
+ */
+function parseCellInput(value, DateType) {
+  if (typeof value !== 'string') return value;
+  if (value.charAt(0) === "'") return value.slice(1);
+
+  const text = value.trim();
+  if (/^[-+]?(\d+|\d{1,3}(,\d{3})+)?(\.\d+)?$/.test(text) && /\d/.test(text)) {
+    return Number(text.replace(/,/g, ''));
+  }
+
+  const date = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (date) {
+    const parts = date.slice(1).map(part => Number(part || 0));
+    const parsed = new DateType(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    if (parsed.getMonth() === parts[1] - 1 && parsed.getDate() === parts[2]) return parsed;
+  }
+  return value;
+}
+
+class Range {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1) {
+      throw new Error('Exception: Range coordinates are invalid.');
+    }
+    if (numRows < 1 || numColumns < 1) {
+      throw new Error('Exception: The number of rows and columns in the range must be at least 1.');
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getSheet() { return this.sheet; }
+
+  getA1Notation() {
+    const start = indexToColumn(this.column) + this.row;
+    if (this.numRows === 1 && this.numColumns === 1) return start;
+    return start + ':' + indexToColumn(this.getLastColumn()) + this.getLastRow();
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.cells[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(isEmptyCell(value) ? '' : value);
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => String(value)));
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error('Exception: The number of rows in the data does not match the number of rows in the range. ' +
+        'The data has ' + (values ? values.length : 0) + ' but the range has ' + this.numRows + '.');
+    }
+    values.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this.numColumns) {
+        throw new Error('Exception: The number of columns in the data does not match the number of columns in the range. ' +
+          'The data has ' + (row ? row.length : 0) + ' but the range has ' + this.numColumns + '.');
+      }
+    });
+
+    values.forEach((row, r) => {
+      row.forEach((value, c) => this.sheet.writeCell(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.writeCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  clear() {
+    return this.clearContent();
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      const row = this.sheet.cells[this.row - 1 + r];
+      if (!row) continue;
+      for (let c = 0; c < this.numColumns; c++) {
+        row[this.column - 1 + c] = '';
+      }
+    }
+    return this;
+  }
+
+  getNote() {
+    return this.sheet.notes[this.row + ',' + this.column] || '';
+  }
+
+  setNote(note) {
+    this.sheet.notes[this.row + ',' + this.column] = String(note);
+    return this;
+  }
+
+  offset(rowOffset, columnOffset, numRows, numColumns) {
+    return new Range(this.sheet, this.row + rowOffset, this.column + columnOffset,
+      numRows || this.numRows, numColumns || this.numColumns);
+  }
+}
+
+RANGE_NOOPS.forEach(name => {
+  Range.prototype[name] = function () { return this; };
+});
+
+class EmbeddedChartBuilder {
+  constructor(sheet) {
+    this.sheet = sheet;
+    this.chart = { type: null, ranges: [], position: null, options: {} };
+  }
+
+  setChartType(type) { this.chart.type = type; return this; }
+  addRange(range) { this.chart.ranges.push(range.getA1Notation()); return this; }
+  setPosition(row, column, offsetX, offsetY) {
+    this.chart.position = { row: row, column: column, offsetX: offsetX, offsetY: offsetY };
+    return this;
+  }
+  setOption(key, value) { this.chart.options[key] = value; return this; }
+  build() { return { ...this.chart, getId: () => this.chart.options.title || this.chart.type }; }
+}
+
+class DeveloperMetadata {
+  constructor(sheet, key, value) {
+    this.sheet = sheet;
+    this.id = sheet.spreadsheet.nextMetadataId++;
+    this.key = key;
+    this.value = value;
+  }
+
+  getId() { return this.id; }
+  getKey() { return this.key; }
+  getValue() { return this.value; }
+  getVisibility() { return 'DOCUMENT'; }
+  setKey(key) { this.key = key; return this; }
+  setValue(value) { this.value = value === undefined || value === null ? null : String(value); return this; }
+
+  remove() {
+    this.sheet.developerMetadata = this.sheet.developerMetadata.filter(entry => entry !== this);
+  }
+}
+
+class Sheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = spreadsheet.nextSheetId++;
+    this.cells = [];
+    this.notes = {};
+    this.charts = [];
+    this.developerMetadata = [];
+    this.frozenRows = 0;
+    this.frozenColumns = 0;
+    this.maxRows = 1000;
+    this.maxColumns = 26;
+  }
+
+  writeCell(row, column, value) {
+    while (this.cells.length < row) this.cells.push([]);
+    const cells = this.cells[row - 1];
+    while (cells.length < column) cells.push('');
+    const DateType = this.spreadsheet.app ? this.spreadsheet.app.DateType : Date;
+    const isDate = Object.prototype.toString.call(value) === '[object Date]';
+    cells[column - 1] = isDate ? new DateType(value.getTime()) :
+      (value === undefined || value === null ? '' : parseCellInput(value, DateType));
+    this.maxRows = Math.max(this.maxRows, row);
+    this.maxColumns = Math.max(this.maxColumns, column);
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+  getIndex() { return this.spreadsheet.sheets.indexOf(this) + 1; }
+  getMaxRows() { return this.maxRows; }
+  getMaxColumns() { return this.maxColumns; }
+  getFrozenRows() { return this.frozenRows; }
+  getFrozenColumns() { return this.frozenColumns; }
+  setFrozenRows(rows) { this.frozenRows = rows; return this; }
+  setFrozenColumns(columns) { this.frozenColumns = columns; return this; }
+
+  getLastRow() {
+    for (let r = this.cells.length; r > 0; r--) {
+      if (this.cells[r - 1].some(value => !isEmptyCell(value))) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.cells.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (!isEmptyCell(row[c - 1])) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  /**
+   * getRange(row, column, numRows?, numColumns?) or getRange('A1:B2' | 'A:A' | '1:1')
+   */
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      return this.getRangeByA1(rowOrA1);
+    }
+    return new Range(this, rowOrA1, column, numRows || 1, numColumns || 1);
+  }
+
+  getRangeByA1(notation) {
+    const a1 = notation.includes('!') ? notation.split('!').pop() : notation;
+    const parts = a1.replace(/\$/g, '').split(':');
+    const parse = part => {
+      const match = part.match(/^([A-Za-z]*)(\d*)$/);
+      if (!match) throw new Error('Exception: Range not found');
+      return {
+        column: match[1] ? columnToIndex(match[1]) : null,
+        row: match[2] ? parseInt(match[2], 10) : null
+      };
+    };
+
+    const start = parse(parts[0]);
+    const end = parts[1] ? parse(parts[1]) : start;
+    const startRow = start.row || 1;
+    const startColumn = start.column || 1;
+    const endRow = end.row || Math.max(this.maxRows, this.getLastRow(), startRow);
+    const endColumn = end.column || Math.max(this.maxColumns, this.getLastColumn(), startColumn);
+
+    return new Range(this, startRow, startColumn, endRow - startRow + 1, endColumn - startColumn + 1);
+  }
+
+  getDataRange() {
+    return new Range(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    rowContents.forEach((value, c) => this.writeCell(row, c + 1, value));
+    return this;
+  }
+
+  clear() {
+    this.cells = [];
+    this.notes = {};
+    return this;
+  }
+
+  clearContents() {
+    this.cells = [];
+    return this;
+  }
+
+  clearNotes() {
+    this.notes = {};
+    return this;
+  }
+
+  deleteRows(rowPosition, howMany = 1) {
+    this.cells.splice(rowPosition - 1, howMany);
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    return this.deleteRows(rowPosition, 1);
+  }
+
+  insertRowsAfter(afterPosition, howMany) {
+    const blanks = Array.from({ length: howMany }, () => []);
+    while (this.cells.length < afterPosition) this.cells.push([]);
+    this.cells.splice(afterPosition, 0, ...blanks);
+    this.maxRows += howMany;
+    return this;
+  }
+
+  insertColumnsAfter(afterPosition, howMany) {
+    this.cells.forEach(cells => {
+      if (cells.length <= afterPosition) return;
+      cells.splice(afterPosition, 0, ...new Array(howMany).fill(''));
+    });
+    this.maxColumns += howMany;
+    return this;
+  }
+
+  newChart() {
+    return new EmbeddedChartBuilder(this);
+  }
+
+  insertChart(chart) {
+    this.charts.push(chart);
+  }
+
+  getCharts() {
+    return this.charts.slice();
+  }
+
+  removeChart(chart) {
+    this.charts = this.charts.filter(existing => existing !== chart);
+  }
+
+  /**
+   * addDeveloperMetadata(key, value?, visibility?) - visibility is accepted and ignored
+   */
+  addDeveloperMetadata(key, value) {
+    const entry = new DeveloperMetadata(this, key, value === undefined || value === null ? null : String(value));
+    this.developerMetadata.push(entry);
+    return this;
+  }
+
+  getDeveloperMetadata() {
+    return this.developerMetadata.slice();
+  }
+
+  /**
+   * Non-Apps Script helper: the used grid as plain values
+   * @returns {Array[]}
+   */
+  toValues() {
+    const lastRow = this.getLastRow();
+    const lastColumn = this.getLastColumn();
+    if (lastRow === 0 || lastColumn === 0) return [];
+    return this.getRange(1, 1, lastRow, lastColumn).getValues();
+  }
+
+  /**
+   * Non-Apps Script helper: the used grid as CSV text
+   * @returns {string}
+   */
+  toCsv() {
+    return this.toValues().map(row => row.map(value => {
+      const text = Object.prototype.toString.call(value) === '[object Date]' ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',')).join('\n');
+  }
+}
+
+SHEET_NOOPS.forEach(name => {
+  Sheet.prototype[name] = function () { return this; };
+});
+
+class Spreadsheet {
+  constructor(id, name, app = null) {
+    this.id = id;
+    this.name = name;
+    this.app = app;
+    this.sheets = [];
+    this.nextSheetId = 0;
+    this.nextMetadataId = 1;
+    this.activeSheet = null;
+    this.insertSheet('Sheet1');
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  rename(name) { this.name = name; }
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/' + this.id + '/edit'; }
+  getSheets() { return this.sheets.slice(); }
+  getNumSheets() { return this.sheets.length; }
+  getActiveSheet() { return this.activeSheet || this.sheets[0] || null; }
+  setActiveSheet(sheet) { this.activeSheet = sheet; return sheet; }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  /**
+   * insertSheet(name?, index?) - index is 0-based like Apps Script
+   */
+  insertSheet(name, index) {
+    const sheetName = typeof name === 'string' ? name : 'Sheet' + (this.sheets.length + 1);
+    if (this.getSheetByName(sheetName)) {
+      throw new Error('Exception: A sheet with the name "' + sheetName +
+        '" already exists. Please enter another name.');
+    }
+
+    const sheet = new Sheet(this, sheetName);
+    const position = typeof name === 'number' ? name : index;
+    if (typeof position === 'number') {
+      this.sheets.splice(position, 0, sheet);
+    } else {
+      this.sheets.push(sheet);
+    }
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    if (this.sheets.length === 1) {
+      throw new Error('Exception: You can\'t remove all the sheets in a document.');
+    }
+    this.sheets = this.sheets.filter(existing => existing !== sheet);
+    if (this.activeSheet === sheet) this.activeSheet = this.sheets[0];
+  }
+
+  /**
+   * Write every sheet as <dir>/<sheet name>.csv
+   * @param {string} dir - Output directory
+   * @returns {string[]} Written file paths
+   */
+  exportCsv(dir) {
+    fs.ensureDirSync(dir);
+    return this.sheets.map(sheet => {
+      const file = path.join(dir, sheet.getName().replace(/[\\/:*?"<>|]/g, '_') + '.csv');
+      fs.writeFileSync(file, sheet.toCsv());
+      return file;
+    });
+  }
+
+  /**
+   * Write the spreadsheet as a single .xlsx workbook
+   * @param {string} file - Output path
+   * @returns {string} Written file path
+   */
+  exportXlsx(file) {
+    fs.ensureDirSync(path.dirname(file));
+    fs.writeFileSync(file, writeXlsx(this.sheets.map(sheet => ({
+      name: sheet.getName(),
+      rows: sheet.toValues()
+    }))));
+    return file;
+  }
+}
+
+class SpreadsheetApp {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.autoCreate] - openById creates unknown IDs instead of throwing
+   */
+  constructor(options = {}) {
+    this.autoCreate = options.autoCreate !== false;
+    this.spreadsheets = new Map();
+    this.activeSpreadsheet = null;
+    this.DateType = Date;
+  }
+
+  /**
+   * Non-Apps Script helper: build the Dates cells hold with the script's own
+   * Date, so `instanceof Date` works on values read back inside the engine
+   * @param {Function} DateType - Date constructor of the script context
+   */
+  setDateConstructor(DateType) {
+    this.DateType = DateType;
+  }
+
+  openById(id) {
+    if (!this.spreadsheets.has(id)) {
+      if (!this.autoCreate) {
+        throw new Error('Exception: Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+      }
+      this.spreadsheets.set(id, new Spreadsheet(id, 'Spreadsheet ' + id, this));
+    }
+    return this.spreadsheets.get(id);
+  }
+
+  create(name) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const spreadsheet = new Spreadsheet(id, name, this);
+    this.spreadsheets.set(id, spreadsheet);
+    return spreadsheet;
+  }
+
+  getActiveSpreadsheet() {
+    if (!this.activeSpreadsheet) {
+      const first = this.spreadsheets.values().next().value;
+      this.activeSpreadsheet = first || this.create('Untitled spreadsheet');
+    }
+    return this.activeSpreadsheet;
+  }
+
+  setActiveSpreadsheet(spreadsheet) {
+    this.activeSpreadsheet = spreadsheet;
+  }
+
+  flush() {}
+
+  /**
+   * Non-Apps Script helper: every spreadsheet opened or created so far
+   * @returns {Spreadsheet[]}
+   */
+  getAll() {
+    return Array.from(this.spreadsheets.values());
+  }
+}
+
+module.exports = {
+  SpreadsheetApp,
+  Spreadsheet,
+  Sheet,
+  Range,
+  Charts: { ChartType: ChartType },
+  columnToIndex,
+  indexToColumn
+};
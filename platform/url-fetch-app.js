@@ -0,0 +1,165 @@
+/**
+ * UrlFetchApp shim
+ * Requests go to a pluggable transport: an in-process handler function
+ * (deterministic, no sockets) or real HTTP against a local stand-in server.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const WORKER = path.join(__dirname, 'http-fetch-worker.js');
+
+class HTTPResponse {
+  constructor(statusCode, headers, body) {
+    this.statusCode = statusCode;
+    this.headers = headers || {};
+    this.body = Buffer.isBuffer(body) ? body : Buffer.from(body === undefined || body === null ? '' : String(body));
+  }
+
+  getResponseCode() {
+    return this.statusCode;
+  }
+
+  getContentText(charset) {
+    return this.body.toString(charset === 'US-ASCII' ? 'ascii' : 'utf8');
+  }
+
+  getContent() {
+    return Array.from(this.body, b => (b > 127 ? b - 256 : b));
+  }
+
+  getHeaders() {
+    return { ...this.headers };
+  }
+
+  getAllHeaders() {
+    return { ...this.headers };
+  }
+}
+
+/**
+ * Normalize Apps Script fetch params into a transport request
+ */
+function buildRequest(url, params = {}) {
+  const headers = { ...(params.headers || {}) };
+  if (params.contentType) {
+    headers['Content-Type'] = params.contentType;
+  }
+
+  let payload = null;
+  if (params.payload !== undefined && params.payload !== null) {
+    payload = typeof params.payload === 'object' && !Buffer.isBuffer(params.payload) ?
+      JSON.stringify(params.payload) : String(params.payload);
+  }
+
+  return {
+    url: url,
+    method: (params.method || 'GET').toUpperCase(),
+    headers: headers,
+    payload: payload,
+    muteHttpExceptions: !!params.muteHttpExceptions
+  };
+}
+
+/**
+ * Transport that hands each request to a function in this process.
+ * The handler receives { url, method, headers, payload } and returns
+ * { statusCode, headers, body }.
+ */
+function handlerTransport(handler) {
+  return requests => requests.map(request => {
+    const result = handler(request);
+    return new HTTPResponse(result.statusCode, result.headers, result.body);
+  });
+}
+
+/**
+ * Transport that performs real HTTP(S) requests in a child process so the
+ * synchronous fetch contract holds. fetchAll batches run concurrently.
+ */
+function httpTransport(options = {}) {
+  const timeoutMs = options.timeoutMs || 60000;
+
+  return requests => {
+    const input = JSON.stringify(requests.map(request => ({
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      payload: request.payload === null ? null : Buffer.from(request.payload).toString('base64'),
+      timeoutMs: timeoutMs
+    })));
+
+    const child = spawnSync(process.execPath, [WORKER], {
+      input: input,
+      maxBuffer: options.maxBuffer || 512 * 1024 * 1024,
+      timeout: timeoutMs + 5000
+    });
+
+    if (child.error) {
+      throw new Error('Exception: ' + child.error.message);
+    }
+    if (child.status !== 0) {
+      throw new Error('Exception: HTTP worker failed: ' + child.stderr.toString());
+    }
+
+    return JSON.parse(child.stdout.toString()).map((response, i) => {
+      if (response.error) {
+        throw new Error('Exception: ' + response.error + ' (' + requests[i].url + ')');
+      }
+      return new HTTPResponse(response.statusCode, response.headers, Buffer.from(response.body, 'base64'));
+    });
+  };
+}
+
+class UrlFetchApp {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.handler] - In-process request handler
+   * @param {Function} [options.transport] - Custom transport (array of requests -> array of HTTPResponse)
+   * @param {Object} [options.http] - Options for the HTTP transport when no handler is given
+   */
+  constructor(options = {}) {
+    if (options.transport) {
+      this.transport = options.transport;
+    } else if (options.handler) {
+      this.transport = handlerTransport(options.handler);
+    } else {
+      this.transport = httpTransport(options.http);
+    }
+    this.requests = [];
+  }
+
+  /**
+   * @param {string} url - Request URL
+   * @param {Object} params - Apps Script fetch params
+   * @returns {HTTPResponse}
+   */
+  fetch(url, params = {}) {
+    return this.fetchAll([{ url: url, ...params }])[0];
+  }
+
+  /**
+   * @param {Array<string|Object>} requests - URLs or { url, ...params }
+   * @returns {HTTPResponse[]}
+   */
+  fetchAll(requests) {
+    const built = requests.map(request =>
+      typeof request === 'string' ? buildRequest(request) : buildRequest(request.url, request)
+    );
+    built.forEach(request => this.requests.push({ url: request.url, method: request.method }));
+
+    const responses = this.transport(built);
+
+    responses.forEach((response, i) => {
+      if (!built[i].muteHttpExceptions && response.getResponseCode() >= 400) {
+        throw new Error('Exception: Request failed for ' + built[i].url + ' returned code ' +
+          response.getResponseCode() + '. Truncated server response: ' +
+          response.getContentText().substring(0, 100));
+      }
+    });
+
+    return responses;
+  }
+}
+
+module.exports = { UrlFetchApp, HTTPResponse, handlerTransport, httpTransport };
@@ -0,0 +1,199 @@
+/**
+ * Utilities shim
+ * CSV parsing, encoding, digests, blobs, gzip and sleep for code written against Apps Script
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const DigestAlgorithm = {
+  MD2: 'md2',
+  MD5: 'md5',
+  SHA_1: 'sha1',
+  SHA_256: 'sha256',
+  SHA_384: 'sha384',
+  SHA_512: 'sha512'
+};
+
+const Charset = {
+  US_ASCII: 'ascii',
+  UTF_8: 'utf8'
+};
+
+/**
+ * Parse CSV text into a 2D array of strings (RFC 4180 quoting, multiline fields)
+ * @param {string} csv - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]}
+ */
+function parseCsv(csv, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const text = String(csv);
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Convert a string or byte array to a Buffer
+ */
+function toBuffer(value, charset) {
+  if (Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return Buffer.from(value.map(b => b & 0xff));
+  return Buffer.from(String(value), charset || 'utf8');
+}
+
+/**
+ * Apps Script returns digests as signed Java bytes (-128..127)
+ */
+function toSignedBytes(buffer) {
+  return Array.from(buffer, b => (b > 127 ? b - 256 : b));
+}
+
+/**
+ * Blob - bytes with a content type and an optional name
+ */
+class Blob {
+  constructor(data, contentType, name) {
+    this.bytes = toBuffer(data === undefined || data === null ? '' : data);
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() { return toSignedBytes(this.bytes); }
+  getDataAsString(charset) { return this.bytes.toString(charset || 'utf8'); }
+  getContentType() { return this.contentType; }
+  setContentType(contentType) { this.contentType = contentType; return this; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getBlob() { return this; }
+  copyBlob() { return new Blob(Buffer.from(this.bytes), this.contentType, this.name); }
+  isGoogleType() { return false; }
+}
+
+class Utilities {
+  /**
+   * @param {Object} options
+   * @param {string} [options.sleepMode] - 'skip' records sleeps without waiting, 'real' blocks
+   */
+  constructor(options = {}) {
+    this.sleepMode = options.sleepMode || 'skip';
+    this.totalSleptMs = 0;
+    this.sleepCalls = 0;
+    this.DigestAlgorithm = DigestAlgorithm;
+    this.Charset = Charset;
+  }
+
+  /**
+   * Pause execution. Apps Script caps a single sleep at 300000ms.
+   * @param {number} milliseconds - Duration
+   */
+  sleep(milliseconds) {
+    const ms = Number(milliseconds) || 0;
+    if (ms > 300000) {
+      throw new Error('Exception: Argument too large: milliseconds');
+    }
+
+    this.totalSleptMs += ms;
+    this.sleepCalls++;
+
+    if (this.sleepMode === 'real' && ms > 0) {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+  }
+
+  parseCsv(csv, delimiter) {
+    return parseCsv(csv, delimiter);
+  }
+
+  base64Encode(data, charset) {
+    return toBuffer(data, charset).toString('base64');
+  }
+
+  base64EncodeWebSafe(data, charset) {
+    return toBuffer(data, charset).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  base64Decode(encoded) {
+    return toSignedBytes(Buffer.from(encoded, 'base64'));
+  }
+
+  /**
+   * @param {string} algorithm - One of DigestAlgorithm
+   * @param {string|number[]} value - Input to hash
+   * @param {string} charset - One of Charset
+   * @returns {number[]} Signed bytes
+   */
+  computeDigest(algorithm, value, charset) {
+    const hash = crypto.createHash(algorithm).update(toBuffer(value, charset)).digest();
+    return toSignedBytes(hash);
+  }
+
+  getUuid() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * newBlob(data, contentType?, name?) - data is a string or byte array
+   */
+  newBlob(data, contentType, name) {
+    return new Blob(data, contentType, name);
+  }
+
+  /**
+   * Gzip a blob. The result is named after the input plus .gz unless a name is given.
+   */
+  gzip(blob, name) {
+    const source = blob.getBlob();
+    return new Blob(zlib.gzipSync(source.bytes), 'application/x-gzip',
+      name || (source.getName() ? source.getName() + '.gz' : 'archive.gz'));
+  }
+
+  ungzip(blob) {
+    const source = blob.getBlob();
+    const name = source.getName();
+    return new Blob(zlib.gunzipSync(source.bytes), null, name ? name.replace(/\.gz$/, '') : null);
+  }
+}
+
+module.exports = { Utilities, Blob, DigestAlgorithm, Charset, parseCsv };
@@ -0,0 +1,210 @@
+/**
+ * Minimal XLSX writer
+ * Produces a values-only workbook (inline strings, numbers, booleans, ISO dates)
+ * using Node's zlib, so exports need no extra dependency.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive from { name, data } entries
+ * @param {Array<{name: string, data: Buffer}>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(0, 10);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split('')
+    .filter(isXmlCharacter)
+    .join('');
+}
+
+// XML 1.0 allows tab, line feed and carriage return but no other control characters
+function isXmlCharacter(character) {
+  const code = character.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function columnLetters(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function cellXml(value, ref) {
+  if (value === '' || value === null || value === undefined) return '';
+  if (typeof value === 'number' && isFinite(value)) {
+    return '<c r="' + ref + '"><v>' + value + '</v></c>';
+  }
+  if (typeof value === 'boolean') {
+    return '<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+  }
+  const text = Object.prototype.toString.call(value) === '[object Date]' ? value.toISOString() : value;
+  return '<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' + escapeXml(text) + '</t></is></c>';
+}
+
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXml(value, columnLetters(c) + (r + 1))).join('');
+    return '<row r="' + (r + 1) + '">' + cells + '</row>';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetData>' + body + '</sheetData></worksheet>';
+}
+
+/**
+ * Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+ */
+function safeSheetNames(names) {
+  const used = new Set();
+  return names.map((name, i) => {
+    let base = String(name).replace(/[[\]:*?/\\]/g, '_').substring(0, 31) || 'Sheet' + (i + 1);
+    let candidate = base;
+    let suffix = 2;
+    while (used.has(candidate.toLowerCase())) {
+      candidate = base.substring(0, 28) + ' ' + suffix++;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Write a workbook
+ * @param {Array<{name: string, rows: Array[]}>} sheets
+ * @returns {Buffer} XLSX file contents
+ */
+function writeXlsx(sheets) {
+  const names = safeSheetNames(sheets.map(sheet => sheet.name));
+  const entries = [];
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+  entries.push({
+    name: '[Content_Types].xml',
+    data: Buffer.from(xmlHeader +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      sheets.map((sheet, i) => '<Override PartName="/xl/worksheets/sheet' + (i + 1) +
+        '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+      '</Types>')
+  });
+
+  entries.push({
+    name: '_rels/.rels',
+    data: Buffer.from(xmlHeader +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>')
+  });
+
+  entries.push({
+    name: 'xl/workbook.xml',
+    data: Buffer.from(xmlHeader +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      names.map((name, i) => '<sheet name="' + escapeXml(name) + '" sheetId="' + (i + 1) +
+        '" r:id="rId' + (i + 1) + '"/>').join('') +
+      '</sheets></workbook>')
+  });
+
+  entries.push({
+    name: 'xl/_rels/workbook.xml.rels',
+    data: Buffer.from(xmlHeader +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((sheet, i) => '<Relationship Id="rId' + (i + 1) +
+        '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' +
+        (i + 1) + '.xml"/>').join('') +
+      '</Relationships>')
+  });
+
+  sheets.forEach((sheet, i) => {
+    entries.push({ name: 'xl/worksheets/sheet' + (i + 1) + '.xml', data: Buffer.from(sheetXml(sheet.rows)) });
+  });
+
+  return zip(entries);
+}
+
+module.exports = { writeXlsx, zip, crc32 };